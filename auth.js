@@ -257,6 +257,7 @@ class AuthManager {
                     window.solanaManager.userBalance = parseFloat(userData.usdcBalance) || 0;
                     window.solanaManager.userWalletAddress = userData.solanaAddress;
                     window.solanaManager.userWithdrawAddress = userData.withdrawAddress || null;
+                    window.solanaManager.linkedWallets = userData.wallets || [];
                     console.log(`🔑 [AUTH] Setting wallet address: ${userData.solanaAddress}`);
                     console.log(`⚙️  [AUTH] Setting withdraw address: ${userData.withdrawAddress}`);
                     console.log(`🔄 [AUTH] Solana manager wallet address set to: ${window.solanaManager.userWalletAddress}`);
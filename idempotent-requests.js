@@ -0,0 +1,67 @@
+// Idempotent POSTs for requests that move money, shared by the game (script.js) and the wallet
+// (solana.js). Each request carries an Idempotency-Key. The key is kept while the outcome is
+// unknown (timeout, network error, still processing) and reused when the same request is
+// retried, so the server replays the first result instead of applying it twice.
+class IdempotentRequests {
+    // resolveApi(action) → the endpoint's URL; attempts and timeoutMs are the defaults for post()
+    constructor(resolveApi, { logTag, attempts = 2, timeoutMs = 10000 }) {
+        this.resolveApi = resolveApi;
+        this.logTag = logTag;
+        this.defaults = { attempts, timeoutMs };
+        this.pending = {}; // Idempotency keys of requests with an unknown outcome, by action
+    }
+
+    keyFor(action, payload) {
+        const fingerprint = JSON.stringify(payload);
+        const pending = this.pending[action];
+        if (pending && pending.fingerprint === fingerprint) {
+            return pending.key;
+        }
+        const key = crypto.randomUUID();
+        this.pending[action] = { key, fingerprint };
+        return key;
+    }
+
+    async post(action, payload, { attempts = this.defaults.attempts, timeoutMs = this.defaults.timeoutMs } = {}) {
+        const key = this.keyFor(action, payload);
+        let lastError;
+
+        for (let attempt = 1; attempt <= attempts; attempt++) {
+            const controller = new AbortController();
+            const timeoutId = setTimeout(() => controller.abort(), timeoutMs);
+            try {
+                const response = await fetch(this.resolveApi(action), {
+                    method: 'POST',
+                    headers: {
+                        'Content-Type': 'application/json',
+                        'Authorization': `Bearer ${window.authManager.token}`,
+                        'Idempotency-Key': key
+                    },
+                    body: JSON.stringify(payload),
+                    signal: controller.signal
+                });
+                const data = await response.json();
+                if (response.status === 409 && data.code === 'IDEMPOTENCY_IN_PROGRESS') {
+                    lastError = new Error(data.error);
+                } else {
+                    delete this.pending[action];
+                    return { response, data };
+                }
+            } catch (error) {
+                lastError = error; // timed out or failed in transit: keep the key for the retry
+            } finally {
+                clearTimeout(timeoutId);
+            }
+
+            if (attempt < attempts) {
+                console.log(`🔁 ${this.logTag} Retrying ${action} with the same Idempotency-Key (attempt ${attempt + 1})`);
+                await new Promise(resolve => setTimeout(resolve, 1000 * attempt));
+            }
+        }
+
+        const error = new Error('No response from the server. Trying again is safe, it will not be applied twice.');
+        error.outcomeUnknown = true;
+        error.cause = lastError;
+        throw error;
+    }
+}
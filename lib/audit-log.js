@@ -0,0 +1,51 @@
+// Audit trail of decisions about users' money (withdrawal reviews, ...). record() is called
+// after the decision was applied, with the admin who took it or without one for the system.
+const mongoose = require('mongoose');
+const AuditLog = require('../netlify/functions/audit-log-schema.js');
+
+const LIST_LIMIT = 200;
+
+// Record action on subject ({ type, id }) for userId, taken by actor (a User) or the system
+function record({ action, actor, subject, userId, reason, details }) {
+  return AuditLog.create({
+    action,
+    actorId: actor?._id,
+    actorEmail: actor?.email,
+    subjectType: subject.type,
+    subjectId: String(subject.id),
+    userId,
+    reason,
+    details
+  });
+}
+
+// Entries newest first, optionally for one subject, user or action
+function list({ subjectType, subjectId, userId, action, limit = LIST_LIMIT } = {}) {
+  const filter = {};
+  if (subjectType) filter.subjectType = subjectType;
+  if (subjectId) filter.subjectId = String(subjectId);
+  if (userId && mongoose.isValidObjectId(userId)) filter.userId = userId;
+  if (action) filter.action = action;
+  return AuditLog.find(filter).sort({ createdAt: -1 }).limit(Math.min(limit, LIST_LIMIT));
+}
+
+// What admins see of an entry
+function view(entry) {
+  return {
+    id: entry._id,
+    action: entry.action,
+    actor: entry.actorEmail || 'system',
+    subjectType: entry.subjectType,
+    subjectId: entry.subjectId,
+    userId: entry.userId || null,
+    reason: entry.reason || null,
+    details: entry.details || null,
+    createdAt: entry.createdAt
+  };
+}
+
+module.exports = {
+  record,
+  list,
+  view
+};
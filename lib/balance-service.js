@@ -0,0 +1,222 @@
+// Balance service: every change to User.gameBalance goes through here.
+//
+// A balance change, its Transaction record and its ledger journal entry commit together, in a
+// MongoDB multi-document transaction, or not at all. That needs a replica set (Atlas, or a
+// local mongod started with --replSet): on a standalone server balance changes are refused
+// with TRANSACTIONS_UNAVAILABLE rather than written piecemeal, where a crash between writes
+// would leave the balance, the ledger and the record disagreeing. Debits are conditional on
+// the balance covering them, so concurrent requests can't overdraw.
+const mongoose = require('mongoose');
+const User = require('../netlify/functions/user-schema.js');
+const GameTransaction = require('../netlify/functions/transaction-schema.js');
+const money = require('./money.js');
+const ledger = require('./ledger.js');
+
+class BalanceError extends Error {
+  constructor(message, code, statusCode) {
+    super(message);
+    this.name = 'BalanceError';
+    this.code = code;
+    this.statusCode = statusCode;
+  }
+}
+
+const insufficientBalance = () => new BalanceError('Insufficient balance', 'INSUFFICIENT_BALANCE', 400);
+const userNotFound = () => new BalanceError('User not found', 'USER_NOT_FOUND', 404);
+const duplicateTransaction = () => new BalanceError('This transaction has already been processed', 'DUPLICATE_TRANSACTION', 409);
+const balanceChanged = () => new BalanceError('Balance changed during update, please retry', 'BALANCE_CHANGED', 409);
+const transactionsUnavailable = () => new BalanceError(
+  'Balance changes need MongoDB transactions: run MongoDB as a replica set',
+  'TRANSACTIONS_UNAVAILABLE',
+  503
+);
+
+function isTransactionUnsupportedError(error) {
+  return error && (
+    error.code === 20 ||
+    /Transaction numbers are only allowed on a replica set member or mongos/i.test(error.message || '')
+  );
+}
+
+// Run work(session) in a MongoDB transaction and resolve to its result. Rejects with a
+// BalanceError when the deployment doesn't support transactions (standalone mongod).
+async function runAtomic(work) {
+  const session = await mongoose.startSession();
+  try {
+    let result;
+    await session.withTransaction(async () => {
+      result = await work(session);
+    });
+    return result;
+  } catch (error) {
+    if (isTransactionUnsupportedError(error)) {
+      console.error('❌ [BALANCE] MongoDB transactions unavailable: balance changes need a replica set');
+      throw transactionsUnavailable();
+    }
+    throw error;
+  } finally {
+    await session.endSession();
+  }
+}
+
+// Filter that only matches the user if their current balance is at least requiredBalance
+function balanceFilter(userId, requiredBalance) {
+  const filter = { _id: userId };
+  if (requiredBalance > 0) {
+    filter.gameBalance = { $gte: requiredBalance };
+  }
+  return filter;
+}
+
+async function explainFailedUpdate(userId, session) {
+  const exists = await User.exists({ _id: userId }).session(session || null);
+  return exists ? insufficientBalance() : userNotFound();
+}
+
+function mapWriteError(error) {
+  if (error && error.code === 11000) return duplicateTransaction();
+  return error;
+}
+
+// Post a journal: one ledger entry or a list of them (e.g. a deposit and its fee)
+async function postJournal(journal, options) {
+  const entries = [];
+  for (const entry of [].concat(journal)) entries.push(await ledger.post(entry, options));
+  return entries;
+}
+
+function assertJournal(journal, userId, delta) {
+  if (!journal) {
+    throw new TypeError('Balance changes require a journal entry');
+  }
+  const journalDelta = ledger.userDelta(journal, userId);
+  if (journalDelta !== delta) {
+    throw new TypeError(`Journal entry moves ${journalDelta} for user ${userId}, balance change is ${delta}`);
+  }
+}
+
+// Atomically change a user's balance and record the matching Transaction.
+//
+// options.userId      user to change
+// options.delta       micro-USDC to add (negative to debit)
+// options.transaction fields for the GameTransaction record (userId is filled in)
+// options.journal     ledger entry for the change, or a list of entries (see lib/ledger.js);
+//                     their postings to the user's account must add up to delta
+// options.set         extra user fields to $set in the same update (e.g. solanaAddress)
+// options.minBalance  lowest balance allowed after the change (default 0)
+// options.requiredBalance  balance the user must hold before the change, e.g. a bet's
+//                     stake even when the bet wins (default minBalance - delta)
+// options.guard       async (session) => ..., run in the same transaction before the change;
+//                     throws to refuse it. Concurrent changes for the same user conflict on
+//                     the user document, so the loser is retried and its guard sees the winner.
+//
+// Resolves to { user, transaction }. Rejects with a BalanceError for insufficient
+// balance, missing user, an already-recorded solanaTxHash or no transaction support.
+async function applyBalanceChange({ userId, delta, transaction, journal, set, guard, minBalance = 0, requiredBalance = minBalance - delta }) {
+  if (!money.isMicro(delta)) {
+    throw new TypeError(`Invalid balance delta: ${delta}`);
+  }
+  assertJournal(journal, userId, delta);
+
+  const filter = balanceFilter(userId, requiredBalance);
+  const update = { $inc: { gameBalance: delta } };
+  if (set && Object.keys(set).length > 0) {
+    update.$set = set;
+  }
+  const record = { ...transaction, userId };
+
+  return runAtomic(async (session) => {
+    if (guard) await guard(session);
+    const user = await User.findOneAndUpdate(filter, update, { new: true, session });
+    if (!user) throw await explainFailedUpdate(userId, session);
+
+    let created;
+    try {
+      [created] = await GameTransaction.create([record], { session });
+    } catch (error) {
+      throw mapWriteError(error);
+    }
+    await postJournal(journal, { transactionId: created._id, session });
+    return { user, transaction: created };
+  });
+}
+
+// Finish a pending transaction (e.g. a withdrawal after the on-chain transfer, or a deposit
+// reaching its credit commitment).
+//
+// options.status  'completed' or 'failed'
+// options.set     extra Transaction fields to set (e.g. solanaTxHash)
+// options.credit  micro-USDC to credit to the user in the same atomic step (a withdrawal
+//                 refund, a deposit)
+// options.journal ledger entry, or list of entries, for the settlement (e.g.
+//                 ledger.withdrawalCompleteEntry); required with a credit, and their user
+//                 postings must add up to it
+//
+// Only pending transactions are updated, so a settlement can't be applied twice.
+async function settleTransaction(transactionId, { status, set = {}, credit = 0, journal }) {
+  if (!money.isMicro(credit)) {
+    throw new TypeError(`Invalid credit: ${credit}`);
+  }
+  if (credit && !journal) {
+    throw new TypeError('Credits require a journal entry');
+  }
+
+  return runAtomic(async (session) => {
+    const transaction = await GameTransaction.findOneAndUpdate(
+      { _id: transactionId, status: 'pending' },
+      { $set: { ...set, status } },
+      { new: true, session }
+    );
+    if (!transaction) return { transaction: null, user: null };
+
+    if (journal) {
+      assertJournal(journal, transaction.userId, credit);
+      await postJournal(journal, { transactionId: transaction._id, session });
+    }
+
+    let user = null;
+    if (credit) {
+      user = await User.findOneAndUpdate(
+        { _id: transaction.userId },
+        { $inc: { gameBalance: credit } },
+        { new: true, session }
+      );
+    }
+    return { transaction, user };
+  });
+}
+
+// Rebuild a user's cached balance from their ledger account, without losing updates that
+// land in between: the write only applies if the balance is unchanged since it was read.
+// calculate(userId) resolves to the new balance.
+async function reconcileBalance(userId, calculate = ledger.userBalance, attempts = 3) {
+  for (let attempt = 0; attempt < attempts; attempt++) {
+    const user = await User.findById(userId);
+    if (!user) throw userNotFound();
+
+    const previousBalance = user.gameBalance;
+    const newBalance = await calculate(userId);
+
+    if (newBalance === previousBalance) {
+      return { user, previousBalance, newBalance };
+    }
+
+    const updated = await User.findOneAndUpdate(
+      { _id: userId, gameBalance: previousBalance },
+      { $set: { gameBalance: newBalance } },
+      { new: true }
+    );
+    if (updated) {
+      return { user: updated, previousBalance, newBalance };
+    }
+  }
+  throw balanceChanged();
+}
+
+module.exports = {
+  BalanceError,
+  runAtomic,
+  applyBalanceChange,
+  settleTransaction,
+  reconcileBalance
+};
@@ -0,0 +1,113 @@
+// Crediting a deposit found on-chain rather than submitted by its owner: the deposit scanner,
+// the recent-deposit scan and Solana Pay reference watching, in server.js and the Netlify
+// functions. The user is found by deposit reference, then by linked sending wallet
+// (lib/deposit-references.js); a signature is recorded at most once (unique solanaTxHash) and
+// credited when it reaches the credit commitment (lib/deposit-lifecycle.js). A deposit that
+// can't be attributed is parked in the unclaimed deposit inbox (lib/unclaimed-deposits.js).
+const GameTransaction = require('../netlify/functions/transaction-schema.js');
+const UnclaimedDeposit = require('../netlify/functions/unclaimed-deposit-schema.js');
+const balanceService = require('./balance-service.js');
+const depositLifecycle = require('./deposit-lifecycle.js');
+const depositReferences = require('./deposit-references.js');
+const feeSchedule = require('./fee-schedule.js');
+const linkedWallets = require('./linked-wallets.js');
+const money = require('./money.js');
+const treasury = require('./treasury.js');
+const usdcDeposits = require('./usdc-deposits.js');
+
+// Park an unattributed deposit in the inbox (once per signature)
+async function recordUnclaimed(signature, deposit, { treasuryAddress, reason }) {
+  await UnclaimedDeposit.updateOne({ signature }, {
+    $setOnInsert: {
+      amount: deposit.amount,
+      sender: deposit.sender || undefined,
+      senders: deposit.senders.map((sender) => sender.owner),
+      toAddress: treasuryAddress,
+      memos: deposit.memos,
+      accounts: deposit.accounts,
+      slot: deposit.slot,
+      blockTime: deposit.blockTime ? new Date(deposit.blockTime * 1000) : undefined,
+      reason
+    }
+  }, { upsert: true });
+
+  // Recorded by manual verification meanwhile: it isn't unclaimed after all
+  if (await GameTransaction.exists({ solanaTxHash: signature })) {
+    await UnclaimedDeposit.deleteOne({ signature, status: 'unclaimed' });
+  }
+}
+
+// Record one signature. Returns { recorded, credited, state, user, method, amount, tokens } or
+// { recorded: false, unclaimed, reason }. Throws when the transaction isn't available from the
+// RPC yet, so a scanner retries it.
+async function creditDepositSignature(connection, signature, { treasuryAddress, treasuryAccounts, tag = 'DEPOSIT SCAN' }) {
+  if (await GameTransaction.exists({ solanaTxHash: signature })) {
+    return { recorded: false, reason: 'Already recorded' }; // manual verification or an earlier scan
+  }
+  if (await UnclaimedDeposit.exists({ signature })) {
+    return { recorded: false, unclaimed: true, reason: 'In the unclaimed deposit inbox' };
+  }
+
+  const transaction = await connection.getParsedTransaction(signature, {
+    commitment: 'confirmed',
+    maxSupportedTransactionVersion: 0
+  });
+  if (!transaction) {
+    throw new Error('Transaction details not available from RPC yet');
+  }
+
+  // Find the USDC credited to the treasury's token account and who sent it
+  const deposit = usdcDeposits.parseUsdcDeposit(transaction, {
+    treasuryOwner: treasuryAddress,
+    treasuryAccounts: treasuryAccounts || usdcDeposits.treasuryTokenAccounts(treasuryAddress)
+  });
+  if (deposit.amount <= 0) {
+    return { recorded: false, reason: 'Not a deposit' }; // e.g. a withdrawal from the treasury
+  }
+  if (treasury.isInternalTransfer(deposit)) {
+    return { recorded: false, reason: 'Treasury top-up from the cold address' };
+  }
+
+  console.log(`💰 [${tag}] Found USDC deposit: ${money.format(deposit.amount)} USDC from ${deposit.sender || 'several wallets'}`);
+
+  // Match the deposit reference (memo code or Solana Pay reference), or else the account that linked the sender
+  const { user, method, reason } = await depositReferences.attributeDeposit(deposit);
+  if (!user) {
+    console.log(`📥 [${tag}] ${signature} not attributed, moved to the unclaimed deposit inbox: ${reason}`);
+    await recordUnclaimed(signature, deposit, { treasuryAddress, reason });
+    return { recorded: false, unclaimed: true, reason };
+  }
+
+  console.log(`✅ [${tag}] Processing auto-deposit for user ${user.email} (matched by ${method})`);
+
+  const tokens = feeSchedule.depositQuote(deposit.amount).net;
+
+  // Record the deposit; credited now if it already meets the credit commitment
+  let result;
+  try {
+    result = await depositLifecycle.recordDeposit(connection, {
+      userId: user._id,
+      signature,
+      gross: deposit.amount,
+      tokens,
+      slot: deposit.slot,
+      blockTime: deposit.blockTime,
+      transaction: {
+        fromAddress: deposit.sender,
+        toAddress: treasuryAddress,
+        attribution: method
+      }
+    });
+  } catch (error) {
+    if (error instanceof balanceService.BalanceError && error.code === 'DUPLICATE_TRANSACTION') {
+      return { recorded: false, reason: 'Already recorded' }; // recorded concurrently by manual verification
+    }
+    throw error;
+  }
+  if (method === 'sender') await linkedWallets.touch(user._id, deposit.sender);
+
+  console.log(`🎉 [${tag}] Auto-processed deposit: ${money.format(deposit.amount)} USDC → ${money.format(tokens)} tokens for ${user.email} (${result.state})`);
+  return { recorded: true, credited: result.credited, state: result.state, user, method, amount: deposit.amount, tokens };
+}
+
+module.exports = { creditDepositSignature };
@@ -0,0 +1,218 @@
+// Deposit lifecycle. A deposit is recorded as soon as it is seen on-chain but only credited
+// once its transaction reaches CREDIT_COMMITMENT (DEPOSIT_CREDIT_COMMITMENT, default finalized):
+//
+//   detected → confirmed → finalized → credited
+//       └──────────┴────────────┴─────→ failed (transaction error) / reorged (dropped from the chain)
+//
+// The state lives on the deposit's Transaction document (depositState, slot, blockTime). Its
+// status stays 'pending' until the deposit is credited ('completed') or failed/reorged
+// ('failed'), and crediting goes through balanceService.settleTransaction, which only settles
+// pending records, so a deposit is credited at most once. recheckPendingDeposits() moves
+// unfinished deposits along: server.js runs it on an interval, the Netlify functions when the
+// user polls.
+//
+// A deposit waiting in the unclaimed inbox (lib/unclaimed-deposits.js) is taken out of it by
+// whoever records it, so it can't also be refunded; one already refunded is refused.
+//
+// A deposit sent from a known exchange wallet (lib/exchange-wallets.js) is marked with the
+// exchange (fromExchange) and flags the account (User.isExchangeWallet).
+const GameTransaction = require('../netlify/functions/transaction-schema.js');
+const UnclaimedDeposit = require('../netlify/functions/unclaimed-deposit-schema.js');
+const User = require('../netlify/functions/user-schema.js');
+const balanceService = require('./balance-service.js');
+const exchangeWallets = require('./exchange-wallets.js');
+const ledger = require('./ledger.js');
+
+const COMMITMENTS = ['detected', 'confirmed', 'finalized']; // in order, by RPC confirmationStatus
+const CONFIRMATION_STATES = { processed: 'detected', confirmed: 'confirmed', finalized: 'finalized' };
+const CREDIT_COMMITMENT = COMMITMENTS.includes(process.env.DEPOSIT_CREDIT_COMMITMENT)
+  ? process.env.DEPOSIT_CREDIT_COMMITMENT
+  : 'finalized';
+const REORG_AFTER_MS = 10 * 60 * 1000; // a signature the RPC forgets for this long was dropped
+const STATUS_BATCH = 256; // getSignatureStatuses maximum
+const MAX_RECHECK = 500;
+
+const isCreditable = (state) => COMMITMENTS.indexOf(state) >= COMMITMENTS.indexOf(CREDIT_COMMITMENT);
+
+const depositJournal = (userId, { gross, tokens }) => ledger.depositEntries(userId, { gross, fee: gross - tokens });
+
+// Current state of each signature: Map signature → { state, slot, err } (state null when the
+// RPC doesn't know the signature)
+async function fetchStates(connection, signatures) {
+  const states = new Map();
+  for (let i = 0; i < signatures.length; i += STATUS_BATCH) {
+    const batch = signatures.slice(i, i + STATUS_BATCH);
+    const { value } = await connection.getSignatureStatuses(batch, { searchTransactionHistory: true });
+    batch.forEach((signature, index) => {
+      const status = value[index];
+      states.set(signature, status
+        ? { state: CONFIRMATION_STATES[status.confirmationStatus] || 'detected', slot: status.slot, err: status.err }
+        : { state: null, slot: null, err: null });
+    });
+  }
+  return states;
+}
+
+// Mark an unclaimed deposit as credited to userId. Resolves to whether one was taken; rejects
+// when the deposit was resolved another way.
+async function takeFromInbox(signature, userId, claimMethod) {
+  const taken = await UnclaimedDeposit.findOneAndUpdate(
+    { signature, status: 'unclaimed' },
+    { $set: { status: 'credited', userId, claimMethod, resolvedAt: new Date() } }
+  );
+  if (taken) return true;
+  if (await UnclaimedDeposit.exists({ signature })) {
+    throw new balanceService.BalanceError('This deposit was already resolved from the unclaimed deposit inbox', 'UNCLAIMED_DEPOSIT_RESOLVED', 409);
+  }
+  return false;
+}
+
+const returnToInbox = (signature, userId, error) => UnclaimedDeposit.updateOne(
+  { signature, status: 'credited', userId },
+  { $set: { status: 'unclaimed', lastError: error.message }, $unset: { userId: '', claimMethod: '', resolvedAt: '' } }
+);
+
+// Record a deposit found in a parsed transaction: credited right away when it already meets the
+// credit commitment, otherwise stored as pending for recheckPendingDeposits().
+//
+// options.gross        micro-USDC received by the treasury
+// options.tokens       micro-USDC to credit (gross minus fees)
+// options.slot, options.blockTime (seconds) from the parsed transaction
+// options.set          user fields to $set (e.g. solanaAddress on a first deposit)
+// options.transaction  extra Transaction fields (fromAddress, toAddress, attribution...)
+// options.claimMethod  recorded on the inbox entry if the deposit was unclaimed
+//
+// Resolves to { credited, state, transaction, user }. Rejects with a BalanceError
+// (DUPLICATE_TRANSACTION) when the signature is already recorded.
+async function recordDeposit(connection, { userId, signature, claimMethod = 'verification', ...options }) {
+  const exchange = exchangeWallets.lookup(options.transaction?.fromAddress);
+  if (exchange) {
+    console.log(`🏦 [DEPOSIT] ${signature} came from ${exchange}, flagging user ${userId} as depositing from an exchange`);
+    options.set = { ...options.set, isExchangeWallet: true };
+    options.transaction = { ...options.transaction, fromExchange: exchange };
+  }
+
+  const taken = await takeFromInbox(signature, userId, claimMethod);
+  try {
+    return await recordTransaction(connection, { userId, signature, ...options });
+  } catch (error) {
+    if (taken) await returnToInbox(signature, userId, error);
+    throw error;
+  }
+}
+
+async function recordTransaction(connection, { userId, signature, gross, tokens, slot, blockTime, set, transaction = {} }) {
+  const current = (await fetchStates(connection, [signature])).get(signature);
+  // getParsedTransaction already returned it, so an unknown status is RPC lag
+  const state = current.state || 'detected';
+  const now = new Date();
+
+  const record = {
+    ...transaction,
+    type: 'deposit',
+    amount: tokens,
+    solAmount: gross,
+    tokenAmount: tokens,
+    solanaTxHash: signature,
+    slot: current.slot || slot,
+    blockTime: blockTime ? new Date(blockTime * 1000) : undefined,
+    depositStateAt: now
+  };
+
+  if (isCreditable(state)) {
+    const result = await balanceService.applyBalanceChange({
+      userId,
+      delta: tokens,
+      journal: depositJournal(userId, { gross, tokens }),
+      set,
+      transaction: { ...record, depositState: 'credited', creditedAt: now, status: 'completed' }
+    });
+    return { credited: true, state: 'credited', ...result };
+  }
+
+  let created;
+  try {
+    created = await GameTransaction.create({ ...record, userId, depositState: state, status: 'pending' });
+  } catch (error) {
+    if (error.code === 11000) {
+      throw new balanceService.BalanceError('This transaction has already been processed', 'DUPLICATE_TRANSACTION', 409);
+    }
+    throw error;
+  }
+  const user = set
+    ? await User.findByIdAndUpdate(userId, { $set: set }, { new: true })
+    : await User.findById(userId);
+
+  console.log(`⏳ [DEPOSIT] ${signature} recorded as ${state}, credited at ${CREDIT_COMMITMENT}`);
+  return { credited: false, state, transaction: created, user };
+}
+
+// Move one pending deposit along given its current status (see fetchStates)
+async function advanceDeposit(tx, status) {
+  const now = new Date();
+
+  if (!status || !status.state) {
+    if (now - (tx.depositStateAt || tx.timestamp) < REORG_AFTER_MS) return tx.depositState;
+    console.log(`⚠️ [DEPOSIT] ${tx.solanaTxHash} no longer found on-chain, marking reorged`);
+    await balanceService.settleTransaction(tx._id, { status: 'failed', set: { depositState: 'reorged', depositStateAt: now } });
+    return 'reorged';
+  }
+
+  if (status.err) {
+    console.log(`❌ [DEPOSIT] ${tx.solanaTxHash} failed on-chain:`, status.err);
+    await balanceService.settleTransaction(tx._id, { status: 'failed', set: { depositState: 'failed', depositStateAt: now } });
+    return 'failed';
+  }
+
+  if (isCreditable(status.state)) {
+    const gross = tx.solAmount ?? tx.amount;
+    const { transaction } = await balanceService.settleTransaction(tx._id, {
+      status: 'completed',
+      credit: tx.amount,
+      journal: depositJournal(tx.userId, { gross, tokens: tx.amount }),
+      set: { depositState: 'credited', depositStateAt: now, creditedAt: now, slot: status.slot }
+    });
+    if (transaction) {
+      console.log(`🎉 [DEPOSIT] ${tx.solanaTxHash} reached ${status.state}, credited to user ${tx.userId}`);
+    }
+    return 'credited';
+  }
+
+  if (status.state !== tx.depositState || status.slot !== tx.slot) {
+    await GameTransaction.updateOne(
+      { _id: tx._id, status: 'pending' },
+      { $set: { depositState: status.state, slot: status.slot, depositStateAt: now } }
+    );
+  }
+  return status.state;
+}
+
+// Re-check deposits that are not credited yet, oldest first (optionally one user's).
+// Resolves to { checked, credited, failed, reorged }.
+async function recheckPendingDeposits(connection, { userId } = {}) {
+  const filter = { type: 'deposit', status: 'pending', depositState: { $in: COMMITMENTS } };
+  if (userId) filter.userId = userId;
+  const pending = await GameTransaction.find(filter).sort({ timestamp: 1 }).limit(MAX_RECHECK);
+
+  const counts = { checked: pending.length, credited: 0, failed: 0, reorged: 0 };
+  if (pending.length === 0) return counts;
+
+  const states = await fetchStates(connection, pending.map((tx) => tx.solanaTxHash));
+  for (const tx of pending) {
+    try {
+      const state = await advanceDeposit(tx, states.get(tx.solanaTxHash));
+      if (counts[state] !== undefined) counts[state]++;
+    } catch (error) {
+      console.error(`❌ [DEPOSIT] Re-check of ${tx.solanaTxHash} failed:`, error.message);
+    }
+  }
+  return counts;
+}
+
+module.exports = {
+  CREDIT_COMMITMENT,
+  isCreditable,
+  fetchStates,
+  recordDeposit,
+  recheckPendingDeposits
+};
@@ -0,0 +1,115 @@
+// Per-user deposit references, so a deposit can be attributed without knowing the sending wallet
+// (exchange withdrawals, wallets shared by several accounts). Every user gets two:
+//   - depositMemo       a short code such as BB-7KQ2MX9P, sent in a Memo-program instruction
+//                       (the "memo" / "tag" field exchanges offer)
+//   - depositReference  a Solana Pay reference: a random public key added as an extra read-only
+//                       account of the transfer, https://docs.solanapay.com/spec#reference
+//
+// Both are assigned lazily (ensureDepositReferences) and are unique across users. Deposits are
+// credited by reference first; a linked deposit wallet (lib/linked-wallets.js) is only the fallback.
+const crypto = require('crypto');
+const { Keypair } = require('@solana/web3.js');
+const User = require('../netlify/functions/user-schema.js');
+const { linkedFilter } = require('./linked-wallets.js');
+
+const MEMO_PREFIX = 'BB-';
+const MEMO_ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789'; // no 0/O or 1/I, codes get typed by hand
+const MEMO_LENGTH = 8;
+const MEMO_PATTERN = new RegExp(`${MEMO_PREFIX}[${MEMO_ALPHABET}]{${MEMO_LENGTH}}`, 'g');
+const ASSIGN_ATTEMPTS = 3;
+
+function generateMemo() {
+  let code = MEMO_PREFIX;
+  for (let i = 0; i < MEMO_LENGTH; i++) {
+    code += MEMO_ALPHABET[crypto.randomInt(MEMO_ALPHABET.length)];
+  }
+  return code;
+}
+
+// Only the public key matters: it is never a signer, it just makes the transaction findable
+function generateReference() {
+  return Keypair.generate().publicKey.toString();
+}
+
+// Memo codes found in memo texts; exchanges often add their own text around the code
+function memoCodes(texts) {
+  return [...new Set(texts.flatMap((text) => String(text).toUpperCase().match(MEMO_PATTERN) || []))];
+}
+
+// Give the user any reference they don't have yet. Returns the up-to-date user document.
+async function ensureDepositReferences(user) {
+  for (let attempt = 0; attempt < ASSIGN_ATTEMPTS; attempt++) {
+    const set = {};
+    if (!user.depositMemo) set.depositMemo = generateMemo();
+    if (!user.depositReference) set.depositReference = generateReference();
+    if (Object.keys(set).length === 0) return user;
+
+    // Only fill fields that are still empty, so concurrent requests agree on one value
+    const filter = { _id: user._id };
+    Object.keys(set).forEach((field) => { filter[field] = null; });
+
+    try {
+      const updated = await User.findOneAndUpdate(filter, { $set: set }, { new: true });
+      if (updated) return updated;
+      user = await User.findById(user._id);
+      if (!user) return null;
+    } catch (error) {
+      if (error.code !== 11000) throw error; // code already taken: draw new ones
+    }
+  }
+  throw new Error('Could not assign deposit references');
+}
+
+// The account whose deposit reference the parsed deposit carries (see parseUsdcDeposit):
+//   { user, method: 'reference' | 'memo' }, { conflict: true } when it carries references of
+//   several accounts, or null when it carries none
+async function findByReference(deposit) {
+  const codes = memoCodes(deposit.memos || []);
+  const accounts = deposit.accounts || [];
+  const or = [];
+  if (codes.length > 0) or.push({ depositMemo: { $in: codes } });
+  if (accounts.length > 0) or.push({ depositReference: { $in: accounts } });
+  if (or.length === 0) return null;
+
+  const matches = await User.find({ $or: or }).limit(2);
+  if (matches.length > 1) return { conflict: true };
+  if (matches.length === 0) return null;
+
+  const user = matches[0];
+  return { user, method: accounts.includes(user.depositReference) ? 'reference' : 'memo' };
+}
+
+// Who to credit for a deposit found without a logged-in user (scanners):
+//   { user, method: 'reference' | 'memo' | 'sender' } or { user: null, reason }
+async function attributeDeposit(deposit) {
+  const byReference = await findByReference(deposit);
+  if (byReference?.conflict) {
+    return { user: null, reason: 'Deposit carries deposit references of more than one account' };
+  }
+  if (byReference) return byReference;
+
+  if (!deposit.sender) {
+    return { user: null, reason: 'Several wallets paid this deposit and it carries no deposit reference' };
+  }
+
+  // A wallet linked by several accounts can't tell them apart
+  const owners = await User.find(linkedFilter(deposit.sender, 'deposit')).limit(2);
+  if (owners.length > 1) {
+    return { user: null, reason: `Wallet ${deposit.sender} is linked by several accounts and the deposit carries no deposit reference` };
+  }
+  if (owners.length === 0) {
+    return { user: null, reason: `No user has linked address ${deposit.sender} for deposits` };
+  }
+  return { user: owners[0], method: 'sender' };
+}
+
+module.exports = {
+  MEMO_PREFIX,
+  MEMO_PATTERN,
+  generateMemo,
+  generateReference,
+  memoCodes,
+  ensureDepositReferences,
+  findByReference,
+  attributeDeposit
+};
@@ -0,0 +1,246 @@
+// Cursor-based signature scanner with a checkpoint persisted in Mongo (ScannerState).
+//
+// Each run pages backwards through getSignaturesForAddress({ before, until: checkpoint }) until it
+// reaches the last processed signature, then processes everything found oldest-first, moving
+// the checkpoint forward after each signature. Nothing is skipped because a burst was bigger
+// than one page or one run: the backlog is carried to the next run.
+//
+// A run fetches at most maxPages pages. One that stops short of the checkpoint keeps where it
+// got to (pushed on pagingMarks) and drops what it fetched; later runs walk on back from the last
+// mark, process the oldest stretch once they reach the checkpoint, then pop the mark and work
+// through the stretch above it, up to the newest signature. Memory stays bounded however far
+// behind the scanner is.
+//
+// Where the checkpoint starts, on the first run for an account (start):
+//   'history'    the account's first signature: everything it ever did is processed
+//   'tip'        its newest signature: only what happens from now on
+//   a signature  just after that signature
+//
+// processSignature(sigInfo) does the work for one signature and throws to have it retried on the
+// next run; after MAX_ATTEMPTS failures the signature is recorded in skippedSignatures and the
+// scanner moves on. A lease on the state document keeps two runs (interval and manual trigger,
+// or two server instances) from scanning at the same time.
+const { PublicKey } = require('@solana/web3.js');
+const ScannerState = require('../netlify/functions/scanner-state-schema.js');
+
+const PAGE_SIZE = 1000; // getSignaturesForAddress maximum
+const RESET_CHECKPOINT = { lastSignature: null, lastSlot: null, lastBlockTime: null, startedFrom: null, pagingMarks: [] };
+const LOCK_MS = 10 * 60 * 1000;
+const MAX_ATTEMPTS = 5;
+const MAX_RECENT_ERRORS = 20;
+const MAX_SKIPPED = 100;
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+const scanError = (error, sigInfo) => ({
+  message: error.message || String(error),
+  signature: sigInfo ? sigInfo.signature : undefined,
+  at: new Date()
+});
+
+function createSignatureScanner({ name, connection, account, processSignature, start = 'history', maxPerRun = 200, maxPages = 10, throttleMs = 500, commitment = 'confirmed' }) {
+  const address = account.toString();
+
+  // Take the lease; null if another run holds it
+  async function acquireLock() {
+    const now = new Date();
+    try {
+      return await ScannerState.findOneAndUpdate(
+        { _id: name, $or: [{ lockedUntil: null }, { lockedUntil: { $lt: now } }] },
+        { $set: { lockedUntil: new Date(now.getTime() + LOCK_MS), lastRunAt: now } },
+        { upsert: true, new: true }
+      );
+    } catch (error) {
+      if (error.code === 11000) return null;
+      throw error;
+    }
+  }
+
+  // Signatures between the checkpoint (until) and before (the newest when unset), oldest first:
+  // { signatures, complete }. complete is false when maxPages ran out first; resumeBefore is then
+  // where the walk goes on from.
+  async function pendingSignatures(until, before) {
+    const found = [];
+    for (let pages = 0; pages < maxPages; pages++) {
+      const page = await connection.getSignaturesForAddress(new PublicKey(address), { before, until, limit: PAGE_SIZE }, commitment);
+      found.push(...page);
+      if (page.length < PAGE_SIZE) return { signatures: found.reverse(), complete: true };
+      before = page[page.length - 1].signature;
+    }
+    // The last page was full: done only if nothing is left before the checkpoint
+    const [more] = await connection.getSignaturesForAddress(new PublicKey(address), { before, until, limit: 1 }, commitment);
+    if (!more) return { signatures: found.reverse(), complete: true };
+    return { signatures: [], complete: false, resumeBefore: before, fetched: found.length };
+  }
+
+  // Place the checkpoint of a first run according to start
+  async function startCheckpoint() {
+    const set = { startedFrom: start };
+    if (start === 'tip') {
+      const [newest] = await connection.getSignaturesForAddress(new PublicKey(address), { limit: 1 }, commitment);
+      if (newest) {
+        Object.assign(set, {
+          lastSignature: newest.signature,
+          lastSlot: newest.slot,
+          lastBlockTime: newest.blockTime ? new Date(newest.blockTime * 1000) : null
+        });
+      }
+    } else if (start !== 'history') {
+      set.lastSignature = start;
+    }
+    const state = await ScannerState.findByIdAndUpdate(name, { $set: set }, { new: true });
+    console.log(`🚩 [SCANNER] ${name}: starting from ${start === 'history' ? 'the beginning' : state.lastSignature || 'the beginning (no signatures yet)'}`);
+    return state;
+  }
+
+  function advance(sigInfo) {
+    return ScannerState.updateOne({ _id: name }, {
+      $set: {
+        lastSignature: sigInfo.signature,
+        lastSlot: sigInfo.slot,
+        lastBlockTime: sigInfo.blockTime ? new Date(sigInfo.blockTime * 1000) : null,
+        failingSignature: null,
+        failedAttempts: 0
+      },
+      $inc: { processedTotal: 1 }
+    });
+  }
+
+  function recordError(error, sigInfo, extra = {}) {
+    const entry = scanError(error, sigInfo);
+    return ScannerState.updateOne({ _id: name }, {
+      $set: { lastError: entry, ...extra.set },
+      $push: {
+        recentErrors: { $each: [entry], $slice: -MAX_RECENT_ERRORS },
+        ...extra.push
+      }
+    });
+  }
+
+  async function run() {
+    let state = await acquireLock();
+    if (!state) {
+      return { processedCount: 0, skipped: true, error: 'Scan already running' };
+    }
+
+    // A different account (treasury rotated) invalidates the checkpoint
+    if (state.account !== address) {
+      if (state.account) {
+        console.warn(`⚠️ [SCANNER] ${name}: account changed from ${state.account} to ${address}, resetting checkpoint`);
+      }
+      state = await ScannerState.findByIdAndUpdate(name, {
+        $set: { account: address, ...RESET_CHECKPOINT, failingSignature: null, failedAttempts: 0 }
+      }, { new: true });
+    }
+
+    const startedAt = Date.now();
+    let processedCount = 0;
+    let backlog = 0;
+    let failed = false;
+
+    try {
+      if (!state.startedFrom && !state.lastSignature) state = await startCheckpoint();
+
+      const marks = state.pagingMarks || [];
+      const { signatures, complete, resumeBefore, fetched } = await pendingSignatures(state.lastSignature || undefined, marks[marks.length - 1]);
+      if (!complete) {
+        console.log(`⏪ [SCANNER] ${name}: over ${fetched} signatures behind, continuing back from ${resumeBefore} next run`);
+        await ScannerState.updateOne({ _id: name }, { $push: { pagingMarks: resumeBefore } });
+        backlog = fetched;
+        return { processedCount, backlog, success: true };
+      }
+
+      const batch = signatures.slice(0, maxPerRun);
+      if (signatures.length > 0) {
+        console.log(`🔍 [SCANNER] ${name}: ${signatures.length} new signatures since ${state.lastSignature || 'the beginning'}, processing ${batch.length}`);
+      }
+
+      for (let i = 0; i < batch.length; i++) {
+        const sigInfo = batch[i];
+        if (i > 0 && throttleMs) await sleep(throttleMs);
+
+        try {
+          // Failed transactions moved no funds
+          if (!sigInfo.err) await processSignature(sigInfo);
+        } catch (error) {
+          const attempts = state.failingSignature === sigInfo.signature ? state.failedAttempts + 1 : 1;
+          console.error(`❌ [SCANNER] ${name}: ${sigInfo.signature} failed (attempt ${attempts}/${MAX_ATTEMPTS}):`, error.message);
+
+          if (attempts < MAX_ATTEMPTS) {
+            await recordError(error, sigInfo, { set: { failingSignature: sigInfo.signature, failedAttempts: attempts } });
+            failed = true;
+            break; // keep the checkpoint before it so the next run retries
+          }
+          console.error(`⏭️ [SCANNER] ${name}: giving up on ${sigInfo.signature}, recorded in skippedSignatures`);
+          await recordError(error, sigInfo, { push: { skippedSignatures: { $each: [scanError(error, sigInfo)], $slice: -MAX_SKIPPED } } });
+        }
+
+        await advance(sigInfo);
+        processedCount++;
+      }
+
+      backlog = signatures.length - processedCount;
+      // The stretch below the last mark is done: the next run takes the one above it
+      if (marks.length > 0 && backlog === 0 && !failed) {
+        await ScannerState.updateOne({ _id: name }, { $pop: { pagingMarks: 1 } });
+      }
+    } catch (error) {
+      console.error(`❌ [SCANNER] ${name}: scan failed:`, error.message);
+      await recordError(error, null);
+      failed = true;
+    } finally {
+      const set = { lockedUntil: null, lastRunDurationMs: Date.now() - startedAt, backlog };
+      if (!failed) set.lastSuccessAt = new Date();
+      await ScannerState.updateOne({ _id: name }, { $set: set });
+    }
+
+    if (processedCount > 0 || backlog > 0) {
+      console.log(`✅ [SCANNER] ${name}: processed ${processedCount} signatures, ${backlog} left`);
+    }
+    return { processedCount, backlog, success: !failed };
+  }
+
+  // Scan state for the admin status endpoint
+  async function status() {
+    const state = await ScannerState.findById(name).lean();
+    let currentSlot = null;
+    try {
+      currentSlot = await connection.getSlot(commitment);
+    } catch (error) {
+      console.error(`⚠️ [SCANNER] ${name}: could not fetch current slot:`, error.message);
+    }
+
+    const now = Date.now();
+    return {
+      name,
+      account: address,
+      running: Boolean(state?.lockedUntil && state.lockedUntil.getTime() > now),
+      checkpoint: {
+        signature: state?.lastSignature || null,
+        slot: state?.lastSlot ?? null,
+        blockTime: state?.lastBlockTime || null,
+        startedFrom: state?.startedFrom || null
+      },
+      pagingMarks: state?.pagingMarks || [],
+      currentSlot,
+      lag: {
+        backlogSignatures: state?.backlog ?? null,
+        slotsSinceCheckpoint: currentSlot !== null && state?.lastSlot ? currentSlot - state.lastSlot : null,
+        secondsSinceLastSuccess: state?.lastSuccessAt ? Math.round((now - state.lastSuccessAt.getTime()) / 1000) : null
+      },
+      lastRunAt: state?.lastRunAt || null,
+      lastSuccessAt: state?.lastSuccessAt || null,
+      lastRunDurationMs: state?.lastRunDurationMs ?? null,
+      processedTotal: state?.processedTotal || 0,
+      failingSignature: state?.failingSignature || null,
+      failedAttempts: state?.failedAttempts || 0,
+      lastError: state?.lastError || null,
+      recentErrors: state?.recentErrors || [],
+      skippedSignatures: state?.skippedSignatures || []
+    };
+  }
+
+  return { name, run, status };
+}
+
+module.exports = { createSignatureScanner };
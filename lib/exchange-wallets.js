@@ -0,0 +1,73 @@
+// Known exchange hot wallets: addresses shared by an exchange's customers, so a deposit from one
+// says nothing about who sent it, and a withdrawal to one only reaches the right customer with
+// their memo / tag. The list is lib/exchange-wallets.json ({ "<address>": "<exchange name>" })
+// plus EXCHANGE_WALLETS, comma-separated address or address=name entries. The file ships empty:
+// exchanges rotate their hot wallets, so the addresses have to come from the operator, checked
+// against the exchanges' own, and a warning is logged at startup while there are none.
+//
+// A deposit from an exchange wallet flags its account (User.isExchangeWallet, see
+// lib/deposit-lifecycle.js); a flagged account is paid out only once its default withdrawal
+// wallet is a personal one. Exchange wallets can't sign a wallet challenge, so they are linked
+// without a proof, for withdrawals only (lib/linked-wallets.js), and every withdrawal to one
+// carries a memo.
+const LIST = require('./exchange-wallets.json');
+
+const MAX_MEMO_LENGTH = 64;
+
+class ExchangeWalletError extends Error {
+  constructor(message, code, statusCode) {
+    super(message);
+    this.name = 'ExchangeWalletError';
+    this.code = code;
+    this.statusCode = statusCode;
+  }
+}
+
+const WALLETS = new Map(Object.entries(LIST));
+for (const entry of (process.env.EXCHANGE_WALLETS || '').split(',')) {
+  const [address, name] = entry.split('=').map((part) => part.trim());
+  if (address) WALLETS.set(address, name || 'Exchange');
+}
+if (WALLETS.size === 0) {
+  console.warn('⚠️ [EXCHANGE WALLETS] No exchange hot wallets known (set EXCHANGE_WALLETS): deposits from exchanges will not be recognised, and exchange addresses can\'t be linked for withdrawals');
+}
+
+// Name of the exchange address belongs to, null for any other address
+function lookup(address) {
+  return (address && WALLETS.get(String(address))) || null;
+}
+
+// Exchange of a linked wallet: the one recorded when it was linked, or the list's now
+const exchangeOf = (wallet) => wallet.exchange || lookup(wallet.address);
+
+// Check that user may be paid out to withdrawWallet, one of their linked withdrawal wallets.
+// Resolves to the memo to send with it (trimmed), null when it isn't an exchange wallet; throws
+// an ExchangeWalletError otherwise.
+function checkPayout(user, withdrawWallet, memo) {
+  if (user.isExchangeWallet && (!user.withdrawAddress || lookup(user.withdrawAddress))) {
+    throw new ExchangeWalletError(
+      'Your deposits came from an exchange: link a personal wallet and make it your default withdrawal wallet in Settings before withdrawing',
+      'PERSONAL_WITHDRAW_ADDRESS_REQUIRED',
+      400
+    );
+  }
+  const exchange = exchangeOf(withdrawWallet);
+  if (!exchange) return null;
+
+  const text = typeof memo === 'string' ? memo.trim() : '';
+  if (!text) {
+    throw new ExchangeWalletError(`Withdrawals to ${exchange} need the memo / tag of your ${exchange} account`, 'MEMO_REQUIRED', 400);
+  }
+  if (text.length > MAX_MEMO_LENGTH || /[\u0000-\u001f]/.test(text)) {
+    throw new ExchangeWalletError(`The memo must be at most ${MAX_MEMO_LENGTH} printable characters`, 'INVALID_MEMO', 400);
+  }
+  return text;
+}
+
+module.exports = {
+  MAX_MEMO_LENGTH,
+  ExchangeWalletError,
+  lookup,
+  exchangeOf,
+  checkPayout
+};
@@ -0,0 +1,176 @@
+// Provably fair betting: commit-reveal server seeds, player client seeds and per-bet nonces.
+//
+// Every user has one active seed pair. The server seed stays secret while active and only
+// its SHA-256 hash is shown, so the outcome can't be changed after the player sees it. Each
+// bet uses the next nonce, and the roll is HMAC-SHA256(serverSeed, `${clientSeed}:${nonce}`).
+// Rotating the pair reveals the old server seed so every past bet can be recomputed.
+const crypto = require('crypto');
+const FairnessSeed = require('../netlify/functions/fairness-seed-schema.js');
+
+// Player wins if roll < 0.50001 (50.001% chance to win - user advantage)
+const WIN_THRESHOLD = 0.50001;
+const MAX_CLIENT_SEED_LENGTH = 64;
+
+function generateServerSeed() {
+  return crypto.randomBytes(32).toString('hex');
+}
+
+function generateClientSeed() {
+  return crypto.randomBytes(16).toString('hex');
+}
+
+function hashServerSeed(serverSeed) {
+  return crypto.createHash('sha256').update(serverSeed).digest('hex');
+}
+
+// Derive a roll in [0, 1) from the first 4 bytes of the HMAC
+function computeRoll(serverSeed, clientSeed, nonce) {
+  const digest = crypto
+    .createHmac('sha256', serverSeed)
+    .update(`${clientSeed}:${nonce}`)
+    .digest();
+  return digest.readUInt32BE(0) / 0x100000000;
+}
+
+function isWinningRoll(roll) {
+  return roll < WIN_THRESHOLD;
+}
+
+function isValidClientSeed(clientSeed) {
+  return typeof clientSeed === 'string' &&
+    clientSeed.trim().length > 0 &&
+    clientSeed.length <= MAX_CLIENT_SEED_LENGTH &&
+    /^[\x20-\x7E]+$/.test(clientSeed);
+}
+
+// Recompute a bet from revealed seeds. serverSeedHash is optional and checked if given.
+function verifyRoll({ serverSeed, serverSeedHash, clientSeed, nonce }) {
+  const computedHash = hashServerSeed(serverSeed);
+  const roll = computeRoll(serverSeed, clientSeed, nonce);
+  return {
+    serverSeedHash: computedHash,
+    hashMatches: serverSeedHash ? serverSeedHash === computedHash : null,
+    clientSeed,
+    nonce,
+    roll,
+    playerWins: isWinningRoll(roll),
+    winThreshold: WIN_THRESHOLD
+  };
+}
+
+// What the player may see about a seed pair (the server seed only once revealed)
+function publicSeedView(seed) {
+  if (!seed) return null;
+  return {
+    id: seed._id,
+    serverSeedHash: seed.serverSeedHash,
+    serverSeed: seed.active ? undefined : seed.serverSeed,
+    clientSeed: seed.clientSeed,
+    nonce: seed.nonce,
+    active: seed.active,
+    createdAt: seed.createdAt,
+    revealedAt: seed.revealedAt
+  };
+}
+
+async function createSeed(userId, clientSeed) {
+  const serverSeed = generateServerSeed();
+  try {
+    return await FairnessSeed.create({
+      userId,
+      serverSeed,
+      serverSeedHash: hashServerSeed(serverSeed),
+      clientSeed: clientSeed || generateClientSeed()
+    });
+  } catch (error) {
+    // Another request created the active seed first
+    if (error.code === 11000) {
+      return FairnessSeed.findOne({ userId, active: true });
+    }
+    throw error;
+  }
+}
+
+async function getActiveSeed(userId) {
+  const seed = await FairnessSeed.findOne({ userId, active: true });
+  return seed || createSeed(userId);
+}
+
+// Atomically claim the next nonce on the active seed. Returns the seed as it was before the
+// increment, so seed.nonce is the nonce for this bet.
+async function reserveNonce(userId) {
+  const seed = await FairnessSeed.findOneAndUpdate(
+    { userId, active: true },
+    { $inc: { nonce: 1 } },
+    { new: false }
+  );
+  if (seed) return seed;
+
+  await getActiveSeed(userId);
+  return reserveNonce(userId);
+}
+
+// Reveal the active server seed and commit to a new one (optionally with a new client seed)
+async function rotateSeed(userId, clientSeed) {
+  const revealed = await FairnessSeed.findOneAndUpdate(
+    { userId, active: true },
+    { active: false, revealedAt: new Date() },
+    { new: true }
+  );
+  const next = await createSeed(userId, clientSeed);
+  return { revealed, active: next };
+}
+
+// Recompute a recorded bet. Only possible once its server seed has been rotated out.
+async function verifyBetTransaction(transaction) {
+  const fairness = transaction.fairness || {};
+  if (!fairness.seedId) {
+    return { verifiable: false, reason: 'Bet was placed before provably fair betting was enabled' };
+  }
+
+  const seed = await FairnessSeed.findById(fairness.seedId);
+  if (!seed) {
+    return { verifiable: false, reason: 'Seed not found' };
+  }
+  if (seed.active) {
+    return {
+      verifiable: false,
+      reason: 'Server seed is still active. Rotate your seed to reveal it.',
+      serverSeedHash: seed.serverSeedHash,
+      clientSeed: fairness.clientSeed,
+      nonce: fairness.nonce
+    };
+  }
+
+  const result = verifyRoll({
+    serverSeed: seed.serverSeed,
+    serverSeedHash: fairness.serverSeedHash,
+    clientSeed: fairness.clientSeed,
+    nonce: fairness.nonce
+  });
+  const recordedWin = transaction.type === 'bet_win';
+
+  return {
+    verifiable: true,
+    serverSeed: seed.serverSeed,
+    ...result,
+    recordedRoll: fairness.roll,
+    recordedWin,
+    matches: result.hashMatches === true && result.roll === fairness.roll && result.playerWins === recordedWin
+  };
+}
+
+module.exports = {
+  WIN_THRESHOLD,
+  MAX_CLIENT_SEED_LENGTH,
+  hashServerSeed,
+  computeRoll,
+  isWinningRoll,
+  isValidClientSeed,
+  verifyRoll,
+  publicSeedView,
+  getActiveSeed,
+  reserveNonce,
+  rotateSeed,
+  verifyBetTransaction
+};
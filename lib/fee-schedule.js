@@ -0,0 +1,125 @@
+// Fee schedule for deposits and withdrawals, from the environment (USDC amounts, and percentages
+// of the gross amount; 0 for none):
+//   DEPOSIT_FEE_FLAT                 default 0.05
+//   DEPOSIT_FEE_PERCENT              default 0
+//   WITHDRAW_FEE_FLAT                default 0
+//   WITHDRAW_FEE_PERCENT             default 0
+//   WITHDRAW_FEE_ACCOUNT_CREATION    default 0, when the treasury has to create the recipient's
+//                                    USDC token account (and pay its rent)
+// Fees come out of the gross amount: a deposit credits gross minus its fees, a withdrawal debits
+// the gross amount and sends the net. Each is posted as its own ledger entry (lib/ledger.js).
+// A setting that isn't an amount or percentage of 0 or more throws when this module loads: a
+// negative fee would pay out on every deposit and withdrawal.
+const { PublicKey } = require('@solana/web3.js');
+const { getAssociatedTokenAddress } = require('@solana/spl-token');
+const money = require('./money.js');
+const { USDC_MINT } = require('./usdc-deposits.js');
+
+function amountSetting(name, fallback) {
+  const amount = money.parse(process.env[name] || fallback);
+  if (amount === null || amount < 0) {
+    throw new Error(`${name} must be a USDC amount of 0 or more, not "${process.env[name]}"`);
+  }
+  return amount;
+}
+// In basis points, so percentages stay integer maths
+function percentSetting(name) {
+  const percent = Number(process.env[name] || 0);
+  if (!Number.isFinite(percent) || percent < 0) {
+    throw new Error(`${name} must be a percentage of 0 or more, not "${process.env[name]}"`);
+  }
+  return Math.round(Math.min(percent, 100) * 100);
+}
+
+const SCHEDULE = {
+  deposit: {
+    flat: amountSetting('DEPOSIT_FEE_FLAT', '0.05'),
+    percentBps: percentSetting('DEPOSIT_FEE_PERCENT')
+  },
+  withdraw: {
+    flat: amountSetting('WITHDRAW_FEE_FLAT', '0'),
+    percentBps: percentSetting('WITHDRAW_FEE_PERCENT'),
+    accountCreation: amountSetting('WITHDRAW_FEE_ACCOUNT_CREATION', '0')
+  }
+};
+
+class FeeScheduleError extends Error {
+  constructor(message, code, statusCode) {
+    super(message);
+    this.name = 'FeeScheduleError';
+    this.code = code;
+    this.statusCode = statusCode;
+  }
+}
+
+// Fee lines ({ type, amount }, non-zero only) for gross under a { flat, percentBps } schedule
+function feeLines(gross, { flat, percentBps }) {
+  const lines = [];
+  if (flat) lines.push({ type: 'flat', amount: flat });
+  if (percentBps) lines.push({ type: 'percent', amount: Math.ceil((gross * percentBps) / 10000) });
+  return lines;
+}
+
+function quote(gross, fees, extra = {}) {
+  const fee = fees.reduce((sum, line) => sum + line.amount, 0);
+  return { gross, fees, fee, net: gross - fee, ...extra };
+}
+
+// Fees on a deposit of gross micro-USDC; they never take more than the deposit
+function depositQuote(gross) {
+  const result = quote(gross, feeLines(gross, SCHEDULE.deposit));
+  if (result.net >= 0) return result;
+  return { ...result, fee: gross, net: 0 };
+}
+
+// Fees on withdrawing gross micro-USDC to owner toAddress, including the account creation
+// surcharge when their USDC token account doesn't exist yet. Rejects with a FeeScheduleError
+// when nothing would be left to send.
+async function withdrawalQuote(connection, { amount, toAddress }) {
+  const fees = feeLines(amount, SCHEDULE.withdraw);
+  let createsTokenAccount = false;
+  if (SCHEDULE.withdraw.accountCreation) {
+    const account = await getAssociatedTokenAddress(new PublicKey(USDC_MINT), new PublicKey(toAddress));
+    createsTokenAccount = !(await connection.getAccountInfo(account));
+    if (createsTokenAccount) fees.push({ type: 'account_creation', amount: SCHEDULE.withdraw.accountCreation });
+  }
+
+  const result = quote(amount, fees, { createsTokenAccount });
+  if (result.net <= 0) {
+    throw new FeeScheduleError(`The withdrawal must be more than its ${money.format(result.fee)} USDC in fees`, 'AMOUNT_BELOW_FEES', 400);
+  }
+  return result;
+}
+
+// What clients see of a quote
+function view({ gross, fees, fee, net, createsTokenAccount }) {
+  return {
+    gross: money.format(gross),
+    fees: fees.map((line) => ({ type: line.type, amount: money.format(line.amount) })),
+    fee: money.format(fee),
+    net: money.format(net),
+    ...(createsTokenAccount === undefined ? {} : { createsTokenAccount })
+  };
+}
+
+// The schedule as USDC strings and percentages
+function scheduleView() {
+  const percent = (bps) => bps / 100;
+  return {
+    deposit: { flat: money.format(SCHEDULE.deposit.flat), percent: percent(SCHEDULE.deposit.percentBps) },
+    withdraw: {
+      flat: money.format(SCHEDULE.withdraw.flat),
+      percent: percent(SCHEDULE.withdraw.percentBps),
+      accountCreation: money.format(SCHEDULE.withdraw.accountCreation)
+    }
+  };
+}
+
+module.exports = {
+  SCHEDULE,
+  FeeScheduleError,
+  depositQuote,
+  withdrawalQuote,
+  view,
+  scheduleView
+};
@@ -0,0 +1,144 @@
+// Priority fees and compute budget for treasury transactions, so they still land when the
+// cluster is congested. Each transaction gets a compute unit limit measured by simulating it
+// (plus COMPUTE_UNIT_MARGIN) and a compute unit price estimated from getRecentPrioritizationFees
+// for the accounts it writes:
+//   PRIORITY_FEE_PERCENTILE             default 75, of the recent fees paid
+//   PRIORITY_FEE_MIN_MICROLAMPORTS      default 1000, floor per compute unit
+//   PRIORITY_FEE_MAX_MICROLAMPORTS      default 2000000, cap per compute unit, escalation included
+//   PRIORITY_FEE_FALLBACK_MICROLAMPORTS default 50000, when the estimate is unavailable
+//   PRIORITY_FEE_ESCALATION             default 1.5, fee multiplier for each further attempt
+//   COMPUTE_UNIT_MARGIN                 default 0.1, over the simulated compute units
+//
+// A fee is only raised for a new attempt with a fresh blockhash, once the previous one expired:
+// re-signing with a higher fee while the first is still valid makes a second transaction that
+// could land as well and pay out twice. Until it expires, the same signed transaction is
+// rebroadcast instead.
+const { ComputeBudgetProgram, PublicKey, Transaction, TransactionMessage, VersionedTransaction } = require('@solana/web3.js');
+const bs58 = require('bs58');
+
+const setting = (name, fallback) => {
+  const value = Number(process.env[name]);
+  return process.env[name] !== undefined && Number.isFinite(value) && value >= 0 ? value : fallback;
+};
+
+const PERCENTILE = Math.min(setting('PRIORITY_FEE_PERCENTILE', 75), 100);
+const MIN_PRICE = setting('PRIORITY_FEE_MIN_MICROLAMPORTS', 1000);
+const MAX_PRICE = Math.max(setting('PRIORITY_FEE_MAX_MICROLAMPORTS', 2000000), MIN_PRICE);
+const FALLBACK_PRICE = setting('PRIORITY_FEE_FALLBACK_MICROLAMPORTS', 50000);
+const ESCALATION = Math.max(setting('PRIORITY_FEE_ESCALATION', 1.5), 1);
+const UNIT_MARGIN = setting('COMPUTE_UNIT_MARGIN', 0.1);
+
+const MAX_COMPUTE_UNITS = 1400000; // per transaction
+const LAMPORTS_PER_SIGNATURE = 5000;
+const SEND_ATTEMPTS = 3;
+const REBROADCAST_MS = 2000;
+const LANDED = ['confirmed', 'finalized'];
+
+class SimulationError extends Error {
+  constructor(message, err, logs) {
+    super(message);
+    this.name = 'SimulationError';
+    this.err = err; // the transaction error the simulation reported
+    this.logs = logs || [];
+  }
+}
+
+const clamp = (price) => Math.min(MAX_PRICE, Math.max(MIN_PRICE, Math.ceil(price)));
+
+// Compute unit price (micro-lamports) to bid for a transaction writing accounts
+async function estimate(connection, accounts = []) {
+  try {
+    const fees = await connection.getRecentPrioritizationFees({ lockedWritableAccounts: accounts });
+    if (!fees.length) return clamp(FALLBACK_PRICE);
+    const sorted = fees.map((fee) => fee.prioritizationFee).sort((a, b) => a - b);
+    const index = Math.min(sorted.length - 1, Math.floor((PERCENTILE / 100) * sorted.length));
+    return clamp(sorted[index]);
+  } catch (error) {
+    console.log(`⚠️ [FEES] Priority fee estimate failed, using ${FALLBACK_PRICE}: ${error.message}`);
+    return clamp(FALLBACK_PRICE);
+  }
+}
+
+// The price for the attempt-th attempt (from 1) of a transaction estimated at price
+function escalate(price, attempt) {
+  return clamp(price * ESCALATION ** Math.max(0, attempt - 1));
+}
+
+const budgetInstructions = ({ units, microLamports }) => [
+  ComputeBudgetProgram.setComputeUnitLimit({ units }),
+  ComputeBudgetProgram.setComputeUnitPrice({ microLamports })
+];
+
+// Compute unit limit for instructions paid by payer: what a simulation consumed plus the margin.
+// Rejects with a SimulationError when the simulated transaction fails.
+async function computeUnits(connection, { payer, instructions }) {
+  const message = new TransactionMessage({
+    payerKey: payer,
+    recentBlockhash: PublicKey.default.toBase58(), // replaced by the RPC
+    instructions: [...budgetInstructions({ units: MAX_COMPUTE_UNITS, microLamports: MIN_PRICE }), ...instructions]
+  }).compileToLegacyMessage();
+  const { value } = await connection.simulateTransaction(new VersionedTransaction(message), {
+    sigVerify: false,
+    replaceRecentBlockhash: true,
+    commitment: 'confirmed'
+  });
+  if (value.err) {
+    throw new SimulationError(`Simulation failed: ${JSON.stringify(value.err)}`, value.err, value.logs);
+  }
+  return Math.min(MAX_COMPUTE_UNITS, Math.ceil((value.unitsConsumed || 0) * (1 + UNIT_MARGIN)) || MAX_COMPUTE_UNITS);
+}
+
+// Lamports a transaction with this budget pays when it lands (the priority fee is charged on
+// the requested limit, not the units used)
+function transactionFee({ units, microLamports, signatures = 1 }) {
+  return signatures * LAMPORTS_PER_SIGNATURE + Math.ceil((units * microLamports) / 1000000);
+}
+
+// Sign instructions with signer (lib/treasury-signer.js) as fee payer, with a compute budget and
+// priority fee, and send them until confirmed: the same transaction is rebroadcast until its
+// blockhash expires, then a new attempt goes out with a higher fee. onSend(signature), if given,
+// is awaited before each attempt is sent, e.g. to store the signature. Resolves to { signature,
+// fee: { lamports, microLamports, units } }; rejects when it fails on-chain, none of maxAttempts
+// landed or the signer refused (a SignerPolicyError).
+async function sendAndConfirm(connection, { instructions, signer, accounts = [], maxAttempts = SEND_ATTEMPTS, onSend }) {
+  const price = await estimate(connection, accounts);
+  const units = await computeUnits(connection, { payer: signer.publicKey, instructions });
+
+  for (let attempt = 1; attempt <= maxAttempts; attempt++) {
+    const microLamports = escalate(price, attempt);
+    const { blockhash, lastValidBlockHeight } = await connection.getLatestBlockhash('confirmed');
+    const transaction = await signer.signTransaction(new Transaction({ feePayer: signer.publicKey, blockhash, lastValidBlockHeight })
+      .add(...budgetInstructions({ units, microLamports }), ...instructions));
+    const signature = bs58.encode(transaction.signature);
+    const raw = transaction.serialize();
+    const fee = { lamports: transactionFee({ units, microLamports }), microLamports, units };
+
+    if (onSend) await onSend(signature);
+    await connection.sendRawTransaction(raw, { preflightCommitment: 'confirmed' });
+    console.log(`💸 [FEES] ${signature} sent with ${units} CU at ${microLamports} µlamports/CU (attempt ${attempt})`);
+
+    for (;;) {
+      await new Promise((resolve) => setTimeout(resolve, REBROADCAST_MS));
+      // Block height first: if the signature is still unknown after this, it can't land anymore
+      const blockHeight = await connection.getBlockHeight('confirmed');
+      const { value: [status] } = await connection.getSignatureStatuses([signature]);
+      if (status?.err) throw new Error(`Transaction ${signature} failed on-chain: ${JSON.stringify(status.err)}`);
+      if (LANDED.includes(status?.confirmationStatus)) return { signature, fee };
+      if (!status && blockHeight > lastValidBlockHeight) break;
+      await connection.sendRawTransaction(raw, { skipPreflight: true, maxRetries: 0 }).catch(() => {});
+    }
+    console.log(`⏱️ [FEES] ${signature} expired before it landed`);
+  }
+  throw new Error(`Transaction did not land in ${maxAttempts} attempts`);
+}
+
+module.exports = {
+  MAX_COMPUTE_UNITS,
+  SimulationError,
+  estimate,
+  escalate,
+  budgetInstructions,
+  computeUnits,
+  transactionFee,
+  sendAndConfirm
+};
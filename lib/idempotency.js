@@ -0,0 +1,213 @@
+// Idempotency keys for requests that move money (place-bet, deposit, buy-tokens, withdraw).
+//
+// The client sends `Idempotency-Key: <unique string>` and sends the same key again when it
+// retries a request whose outcome it never saw (timeout, dropped connection). The first request
+// claims the key and its response is stored; a duplicate gets that response replayed with
+// `Idempotent-Replayed: true` instead of running again. A duplicate that arrives while the first
+// is still running gets 409, and reusing a key for a different request body gets 422.
+//
+// A claim is a lease of LEASE_MS: if the process dies mid-request, a retry after that takes the
+// key over and runs. A 5xx response releases the key, so a retry runs again rather than replaying
+// the failure, unless the handler had reached its money-moving step: it calls committing(req) in
+// Express, committing(event) in Netlify, just before, and from then on a 5xx is stored like any
+// other response, since the money may have moved before the failure. Deposits and claims don't
+// need it: the transaction signature is unique, so running them again can't credit twice.
+//
+// Keys are scoped to the user and endpoint and expire after 24 hours. Requests without the
+// header behave as before.
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const IdempotencyKey = require('../netlify/functions/idempotency-key-schema.js');
+
+const HEADER = 'Idempotency-Key';
+const MAX_KEY_LENGTH = 255;
+const LEASE_MS = 2 * 60 * 1000;
+const COMMITTING = Symbol('idempotency.committing');
+
+const isValidKey = (key) => typeof key === 'string' && key.length > 0 && key.length <= MAX_KEY_LENGTH;
+
+function requestHash(body) {
+  return crypto.createHash('sha256').update(JSON.stringify(body ?? null)).digest('hex');
+}
+
+const errorResponse = (statusCode, error, code) => ({ statusCode, body: { error, code } });
+
+// Claim a key for this request. Returns { record } when the request should run, or
+// { response: { statusCode, body, replayed } } when it must not.
+async function claim({ userId, scope, key, body }) {
+  const hash = requestHash(body);
+  await IdempotencyKey.init(); // the unique index must exist before we rely on it
+
+  try {
+    const record = await IdempotencyKey.create({ userId, scope, key, requestHash: hash, lockedUntil: new Date(Date.now() + LEASE_MS) });
+    return { record };
+  } catch (error) {
+    if (error.code !== 11000) throw error;
+  }
+
+  const existing = await IdempotencyKey.findOne({ userId, scope, key });
+  if (!existing) {
+    // Expired between our insert and lookup
+    return claim({ userId, scope, key, body });
+  }
+  if (existing.requestHash !== hash) {
+    return { response: errorResponse(422, 'Idempotency-Key was already used for a different request', 'IDEMPOTENCY_KEY_REUSED') };
+  }
+  if (existing.status !== 'completed') {
+    // Take over a claim whose request died without answering
+    if (!existing.lockedUntil || existing.lockedUntil.getTime() <= Date.now()) {
+      const record = await IdempotencyKey.findOneAndUpdate(
+        { _id: existing._id, status: 'processing', lockedUntil: existing.lockedUntil },
+        { $set: { lockedUntil: new Date(Date.now() + LEASE_MS) } },
+        { new: true }
+      );
+      if (record) return { record };
+    }
+    return { response: errorResponse(409, 'A request with this Idempotency-Key is still being processed', 'IDEMPOTENCY_IN_PROGRESS') };
+  }
+  return { response: { statusCode: existing.statusCode, body: existing.body, replayed: true } };
+}
+
+// Mark the request (the Express req or the Netlify event) as past the point where it may move
+// money: a 5xx response after this is stored instead of releasing the key
+function committing(request) {
+  request[COMMITTING] = true;
+  return request;
+}
+
+// Store the response sent for a claimed key so duplicates replay it. A 5xx releases the key
+// instead, so a retry runs again, unless the request was marked committing.
+async function complete(record, statusCode, body, { committing: committed = false } = {}) {
+  if (statusCode >= 500 && !committed) {
+    await IdempotencyKey.deleteOne({ _id: record._id, status: 'processing' });
+    return;
+  }
+  await IdempotencyKey.updateOne(
+    { _id: record._id },
+    { $set: { status: 'completed', statusCode, body, completedAt: new Date() } }
+  );
+}
+
+// Express: app.post('/api/withdraw', authenticateToken, idempotency.middleware('withdraw'), ...)
+function middleware(scope) {
+  return async (req, res, next) => {
+    const key = req.get(HEADER);
+    if (key === undefined) return next();
+    if (!isValidKey(key)) {
+      return res.status(400).json({ error: `${HEADER} must be 1-${MAX_KEY_LENGTH} characters` });
+    }
+
+    let claimed;
+    try {
+      claimed = await claim({ userId: req.user.userId, scope, key, body: req.body });
+    } catch (error) {
+      console.error(`❌ [IDEMPOTENCY] Failed to claim ${scope} key:`, error);
+      return res.status(500).json({ error: 'Failed to process Idempotency-Key' });
+    }
+
+    if (claimed.response) {
+      const { statusCode, body, replayed } = claimed.response;
+      if (replayed) {
+        console.log(`🔁 [IDEMPOTENCY] Replaying ${scope} response for key ${key}`);
+        res.set('Idempotent-Replayed', 'true');
+      }
+      return res.status(statusCode).json(body);
+    }
+
+    // Record the route's response before it reaches the client
+    const sendJson = res.json.bind(res);
+    res.json = (body) => {
+      complete(claimed.record, res.statusCode, body, { committing: Boolean(req[COMMITTING]) })
+        .catch((error) => console.error(`❌ [IDEMPOTENCY] Failed to store ${scope} response:`, error))
+        .then(() => sendJson(body));
+      return res;
+    };
+    next();
+  };
+}
+
+function headerValue(headers, name) {
+  return headers[name.toLowerCase()] ?? headers[name];
+}
+
+function verifiedUserId(headers) {
+  const authHeader = headerValue(headers, 'Authorization');
+  const token = authHeader && authHeader.split(' ')[1];
+  try {
+    return token ? jwt.verify(token, process.env.JWT_SECRET).userId : null;
+  } catch (error) {
+    return null;
+  }
+}
+
+// Netlify: exports.handler = idempotency.wrapHandler('withdraw', handler, { connect: connectDB })
+//
+// Unauthenticated requests pass straight through so the handler reports its own 401. Responses
+// produced here reuse the CORS headers of the handler's own OPTIONS response.
+function wrapHandler(scope, handler, { connect }) {
+  return async (event, context) => {
+    const key = headerValue(event.headers, HEADER);
+    const userId = event.httpMethod === 'POST' && key !== undefined ? verifiedUserId(event.headers) : null;
+    if (!userId) return handler(event, context);
+
+    const respond = async ({ statusCode, body, replayed }) => {
+      const preflight = await handler({ ...event, httpMethod: 'OPTIONS' }, context);
+      const headers = { ...preflight.headers, 'Content-Type': 'application/json' };
+      if (replayed) headers['Idempotent-Replayed'] = 'true';
+      return { statusCode, headers, body: JSON.stringify(body) };
+    };
+
+    if (!isValidKey(key)) {
+      return respond({ statusCode: 400, body: { error: `${HEADER} must be 1-${MAX_KEY_LENGTH} characters` } });
+    }
+
+    // Let the handler report its own database errors
+    try {
+      if ((await connect()) === false) return handler(event, context);
+    } catch (error) {
+      return handler(event, context);
+    }
+
+    let claimed;
+    try {
+      let body;
+      try {
+        body = JSON.parse(event.body || 'null');
+      } catch (error) {
+        body = event.body;
+      }
+      claimed = await claim({ userId, scope, key, body });
+    } catch (error) {
+      console.error(`❌ [IDEMPOTENCY] Failed to claim ${scope} key:`, error);
+      return respond({ statusCode: 500, body: { error: 'Failed to process Idempotency-Key' } });
+    }
+
+    if (claimed.response) {
+      if (claimed.response.replayed) console.log(`🔁 [IDEMPOTENCY] Replaying ${scope} response for key ${key}`);
+      return respond(claimed.response);
+    }
+
+    const response = await handler(event, context);
+    let responseBody;
+    try {
+      responseBody = JSON.parse(response.body);
+    } catch (error) {
+      responseBody = response.body;
+    }
+    try {
+      await complete(claimed.record, response.statusCode, responseBody, { committing: Boolean(event[COMMITTING]) });
+    } catch (error) {
+      console.error(`❌ [IDEMPOTENCY] Failed to store ${scope} response:`, error);
+    }
+    return response;
+  };
+}
+
+module.exports = {
+  HEADER,
+  claim,
+  committing,
+  complete,
+  middleware,
+  wrapHandler
+};
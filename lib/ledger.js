@@ -0,0 +1,241 @@
+// Double-entry ledger. Every movement of money posts a JournalEntry whose postings sum to zero
+// (signed micro-USDC: debits positive, credits negative), so debits always equal credits.
+//
+// User.gameBalance is a cached projection of the user's ledger account: balance-service writes
+// both in the same atomic step, reconcile rebuilds it from the ledger, and checkInvariants()
+// reports any entry or user that disagrees.
+//
+// Accounts and their normal side:
+//   asset:treasury_usdc            debit   USDC held by the treasury wallet
+//   liability:user:<userId>        credit  a player's game balance
+//   liability:pending_withdrawals  credit  debited from players, not yet sent on-chain
+//   income:deposit_fees            credit  deposit fees kept by the house
+//   income:withdrawal_fees         credit  withdrawal fees kept by the house
+//   equity:house_pnl               credit  house result of bets (player wins are debits)
+//   expense:signup_bonus           debit   starting balances given to new players
+//   equity:opening_balances        credit  balances that existed before the ledger
+//   equity:adjustments             credit  manual corrections
+//   liability:unclaimed_deposits   credit  deposits no player was credited, owed back to the sender
+const JournalEntry = require('../netlify/functions/journal-entry-schema.js');
+const User = require('../netlify/functions/user-schema.js');
+const money = require('./money.js');
+
+const ACCOUNTS = {
+  TREASURY: 'asset:treasury_usdc',
+  PENDING_WITHDRAWALS: 'liability:pending_withdrawals',
+  DEPOSIT_FEES: 'income:deposit_fees',
+  WITHDRAWAL_FEES: 'income:withdrawal_fees',
+  HOUSE_PNL: 'equity:house_pnl',
+  SIGNUP_BONUS: 'expense:signup_bonus',
+  OPENING_BALANCES: 'equity:opening_balances',
+  ADJUSTMENTS: 'equity:adjustments',
+  UNCLAIMED_DEPOSITS: 'liability:unclaimed_deposits'
+};
+
+const USER_ACCOUNT_PREFIX = 'liability:user:';
+
+function userAccount(userId) {
+  return `${USER_ACCOUNT_PREFIX}${userId}`;
+}
+
+const debit = (account, amount) => ({ account, amount });
+const credit = (account, amount) => ({ account, amount: -amount });
+
+// Entry builders. Each returns { kind, userId, postings } for balance-service to post.
+
+// gross USDC received by the treasury, credited to the player
+function depositEntry(userId, { gross }) {
+  return { kind: 'deposit', userId, postings: [debit(ACCOUNTS.TREASURY, gross), credit(userAccount(userId), gross)] };
+}
+
+// Fees (see lib/fee-schedule.js) are entries of their own. A deposit's come out of the player's
+// credit...
+function depositFeeEntry(userId, fee) {
+  return { kind: 'deposit_fee', userId, postings: [debit(userAccount(userId), fee), credit(ACCOUNTS.DEPOSIT_FEES, fee)] };
+}
+
+// A deposit with its fee: the entries to post together
+function depositEntries(userId, { gross, fee = 0 }) {
+  return fee ? [depositEntry(userId, { gross }), depositFeeEntry(userId, fee)] : [depositEntry(userId, { gross })];
+}
+
+function betEntry(userId, { stake, won }) {
+  return won
+    ? { kind: 'bet', userId, postings: [debit(ACCOUNTS.HOUSE_PNL, stake), credit(userAccount(userId), stake)] }
+    : { kind: 'bet', userId, postings: [debit(userAccount(userId), stake), credit(ACCOUNTS.HOUSE_PNL, stake)] };
+}
+
+function signupBonusEntry(userId, amount) {
+  return { kind: 'signup_bonus', userId, postings: [debit(ACCOUNTS.SIGNUP_BONUS, amount), credit(userAccount(userId), amount)] };
+}
+
+// Funds leave the player's balance when the withdrawal is requested...
+function withdrawalReserveEntry(userId, amount) {
+  return { kind: 'withdrawal_reserve', userId, postings: [debit(userAccount(userId), amount), credit(ACCOUNTS.PENDING_WITHDRAWALS, amount)] };
+}
+
+// ...and leave the treasury once the transfer lands, or go back to the player if it fails
+function withdrawalCompleteEntry(userId, amount) {
+  return { kind: 'withdrawal_complete', userId, postings: [debit(ACCOUNTS.PENDING_WITHDRAWALS, amount), credit(ACCOUNTS.TREASURY, amount)] };
+}
+
+// ...a withdrawal's out of the reserved amount once it lands (the net amount is what leaves the
+// treasury); a refund returns the whole amount
+function withdrawalFeeEntry(userId, fee) {
+  return { kind: 'withdrawal_fee', userId, postings: [debit(ACCOUNTS.PENDING_WITHDRAWALS, fee), credit(ACCOUNTS.WITHDRAWAL_FEES, fee)] };
+}
+
+function withdrawalRefundEntry(userId, amount) {
+  return { kind: 'withdrawal_refund', userId, postings: [debit(ACCOUNTS.PENDING_WITHDRAWALS, amount), credit(userAccount(userId), amount)] };
+}
+
+function openingBalanceEntry(userId, amount) {
+  return { kind: 'opening_balance', userId, postings: [debit(ACCOUNTS.OPENING_BALANCES, amount), credit(userAccount(userId), amount)] };
+}
+
+// A withdrawal already debited from the player before the ledger existed
+function openingPendingWithdrawalEntry(userId, amount) {
+  return { kind: 'opening_balance', userId, postings: [debit(ACCOUNTS.OPENING_BALANCES, amount), credit(ACCOUNTS.PENDING_WITHDRAWALS, amount)] };
+}
+
+// delta > 0 credits the player, delta < 0 debits them
+function adjustmentEntry(userId, delta) {
+  return { kind: 'adjustment', userId, postings: [debit(ACCOUNTS.ADJUSTMENTS, delta), credit(userAccount(userId), delta)] };
+}
+
+// An unclaimed deposit (see lib/unclaimed-deposits.js) sent back to its sender. Parking it posted
+// nothing, so the entry takes it into the treasury as owed back and then pays it out.
+function depositRefundEntry(amount) {
+  return {
+    kind: 'deposit_refund',
+    postings: [
+      debit(ACCOUNTS.TREASURY, amount), credit(ACCOUNTS.UNCLAIMED_DEPOSITS, amount),
+      debit(ACCOUNTS.UNCLAIMED_DEPOSITS, amount), credit(ACCOUNTS.TREASURY, amount)
+    ]
+  };
+}
+
+// Net change an entry, or a list of entries, makes to a player's balance (credits to their
+// account increase it)
+function userDelta(entry, userId) {
+  if (Array.isArray(entry)) return entry.reduce((sum, item) => sum + userDelta(item, userId), 0);
+  const account = userAccount(userId);
+  return -entry.postings
+    .filter((posting) => posting.account === account)
+    .reduce((sum, posting) => sum + posting.amount, 0);
+}
+
+function isBalanced(entry) {
+  return entry.postings.length >= 2 &&
+    entry.postings.every((posting) => money.isMicro(posting.amount)) &&
+    entry.postings.reduce((sum, posting) => sum + posting.amount, 0) === 0;
+}
+
+// Write an entry (inside the caller's session when given)
+async function post(entry, { transactionId, memo, session } = {}) {
+  if (!isBalanced(entry)) {
+    throw new TypeError(`Unbalanced journal entry: ${JSON.stringify(entry.postings)}`);
+  }
+  const [created] = await JournalEntry.create([{ ...entry, transactionId, memo }], { session });
+  return created;
+}
+
+// Sum of postings to an account (debit-positive)
+async function accountTotal(account) {
+  const [result] = await JournalEntry.aggregate([
+    { $match: { 'postings.account': account } },
+    { $unwind: '$postings' },
+    { $match: { 'postings.account': account } },
+    { $group: { _id: null, total: { $sum: '$postings.amount' } } }
+  ]);
+  return result ? result.total : 0;
+}
+
+// A player's balance according to the ledger
+async function userBalance(userId) {
+  return -(await accountTotal(userAccount(userId)));
+}
+
+// Total debits and credits per account; net is debits - credits
+async function trialBalance() {
+  const rows = await JournalEntry.aggregate([
+    { $unwind: '$postings' },
+    {
+      $group: {
+        _id: '$postings.account',
+        debits: { $sum: { $cond: [{ $gt: ['$postings.amount', 0] }, '$postings.amount', 0] } },
+        credits: { $sum: { $cond: [{ $lt: ['$postings.amount', 0] }, { $multiply: ['$postings.amount', -1] }, 0] } }
+      }
+    },
+    { $sort: { _id: 1 } }
+  ]);
+  return rows.map((row) => ({ account: row._id, debits: row.debits, credits: row.credits, net: row.debits - row.credits }));
+}
+
+// Prove the books balance: every entry sums to zero, total debits equal total credits, and
+// each user's cached gameBalance matches their ledger account.
+async function checkInvariants() {
+  const unbalancedEntries = await JournalEntry.aggregate([
+    { $project: { total: { $sum: '$postings.amount' }, count: { $size: '$postings' } } },
+    { $match: { $or: [{ total: { $ne: 0 } }, { count: { $lt: 2 } }] } }
+  ]);
+
+  const accounts = await trialBalance();
+  const totalDebits = accounts.reduce((sum, row) => sum + row.debits, 0);
+  const totalCredits = accounts.reduce((sum, row) => sum + row.credits, 0);
+
+  const ledgerBalances = new Map(
+    accounts
+      .filter((row) => row.account.startsWith(USER_ACCOUNT_PREFIX))
+      .map((row) => [row.account.slice(USER_ACCOUNT_PREFIX.length), -row.net])
+  );
+  const userMismatches = [];
+  for await (const user of User.find({}, { gameBalance: 1, email: 1 }).cursor()) {
+    const id = user._id.toString();
+    const ledgerBalance = ledgerBalances.get(id) || 0;
+    if (ledgerBalance !== user.gameBalance) {
+      userMismatches.push({ userId: id, email: user.email, gameBalance: user.gameBalance, ledgerBalance });
+    }
+    ledgerBalances.delete(id);
+  }
+  // Ledger accounts for users that no longer exist
+  for (const [userId, ledgerBalance] of ledgerBalances) {
+    if (ledgerBalance !== 0) {
+      userMismatches.push({ userId, email: null, gameBalance: null, ledgerBalance });
+    }
+  }
+
+  return {
+    ok: unbalancedEntries.length === 0 && totalDebits === totalCredits && userMismatches.length === 0,
+    totalDebits,
+    totalCredits,
+    unbalancedEntries: unbalancedEntries.map((entry) => entry._id),
+    userMismatches,
+    accounts
+  };
+}
+
+module.exports = {
+  ACCOUNTS,
+  userAccount,
+  depositEntry,
+  depositFeeEntry,
+  depositEntries,
+  betEntry,
+  signupBonusEntry,
+  withdrawalReserveEntry,
+  withdrawalCompleteEntry,
+  withdrawalFeeEntry,
+  withdrawalRefundEntry,
+  openingBalanceEntry,
+  openingPendingWithdrawalEntry,
+  adjustmentEntry,
+  depositRefundEntry,
+  userDelta,
+  isBalanced,
+  post,
+  accountTotal,
+  userBalance,
+  trialBalance,
+  checkInvariants
+};
@@ -0,0 +1,263 @@
+// Linked wallets. A user links any number of wallets (User.wallets), each proven with a signed
+// challenge (lib/wallet-ownership.js) and given a label and a role:
+//   deposit   deposits sent from it are credited to the user
+//   withdraw  withdrawals may be sent to it
+//   both
+// solanaAddress (primary deposit wallet) and withdrawAddress (default withdrawal destination)
+// are kept pointing at linked wallets for the code and clients that read them. A wallet that
+// becomes a withdrawal destination goes through lib/withdraw-addresses.js's cooldown and
+// confirmation, and the change is recorded in the user's withdrawal address history.
+//
+// Known exchange wallets (lib/exchange-wallets.js) can't sign a challenge: they are linked
+// without a proof, only for withdrawals, and never picked as the default withdrawal wallet
+// while a personal one qualifies.
+const { PublicKey } = require('@solana/web3.js');
+const User = require('../netlify/functions/user-schema.js');
+const exchangeWallets = require('./exchange-wallets.js');
+const walletOwnership = require('./wallet-ownership.js');
+const withdrawAddresses = require('./withdraw-addresses.js');
+
+const ROLES = ['deposit', 'withdraw', 'both'];
+const MAX_WALLETS = 10;
+const MAX_LABEL_LENGTH = 40;
+
+class LinkedWalletError extends Error {
+  constructor(message, code, statusCode) {
+    super(message);
+    this.name = 'LinkedWalletError';
+    this.code = code;
+    this.statusCode = statusCode;
+  }
+}
+
+const PURPOSE_ROLES = { deposit: ['deposit', 'both'], withdraw: ['withdraw', 'both'] };
+const allows = (wallet, purpose) => !purpose || PURPOSE_ROLES[purpose].includes(wallet.role);
+
+// The user's linked wallet with this address, if linked for purpose ('deposit' | 'withdraw')
+function findWallet(user, address, purpose) {
+  const wallet = (user.wallets || []).find((entry) => entry.address === address);
+  return wallet && allows(wallet, purpose) ? wallet : null;
+}
+
+// Filter for users who linked address for purpose
+function linkedFilter(address, purpose) {
+  return { wallets: { $elemMatch: { address, role: { $in: PURPOSE_ROLES[purpose] } } } };
+}
+
+function validRole(role) {
+  if (role === undefined) return undefined;
+  if (!ROLES.includes(role)) {
+    throw new LinkedWalletError(`Role must be one of ${ROLES.join(', ')}`, 'INVALID_ROLE', 400);
+  }
+  return role;
+}
+
+function validLabel(label) {
+  if (label === undefined) return undefined;
+  return String(label).trim().slice(0, MAX_LABEL_LENGTH);
+}
+
+// Point solanaAddress and withdrawAddress at linked wallets again after the list changed:
+// keep the current ones while they still qualify, else take the first that does
+async function syncPointers(userId) {
+  const user = await User.findById(userId);
+  if (!user) return null;
+
+  const pick = (current, purpose) => {
+    const wallets = user.wallets.filter((wallet) => allows(wallet, purpose));
+    return (wallets.find((wallet) => wallet.address === current)
+      || wallets.find((wallet) => !exchangeWallets.exchangeOf(wallet))
+      || wallets[0])?.address;
+  };
+  const pointers = {
+    solanaAddress: pick(user.solanaAddress, 'deposit'),
+    withdrawAddress: pick(user.withdrawAddress, 'withdraw')
+  };
+
+  const update = {};
+  for (const [field, value] of Object.entries(pointers)) {
+    if (value === (user[field] || undefined)) continue;
+    if (value) update.$set = { ...update.$set, [field]: value };
+    else update.$unset = { ...update.$unset, [field]: '' };
+  }
+  if (!update.$set && !update.$unset) return user;
+  if (update.$set?.withdrawAddress) {
+    update.$push = withdrawAddresses.historyPush({ address: pointers.withdrawAddress, change: 'default' });
+  }
+  return User.findByIdAndUpdate(userId, update, { new: true });
+}
+
+// Make address, linked for withdrawals, the default withdrawal destination
+async function setWithdrawDefault(user, address) {
+  if (!findWallet(user, address, 'withdraw')) {
+    throw new LinkedWalletError('Link this wallet for withdrawals first', 'NOT_LINKED', 400);
+  }
+  if (user.withdrawAddress === address) return user;
+
+  const updated = await User.findOneAndUpdate(
+    { _id: user._id, wallets: { $elemMatch: { address, role: { $in: PURPOSE_ROLES.withdraw } } } },
+    { $set: { withdrawAddress: address }, $push: withdrawAddresses.historyPush({ address, change: 'default' }) },
+    { new: true }
+  );
+  if (!updated) throw new LinkedWalletError('Link this wallet for withdrawals first', 'NOT_LINKED', 400);
+  console.log(`🔗 [WALLETS] ${user.email} withdraws to ${address} by default`);
+  return updated;
+}
+
+// Link address after checking proof (see walletOwnership.consumeProof). Resolves to the
+// updated user; an address already linked only gets its proof renewed. An exchange wallet
+// needs no proof and takes the withdraw role.
+async function link(user, { address, proof, label, role }) {
+  try {
+    address = new PublicKey(address).toString();
+  } catch (error) {
+    throw new LinkedWalletError('Invalid Solana address', 'INVALID_ADDRESS', 400);
+  }
+  if ([process.env.TREASURY_ADDRESS, process.env.TREASURY_COLD_ADDRESS].includes(address)) {
+    throw new LinkedWalletError('The treasury address cannot be linked', 'INVALID_ADDRESS', 400);
+  }
+  const exchange = exchangeWallets.lookup(address);
+  role = validRole(role) || (exchange ? 'withdraw' : 'both');
+  label = validLabel(label);
+  if (exchange) return linkExchange(user, { address, label, role, exchange });
+
+  const verified = await walletOwnership.consumeProof(user._id, address, proof);
+
+  const renewed = await User.findOneAndUpdate(
+    { _id: user._id, 'wallets.address': address },
+    { $set: { 'wallets.$.proof': verified } },
+    { new: true }
+  );
+  if (renewed) return renewed;
+
+  return addWallet(user, { address, label: label || `Wallet ${(user.wallets || []).length + 1}`, role, proof: verified });
+}
+
+// Deposits from an exchange wallet are its other customers' too: they can only be credited by
+// deposit reference, so the wallet is linked for withdrawals only
+async function linkExchange(user, { address, label, role, exchange }) {
+  if (role !== 'withdraw') {
+    throw new LinkedWalletError(
+      `${address} is a ${exchange} wallet: it can only be linked for withdrawals. Deposit from ${exchange} with your deposit memo code instead`,
+      'EXCHANGE_WALLET',
+      400
+    );
+  }
+  if (findWallet(user, address)) return user;
+  return addWallet(user, { address, label: label || exchange, role, exchange });
+}
+
+// Push a new linked wallet, protected as a withdrawal destination when it is one
+async function addWallet(user, wallet) {
+  const { address } = wallet;
+  const update = { $push: { wallets: wallet } };
+  let protection = null;
+  if (allows(wallet, 'withdraw')) {
+    protection = withdrawAddresses.protect();
+    Object.assign(wallet, protection.fields);
+    Object.assign(update.$push, withdrawAddresses.historyPush({ address, change: 'added' }));
+  }
+
+  const linked = await User.findOneAndUpdate(
+    { _id: user._id, 'wallets.address': { $ne: address }, [`wallets.${MAX_WALLETS - 1}`]: { $exists: false } },
+    update,
+    { new: true }
+  );
+  if (!linked) {
+    throw new LinkedWalletError(`You can link up to ${MAX_WALLETS} wallets`, 'TOO_MANY_WALLETS', 400);
+  }
+  console.log(`🔗 [WALLETS] ${user.email} linked ${address} (${wallet.role}${wallet.exchange ? `, ${wallet.exchange}` : ''})`);
+  if (protection?.token) await withdrawAddresses.sendConfirmation(user, address, protection.token);
+  return syncPointers(user._id);
+}
+
+// Change a linked wallet's label and/or role. A wallet switched to withdrawals starts its
+// withdrawal cooldown (and confirmation) like a newly linked one.
+async function update(user, address, { label, role }) {
+  const current = findWallet(user, address);
+  if (!current) throw new LinkedWalletError('Wallet not linked to your account', 'NOT_FOUND', 404);
+
+  const $set = {};
+  const match = { address };
+  const change = {};
+  let protection = null;
+  if (label !== undefined) $set['wallets.$.label'] = validLabel(label);
+  if (role !== undefined) {
+    const exchange = exchangeWallets.exchangeOf(current);
+    if (exchange && validRole(role) !== 'withdraw') {
+      throw new LinkedWalletError(`A ${exchange} wallet can only be linked for withdrawals`, 'EXCHANGE_WALLET', 400);
+    }
+    $set['wallets.$.role'] = validRole(role);
+    match.role = current.role; // the role the decision below was made on
+    const wasWithdraw = allows(current, 'withdraw');
+    const isWithdraw = allows({ role }, 'withdraw');
+    if (!wasWithdraw && isWithdraw) {
+      protection = withdrawAddresses.protect();
+      for (const [field, value] of Object.entries(protection.fields)) $set[`wallets.$.${field}`] = value;
+      change.$push = withdrawAddresses.historyPush({ address, change: 'added' });
+    } else if (wasWithdraw && !isWithdraw) {
+      change.$push = withdrawAddresses.historyPush({ address, change: 'removed' });
+    }
+  }
+
+  const updated = await User.findOneAndUpdate({ _id: user._id, wallets: { $elemMatch: match } }, { $set, ...change }, { new: true });
+  if (!updated) throw new LinkedWalletError('Wallet changed meanwhile, please try again', 'WALLET_CHANGED', 409);
+  if (protection?.token) await withdrawAddresses.sendConfirmation(user, address, protection.token);
+  return syncPointers(user._id);
+}
+
+async function remove(user, address) {
+  const current = findWallet(user, address);
+  const updated = await User.findOneAndUpdate(
+    { _id: user._id, 'wallets.address': address },
+    {
+      $pull: { wallets: { address } },
+      ...(current && allows(current, 'withdraw') ? { $push: withdrawAddresses.historyPush({ address, change: 'removed' }) } : {})
+    },
+    { new: true }
+  );
+  if (!updated) throw new LinkedWalletError('Wallet not linked to your account', 'NOT_FOUND', 404);
+  console.log(`🔗 [WALLETS] ${user.email} removed ${address}`);
+  return syncPointers(user._id);
+}
+
+// Record that a wallet was just used for a deposit or withdrawal. Best effort: callers run it
+// after the money moved, so a failure is only logged rather than failing the request.
+async function touch(userId, address) {
+  try {
+    await User.updateOne({ _id: userId, 'wallets.address': address }, { $set: { 'wallets.$.lastUsed': new Date() } });
+  } catch (error) {
+    console.error(`❌ [WALLETS] Failed to record the use of ${address}: ${error.message}`);
+  }
+}
+
+// What clients see of the linked wallets
+function view(user) {
+  return (user.wallets || []).map((wallet) => ({
+    address: wallet.address,
+    label: wallet.label || null,
+    role: wallet.role,
+    verified: !!wallet.proof?.verifiedAt,
+    verifiedAt: wallet.proof?.verifiedAt || null,
+    createdAt: wallet.createdAt,
+    lastUsed: wallet.lastUsed || null,
+    primary: wallet.address === user.solanaAddress,
+    withdrawDefault: wallet.address === user.withdrawAddress,
+    exchange: exchangeWallets.exchangeOf(wallet),
+    ...(allows(wallet, 'withdraw') ? withdrawAddresses.status(wallet) : {})
+  }));
+}
+
+module.exports = {
+  ROLES,
+  LinkedWalletError,
+  findWallet,
+  linkedFilter,
+  link,
+  update,
+  remove,
+  touch,
+  syncPointers,
+  setWithdrawDefault,
+  view
+};
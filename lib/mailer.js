@@ -0,0 +1,102 @@
+// Outgoing mail through a pluggable transport, picked with MAIL_TRANSPORT:
+//   console  (default outside production) log it, for development
+//   smtp     hand it to the SMTP server at SMTP_HOST:SMTP_PORT (a local relay: no auth, no TLS)
+//   file     append each message to MAIL_FILE (mail-outbox.log); not on Netlify, whose
+//            filesystem is read-only
+// With NODE_ENV=production it must be set: sending is refused rather than logging mail, which
+// would reach no one and put confirmation links in the logs.
+// registerTransport(name, send) adds another one; send(message) resolves once it is accepted.
+// Messages are { to, subject, text }, from MAIL_FROM.
+const fs = require('fs');
+const net = require('net');
+const os = require('os');
+
+const SMTP_TIMEOUT_MS = 10000;
+
+const transports = {
+  file: async (message) => {
+    const file = process.env.MAIL_FILE || 'mail-outbox.log';
+    await fs.promises.appendFile(file, `${JSON.stringify({ ...message, sentAt: new Date().toISOString() })}\n`);
+  },
+  console: async (message) => {
+    console.log(`📧 [MAIL] To: ${message.to}\nSubject: ${message.subject}\n\n${message.text}`);
+  },
+  smtp: (message) => smtpSend(message)
+};
+
+function registerTransport(name, send) {
+  transports[name] = send;
+}
+
+function rfc822(message) {
+  const body = message.text.replace(/\r?\n/g, '\r\n').replace(/^\./gm, '..'); // dot-stuffing
+  return [
+    `From: ${message.from}`,
+    `To: ${message.to}`,
+    `Subject: ${message.subject}`,
+    `Date: ${new Date().toUTCString()}`,
+    'MIME-Version: 1.0',
+    'Content-Type: text/plain; charset=utf-8',
+    '',
+    body
+  ].join('\r\n');
+}
+
+// Minimal SMTP conversation: each command waits for its reply code before the next is sent
+function smtpSend(message) {
+  const host = process.env.SMTP_HOST || 'localhost';
+  const port = parseInt(process.env.SMTP_PORT, 10) || 25;
+  const steps = [
+    [null, 220],
+    [`EHLO ${os.hostname()}`, 250],
+    [`MAIL FROM:<${message.from.replace(/^.*<|>.*$/g, '')}>`, 250],
+    [`RCPT TO:<${message.to}>`, 250],
+    ['DATA', 354],
+    [`${rfc822(message)}\r\n.`, 250],
+    ['QUIT', 221]
+  ];
+
+  return new Promise((resolve, reject) => {
+    const socket = net.createConnection({ host, port });
+    let buffer = '';
+    let step = 0;
+    const fail = (error) => {
+      socket.destroy();
+      reject(error);
+    };
+    socket.setTimeout(SMTP_TIMEOUT_MS, () => fail(new Error(`SMTP ${host}:${port} timed out`)));
+    socket.on('error', fail);
+    socket.on('data', (chunk) => {
+      buffer += chunk.toString();
+      // A reply is complete on its last line: "250 text" (continuation lines are "250-text")
+      const lines = buffer.split('\r\n');
+      const last = lines.reverse().find((line) => /^\d{3} /.test(line));
+      if (!last) return;
+      buffer = '';
+
+      const [, expected] = steps[step];
+      if (parseInt(last, 10) !== expected) return fail(new Error(`SMTP error: ${last}`));
+      step++;
+      if (step === steps.length) {
+        socket.end();
+        return resolve();
+      }
+      socket.write(`${steps[step][0]}\r\n`);
+    });
+  });
+}
+
+// Send { to, subject, text } with the configured transport
+async function send(message) {
+  const name = process.env.MAIL_TRANSPORT || (process.env.NODE_ENV === 'production' ? null : 'console');
+  if (!name) throw new Error('MAIL_TRANSPORT must be set in production');
+  const transport = transports[name];
+  if (!transport) throw new Error(`Unknown mail transport: ${name}`);
+  await transport({ from: process.env.MAIL_FROM || 'Primimus <no-reply@primimus.com>', ...message });
+  console.log(`📧 [MAIL] Sent "${message.subject}" to ${message.to} (${name})`);
+}
+
+module.exports = {
+  registerTransport,
+  send
+};
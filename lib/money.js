@@ -0,0 +1,109 @@
+// Money utilities. Every stored amount (balances, transaction amounts) is an integer number
+// of micro-USDC: USDC base units with 6 decimals. 1 game token = 1 USDC = 1,000,000 micro.
+//
+// Integers stay exact in a JS Number up to 2^53 micro (~9 billion USDC), so arithmetic on
+// stored values is plain + and -. Convert at the edges only: parse() for request input,
+// fromBaseUnits() for on-chain amounts, format() for API responses and logs.
+const DECIMALS = 6;
+const MICRO_PER_USDC = 1000000;
+
+const DECIMAL_PATTERN = /^(-)?(\d+)(?:\.(\d+))?$/;
+
+function isMicro(value) {
+  return Number.isSafeInteger(value);
+}
+
+function assertMicro(value) {
+  if (!isMicro(value)) {
+    throw new TypeError(`Invalid micro-USDC amount: ${value}`);
+  }
+  return value;
+}
+
+// Parse a decimal amount ("12.5", 12.5) into micro-USDC. Returns null if the input isn't a
+// plain decimal, has more than maxDecimals fraction digits or is out of range.
+function parse(value, maxDecimals = DECIMALS) {
+  let text;
+  if (typeof value === 'number') {
+    if (!Number.isFinite(value)) return null;
+    text = String(value);
+  } else if (typeof value === 'string') {
+    text = value.trim();
+  } else {
+    return null;
+  }
+
+  const match = DECIMAL_PATTERN.exec(text);
+  if (!match) return null;
+
+  const [, sign, whole, fraction = ''] = match;
+  if (fraction.length > Math.min(maxDecimals, DECIMALS)) return null;
+
+  const micro = Number(whole) * MICRO_PER_USDC + Number(fraction.padEnd(DECIMALS, '0'));
+  if (!isMicro(micro)) return null;
+  return sign ? -micro : micro;
+}
+
+// Format micro-USDC as a decimal string, trimming trailing zeros down to minDecimals
+// (12500000 → "12.50", 1 → "0.000001")
+function format(micro, minDecimals = 2) {
+  assertMicro(micro);
+  const sign = micro < 0 ? '-' : '';
+  const abs = Math.abs(micro);
+  const whole = Math.floor(abs / MICRO_PER_USDC);
+  let fraction = String(abs % MICRO_PER_USDC).padStart(DECIMALS, '0');
+  while (fraction.length > minDecimals && fraction.endsWith('0')) {
+    fraction = fraction.slice(0, -1);
+  }
+  return fraction ? `${sign}${whole}.${fraction}` : `${sign}${whole}`;
+}
+
+// Raw SPL token amount (string, bigint or BN from uiTokenAmount.amount / instruction data)
+// to micro-USDC. USDC has 6 decimals, so base units are already micro.
+function fromBaseUnits(raw) {
+  return assertMicro(Number(raw.toString()));
+}
+
+// micro-USDC to the BigInt expected by SPL token transfer instructions
+function toBaseUnits(micro) {
+  return BigInt(assertMicro(micro));
+}
+
+// Legacy float amount (whole USDC) to micro-USDC, rounding away float drift. Used by the
+// migration and for amounts that only exist as floats (e.g. uiAmount).
+function fromDecimal(value) {
+  return assertMicro(Math.round(Number(value) * MICRO_PER_USDC));
+}
+
+// micro-USDC to a float number of USDC, for display math only. Never store the result.
+function toDecimal(micro) {
+  return assertMicro(micro) / MICRO_PER_USDC;
+}
+
+function add(...amounts) {
+  return assertMicro(amounts.reduce((total, amount) => total + assertMicro(amount), 0));
+}
+
+function subtract(a, b) {
+  return assertMicro(assertMicro(a) - assertMicro(b));
+}
+
+// Fraction of an amount in basis points (1 bp = 0.01%), rounded down to whole micro-USDC
+function multiplyBps(micro, bps) {
+  return Math.floor(assertMicro(micro) * bps / 10000);
+}
+
+module.exports = {
+  DECIMALS,
+  MICRO_PER_USDC,
+  isMicro,
+  parse,
+  format,
+  fromBaseUnits,
+  toBaseUnits,
+  fromDecimal,
+  toDecimal,
+  add,
+  subtract,
+  multiplyBps
+};
@@ -0,0 +1,407 @@
+// Monitoring: server.js runs these checks every MONITOR_INTERVAL_SECONDS (default 60) and turns
+// what fails into alerts:
+//   treasury_sol       the hot wallet's SOL for fees is under MONITOR_MIN_SOL (default 0.1);
+//                      critical under a tenth of it
+//   usdc_reserves      USDC in the hot wallet and cold address is under what users are owed, their
+//                      balances plus pending withdrawals (see lib/proof-of-reserves.js); critical
+//   hot_wallet_usdc    the hot wallet is empty, or holds less than the queued withdrawals send
+//   deposit_scanner    no successful deposit scan for MONITOR_SCANNER_LAG_MINUTES (default 10)
+//   withdrawal_queue   a withdrawal has waited to be paid for MONITOR_WITHDRAWAL_AGE_MINUTES
+//                      (default 30)
+//   rpc_errors         over MONITOR_RPC_ERROR_PERCENT (default 20) of this process's RPC requests
+//                      failed in the last 5 minutes; critical when all did
+// The scanner and queue checks are critical at three times their threshold. Failed RPC requests
+// are those rpcFetch() saw end in a network error, a 429 or a 5xx: a JSON-RPC error is the
+// request's own. A check that can't run (say the RPC is down) leaves its alert as it was.
+//
+// Alerts are kept in the alerts collection, at most one open per check, so a problem that lasts
+// is reported once rather than every run. Notifications go out when an alert opens, when it
+// escalates from warning to critical, every MONITOR_REMIND_HOURS (default 6, 0 for never) while
+// it stays open, and when its check passes again. Each goes to every notifier in
+// MONITOR_NOTIFIERS (comma-separated, default file):
+//   webhook  POST it as JSON to MONITOR_WEBHOOK_URL (its text field suits chat webhooks)
+//   email    mail it to MONITOR_EMAIL_TO (comma-separated) through lib/mailer.js
+//   file     append it as a line of JSON to MONITOR_FILE (monitor-alerts.log), for tests and
+//            development
+// registerNotifier(name, notify) adds another one; notify(notification) resolves once it is
+// delivered. A notifier that fails is logged, not retried.
+const fs = require('fs');
+const { LAMPORTS_PER_SOL } = require('@solana/web3.js');
+const Alert = require('../netlify/functions/alert-schema.js');
+const mailer = require('./mailer.js');
+const money = require('./money.js');
+const proofOfReserves = require('./proof-of-reserves.js');
+const treasury = require('./treasury.js');
+const withdrawalQueue = require('./withdrawal-queue.js');
+
+// A number from the environment; fallback when unset or not a number
+const setting = (name, fallback) => {
+  const value = Number(process.env[name]);
+  return process.env[name] && Number.isFinite(value) ? value : fallback;
+};
+
+const INTERVAL_MS = setting('MONITOR_INTERVAL_SECONDS', 60) * 1000;
+const REMIND_MS = setting('MONITOR_REMIND_HOURS', 6) * 60 * 60 * 1000;
+const THRESHOLDS = {
+  minSol: setting('MONITOR_MIN_SOL', 0.1),
+  scannerLagMs: setting('MONITOR_SCANNER_LAG_MINUTES', 10) * 60 * 1000,
+  withdrawalAgeMs: setting('MONITOR_WITHDRAWAL_AGE_MINUTES', 30) * 60 * 1000,
+  rpcErrorPercent: setting('MONITOR_RPC_ERROR_PERCENT', 20)
+};
+const CRITICAL_FACTOR = 3; // scanner lag and queue age: critical at this times the threshold
+const RPC_WINDOW_MS = 5 * 60 * 1000;
+const RPC_MIN_REQUESTS = 20; // fewer tell nothing about the error rate
+const NOTIFY_TIMEOUT_MS = 10000;
+const LIST_LIMIT = 50;
+
+const list = (value) => (value || '').split(',').map((entry) => entry.trim()).filter(Boolean);
+const minutes = (ms) => Math.round(ms / 60000);
+
+// RPC requests and failures per minute, for the error rate
+const rpcMinutes = new Map();
+
+function countRpc(failed) {
+  const minute = Math.floor(Date.now() / 60000);
+  const bucket = rpcMinutes.get(minute) || { requests: 0, errors: 0 };
+  bucket.requests++;
+  if (failed) bucket.errors++;
+  rpcMinutes.set(minute, bucket);
+}
+
+// fetch for a Connection's config ({ fetch: monitoring.rpcFetch }), counting its requests
+async function rpcFetch(url, options) {
+  try {
+    const response = await fetch(url, options);
+    countRpc(response.status === 429 || response.status >= 500);
+    return response;
+  } catch (error) {
+    countRpc(true);
+    throw error;
+  }
+}
+
+// Requests and failures over the window
+function rpcStats() {
+  const since = Math.floor((Date.now() - RPC_WINDOW_MS) / 60000);
+  let requests = 0;
+  let errors = 0;
+  for (const [minute, bucket] of rpcMinutes) {
+    if (minute < since) {
+      rpcMinutes.delete(minute);
+    } else {
+      requests += bucket.requests;
+      errors += bucket.errors;
+    }
+  }
+  return { requests, errors };
+}
+
+const passed = (summary, details) => ({ ok: true, summary, details });
+const failed = (severity, summary, details) => ({ ok: false, severity, summary, details });
+
+// Each check's run(context) resolves to passed() or failed(), or null when it doesn't apply
+// (nothing to check yet); context: { connection, hotAddress, depositScanner, hotUsdc() }
+const CHECKS = [
+  {
+    name: 'treasury_sol',
+    title: 'Treasury SOL for fees',
+    async run({ connection, hotAddress }) {
+      if (!hotAddress) return null;
+      const sol = (await connection.getBalance(hotAddress)) / LAMPORTS_PER_SOL;
+      const details = { address: hotAddress.toString(), sol, minimum: THRESHOLDS.minSol };
+      if (sol >= THRESHOLDS.minSol) return passed(`${sol} SOL for fees`, details);
+      return failed(
+        sol < THRESHOLDS.minSol / 10 ? 'critical' : 'warning',
+        `The hot wallet has ${sol} SOL for fees, under ${THRESHOLDS.minSol} SOL: send SOL to ${hotAddress}`,
+        details
+      );
+    }
+  },
+  {
+    name: 'usdc_reserves',
+    title: 'USDC reserves',
+    async run({ connection, hotAddress, hotUsdc }) {
+      if (!hotAddress) return null;
+      const [hot, cold, owed] = await Promise.all([
+        hotUsdc(),
+        treasury.COLD_ADDRESS ? treasury.usdcBalance(connection, treasury.COLD_ADDRESS) : 0,
+        proofOfReserves.currentLiabilities()
+      ]);
+      const reserves = hot + cold;
+      const details = {
+        hot: money.format(hot),
+        cold: money.format(cold),
+        reserves: money.format(reserves),
+        balances: money.format(owed.balances),
+        pendingWithdrawals: money.format(owed.pendingWithdrawals),
+        liabilities: money.format(owed.total)
+      };
+      const summary = `${money.format(reserves)} USDC held for ${money.format(owed.total)} USDC owed`;
+      if (reserves >= owed.total) return passed(summary, details);
+      return failed('critical', `${summary}, ${money.format(owed.total - reserves)} USDC short`, details);
+    }
+  },
+  {
+    name: 'hot_wallet_usdc',
+    title: 'Hot wallet USDC',
+    async run({ hotAddress, hotUsdc }) {
+      if (!hotAddress) return null;
+      const [hot, { queued }] = await Promise.all([hotUsdc(), withdrawalQueue.queueStats()]);
+      const details = { address: hotAddress.toString(), hot: money.format(hot), queued: queued.count, queuedAmount: money.format(queued.amount) };
+      if (hot === 0) {
+        return failed('warning', `The hot wallet has no USDC: top it up from the cold address or send USDC to ${hotAddress}`, details);
+      }
+      if (hot < queued.amount) {
+        return failed(
+          'warning',
+          `The hot wallet holds ${money.format(hot)} USDC for ${queued.count} queued withdrawals sending ${money.format(queued.amount)} USDC: top it up from the cold address`,
+          details
+        );
+      }
+      return passed(`${money.format(hot)} USDC in the hot wallet, ${money.format(queued.amount)} USDC queued`, details);
+    }
+  },
+  {
+    name: 'deposit_scanner',
+    title: 'Deposit scanner',
+    async run({ depositScanner }) {
+      if (!depositScanner) return null;
+      const status = await depositScanner.status();
+      const details = {
+        lastSuccessAt: status.lastSuccessAt,
+        backlogSignatures: status.lag.backlogSignatures,
+        slotsSinceCheckpoint: status.lag.slotsSinceCheckpoint,
+        lastError: status.lastError?.message || null
+      };
+      // One that has never succeeded is only late once this process has been up long enough
+      const lag = status.lastSuccessAt
+        ? Date.now() - new Date(status.lastSuccessAt).getTime()
+        : status.lastRunAt ? process.uptime() * 1000 : null;
+      if (lag === null) return null;
+      if (lag < THRESHOLDS.scannerLagMs) return passed(`Last successful scan ${minutes(lag)} minutes ago`, details);
+      return failed(
+        lag >= THRESHOLDS.scannerLagMs * CRITICAL_FACTOR ? 'critical' : 'warning',
+        `No successful deposit scan for ${minutes(lag)} minutes, ${status.lag.backlogSignatures ?? 0} signatures behind${details.lastError ? `; last error: ${details.lastError}` : ''}`,
+        details
+      );
+    }
+  },
+  {
+    name: 'withdrawal_queue',
+    title: 'Withdrawal queue',
+    async run() {
+      const { queued, sent } = await withdrawalQueue.queueStats();
+      const count = queued.count + sent.count;
+      const oldest = [queued.since, sent.since].filter(Boolean).map((since) => new Date(since).getTime());
+      const age = oldest.length > 0 ? Date.now() - Math.min(...oldest) : 0;
+      const details = { queued: queued.count, sent: sent.count, oldestMinutes: minutes(age) };
+      if (age < THRESHOLDS.withdrawalAgeMs) return passed(`${count} withdrawals waiting, the oldest for ${minutes(age)} minutes`, details);
+      return failed(
+        age >= THRESHOLDS.withdrawalAgeMs * CRITICAL_FACTOR ? 'critical' : 'warning',
+        `The oldest of ${count} withdrawals waiting to be paid has waited ${minutes(age)} minutes`,
+        details
+      );
+    }
+  },
+  {
+    name: 'rpc_errors',
+    title: 'RPC errors',
+    async run() {
+      const { requests, errors } = rpcStats();
+      if (requests < RPC_MIN_REQUESTS) return null;
+      const percent = Math.round((errors / requests) * 100);
+      const details = { requests, errors, percent, windowMinutes: minutes(RPC_WINDOW_MS) };
+      const summary = `${errors} of ${requests} RPC requests failed in the last ${minutes(RPC_WINDOW_MS)} minutes (${percent}%)`;
+      if (percent <= THRESHOLDS.rpcErrorPercent) return passed(summary, details);
+      return failed(errors === requests ? 'critical' : 'warning', summary, details);
+    }
+  }
+];
+
+const titleOf = (name) => CHECKS.find((check) => check.name === name)?.title || name;
+
+function alertView(alert) {
+  return {
+    id: alert._id.toString(),
+    check: alert.check,
+    title: titleOf(alert.check),
+    severity: alert.severity,
+    state: alert.state,
+    summary: alert.summary,
+    details: alert.details || null,
+    occurrences: alert.occurrences,
+    openedAt: alert.openedAt,
+    lastSeenAt: alert.lastSeenAt,
+    notifiedAt: alert.notifiedAt || null,
+    resolvedAt: alert.resolvedAt || null,
+    resolution: alert.resolution || null
+  };
+}
+
+function notificationText(event, alert) {
+  if (event === 'resolved') return `[RESOLVED] ${alert.title}: ${alert.resolution}`;
+  const note = event === 'reminder' ? ' (still open)' : event === 'escalated' ? ' (escalated)' : '';
+  return `[${alert.severity.toUpperCase()}] ${alert.title}: ${alert.summary}${note}`;
+}
+
+function emailText({ event, alert }) {
+  return [
+    event === 'resolved' ? alert.resolution : alert.summary,
+    '',
+    `Check: ${alert.check}`,
+    `Severity: ${alert.severity}`,
+    `Opened: ${new Date(alert.openedAt).toISOString()}`,
+    ...(alert.resolvedAt ? [`Resolved: ${new Date(alert.resolvedAt).toISOString()}`] : []),
+    `Failed runs: ${alert.occurrences}`,
+    '',
+    JSON.stringify(alert.details, null, 2)
+  ].join('\n');
+}
+
+const notifiers = {
+  webhook: async (notification) => {
+    if (!process.env.MONITOR_WEBHOOK_URL) throw new Error('MONITOR_WEBHOOK_URL is not set');
+    const response = await fetch(process.env.MONITOR_WEBHOOK_URL, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(notification),
+      signal: AbortSignal.timeout(NOTIFY_TIMEOUT_MS)
+    });
+    if (!response.ok) throw new Error(`Webhook responded with ${response.status}`);
+  },
+  email: async (notification) => {
+    const recipients = list(process.env.MONITOR_EMAIL_TO);
+    if (recipients.length === 0) throw new Error('MONITOR_EMAIL_TO is not set');
+    for (const to of recipients) {
+      await mailer.send({ to, subject: notification.text, text: emailText(notification) });
+    }
+  },
+  file: async (notification) => {
+    const file = process.env.MONITOR_FILE || 'monitor-alerts.log';
+    await fs.promises.appendFile(file, `${JSON.stringify(notification)}\n`);
+  }
+};
+
+function registerNotifier(name, notify) {
+  notifiers[name] = notify;
+}
+
+// Send event ('opened', 'escalated', 'reminder' or 'resolved') about alert to every notifier
+async function notify(event, alert) {
+  const view = alertView(alert);
+  const notification = { event, text: notificationText(event, view), alert: view, sentAt: new Date().toISOString() };
+  console.log(`${event === 'resolved' ? '✅' : '🚨'} [MONITOR] ${notification.text}`);
+  for (const name of list(process.env.MONITOR_NOTIFIERS || 'file')) {
+    try {
+      if (!notifiers[name]) throw new Error('unknown notifier');
+      await notifiers[name](notification);
+    } catch (error) {
+      console.error(`❌ [MONITOR] Notifier ${name} failed:`, error.message);
+    }
+  }
+}
+
+// Open, update or resolve check's alert for its result. Conditional updates keep two servers
+// from sending the same notification.
+async function record(check, result, now) {
+  if (result.ok) {
+    const resolved = await Alert.findOneAndUpdate(
+      { check: check.name, state: 'open' },
+      { $set: { state: 'resolved', resolvedAt: now, resolution: result.summary } },
+      { new: true }
+    );
+    if (resolved) await notify('resolved', resolved);
+    return;
+  }
+
+  const open = await Alert.findOne({ check: check.name, state: 'open' });
+  if (!open) {
+    let alert;
+    try {
+      alert = await Alert.create({
+        check: check.name,
+        severity: result.severity,
+        summary: result.summary,
+        details: result.details,
+        openedAt: now,
+        lastSeenAt: now,
+        notifiedAt: now
+      });
+    } catch (error) {
+      if (error.code === 11000) return; // another server opened it first
+      throw error;
+    }
+    await notify('opened', alert);
+    return;
+  }
+
+  const escalated = open.severity === 'warning' && result.severity === 'critical';
+  const remind = !escalated && REMIND_MS > 0 && now - open.notifiedAt >= REMIND_MS;
+  const alert = await Alert.findOneAndUpdate(
+    { _id: open._id, state: 'open', notifiedAt: open.notifiedAt },
+    {
+      $set: {
+        severity: result.severity,
+        summary: result.summary,
+        details: result.details,
+        lastSeenAt: now,
+        ...(escalated || remind ? { notifiedAt: now } : {})
+      },
+      $inc: { occurrences: 1 }
+    },
+    { new: true }
+  );
+  if (alert && (escalated || remind)) await notify(escalated ? 'escalated' : 'reminder', alert);
+}
+
+let latest = { checkedAt: null, checks: [] };
+
+// Run every check and record its alert. hotAddress: the treasury signer's PublicKey and
+// depositScanner (lib/deposit-scanner.js), each null when there is none yet. Resolves to
+// { checkedAt, checks: [{ name, title, status (ok, warning, critical, skipped or error), summary, details }] }.
+async function run(connection, { hotAddress = null, depositScanner = null } = {}) {
+  let hotBalance = null;
+  const context = {
+    connection,
+    hotAddress,
+    depositScanner,
+    // Shared by the checks that need it, so it is fetched once a run
+    hotUsdc: () => hotBalance || (hotBalance = treasury.usdcBalance(connection, hotAddress))
+  };
+  const now = new Date();
+  const checks = [];
+  for (const check of CHECKS) {
+    const { name, title } = check;
+    try {
+      const result = await check.run(context);
+      if (!result) {
+        checks.push({ name, title, status: 'skipped', summary: null, details: null });
+        continue;
+      }
+      await record(check, result, now);
+      checks.push({ name, title, status: result.ok ? 'ok' : result.severity, summary: result.summary, details: result.details });
+    } catch (error) {
+      console.error(`❌ [MONITOR] ${title} check failed:`, error.message);
+      checks.push({ name, title, status: 'error', summary: error.message, details: null });
+    }
+  }
+  latest = { checkedAt: now, checks };
+  return latest;
+}
+
+// The last run's results, the open alerts and the latest resolved ones (newest first)
+async function status({ limit = LIST_LIMIT } = {}) {
+  const [open, resolved] = await Promise.all([
+    Alert.find({ state: 'open' }).sort({ openedAt: -1 }),
+    Alert.find({ state: 'resolved' }).sort({ resolvedAt: -1 }).limit(Math.min(limit, LIST_LIMIT))
+  ]);
+  return { ...latest, open: open.map(alertView), resolved: resolved.map(alertView) };
+}
+
+module.exports = {
+  INTERVAL_MS,
+  rpcFetch,
+  registerNotifier,
+  run,
+  status
+};
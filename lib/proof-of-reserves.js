@@ -0,0 +1,342 @@
+// Proof of reserves: each period the house publishes what it holds on-chain (the hot wallet and
+// the cold address, see lib/treasury.js) against what it owes players, committed to as a Merkle
+// sum tree so every player can check their balance was counted without seeing anyone else's.
+//
+// A user's liability is their balance plus their pending withdrawals (debited, not sent yet);
+// users owed nothing are left out. Leaves are in user id order. Hashes are hex SHA-256, sums
+// micro-USDC integers:
+//   leaf = H(`leaf:${userId}:${liability}:${salt}`)                       sum = liability
+//   node = H(`node:${left.hash}:${left.sum}:${right.hash}:${right.sum}`)   sum = left.sum + right.sum
+// A level's odd last node moves up unchanged; an empty tree's root is H('empty') with sum 0. The
+// root's sum is the total liabilities, so a leaf can't be dropped or shrunk without changing the
+// published root or total. A user's proof is the sibling of every node on the path from their
+// leaf to the root, bottom up, as { side, hash, sum } (side: where the sibling sits); see
+// verifyProof().
+//
+// server.js takes a snapshot every PROOF_OF_RESERVES_INTERVAL_HOURS (default 24), and admins can
+// take one by hand. Balances and pending withdrawals are read at one instant, in a snapshot
+// transaction, so a withdrawal requested meanwhile is counted once: either still in the balance
+// or already pending. The on-chain reserves are read after. An attempt first reserves its period
+// with a pending snapshot, a lease of SNAPSHOT_LEASE_MS that a later attempt takes over if this
+// one dies, and tags its leaves with its attempt id; only the attempt that still holds the
+// period publishes it, and only its leaves are read.
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const User = require('../netlify/functions/user-schema.js');
+const GameTransaction = require('../netlify/functions/transaction-schema.js');
+const ReserveSnapshot = require('../netlify/functions/reserve-snapshot-schema.js');
+const LiabilityLeaf = require('../netlify/functions/liability-leaf-schema.js');
+const auditLog = require('./audit-log.js');
+const money = require('./money.js');
+const treasury = require('./treasury.js');
+
+const INTERVAL_MS = (Number(process.env.PROOF_OF_RESERVES_INTERVAL_HOURS) || 24) * 60 * 60 * 1000;
+const INSERT_BATCH = 1000;
+const LIST_LIMIT = 100;
+const SNAPSHOT_LEASE_MS = 15 * 60 * 1000;
+const PUBLISHED = { state: { $ne: 'pending' } };
+
+class ProofOfReservesError extends Error {
+  constructor(message, code, statusCode) {
+    super(message);
+    this.name = 'ProofOfReservesError';
+    this.code = code;
+    this.statusCode = statusCode;
+  }
+}
+
+const snapshotInProgress = () => new ProofOfReservesError('A proof of reserves snapshot is already being taken', 'SNAPSHOT_IN_PROGRESS', 409);
+
+const sha256 = (text) => crypto.createHash('sha256').update(text).digest('hex');
+
+const EMPTY_ROOT = sha256('empty');
+
+function leafHash({ userId, liability, salt }) {
+  return sha256(`leaf:${userId}:${liability}:${salt}`);
+}
+
+function parent(left, right) {
+  return {
+    hash: sha256(`node:${left.hash}:${left.sum}:${right.hash}:${right.sum}`),
+    sum: left.sum + right.sum
+  };
+}
+
+// Every level of the tree over nodes ({ hash, sum }), the leaves first and the root last
+function buildLevels(nodes) {
+  const levels = [nodes];
+  while (levels[levels.length - 1].length > 1) {
+    const level = levels[levels.length - 1];
+    const next = [];
+    for (let i = 0; i < level.length; i += 2) {
+      next.push(i + 1 < level.length ? parent(level[i], level[i + 1]) : level[i]);
+    }
+    levels.push(next);
+  }
+  return levels;
+}
+
+function rootOf(levels) {
+  const top = levels[levels.length - 1];
+  return top.length > 0 ? top[0] : { hash: EMPTY_ROOT, sum: 0 };
+}
+
+// Siblings on the path from the leaf at index to the root
+function proofPath(levels, index) {
+  const path = [];
+  for (let depth = 0; depth < levels.length - 1; depth++) {
+    const sibling = index ^ 1;
+    const node = levels[depth][sibling];
+    if (node) path.push({ side: sibling < index ? 'left' : 'right', hash: node.hash, sum: node.sum });
+    index = Math.floor(index / 2);
+  }
+  return path;
+}
+
+// Whether proof leads from leaf ({ userId, liability, salt }) to root ({ hash, sum })
+function verifyProof({ leaf, proof, root }) {
+  let node = { hash: leafHash(leaf), sum: leaf.liability };
+  for (const sibling of proof) {
+    node = sibling.side === 'left' ? parent(sibling, node) : parent(node, sibling);
+  }
+  return node.hash === root.hash && node.sum === root.sum;
+}
+
+// Resolve to read(session), run in a read-only transaction with snapshot read concern so all its
+// queries see the database at the same point in time
+async function atOneInstant(read) {
+  const session = await mongoose.startSession();
+  try {
+    let result;
+    await session.withTransaction(async () => {
+      result = await read(session);
+    }, { readConcern: { level: 'snapshot' } });
+    return result;
+  } finally {
+    await session.endSession();
+  }
+}
+
+// Liabilities per user id, in id order: [{ userId, balance, pendingWithdrawals, liability }]
+function readLiabilities() {
+  return atOneInstant((session) => liabilitiesAt(session));
+}
+
+async function liabilitiesAt(session) {
+  const owed = new Map();
+  const entry = (userId) => {
+    const key = userId.toString();
+    if (!owed.has(key)) owed.set(key, { userId: key, balance: 0, pendingWithdrawals: 0 });
+    return owed.get(key);
+  };
+
+  const users = await User.find({ gameBalance: { $gt: 0 } }, { gameBalance: 1 }).session(session).lean();
+  for (const user of users) entry(user._id).balance = user.gameBalance;
+
+  const withdrawals = await GameTransaction.aggregate([
+    { $match: { type: 'withdraw', status: 'pending' } },
+    { $group: { _id: '$userId', amount: { $sum: '$amount' } } }
+  ]).session(session);
+  for (const { _id, amount } of withdrawals) entry(_id).pendingWithdrawals = amount;
+
+  return [...owed.values()]
+    .map((item) => ({ ...item, liability: item.balance + item.pendingWithdrawals }))
+    .sort((a, b) => (a.userId < b.userId ? -1 : a.userId > b.userId ? 1 : 0));
+}
+
+// What is owed right now, in micro-USDC, without building a tree: { balances, pendingWithdrawals,
+// total }; counted the same way, and read at one instant, like a snapshot's liabilities
+async function currentLiabilities() {
+  const [[users], [withdrawals]] = await atOneInstant(async (session) => [
+    await User.aggregate([
+      { $match: { gameBalance: { $gt: 0 } } },
+      { $group: { _id: null, amount: { $sum: '$gameBalance' } } }
+    ]).session(session),
+    await GameTransaction.aggregate([
+      { $match: { type: 'withdraw', status: 'pending' } },
+      { $group: { _id: null, amount: { $sum: '$amount' } } }
+    ]).session(session)
+  ]);
+  const balances = users?.amount || 0;
+  const pendingWithdrawals = withdrawals?.amount || 0;
+  return { balances, pendingWithdrawals, total: balances + pendingWithdrawals };
+}
+
+// Reserve the next period for attempt, or take over the pending one whose lease ran out.
+// Resolves to the period; rejects with SNAPSHOT_IN_PROGRESS while another attempt holds it.
+async function reservePeriod(attempt) {
+  const latest = await ReserveSnapshot.findOne().sort({ period: -1 });
+  const lockedUntil = new Date(Date.now() + SNAPSHOT_LEASE_MS);
+  if (latest?.state === 'pending') {
+    if (latest.lockedUntil && latest.lockedUntil.getTime() > Date.now()) throw snapshotInProgress();
+    const taken = await ReserveSnapshot.findOneAndUpdate(
+      { _id: latest._id, state: 'pending', attempt: latest.attempt },
+      { $set: { attempt, lockedUntil } }
+    );
+    if (!taken) throw snapshotInProgress();
+    return latest.period;
+  }
+
+  const period = (latest?.period || 0) + 1;
+  try {
+    await ReserveSnapshot.create({ period, state: 'pending', attempt, lockedUntil });
+  } catch (error) {
+    if (error.code === 11000) throw snapshotInProgress();
+    throw error;
+  }
+  return period;
+}
+
+// Take the next period's snapshot: user liabilities, their tree and the on-chain reserves of the
+// hot wallet (hotAddress) and cold address. admin: the User who asked for it, unset for the
+// schedule. Resolves to the ReserveSnapshot; rejects with SNAPSHOT_IN_PROGRESS while another
+// attempt is taking one.
+async function takeSnapshot(connection, { hotAddress, admin }) {
+  const attempt = crypto.randomBytes(8).toString('hex');
+  const period = await reservePeriod(attempt);
+
+  let snapshot;
+  try {
+    const liabilities = await readLiabilities();
+    const [hot, cold] = await Promise.all([
+      treasury.usdcBalance(connection, hotAddress),
+      treasury.COLD_ADDRESS ? treasury.usdcBalance(connection, treasury.COLD_ADDRESS) : null
+    ]);
+
+    const leaves = liabilities.map((item, index) => {
+      const salt = crypto.randomBytes(16).toString('hex');
+      return { ...item, period, attempt, index, salt, hash: leafHash({ ...item, salt }) };
+    });
+    const root = rootOf(buildLevels(leaves.map((leaf) => ({ hash: leaf.hash, sum: leaf.liability }))));
+
+    for (let i = 0; i < leaves.length; i += INSERT_BATCH) {
+      await LiabilityLeaf.insertMany(leaves.slice(i, i + INSERT_BATCH));
+    }
+    snapshot = await ReserveSnapshot.findOneAndUpdate(
+      { period, state: 'pending', attempt },
+      {
+        $set: {
+          state: 'published',
+          root: root.hash,
+          leafCount: leaves.length,
+          liabilities: root.sum,
+          balances: leaves.reduce((sum, leaf) => sum + leaf.balance, 0),
+          pendingWithdrawals: leaves.reduce((sum, leaf) => sum + leaf.pendingWithdrawals, 0),
+          reserves: { hot, cold: cold === null ? undefined : cold, total: hot + (cold || 0) },
+          hotAddress: hotAddress.toString(),
+          coldAddress: treasury.COLD_ADDRESS || undefined,
+          createdAt: new Date()
+        },
+        $unset: { lockedUntil: 1 }
+      },
+      { new: true, runValidators: true }
+    );
+    if (!snapshot) throw snapshotInProgress(); // the lease ran out and another attempt took over
+  } catch (error) {
+    await LiabilityLeaf.deleteMany({ period, attempt });
+    await ReserveSnapshot.deleteOne({ period, state: 'pending', attempt });
+    throw error;
+  }
+  // Leaves of attempts that died before publishing this period
+  await LiabilityLeaf.deleteMany({ period, attempt: { $ne: attempt } });
+
+  await auditLog.record({
+    action: 'reserves.snapshot_taken',
+    actor: admin,
+    subject: { type: 'reserve_snapshot', id: snapshot._id },
+    details: { period, root: snapshot.root, liabilities: money.format(snapshot.liabilities), reserves: money.format(snapshot.reserves.total) }
+  });
+  console.log(`📜 [RESERVES] Period ${period}: ${money.format(snapshot.reserves.total)} USDC in reserves for ${money.format(snapshot.liabilities)} USDC owed to ${snapshot.leafCount} users (root ${snapshot.root})`);
+  return snapshot;
+}
+
+// Whether the latest snapshot is older than the interval, or there is none
+async function snapshotDue() {
+  const latest = await ReserveSnapshot.findOne(PUBLISHED).sort({ period: -1 });
+  return !latest || Date.now() - latest.createdAt.getTime() >= INTERVAL_MS;
+}
+
+// The public report: the latest period and the history of periods, newest first
+async function report({ limit = LIST_LIMIT } = {}) {
+  const snapshots = await ReserveSnapshot.find(PUBLISHED).sort({ period: -1 }).limit(Math.min(limit, LIST_LIMIT));
+  return {
+    latest: snapshots.length > 0 ? view(snapshots[0]) : null,
+    history: snapshots.map(view)
+  };
+}
+
+// userId's inclusion proof in a period (the latest when omitted). Rejects with a
+// ProofOfReservesError when there is no such period or the user was owed nothing in it.
+async function proofFor(userId, { period } = {}) {
+  const snapshot = period
+    ? await ReserveSnapshot.findOne({ ...PUBLISHED, period })
+    : await ReserveSnapshot.findOne(PUBLISHED).sort({ period: -1 });
+  if (!snapshot) {
+    throw new ProofOfReservesError(period ? `No proof of reserves for period ${period}` : 'No proof of reserves has been published yet', 'NOT_FOUND', 404);
+  }
+  const leaf = await LiabilityLeaf.findOne({ period: snapshot.period, attempt: snapshot.attempt, userId });
+  if (!leaf) {
+    throw new ProofOfReservesError(`You were owed nothing in period ${snapshot.period}, so it has no leaf for you`, 'NOT_INCLUDED', 404);
+  }
+
+  const leaves = await LiabilityLeaf.find({ period: snapshot.period, attempt: snapshot.attempt }, { hash: 1, liability: 1 }).sort({ index: 1 }).lean();
+  const levels = buildLevels(leaves.map((item) => ({ hash: item.hash, sum: item.liability })));
+  const root = rootOf(levels);
+  if (root.hash !== snapshot.root || root.sum !== snapshot.liabilities) {
+    throw new Error(`The stored leaves of period ${snapshot.period} don't match its root`);
+  }
+
+  return {
+    period: snapshot.period,
+    takenAt: snapshot.createdAt,
+    root,
+    leaf: { userId: leaf.userId.toString(), liability: leaf.liability, salt: leaf.salt, hash: leaf.hash },
+    proof: proofPath(levels, leaf.index),
+    owed: {
+      balance: money.format(leaf.balance),
+      pendingWithdrawals: money.format(leaf.pendingWithdrawals),
+      total: money.format(leaf.liability)
+    }
+  };
+}
+
+// What everyone sees of a snapshot
+function view(snapshot) {
+  const { liabilities, reserves } = snapshot;
+  return {
+    period: snapshot.period,
+    takenAt: snapshot.createdAt,
+    root: snapshot.root,
+    users: snapshot.leafCount,
+    liabilities: money.format(liabilities),
+    balances: money.format(snapshot.balances),
+    pendingWithdrawals: money.format(snapshot.pendingWithdrawals),
+    reserves: {
+      hot: money.format(reserves.hot),
+      cold: reserves.cold === undefined || reserves.cold === null ? null : money.format(reserves.cold),
+      total: money.format(reserves.total)
+    },
+    hotAddress: snapshot.hotAddress || null,
+    coldAddress: snapshot.coldAddress || null,
+    surplus: money.format(reserves.total - liabilities),
+    ratio: liabilities > 0 ? Math.floor((reserves.total / liabilities) * 10000) / 10000 : null,
+    solvent: reserves.total >= liabilities
+  };
+}
+
+module.exports = {
+  INTERVAL_MS,
+  ProofOfReservesError,
+  EMPTY_ROOT,
+  leafHash,
+  buildLevels,
+  rootOf,
+  proofPath,
+  verifyProof,
+  currentLiabilities,
+  takeSnapshot,
+  snapshotDue,
+  report,
+  proofFor,
+  view
+};
@@ -0,0 +1,215 @@
+// Signing policy of the treasury signer (lib/treasury-signer.js): every transaction is checked
+// before the hot wallet signs it, whichever backend holds the key. From the environment (USDC
+// amounts, 0 for none):
+//   SIGNER_ALLOWED_PROGRAMS       program ids allowed besides compute budget, SPL Token, the
+//                                 associated token account program and Memo, comma-separated
+//   SIGNER_MAX_PER_TRANSACTION    USDC one transaction may send
+//   SIGNER_MAX_DAILY              USDC sent over any 24 hours
+//   SIGNER_ALLOWED_DESTINATIONS   owners (or token accounts) transfers to which are not capped,
+//                                 comma-separated; TREASURY_COLD_ADDRESS always is
+//   SIGNER_DESTINATIONS_ONLY      true to refuse transfers anywhere else (a signer that only sweeps)
+//   SIGNER_STATE_FILE             where the daily total is kept; in memory without one, so it
+//                                 starts over when the process does (which is why Netlify
+//                                 functions may only use the remote signer)
+// SPL Token instructions are limited to transfers out of the hot wallet's USDC account, and the
+// associated token account program to creating accounts. A transfer counts against the daily cap
+// from when it is signed. Once the cap is reached, the signed transactions still counted are
+// looked up over SOLANA_RPC_URL, and those that can't have sent anything stop counting: failed
+// ones, and ones not on chain whose blockhash has expired. A retry of a withdrawal that never
+// landed therefore doesn't count twice. A refusal is a SignerPolicyError; one over the daily cap
+// carries retryAt, when enough of the window has passed for it to fit.
+const fs = require('fs');
+const { Connection, PublicKey, ComputeBudgetProgram } = require('@solana/web3.js');
+const {
+  TOKEN_PROGRAM_ID,
+  ASSOCIATED_TOKEN_PROGRAM_ID,
+  TokenInstruction,
+  decodeInstruction,
+  getAssociatedTokenAddressSync
+} = require('@solana/spl-token');
+const bs58 = require('bs58');
+const money = require('./money.js');
+const { MEMO_PROGRAMS, USDC_MINT } = require('./usdc-deposits.js');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const CREATE_INSTRUCTIONS = [0, 1]; // associated token account program: Create, CreateIdempotent
+const MAX_STATUSES_PER_CALL = 256; // getSignatureStatuses
+
+class SignerPolicyError extends Error {
+  constructor(message, code, statusCode = 403, retryAt = null) {
+    super(message);
+    this.name = 'SignerPolicyError';
+    this.code = code;
+    this.statusCode = statusCode;
+    this.retryAt = retryAt;
+  }
+}
+
+const list = (value) => (value || '').split(',').map((entry) => entry.trim()).filter(Boolean);
+
+function configFromEnv() {
+  return {
+    programs: list(process.env.SIGNER_ALLOWED_PROGRAMS),
+    maxPerTransaction: money.parse(process.env.SIGNER_MAX_PER_TRANSACTION || '0') || 0,
+    maxDaily: money.parse(process.env.SIGNER_MAX_DAILY || '0') || 0,
+    destinations: [...list(process.env.SIGNER_ALLOWED_DESTINATIONS), ...list(process.env.TREASURY_COLD_ADDRESS)],
+    destinationsOnly: process.env.SIGNER_DESTINATIONS_ONLY === 'true',
+    stateFile: process.env.SIGNER_STATE_FILE || null,
+    rpcUrl: process.env.SOLANA_RPC_URL || 'https://api.mainnet-beta.solana.com'
+  };
+}
+
+// A policy for the hot wallet owner (PublicKey): { check(transaction) → resolves to the micro-USDC
+// it sends to capped destinations, record(amount, transaction) once signed, usage() }
+function createPolicy(owner, config = configFromEnv()) {
+  const mint = new PublicKey(USDC_MINT);
+  const source = getAssociatedTokenAddressSync(mint, owner).toBase58();
+  const programs = new Set([
+    ComputeBudgetProgram.programId.toBase58(),
+    TOKEN_PROGRAM_ID.toBase58(),
+    ASSOCIATED_TOKEN_PROGRAM_ID.toBase58(),
+    ...MEMO_PROGRAMS,
+    ...config.programs
+  ]);
+  // Allowed owners stand for their USDC account too
+  const destinations = new Set(config.destinations);
+  for (const address of config.destinations) {
+    try {
+      destinations.add(getAssociatedTokenAddressSync(mint, new PublicKey(address), true).toBase58());
+    } catch (error) {
+      throw new Error(`Invalid address in SIGNER_ALLOWED_DESTINATIONS: ${address}`);
+    }
+  }
+
+  let signed = []; // { at, amount, signature, blockhash, landed }
+  if (config.stateFile && fs.existsSync(config.stateFile)) {
+    signed = JSON.parse(fs.readFileSync(config.stateFile, 'utf8')).signed || [];
+  }
+  const window = () => {
+    const since = Date.now() - DAY_MS;
+    signed = signed.filter((entry) => entry.at > since);
+    return signed;
+  };
+  const usage = () => window().reduce((sum, entry) => sum + entry.amount, 0);
+  let connection = null;
+
+  function save() {
+    if (!config.stateFile) return;
+    fs.writeFileSync(`${config.stateFile}.tmp`, JSON.stringify({ signed }));
+    fs.renameSync(`${config.stateFile}.tmp`, config.stateFile);
+  }
+
+  // Stop counting the signed transactions that can't have sent anything. The blockhashes are
+  // checked before the signatures, so one that lands in between is still found on chain.
+  async function releaseUnlanded() {
+    const pending = window().filter((entry) => entry.signature && !entry.landed);
+    if (pending.length === 0) return;
+    connection = connection || new Connection(config.rpcUrl, 'confirmed');
+
+    const expired = new Set();
+    for (const blockhash of new Set(pending.map((entry) => entry.blockhash))) {
+      const { value: valid } = await connection.isBlockhashValid(blockhash, { commitment: 'processed' });
+      if (!valid) expired.add(blockhash);
+    }
+    const released = new Set();
+    for (let i = 0; i < pending.length; i += MAX_STATUSES_PER_CALL) {
+      const chunk = pending.slice(i, i + MAX_STATUSES_PER_CALL);
+      const { value: statuses } = await connection.getSignatureStatuses(chunk.map((entry) => entry.signature), { searchTransactionHistory: true });
+      chunk.forEach((entry, j) => {
+        if (statuses[j]?.err || (!statuses[j] && expired.has(entry.blockhash))) released.add(entry.signature);
+        else if (statuses[j]) entry.landed = true;
+      });
+    }
+    if (released.size > 0) {
+      signed = signed.filter((entry) => !released.has(entry.signature));
+      console.log(`♻️ [SIGNER POLICY] ${released.size} signed transactions never sent anything, no longer counted`);
+    }
+    save();
+  }
+
+  // micro-USDC a token transfer sends to a capped destination; throws for anything else the
+  // token program could do
+  function tokenTransfer(instruction) {
+    let decoded;
+    try {
+      decoded = decodeInstruction(instruction);
+    } catch (error) {
+      throw new SignerPolicyError('Unrecognised SPL Token instruction', 'TOKEN_INSTRUCTION_NOT_ALLOWED');
+    }
+    const { instruction: type } = decoded.data;
+    if (type !== TokenInstruction.Transfer && type !== TokenInstruction.TransferChecked) {
+      throw new SignerPolicyError(`SPL Token instruction ${type} is not allowed, only transfers`, 'TOKEN_INSTRUCTION_NOT_ALLOWED');
+    }
+    if (decoded.keys.source.pubkey.toBase58() !== source) {
+      throw new SignerPolicyError('Token transfers may only come from the hot wallet\'s USDC account', 'SOURCE_NOT_ALLOWED');
+    }
+    if (type === TokenInstruction.TransferChecked && !decoded.keys.mint.pubkey.equals(mint)) {
+      throw new SignerPolicyError('Only USDC may be transferred', 'MINT_NOT_ALLOWED');
+    }
+
+    const destination = decoded.keys.destination.pubkey.toBase58();
+    if (destinations.has(destination)) return 0;
+    if (config.destinationsOnly) {
+      throw new SignerPolicyError(`Transfers to ${destination} are not allowed`, 'DESTINATION_NOT_ALLOWED');
+    }
+    return money.fromBaseUnits(decoded.data.amount);
+  }
+
+  async function check(transaction) {
+    let capped = 0;
+    for (const instruction of transaction.instructions) {
+      const program = instruction.programId.toBase58();
+      if (!programs.has(program)) {
+        throw new SignerPolicyError(`Program ${program} is not allowed`, 'PROGRAM_NOT_ALLOWED');
+      }
+      if (program === TOKEN_PROGRAM_ID.toBase58()) {
+        capped += tokenTransfer(instruction);
+      } else if (program === ASSOCIATED_TOKEN_PROGRAM_ID.toBase58() && !CREATE_INSTRUCTIONS.includes(instruction.data[0] ?? 0)) {
+        throw new SignerPolicyError('Only creating token accounts is allowed', 'TOKEN_INSTRUCTION_NOT_ALLOWED');
+      }
+    }
+
+    if (config.maxPerTransaction && capped > config.maxPerTransaction) {
+      throw new SignerPolicyError(
+        `${money.format(capped)} USDC is over the ${money.format(config.maxPerTransaction)} USDC limit per transaction`,
+        'TRANSACTION_CAP'
+      );
+    }
+    if (config.maxDaily && capped > 0) {
+      if (usage() + capped > config.maxDaily) {
+        try {
+          await releaseUnlanded();
+        } catch (error) {
+          console.error('⚠️ [SIGNER POLICY] Could not look up signed transactions:', error.message);
+        }
+      }
+      const entries = window();
+      let over = usage() + capped - config.maxDaily;
+      if (over > 0) {
+        // When enough of the oldest transfers leave the window for this one to fit
+        const freed = capped <= config.maxDaily ? entries.find((entry) => (over -= entry.amount) <= 0) : null;
+        throw new SignerPolicyError(
+          `${money.format(capped)} USDC would take the last 24 hours over the ${money.format(config.maxDaily)} USDC daily limit`,
+          'DAILY_CAP',
+          429,
+          freed ? new Date(freed.at + DAY_MS) : null
+        );
+      }
+    }
+    return capped;
+  }
+
+  function record(amount, transaction) {
+    if (!amount) return;
+    window().push({ at: Date.now(), amount, signature: bs58.encode(transaction.signature), blockhash: transaction.recentBlockhash });
+    save();
+  }
+
+  return { check, record, usage };
+}
+
+module.exports = {
+  SignerPolicyError,
+  configFromEnv,
+  createPolicy
+};
@@ -0,0 +1,69 @@
+// Solana Pay transfer requests for deposits (https://docs.solanapay.com/spec#transfer-request).
+//
+// The URL carries the user's own reference key and memo code (lib/deposit-references.js), so the
+// payment is attributed to them whatever wallet pays it. Instead of a one-off findReference
+// call, each user's reference is watched with a checkpointed signature scanner
+// (lib/deposit-scanner.js): every transaction that ever includes the reference is credited once,
+// whether the payment lands while the deposit modal is open or long after.
+const ScannerState = require('../netlify/functions/scanner-state-schema.js');
+const { createSignatureScanner } = require('./deposit-scanner.js');
+const money = require('./money.js');
+const usdcDeposits = require('./usdc-deposits.js');
+
+const LABEL = 'Primimus';
+const MESSAGE = 'Deposit USDC for game tokens';
+const WATCH_MS = 30 * 60 * 1000; // how long a reference is watched after the deposit modal opens
+const SCANNER_PREFIX = 'solana-pay:';
+
+// solana:<recipient>?amount=&spl-token=&reference=&label=&message=&memo=
+// amount is micro-USDC and optional (the wallet asks for it when missing)
+function transferRequestURL({ recipient, amount, splToken = usdcDeposits.USDC_MINT, reference, label = LABEL, message = MESSAGE, memo }) {
+  const params = new URLSearchParams();
+  if (amount) params.append('amount', money.format(amount, 0));
+  if (splToken) params.append('spl-token', splToken);
+  if (reference) params.append('reference', reference);
+  if (label) params.append('label', label);
+  if (message) params.append('message', message);
+  if (memo) params.append('memo', memo);
+  const query = params.toString().replace(/\+/g, '%20'); // the spec wants %20, not form encoding
+  return `solana:${recipient}${query ? `?${query}` : ''}`;
+}
+
+const scannerName = (userId) => `${SCANNER_PREFIX}${userId}`;
+
+// Scanner over the transactions that include the user's Solana Pay reference
+function referenceScanner({ connection, user, processSignature }) {
+  return createSignatureScanner({
+    name: scannerName(user._id),
+    connection,
+    account: user.depositReference,
+    processSignature,
+    maxPerRun: 50,
+    throttleMs: 200
+  });
+}
+
+// Keep watching the user's reference for the next WATCH_MS (server.js polls watched references)
+async function watchReference(userId) {
+  const watchUntil = new Date(Date.now() + WATCH_MS);
+  await ScannerState.updateOne({ _id: scannerName(userId) }, { $set: { watchUntil } }, { upsert: true });
+  return watchUntil;
+}
+
+// User ids whose reference is currently watched
+async function watchedUserIds() {
+  const states = await ScannerState.find({
+    _id: { $regex: `^${SCANNER_PREFIX}` },
+    watchUntil: { $gt: new Date() }
+  }).select('_id').lean();
+  return states.map((state) => state._id.slice(SCANNER_PREFIX.length));
+}
+
+module.exports = {
+  LABEL,
+  WATCH_MS,
+  transferRequestURL,
+  referenceScanner,
+  watchReference,
+  watchedUserIds
+};
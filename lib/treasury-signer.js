@@ -0,0 +1,247 @@
+// Treasury signer: the hot wallet's key behind one interface, whichever backend holds it:
+//   { backend, publicKey, signTransaction(transaction) → the signed Transaction }
+// TREASURY_SIGNER picks the backend:
+//   env       TREASURY_KEYPAIR, the secret key as a bracketed byte array; for development, and
+//             the default when TREASURY_KEYPAIR is set
+//   keystore  TREASURY_KEYSTORE, a key file encrypted with a passphrase (scrypt, AES-256-GCM;
+//             written by scripts/treasury-keystore.js), unlocked with TREASURY_KEYSTORE_PASSPHRASE
+//   remote    a signer process (scripts/treasury-signer.js) at TREASURY_SIGNER_URL: http://host:port,
+//             unix:/path/to.sock, or https:// through a TLS proxy for hosts that can't reach it
+//             directly; authenticated with TREASURY_SIGNER_TOKEN. The key never enters this process.
+// The local backends check every transaction against the signing policy (lib/signer-policy.js)
+// before signing. The signer process checks its own, and its refusals come back here as the same
+// SignerPolicyError; what it returns is only accepted if it signed exactly what was sent.
+const crypto = require('crypto');
+const fs = require('fs');
+const http = require('http');
+const https = require('https');
+const { Keypair, PublicKey, Transaction } = require('@solana/web3.js');
+const { SignerPolicyError, createPolicy } = require('./signer-policy.js');
+
+const KEYSTORE_VERSION = 1;
+const SCRYPT = { N: 1 << 15, r: 8, p: 1, keyLength: 32 };
+const REMOTE_TIMEOUT_MS = 10000;
+const MAX_RESPONSE_BYTES = 64 * 1024;
+
+class SignerError extends Error {
+  constructor(message, code, statusCode = 500) {
+    super(message);
+    this.name = 'SignerError';
+    this.code = code;
+    this.statusCode = statusCode;
+  }
+}
+
+// The key in TREASURY_KEYPAIR's format: [12,34,...]
+function parseKeypair(text) {
+  const bytes = text.replace(/^\[|\]$/g, '').split(',').map((num) => parseInt(num.trim(), 10));
+  return Keypair.fromSecretKey(new Uint8Array(bytes));
+}
+
+const scryptKey = (passphrase, salt, { N, r, p, keyLength }) =>
+  crypto.scryptSync(passphrase, salt, keyLength, { N, r, p, maxmem: 128 * N * r * 2 });
+
+// Keystore file contents for keypair, encrypted with passphrase
+function encryptKeypair(keypair, passphrase) {
+  const salt = crypto.randomBytes(16);
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv('aes-256-gcm', scryptKey(passphrase, salt, SCRYPT), iv);
+  const ciphertext = Buffer.concat([cipher.update(Buffer.from(keypair.secretKey)), cipher.final()]);
+  return {
+    version: KEYSTORE_VERSION,
+    publicKey: keypair.publicKey.toBase58(),
+    kdf: { name: 'scrypt', N: SCRYPT.N, r: SCRYPT.r, p: SCRYPT.p, salt: salt.toString('base64') },
+    cipher: { name: 'aes-256-gcm', iv: iv.toString('base64'), tag: cipher.getAuthTag().toString('base64') },
+    ciphertext: ciphertext.toString('base64')
+  };
+}
+
+// The Keypair in keystore (parsed file contents); throws a SignerError for a wrong passphrase
+function decryptKeystore(keystore, passphrase) {
+  if (keystore.version !== KEYSTORE_VERSION || keystore.kdf?.name !== 'scrypt' || keystore.cipher?.name !== 'aes-256-gcm') {
+    throw new SignerError('Unsupported keystore format', 'KEYSTORE_FORMAT');
+  }
+  const { N, r, p } = keystore.kdf;
+  const key = scryptKey(passphrase, Buffer.from(keystore.kdf.salt, 'base64'), { N, r, p, keyLength: SCRYPT.keyLength });
+  const decipher = crypto.createDecipheriv('aes-256-gcm', key, Buffer.from(keystore.cipher.iv, 'base64'));
+  decipher.setAuthTag(Buffer.from(keystore.cipher.tag, 'base64'));
+  let secretKey;
+  try {
+    secretKey = Buffer.concat([decipher.update(Buffer.from(keystore.ciphertext, 'base64')), decipher.final()]);
+  } catch (error) {
+    throw new SignerError('Wrong keystore passphrase', 'KEYSTORE_LOCKED');
+  }
+  const keypair = Keypair.fromSecretKey(new Uint8Array(secretKey));
+  if (keypair.publicKey.toBase58() !== keystore.publicKey) {
+    throw new SignerError('The keystore\'s key does not match its public key', 'KEYSTORE_FORMAT');
+  }
+  return keypair;
+}
+
+const readKeystore = (path) => JSON.parse(fs.readFileSync(path, 'utf8'));
+
+// Signs with keypair in this process, after policy; one transaction at a time, so two can't
+// both fit in what is left of the daily cap
+function localSigner(backend, keypair, policy = createPolicy(keypair.publicKey)) {
+  let signing = Promise.resolve();
+  return {
+    backend,
+    publicKey: keypair.publicKey,
+    signTransaction(transaction) {
+      const signed = signing.then(async () => {
+        const capped = await policy.check(transaction);
+        transaction.sign(keypair);
+        policy.record(capped, transaction);
+        return transaction;
+      });
+      signing = signed.catch(() => {});
+      return signed;
+    }
+  };
+}
+
+// JSON request to the signer process at url; resolves to { status, body }
+function remoteRequest(url, token, method, path, payload) {
+  const target = url.startsWith('unix:')
+    ? { socketPath: url.slice('unix:'.length) }
+    : (({ hostname, port, pathname }) => ({ hostname, port, base: pathname.replace(/\/$/, '') }))(new URL(url));
+  const transport = url.startsWith('https:') ? https : http;
+  const body = payload === undefined ? null : JSON.stringify(payload);
+
+  return new Promise((resolve, reject) => {
+    const request = transport.request({
+      hostname: target.hostname,
+      port: target.port,
+      socketPath: target.socketPath,
+      method,
+      path: `${target.base || ''}${path}`,
+      timeout: REMOTE_TIMEOUT_MS,
+      headers: {
+        Authorization: `Bearer ${token}`,
+        ...(body ? { 'Content-Type': 'application/json', 'Content-Length': Buffer.byteLength(body) } : {})
+      }
+    }, (response) => {
+      const chunks = [];
+      let size = 0;
+      response.on('data', (chunk) => {
+        size += chunk.length;
+        if (size > MAX_RESPONSE_BYTES) request.destroy(new Error('Signer response too large'));
+        else chunks.push(chunk);
+      });
+      response.on('end', () => {
+        try {
+          resolve({ status: response.statusCode, body: JSON.parse(Buffer.concat(chunks).toString('utf8')) });
+        } catch (error) {
+          reject(new SignerError('Invalid response from the signer process', 'SIGNER_UNAVAILABLE'));
+        }
+      });
+    });
+    request.on('timeout', () => request.destroy(new Error('Signer process timed out')));
+    request.on('error', (error) => reject(new SignerError(`Signer process unreachable: ${error.message}`, 'SIGNER_UNAVAILABLE')));
+    if (body) request.write(body);
+    request.end();
+  });
+}
+
+async function remotePublicKey(url, token) {
+  const { status, body } = await remoteRequest(url, token, 'GET', '/public-key');
+  if (status !== 200) throw new SignerError(`Signer process: ${body.error || status}`, 'SIGNER_UNAVAILABLE');
+  return new PublicKey(body.publicKey);
+}
+
+// Signs through the signer process at url
+async function remoteSigner(url, token) {
+  const publicKey = await remotePublicKey(url, token);
+  return {
+    backend: 'remote',
+    publicKey,
+    async signTransaction(transaction) {
+      const message = transaction.serializeMessage();
+      const { status, body } = await remoteRequest(url, token, 'POST', '/sign', {
+        transaction: transaction.serialize({ requireAllSignatures: false, verifySignatures: false }).toString('base64')
+      });
+      if (status === 403 || status === 429) {
+        throw new SignerPolicyError(body.error, body.code, status, body.retryAt ? new Date(body.retryAt) : null);
+      }
+      if (status !== 200) throw new SignerError(`Signer process: ${body.error || status}`, 'SIGNER_UNAVAILABLE');
+
+      const signed = Transaction.from(Buffer.from(body.transaction, 'base64'));
+      if (!signed.serializeMessage().equals(message) || !signed.verifySignatures()) {
+        throw new SignerError('The signer process returned a different transaction', 'SIGNER_MISMATCH');
+      }
+      return signed;
+    }
+  };
+}
+
+const backendName = () => process.env.TREASURY_SIGNER || (process.env.TREASURY_KEYPAIR ? 'env' : null);
+
+// Signer of the key held in this process (env or keystore backend), for the server and the
+// signer process; null when none is configured
+function loadLocal() {
+  const backend = backendName();
+  if (backend === 'env') {
+    if (!process.env.TREASURY_KEYPAIR) throw new SignerError('TREASURY_KEYPAIR is not set', 'SIGNER_CONFIG');
+    return localSigner('env', parseKeypair(process.env.TREASURY_KEYPAIR));
+  }
+  if (backend === 'keystore') {
+    if (!process.env.TREASURY_KEYSTORE || !process.env.TREASURY_KEYSTORE_PASSPHRASE) {
+      throw new SignerError('TREASURY_KEYSTORE and TREASURY_KEYSTORE_PASSPHRASE must be set', 'SIGNER_CONFIG');
+    }
+    return localSigner('keystore', decryptKeystore(readKeystore(process.env.TREASURY_KEYSTORE), process.env.TREASURY_KEYSTORE_PASSPHRASE));
+  }
+  if (backend && backend !== 'remote') throw new SignerError(`Unknown TREASURY_SIGNER: ${backend}`, 'SIGNER_CONFIG');
+  return null;
+}
+
+let loading = null;
+
+// The configured signer, loaded once: resolves to null when none is configured; rejects with a
+// SignerError when it can't be loaded (the next call tries again). requireRemote refuses the
+// local backends, for the Netlify functions: their instances come and go and share nothing, so
+// the signing policy's daily cap could not hold.
+function load({ requireRemote = false } = {}) {
+  if (!loading) {
+    loading = (async () => {
+      if (backendName() === 'remote') {
+        if (!process.env.TREASURY_SIGNER_URL || !process.env.TREASURY_SIGNER_TOKEN) {
+          throw new SignerError('TREASURY_SIGNER_URL and TREASURY_SIGNER_TOKEN must be set', 'SIGNER_CONFIG');
+        }
+        return remoteSigner(process.env.TREASURY_SIGNER_URL, process.env.TREASURY_SIGNER_TOKEN);
+      }
+      if (requireRemote && backendName()) {
+        throw new SignerError('Only the remote signer can be used here: set TREASURY_SIGNER=remote', 'SIGNER_CONFIG');
+      }
+      return loadLocal();
+    })();
+    loading.catch(() => { loading = null; });
+  }
+  return loading;
+}
+
+// The hot wallet's address without unlocking anything (the keystore keeps it in the clear), for
+// code that only needs the address; null when no signer is configured
+async function address() {
+  switch (backendName()) {
+    case 'env':
+      return parseKeypair(process.env.TREASURY_KEYPAIR || '').publicKey.toBase58();
+    case 'keystore':
+      return readKeystore(process.env.TREASURY_KEYSTORE).publicKey;
+    case 'remote':
+      return (await remotePublicKey(process.env.TREASURY_SIGNER_URL, process.env.TREASURY_SIGNER_TOKEN)).toBase58();
+    default:
+      return null;
+  }
+}
+
+module.exports = {
+  SignerError,
+  SignerPolicyError,
+  parseKeypair,
+  encryptKeypair,
+  decryptKeystore,
+  localSigner,
+  loadLocal,
+  load,
+  address
+};
@@ -0,0 +1,284 @@
+// Hot/cold treasury split. The treasury signer's key (lib/treasury-signer.js) is the hot wallet:
+// deposits go to it and it signs every payout, so the withdrawal queue only ever draws from it.
+// TREASURY_COLD_ADDRESS is a watch-only cold address: its key is never loaded here and funds only
+// ever move into it. The hot wallet's USDC balance is kept between (USDC, 0 for none):
+//   HOT_WALLET_MIN   below it a top-up request is opened for operators, to refill it from cold
+//                    storage up to HOT_WALLET_MAX (or the minimum without one); the request is
+//                    fulfilled once the balance is back over the minimum
+//   HOT_WALLET_MAX   anything above it is swept to the cold address
+// enforcePolicy() applies both: server.js runs it on an interval, and admins can sweep by hand.
+// Sweeps and top-up requests are kept in the treasurymovements collection, and recorded in the
+// audit log. Top-ups arrive from the cold address and are not deposits (isInternalTransfer).
+const { PublicKey } = require('@solana/web3.js');
+const {
+  getAssociatedTokenAddress,
+  createAssociatedTokenAccountIdempotentInstruction,
+  createTransferCheckedInstruction
+} = require('@solana/spl-token');
+const TreasuryMovement = require('../netlify/functions/treasury-movement-schema.js');
+const auditLog = require('./audit-log.js');
+const feeStrategy = require('./fee-strategy.js');
+const money = require('./money.js');
+const { USDC_MINT } = require('./usdc-deposits.js');
+
+const USDC_DECIMALS = 6;
+const STALE_SWEEP_MS = 10 * 60 * 1000; // every attempt of a pending sweep this old has expired
+const LANDED = ['confirmed', 'finalized'];
+const LIST_LIMIT = 200;
+
+const setting = (name) => money.parse(process.env[name] || '0') || 0;
+const POLICY = { min: setting('HOT_WALLET_MIN'), max: setting('HOT_WALLET_MAX') };
+
+const COLD_ADDRESS = (() => {
+  if (!process.env.TREASURY_COLD_ADDRESS) return null;
+  try {
+    return new PublicKey(process.env.TREASURY_COLD_ADDRESS).toString();
+  } catch (error) {
+    console.error('❌ [TREASURY] TREASURY_COLD_ADDRESS is not a valid address, sweeping is off');
+    return null;
+  }
+})();
+
+class TreasuryError extends Error {
+  constructor(message, code, statusCode) {
+    super(message);
+    this.name = 'TreasuryError';
+    this.code = code;
+    this.statusCode = statusCode;
+  }
+}
+
+// USDC (micro-USDC) in owner's token account, 0 when it doesn't exist yet. RPC errors reject,
+// so an outage isn't taken for an empty wallet.
+async function usdcBalance(connection, owner) {
+  const account = await getAssociatedTokenAddress(new PublicKey(USDC_MINT), new PublicKey(owner.toString()));
+  if (!(await connection.getAccountInfo(account))) return 0;
+  const { value } = await connection.getTokenAccountBalance(account);
+  return money.fromBaseUnits(value.amount);
+}
+
+// Whether a parsed deposit (lib/usdc-deposits.js) only moves funds between treasury wallets,
+// i.e. is a top-up from the cold address
+function isInternalTransfer(deposit) {
+  return !!COLD_ADDRESS && deposit.senders.length > 0 && deposit.senders.every((sender) => sender.owner === COLD_ADDRESS);
+}
+
+// Settle pending sweeps old enough that none of their attempts can still land: completed if one
+// did, else failed
+async function settleStaleSweeps(connection) {
+  const stale = await TreasuryMovement.find({ kind: 'sweep', state: 'pending', createdAt: { $lt: new Date(Date.now() - STALE_SWEEP_MS) } });
+  for (const sweep of stale) {
+    const signatures = sweep.signatures || [];
+    const { value } = signatures.length > 0
+      ? await connection.getSignatureStatuses(signatures, { searchTransactionHistory: true })
+      : { value: [] };
+    const index = value.findIndex((status) => status && !status.err && LANDED.includes(status.confirmationStatus));
+    const update = index >= 0
+      ? { state: 'completed', signature: signatures[index], resolvedAt: new Date() }
+      : { state: 'failed', lastError: 'Interrupted before any attempt landed', resolvedAt: new Date() };
+    await TreasuryMovement.updateOne({ _id: sweep._id, state: 'pending' }, { $set: update });
+    if (update.signature) {
+      await auditLog.record({
+        action: 'treasury.swept',
+        subject: { type: 'treasury_movement', id: sweep._id },
+        details: { amount: money.format(sweep.amount), toAddress: sweep.toAddress, signature: update.signature, settledLate: true }
+      });
+    }
+    console.log(`🧹 [TREASURY] Interrupted sweep ${sweep._id} settled as ${update.state}`);
+  }
+}
+
+// Send amount (micro-USDC) from the hot wallet (signer) to the cold address. admin: the User who
+// asked for it, unset for the policy. Resolves to the completed movement; rejects with a
+// TreasuryError, or with the send error. A sweep that failed after a transaction went out stays
+// pending, since it may still land, until settleStaleSweeps() can tell. Only one sweep may be
+// pending (a unique index): starting another is refused with SWEEP_IN_PROGRESS.
+async function sweep(connection, { signer, amount, admin, note }) {
+  if (!COLD_ADDRESS) throw new TreasuryError('No cold address configured (TREASURY_COLD_ADDRESS)', 'NO_COLD_ADDRESS', 400);
+  if (COLD_ADDRESS === signer.publicKey.toString()) {
+    throw new TreasuryError('The cold address must not be the hot wallet', 'NO_COLD_ADDRESS', 400);
+  }
+  if (!Number.isSafeInteger(amount) || amount <= 0) throw new TreasuryError('Invalid sweep amount', 'INVALID_AMOUNT', 400);
+  const hotBalance = await usdcBalance(connection, signer.publicKey);
+  if (amount > hotBalance) {
+    throw new TreasuryError(`The hot wallet only holds ${money.format(hotBalance)} USDC`, 'INSUFFICIENT_HOT_BALANCE', 400);
+  }
+
+  let movement;
+  try {
+    movement = await TreasuryMovement.create({
+      kind: 'sweep',
+      state: 'pending',
+      amount,
+      hotBalance,
+      fromAddress: signer.publicKey.toString(),
+      toAddress: COLD_ADDRESS,
+      actorEmail: admin?.email,
+      note
+    });
+  } catch (error) {
+    if (error.code === 11000) throw new TreasuryError('A sweep is already in progress', 'SWEEP_IN_PROGRESS', 409);
+    throw error;
+  }
+
+  const mint = new PublicKey(USDC_MINT);
+  const cold = new PublicKey(COLD_ADDRESS);
+  const source = await getAssociatedTokenAddress(mint, signer.publicKey);
+  const destination = await getAssociatedTokenAddress(mint, cold);
+  let sent = false;
+  try {
+    const { signature } = await feeStrategy.sendAndConfirm(connection, {
+      instructions: [
+        createAssociatedTokenAccountIdempotentInstruction(signer.publicKey, destination, cold, mint),
+        createTransferCheckedInstruction(source, mint, destination, signer.publicKey, money.toBaseUnits(amount), USDC_DECIMALS)
+      ],
+      signer,
+      accounts: [source, destination],
+      onSend: (signature) => {
+        sent = true;
+        return TreasuryMovement.updateOne({ _id: movement._id }, { $push: { signatures: signature } });
+      }
+    });
+    const completed = await TreasuryMovement.findByIdAndUpdate(
+      movement._id,
+      { $set: { state: 'completed', signature, resolvedAt: new Date() } },
+      { new: true }
+    );
+    await auditLog.record({
+      action: 'treasury.swept',
+      actor: admin,
+      subject: { type: 'treasury_movement', id: movement._id },
+      reason: note,
+      details: { amount: money.format(amount), hotBalance: money.format(hotBalance), toAddress: COLD_ADDRESS, signature }
+    });
+    console.log(`🧹 [TREASURY] Swept ${money.format(amount)} USDC to cold storage (${signature})`);
+    return completed;
+  } catch (error) {
+    await TreasuryMovement.updateOne({ _id: movement._id }, {
+      $set: sent ? { lastError: error.message } : { state: 'failed', lastError: error.message, resolvedAt: new Date() }
+    });
+    console.error(`❌ [TREASURY] Sweep of ${money.format(amount)} USDC failed: ${error.message}`);
+    throw error;
+  }
+}
+
+// Open a top-up request when the balance of the hot wallet (hotAddress) is under the minimum,
+// fulfil the open one once it is back over it. Resolves to the open request, if any.
+async function checkTopUp(hotBalance, hotAddress) {
+  const open = await TreasuryMovement.findOne({ kind: 'top_up', state: 'open' });
+  if (open && hotBalance >= POLICY.min) {
+    await TreasuryMovement.updateOne({ _id: open._id, state: 'open' }, { $set: { state: 'fulfilled', resolvedAt: new Date() } });
+    console.log(`✅ [TREASURY] Top-up request ${open._id} fulfilled: hot wallet holds ${money.format(hotBalance)} USDC`);
+    return null;
+  }
+  if (open || !POLICY.min || hotBalance >= POLICY.min) return open;
+
+  const request = await TreasuryMovement.create({
+    kind: 'top_up',
+    state: 'open',
+    amount: (POLICY.max || POLICY.min) - hotBalance,
+    hotBalance,
+    fromAddress: COLD_ADDRESS || undefined,
+    toAddress: hotAddress
+  });
+  await auditLog.record({
+    action: 'treasury.top_up_requested',
+    subject: { type: 'treasury_movement', id: request._id },
+    details: { amount: money.format(request.amount), hotBalance: money.format(hotBalance), minimum: money.format(POLICY.min) }
+  });
+  console.log(`⚠️ [TREASURY] Hot wallet below its minimum (${money.format(hotBalance)} < ${money.format(POLICY.min)} USDC): top-up of ${money.format(request.amount)} USDC requested`);
+  return request;
+}
+
+// Apply the hot wallet policy once. Resolves to { hotBalance, swept, topUp } (swept: the sweep
+// made now, topUp: the open top-up request).
+async function enforcePolicy(connection, { signer }) {
+  await settleStaleSweeps(connection);
+  let hotBalance = await usdcBalance(connection, signer.publicKey);
+
+  let swept = null;
+  if (POLICY.max && COLD_ADDRESS && hotBalance > POLICY.max) {
+    try {
+      swept = await sweep(connection, { signer, amount: hotBalance - POLICY.max, note: `Above the ${money.format(POLICY.max)} USDC maximum` });
+      hotBalance -= swept.amount;
+    } catch (error) {
+      if (error.code !== 'SWEEP_IN_PROGRESS') throw error; // the pending one is settled later
+    }
+  }
+  const topUp = await checkTopUp(hotBalance, signer.publicKey.toString());
+  return { hotBalance, swept, topUp };
+}
+
+// Admin: close an open top-up request without it being fulfilled
+async function cancelTopUp({ id, admin, note }) {
+  const request = await TreasuryMovement.findOneAndUpdate(
+    { _id: id, kind: 'top_up', state: 'open' },
+    { $set: { state: 'cancelled', actorEmail: admin.email, note, resolvedAt: new Date() } },
+    { new: true }
+  );
+  if (!request) throw new TreasuryError('No open top-up request with this id', 'NOT_FOUND', 404);
+  await auditLog.record({
+    action: 'treasury.top_up_cancelled',
+    actor: admin,
+    subject: { type: 'treasury_movement', id: request._id },
+    reason: note
+  });
+  return request;
+}
+
+// Hot and cold balances with the policy, the sweep in progress and the open top-up request
+async function status(connection, hotAddress) {
+  const [hot, cold, pendingSweep, openTopUp] = await Promise.all([
+    usdcBalance(connection, hotAddress),
+    COLD_ADDRESS ? usdcBalance(connection, COLD_ADDRESS) : null,
+    TreasuryMovement.findOne({ kind: 'sweep', state: 'pending' }),
+    TreasuryMovement.findOne({ kind: 'top_up', state: 'open' })
+  ]);
+  return {
+    hot: { address: hotAddress.toString(), balance: money.format(hot) },
+    cold: COLD_ADDRESS ? { address: COLD_ADDRESS, balance: money.format(cold) } : null,
+    policy: { min: POLICY.min ? money.format(POLICY.min) : null, max: POLICY.max ? money.format(POLICY.max) : null },
+    pendingSweep: pendingSweep ? view(pendingSweep) : null,
+    openTopUp: openTopUp ? view(openTopUp) : null
+  };
+}
+
+// Sweeps and/or top-up requests, newest first (kind: 'sweep' | 'top_up' | 'all')
+function history({ kind = 'all', limit = LIST_LIMIT } = {}) {
+  const filter = kind === 'all' ? {} : { kind };
+  return TreasuryMovement.find(filter).sort({ createdAt: -1 }).limit(Math.min(limit, LIST_LIMIT));
+}
+
+// What admins see of a movement
+function view(movement) {
+  return {
+    id: movement._id,
+    kind: movement.kind,
+    state: movement.state,
+    amount: money.format(movement.amount),
+    hotBalance: movement.hotBalance === undefined ? null : money.format(movement.hotBalance),
+    fromAddress: movement.fromAddress || null,
+    toAddress: movement.toAddress || null,
+    signature: movement.signature || null,
+    signatures: movement.signatures || [],
+    lastError: movement.lastError || null,
+    actor: movement.actorEmail || 'system',
+    note: movement.note || null,
+    createdAt: movement.createdAt,
+    resolvedAt: movement.resolvedAt || null
+  };
+}
+
+module.exports = {
+  POLICY,
+  COLD_ADDRESS,
+  TreasuryError,
+  usdcBalance,
+  isInternalTransfer,
+  sweep,
+  enforcePolicy,
+  cancelTopUp,
+  status,
+  history,
+  view
+};
@@ -0,0 +1,260 @@
+// Unclaimed deposit inbox. USDC the scanners found but couldn't attribute (unknown sender, a
+// wallet linked by several accounts, several payers and no deposit reference) is parked in the
+// unclaimeddeposits collection by lib/deposit-crediting.js until:
+//   - its owner claims it by signing claimMessage() with the sending wallet: credited at once
+//   - a user says it carried their memo or reference: that is public on-chain, so the claim is
+//     only filed on the entry for an admin to review
+//   - an admin assigns it to a user, or refunds it to a wallet
+// Crediting goes through depositLifecycle.recordDeposit, which takes the entry out of the inbox
+// atomically, and refunding takes it the same way, so a deposit is credited or refunded once.
+// A refund whose transaction went out stays refunding, since it may still land, until
+// settleRefunds() finds one of its signatures on-chain (refunded) or sees that none can land
+// (back to unclaimed). It is posted to the ledger when it is marked refunded.
+const { PublicKey } = require('@solana/web3.js');
+const GameTransaction = require('../netlify/functions/transaction-schema.js');
+const UnclaimedDeposit = require('../netlify/functions/unclaimed-deposit-schema.js');
+const balanceService = require('./balance-service.js');
+const depositLifecycle = require('./deposit-lifecycle.js');
+const feeSchedule = require('./fee-schedule.js');
+const ledger = require('./ledger.js');
+const money = require('./money.js');
+const { verifyWalletSignature } = require('./wallet-signatures.js');
+
+const MIN_REFERENCE_LENGTH = 4;
+const REVIEW_LIMIT = 100;
+const STALE_REFUND_MS = 10 * 60 * 1000; // every attempt of a refund this old has expired
+const LANDED = ['confirmed', 'finalized'];
+
+class UnclaimedDepositError extends Error {
+  constructor(message, code, statusCode) {
+    super(message);
+    this.name = 'UnclaimedDepositError';
+    this.code = code;
+    this.statusCode = statusCode;
+  }
+}
+
+const notFound = () => new UnclaimedDepositError('No unclaimed deposit with this transaction signature', 'NOT_FOUND', 404);
+const alreadyResolved = () => new UnclaimedDepositError('This deposit was already claimed or refunded', 'ALREADY_RESOLVED', 409);
+
+// The message the sending wallet signs to claim a deposit for an account
+function claimMessage(signature, userId) {
+  return `Primimus deposit claim\nTransaction: ${signature}\nAccount: ${userId}`;
+}
+
+// What a user is shown of an inbox entry
+function summary(deposit, userId) {
+  return {
+    signature: deposit.signature,
+    amount: money.format(deposit.amount),
+    sender: deposit.sender || null,
+    status: deposit.status,
+    blockTime: deposit.blockTime || null,
+    claimRequested: deposit.claimRequests.some((request) => request.userId.equals(userId)),
+    claimMessage: deposit.sender ? claimMessage(deposit.signature, userId) : null
+  };
+}
+
+async function findUnclaimed(signature) {
+  const deposit = await UnclaimedDeposit.findOne({ signature });
+  if (!deposit) throw notFound();
+  if (deposit.status !== 'unclaimed') throw alreadyResolved();
+  return deposit;
+}
+
+function credit(connection, deposit, userId, { claimMethod, attribution }) {
+  return depositLifecycle.recordDeposit(connection, {
+    userId,
+    signature: deposit.signature,
+    claimMethod,
+    gross: deposit.amount,
+    tokens: feeSchedule.depositQuote(deposit.amount).net,
+    slot: deposit.slot,
+    blockTime: deposit.blockTime ? deposit.blockTime.getTime() / 1000 : undefined,
+    transaction: { fromAddress: deposit.sender, toAddress: deposit.toAddress, attribution }
+  });
+}
+
+// Inbox entry by signature, as seen by userId
+async function lookup(signature, userId) {
+  const deposit = await UnclaimedDeposit.findOne({ signature });
+  if (!deposit) throw notFound();
+  return summary(deposit, userId);
+}
+
+// Claim with walletSignature, the sending wallet's base64 signature of claimMessage().
+// Resolves to depositLifecycle.recordDeposit's result plus the entry.
+async function claimWithSignature(connection, { user, signature, walletSignature }) {
+  const deposit = await findUnclaimed(signature);
+  if (!deposit.sender) {
+    throw new UnclaimedDepositError('Several wallets paid this deposit, claim it with its memo or reference instead', 'NO_SINGLE_SENDER', 400);
+  }
+  if (!verifyWalletSignature(deposit.sender, claimMessage(signature, user._id), walletSignature)) {
+    throw new UnclaimedDepositError('The signature is not from the wallet that sent this deposit', 'INVALID_SIGNATURE', 400);
+  }
+
+  const result = await credit(connection, deposit, user._id, { claimMethod: 'signature', attribution: 'claim' });
+  console.log(`✅ [UNCLAIMED] ${signature} claimed by ${user.email} with a wallet signature (${result.state})`);
+  return { ...result, deposit };
+}
+
+// File a claim by the memo text or reference key the deposit carried, for an admin to review
+async function requestReview({ user, signature, reference }) {
+  const deposit = await findUnclaimed(signature);
+  const text = String(reference || '').trim();
+  if (text.length < MIN_REFERENCE_LENGTH) {
+    throw new UnclaimedDepositError('Enter the memo or reference the deposit was sent with', 'INVALID_REFERENCE', 400);
+  }
+  const carried = deposit.accounts.includes(text) ||
+    deposit.memos.some((memo) => memo.toUpperCase().includes(text.toUpperCase()));
+  if (!carried) {
+    throw new UnclaimedDepositError('This deposit does not carry that memo or reference', 'REFERENCE_MISMATCH', 400);
+  }
+
+  await UnclaimedDeposit.updateOne(
+    { _id: deposit._id, status: 'unclaimed', 'claimRequests.userId': { $ne: user._id } },
+    { $push: { claimRequests: { userId: user._id, reference: text } } }
+  );
+  console.log(`📨 [UNCLAIMED] ${user.email} asked for ${signature} by reference, waiting for review`);
+  return summary(await UnclaimedDeposit.findById(deposit._id), user._id);
+}
+
+// Admin review queue, newest first
+function reviewQueue({ status = 'unclaimed', limit = REVIEW_LIMIT } = {}) {
+  return UnclaimedDeposit.find(status === 'all' ? {} : { status })
+    .sort({ createdAt: -1 })
+    .limit(Math.min(limit, REVIEW_LIMIT))
+    .populate('claimRequests.userId', 'email name')
+    .populate('userId', 'email name')
+    .populate('resolvedBy', 'email');
+}
+
+// Admin: credit the deposit to userId
+async function assign(connection, { signature, userId, admin, note }) {
+  const deposit = await findUnclaimed(signature);
+  const result = await credit(connection, deposit, userId, { claimMethod: 'admin', attribution: 'admin' });
+  await UnclaimedDeposit.updateOne({ _id: deposit._id }, { $set: { resolvedBy: admin._id, note } });
+  console.log(`✅ [UNCLAIMED] ${signature} assigned to user ${userId} by ${admin.email} (${result.state})`);
+  return { ...result, deposit };
+}
+
+// Mark a refunding entry refunded by refundTxHash and post it to the ledger, in one atomic step.
+// Resolves to the updated entry, or null when it was no longer refunding.
+function markRefunded(deposit, refundTxHash) {
+  return balanceService.runAtomic(async (session) => {
+    const refunded = await UnclaimedDeposit.findOneAndUpdate(
+      { _id: deposit._id, status: 'refunding' },
+      { $set: { status: 'refunded', refundTxHash, resolvedAt: new Date() } },
+      { new: true, session }
+    );
+    if (!refunded) return null;
+    await ledger.post(ledger.depositRefundEntry(deposit.amount), {
+      memo: `Refund of unclaimed deposit ${deposit.signature}: ${refundTxHash}`,
+      session
+    });
+    return refunded;
+  });
+}
+
+// Admin: send the deposit back, to address or else its sender. send(address, amount, { onSend })
+// transfers micro-USDC from the treasury, calling onSend(signature) before each attempt goes out,
+// and resolves to the signature that landed. A refund that failed after an attempt went out
+// stays refunding until settleRefunds() can tell; it is refused with REFUND_UNCONFIRMED.
+async function refund({ signature, admin, address, note, send }) {
+  const deposit = await findUnclaimed(signature);
+  const destination = address || deposit.sender;
+  if (!destination) {
+    throw new UnclaimedDepositError('Several wallets paid this deposit, give the address to refund', 'REFUND_ADDRESS_REQUIRED', 400);
+  }
+  try {
+    new PublicKey(destination);
+  } catch (error) {
+    throw new UnclaimedDepositError('Invalid refund address', 'INVALID_ADDRESS', 400);
+  }
+
+  const taken = await UnclaimedDeposit.findOneAndUpdate(
+    { _id: deposit._id, status: 'unclaimed' },
+    {
+      $set: { status: 'refunding', refundAddress: destination, refundStartedAt: new Date(), refundSignatures: [], resolvedBy: admin._id, note },
+      $unset: { lastError: 1 }
+    }
+  );
+  if (!taken) throw alreadyResolved();
+
+  // Recorded by manual verification after it was parked: that user has it
+  const recorded = await GameTransaction.findOne({ solanaTxHash: signature });
+  if (recorded) {
+    await UnclaimedDeposit.updateOne({ _id: deposit._id }, {
+      $set: { status: 'credited', userId: recorded.userId, claimMethod: 'verification', resolvedAt: new Date() }
+    });
+    throw alreadyResolved();
+  }
+
+  let sent = false;
+  let refundTxHash;
+  try {
+    refundTxHash = await send(destination, deposit.amount, {
+      onSend: (attempt) => {
+        sent = true;
+        return UnclaimedDeposit.updateOne({ _id: deposit._id }, { $push: { refundSignatures: attempt } });
+      }
+    });
+  } catch (error) {
+    await UnclaimedDeposit.updateOne({ _id: deposit._id, status: 'refunding' }, {
+      $set: sent ? { lastError: error.message } : { status: 'unclaimed', lastError: error.message }
+    });
+    if (!sent) throw error;
+    console.error(`❌ [UNCLAIMED] Refund of ${signature} went out but was not confirmed: ${error.message}`);
+    throw new UnclaimedDepositError(
+      `The refund was sent but not confirmed (${error.message}). It stays refunding until its transaction is settled`,
+      'REFUND_UNCONFIRMED',
+      502
+    );
+  }
+
+  await markRefunded(deposit, refundTxHash);
+  console.log(`↩️ [UNCLAIMED] ${signature} refunded to ${destination} by ${admin.email}: ${refundTxHash}`);
+  return { refundTxHash, refundAddress: destination, amount: deposit.amount };
+}
+
+// Settle refunds left refunding by a failed confirmation or a restart, once every attempt has
+// expired: refunded by the attempt that landed, or back to unclaimed when none did. Resolves to
+// { checked, refunded, reopened }.
+async function settleRefunds(connection) {
+  const counts = { checked: 0, refunded: 0, reopened: 0 };
+  const stale = await UnclaimedDeposit.find({
+    status: 'refunding',
+    refundStartedAt: { $lt: new Date(Date.now() - STALE_REFUND_MS) }
+  });
+  for (const deposit of stale) {
+    counts.checked++;
+    const signatures = deposit.refundSignatures || [];
+    const { value } = signatures.length > 0
+      ? await connection.getSignatureStatuses(signatures, { searchTransactionHistory: true })
+      : { value: [] };
+    const index = value.findIndex((status) => status && !status.err && LANDED.includes(status.confirmationStatus));
+    if (index >= 0) {
+      if (await markRefunded(deposit, signatures[index])) counts.refunded++;
+      console.log(`↩️ [UNCLAIMED] Interrupted refund of ${deposit.signature} settled as refunded (${signatures[index]})`);
+    } else {
+      const reopened = await UnclaimedDeposit.updateOne({ _id: deposit._id, status: 'refunding' }, {
+        $set: { status: 'unclaimed', lastError: 'Refund interrupted before any attempt landed' }
+      });
+      if (reopened.modifiedCount > 0) counts.reopened++;
+      console.log(`↩️ [UNCLAIMED] Interrupted refund of ${deposit.signature} settled as unclaimed`);
+    }
+  }
+  return counts;
+}
+
+module.exports = {
+  UnclaimedDepositError,
+  claimMessage,
+  lookup,
+  claimWithSignature,
+  requestReview,
+  reviewQueue,
+  assign,
+  refund,
+  settleRefunds
+};
@@ -0,0 +1,203 @@
+// USDC deposit detection shared by every deposit path (manual verification, scanners, debug).
+//
+// Works on transactions fetched with getParsedTransaction(sig, { maxSupportedTransactionVersion: 0 })
+// (or the same JSON from the RPC with encoding 'jsonParsed'):
+//   - token balances are matched by accountIndex, never by array position (accounts created or
+//     closed in the transaction only appear on one side)
+//   - only changes to the treasury's own token accounts (its ATAs) count as deposits, so a
+//     transaction that merely mentions the treasury, or pays another account of the treasury
+//     owner, credits nothing
+//   - the amount is the net change of those accounts, so several transfers in one transaction
+//     add up and fees withheld by Token-2022 are not counted
+//   - senders are attributed from transfer instructions, top-level and inner (CPI), for both the
+//     Token and Token-2022 programs; without parsed instructions, from debited balances
+//   - memos and account keys are returned so the deposit can be matched to a user's deposit
+//     reference (see lib/deposit-references.js) before falling back to the sender
+//
+// Amounts are micro-USDC (see lib/money.js); mints are assumed to have 6 decimals.
+const { PublicKey } = require('@solana/web3.js');
+const { getAssociatedTokenAddressSync, TOKEN_PROGRAM_ID, TOKEN_2022_PROGRAM_ID } = require('@solana/spl-token');
+const money = require('./money.js');
+
+const USDC_MINT = 'EPjFWdd5AufqSSqeM2qN1xzybapC8G4wEGGkZwyTDt1v';
+const TOKEN_PROGRAMS = [TOKEN_PROGRAM_ID.toString(), TOKEN_2022_PROGRAM_ID.toString()];
+const TRANSFER_TYPES = ['transfer', 'transferChecked', 'transferCheckedWithFee'];
+const MEMO_PROGRAMS = [
+  'MemoSq4gqABAXKb96qnH8TysNcWxMyWCqXgDLGmfcHr', // SPL Memo v2
+  'Memo1UhkJRfHyvLMcVucJwxXeuD728EqVDDwQDxFMNo' // SPL Memo v1
+];
+
+const toBase58 = (key) => (key && key.pubkey !== undefined ? key.pubkey : key)?.toString();
+
+// The treasury's associated token accounts for each mint, under both token programs
+function treasuryTokenAccounts(treasuryOwner, mints = [USDC_MINT]) {
+  const owner = new PublicKey(treasuryOwner.toString());
+  return mints.flatMap((mint) => TOKEN_PROGRAMS.map((programId) =>
+    getAssociatedTokenAddressSync(new PublicKey(mint), owner, true, new PublicKey(programId)).toString()
+  ));
+}
+
+// Account addresses by index, including accounts loaded from address lookup tables
+function accountKeys(tx) {
+  const { message } = tx.transaction;
+  const listed = message.accountKeys || message.staticAccountKeys || [];
+  const keys = listed.map(toBase58);
+  // Parsed messages already list lookup-table accounts; raw ones leave them in meta.loadedAddresses
+  const parsed = listed.length > 0 && listed[0].pubkey !== undefined;
+  const loaded = tx.meta?.loadedAddresses;
+  if (!parsed && loaded) {
+    keys.push(...(loaded.writable || []).map(toBase58), ...(loaded.readonly || []).map(toBase58));
+  }
+  return keys;
+}
+
+// Every token account of the given mints (all mints when null) whose balance the transaction touched:
+// [{ account, accountIndex, mint, owner, programId, pre, post, change }]
+function tokenBalanceChanges(tx, { mints = [USDC_MINT] } = {}) {
+  const keys = accountKeys(tx);
+  const byIndex = new Map();
+
+  const record = (balance, side) => {
+    if (!byIndex.has(balance.accountIndex)) {
+      byIndex.set(balance.accountIndex, {
+        account: keys[balance.accountIndex],
+        accountIndex: balance.accountIndex,
+        mint: balance.mint,
+        owner: balance.owner || null,
+        programId: balance.programId || null,
+        pre: 0,
+        post: 0
+      });
+    }
+    byIndex.get(balance.accountIndex)[side] = money.fromBaseUnits(balance.uiTokenAmount.amount);
+  };
+
+  (tx.meta?.preTokenBalances || []).forEach((balance) => record(balance, 'pre'));
+  (tx.meta?.postTokenBalances || []).forEach((balance) => record(balance, 'post'));
+
+  return [...byIndex.values()]
+    .filter((entry) => !mints || mints.includes(entry.mint))
+    .map((entry) => ({ ...entry, change: entry.post - entry.pre }))
+    .sort((a, b) => a.accountIndex - b.accountIndex);
+}
+
+// Parsed transfer / transferChecked / transferCheckedWithFee instructions of the given mints,
+// top-level and inner: [{ source, sourceOwner, destination, mint, programId, amount, instructionIndex, inner }]
+function tokenTransfers(tx, { mints = [USDC_MINT] } = {}) {
+  const balances = new Map(tokenBalanceChanges(tx, { mints: null }).map((entry) => [entry.account, entry]));
+  const instructions = [
+    ...(tx.transaction.message.instructions || []).map((ix, index) => ({ ix, index, inner: false })),
+    ...(tx.meta?.innerInstructions || []).flatMap((group) =>
+      group.instructions.map((ix) => ({ ix, index: group.index, inner: true }))
+    )
+  ];
+
+  const transfers = [];
+  for (const { ix, index, inner } of instructions) {
+    const programId = toBase58(ix.programId);
+    const parsed = ix.parsed;
+    if (!TOKEN_PROGRAMS.includes(programId) || !parsed || !TRANSFER_TYPES.includes(parsed.type)) continue;
+
+    const { info } = parsed;
+    const source = balances.get(info.source);
+    const destination = balances.get(info.destination);
+    const mint = info.mint || source?.mint || destination?.mint;
+    if (!mints.includes(mint)) continue;
+
+    const gross = money.fromBaseUnits(info.amount ?? info.tokenAmount.amount);
+    const fee = info.feeAmount ? money.fromBaseUnits(info.feeAmount.amount) : 0;
+    transfers.push({
+      source: info.source,
+      sourceOwner: source?.owner || info.authority || info.multisigAuthority || null,
+      destination: info.destination,
+      mint,
+      programId,
+      amount: gross - fee,
+      instructionIndex: index,
+      inner
+    });
+  }
+  return transfers;
+}
+
+// Text of every Memo-program instruction, top-level and inner
+function memos(tx) {
+  const instructions = [
+    ...(tx.transaction.message.instructions || []),
+    ...(tx.meta?.innerInstructions || []).flatMap((group) => group.instructions)
+  ];
+  return instructions
+    .filter((ix) => MEMO_PROGRAMS.includes(toBase58(ix.programId)) && typeof ix.parsed === 'string')
+    .map((ix) => ix.parsed);
+}
+
+function sumByOwner(items, ownerOf, amountOf) {
+  const totals = new Map();
+  for (const item of items) {
+    const owner = ownerOf(item);
+    totals.set(owner, (totals.get(owner) || 0) + amountOf(item));
+  }
+  return [...totals.entries()]
+    .map(([owner, amount]) => ({ owner, amount }))
+    .filter((sender) => sender.amount > 0)
+    .sort((a, b) => b.amount - a.amount);
+}
+
+// What a transaction deposited into the treasury:
+//   amount      net micro-USDC credited to the treasury's token accounts (0 for failed transactions)
+//   senders     [{ owner, amount }] wallets that paid it, largest first
+//   sender      the paying wallet when there is exactly one, otherwise null
+//   transfers   the individual transfer instructions into the treasury
+//   credits     balance changes of the treasury's token accounts
+//   memos       text of the transaction's memo instructions
+//   accounts    every account key (a Solana Pay reference is an extra read-only key)
+//
+// treasuryAccounts defaults to treasuryTokenAccounts(treasuryOwner).
+function parseUsdcDeposit(tx, { treasuryOwner, treasuryAccounts, mints = [USDC_MINT] } = {}) {
+  const treasury = new Set((treasuryAccounts || treasuryTokenAccounts(treasuryOwner, mints)).map(String));
+  const failed = Boolean(tx.meta?.err);
+
+  const changes = tokenBalanceChanges(tx, { mints });
+  const credits = changes.filter((entry) => treasury.has(entry.account));
+  const amount = failed ? 0 : Math.max(0, credits.reduce((sum, entry) => sum + entry.change, 0));
+
+  const transfers = tokenTransfers(tx, { mints })
+    .filter((transfer) => treasury.has(transfer.destination) && !treasury.has(transfer.source));
+
+  const senders = transfers.length > 0
+    ? sumByOwner(transfers, (transfer) => transfer.sourceOwner, (transfer) => transfer.amount)
+    : sumByOwner(
+      changes.filter((entry) => entry.change < 0 && !treasury.has(entry.account)),
+      (entry) => entry.owner,
+      (entry) => -entry.change
+    );
+
+  // A single sender is credited with what actually arrived (the balances are authoritative)
+  if (senders.length === 1) senders[0].amount = amount;
+
+  return {
+    signature: tx.transaction.signatures?.[0] || null,
+    slot: tx.slot ?? null,
+    blockTime: tx.blockTime ?? null,
+    failed,
+    amount,
+    sender: amount > 0 && senders.length === 1 ? senders[0].owner : null,
+    senders: amount > 0 ? senders : [],
+    transfers,
+    credits,
+    memos: memos(tx),
+    accounts: accountKeys(tx)
+  };
+}
+
+module.exports = {
+  USDC_MINT,
+  TOKEN_PROGRAMS,
+  MEMO_PROGRAMS,
+  treasuryTokenAccounts,
+  accountKeys,
+  tokenBalanceChanges,
+  tokenTransfers,
+  memos,
+  parseUsdcDeposit
+};
@@ -0,0 +1,79 @@
+// Proof that a user controls a wallet before it is linked to their account (see
+// lib/linked-wallets.js).
+// A deposit's transaction hash proves nothing, anyone can read it on-chain, so the server issues
+// a one-time nonce message (createChallenge), the browser wallet signs it (signMessage in
+// Phantom, Solflare, ...) and consumeProof checks the ed25519 signature and burns the nonce.
+const crypto = require('crypto');
+const { PublicKey } = require('@solana/web3.js');
+const WalletChallenge = require('../netlify/functions/wallet-challenge-schema.js');
+const { verifyWalletSignature } = require('./wallet-signatures.js');
+
+const CHALLENGE_TTL_MS = 10 * 60 * 1000;
+
+class WalletProofError extends Error {
+  constructor(message, code, statusCode, address) {
+    super(message);
+    this.name = 'WalletProofError';
+    this.code = code;
+    this.statusCode = statusCode;
+    this.address = address; // wallet the proof is needed for
+  }
+}
+
+function challengeMessage({ address, userId, nonce, issuedAt }) {
+  return [
+    'Primimus wallet verification',
+    'Sign this message to prove you own this wallet. It does not move any funds.',
+    `Wallet: ${address}`,
+    `Account: ${userId}`,
+    `Nonce: ${nonce}`,
+    `Issued: ${issuedAt.toISOString()}`
+  ].join('\n');
+}
+
+// New challenge for userId to sign with address. Resolves to { address, nonce, message, expiresAt }.
+async function createChallenge(userId, address) {
+  try {
+    address = new PublicKey(address).toString();
+  } catch (error) {
+    throw new WalletProofError('Invalid Solana address', 'INVALID_ADDRESS', 400);
+  }
+
+  const nonce = crypto.randomBytes(16).toString('hex');
+  const issuedAt = new Date();
+  const message = challengeMessage({ address, userId, nonce, issuedAt });
+  const expiresAt = new Date(issuedAt.getTime() + CHALLENGE_TTL_MS);
+  await WalletChallenge.create({ userId, address, nonce, message, expiresAt });
+  return { address, nonce, message, expiresAt };
+}
+
+// Check that proof ({ nonce, signature }, the signature base64) shows userId controls address,
+// and burn the nonce. Resolves to { nonce, message, signature, verifiedAt } to keep as the
+// wallet's proof; rejects with a WalletProofError otherwise.
+async function consumeProof(userId, address, proof) {
+  if (!proof?.nonce || !proof?.signature) {
+    throw new WalletProofError(`Sign the verification message with wallet ${address} to prove you own it`, 'WALLET_PROOF_REQUIRED', 400, address);
+  }
+
+  const expired = () => new WalletProofError('Wallet verification expired, please sign a new message', 'CHALLENGE_EXPIRED', 400, address);
+  const challenge = await WalletChallenge.findOne({ nonce: String(proof.nonce), userId, address });
+  if (!challenge || challenge.usedAt || challenge.expiresAt <= new Date()) throw expired();
+
+  if (!verifyWalletSignature(address, challenge.message, proof.signature)) {
+    throw new WalletProofError(`The signature is not from wallet ${address}`, 'INVALID_SIGNATURE', 400, address);
+  }
+
+  const used = await WalletChallenge.findOneAndUpdate(
+    { _id: challenge._id, usedAt: null },
+    { $set: { usedAt: new Date() } }
+  );
+  if (!used) throw expired(); // used concurrently
+
+  return { nonce: challenge.nonce, message: challenge.message, signature: String(proof.signature), verifiedAt: new Date() };
+}
+
+module.exports = {
+  WalletProofError,
+  createChallenge,
+  consumeProof
+};
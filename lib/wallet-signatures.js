@@ -0,0 +1,29 @@
+// Verifying messages signed by a Solana wallet (signMessage in Phantom, Solflare, ...).
+// Wallet keys are ed25519, which Node's crypto verifies natively once the raw 32-byte public
+// key is wrapped in an SPKI header. Signatures travel base64-encoded.
+const crypto = require('crypto');
+const { PublicKey } = require('@solana/web3.js');
+
+const ED25519_SPKI_PREFIX = Buffer.from('302a300506032b6570032100', 'hex');
+const SIGNATURE_BYTES = 64;
+
+function publicKeyObject(address) {
+  const raw = new PublicKey(address).toBuffer();
+  return crypto.createPublicKey({ key: Buffer.concat([ED25519_SPKI_PREFIX, raw]), format: 'der', type: 'spki' });
+}
+
+// Whether signature (base64) is address's signature of the UTF-8 message
+function verifyWalletSignature(address, message, signature) {
+  let bytes;
+  let key;
+  try {
+    bytes = Buffer.from(String(signature || ''), 'base64');
+    key = publicKeyObject(address);
+  } catch (error) {
+    return false; // not a valid address
+  }
+  if (bytes.length !== SIGNATURE_BYTES) return false;
+  return crypto.verify(null, Buffer.from(message, 'utf8'), key, bytes);
+}
+
+module.exports = { verifyWalletSignature };
@@ -0,0 +1,174 @@
+// Withdrawal address protection against a stolen login. A wallet that becomes a withdrawal
+// destination (linked for withdrawals, or switched to a withdrawal role, see
+// lib/linked-wallets.js) can't be withdrawn to until:
+//   - WITHDRAW_ADDRESS_COOLDOWN_HOURS (default 24, 0 for none) have passed, and
+//   - with WITHDRAW_ADDRESS_EMAIL_CONFIRMATION=true, it was confirmed from the link mailed to the
+//     account's email address (lib/mailer.js). Opening the link only shows a page asking, since
+//     mail scanners and link previews open links too; its button POSTs the token back.
+// Every change of withdrawal destinations is kept in User.withdrawAddressHistory. Wallets
+// linked before this carry neither field and stay usable.
+const crypto = require('crypto');
+const User = require('../netlify/functions/user-schema.js');
+const mailer = require('./mailer.js');
+
+const HOUR_MS = 60 * 60 * 1000;
+const COOLDOWN_HOURS = process.env.WITHDRAW_ADDRESS_COOLDOWN_HOURS === undefined
+  ? 24
+  : Number(process.env.WITHDRAW_ADDRESS_COOLDOWN_HOURS) || 0;
+const EMAIL_CONFIRMATION = process.env.WITHDRAW_ADDRESS_EMAIL_CONFIRMATION === 'true';
+const CONFIRMATION_TTL_MS = 48 * HOUR_MS;
+const HISTORY_LIMIT = 50;
+
+class WithdrawAddressError extends Error {
+  constructor(message, code, statusCode, withdrawableAt) {
+    super(message);
+    this.name = 'WithdrawAddressError';
+    this.code = code;
+    this.statusCode = statusCode;
+    this.withdrawableAt = withdrawableAt; // end of the cooldown, for WITHDRAW_ADDRESS_COOLDOWN
+  }
+}
+
+const hashToken = (token) => crypto.createHash('sha256').update(String(token)).digest('hex');
+const invalidToken = () => new WithdrawAddressError('This confirmation link is invalid', 'INVALID_TOKEN', 400);
+const escapeHtml = (text) => String(text).replace(/[&<>"']/g, (char) => `&#${char.charCodeAt(0)};`);
+
+// Linked wallet fields for a wallet that just became a withdrawal destination, and the
+// confirmation token to mail (null without email confirmation)
+function protect(now = new Date()) {
+  const fields = { withdrawableAt: new Date(now.getTime() + COOLDOWN_HOURS * HOUR_MS) };
+  if (!EMAIL_CONFIRMATION) return { fields, token: null };
+
+  const token = crypto.randomBytes(32).toString('hex');
+  fields.confirmation = { tokenHash: hashToken(token), expiresAt: new Date(now.getTime() + CONFIRMATION_TTL_MS) };
+  return { fields, token };
+}
+
+// $push operand adding history entries ({ address, change }), keeping the last HISTORY_LIMIT.
+// change: 'added' | 'removed' (as a withdrawal destination), 'default', 'confirmed'
+function historyPush(...entries) {
+  const at = new Date();
+  return {
+    withdrawAddressHistory: {
+      $each: entries.map((entry) => ({ ...entry, at })),
+      $slice: -HISTORY_LIMIT
+    }
+  };
+}
+
+// Mail the confirmation link for address to the user. A failure is only logged: the wallet
+// stays blocked and can be unlinked and linked again for a new link.
+async function sendConfirmation(user, address, token) {
+  const base = process.env.WALLET_CONFIRM_URL || 'http://localhost:5000/api/user/wallets/confirm';
+  try {
+    await mailer.send({
+      to: user.email,
+      subject: 'Confirm your new withdrawal wallet',
+      text: [
+        `Hi${user.name ? ` ${user.name}` : ''},`,
+        '',
+        `The wallet ${address} was just added as a withdrawal destination to your Primimus account.`,
+        'Withdrawals to it stay blocked until you confirm it here:',
+        '',
+        `${base}?token=${token}`,
+        '',
+        `The link is valid for ${CONFIRMATION_TTL_MS / HOUR_MS} hours. If this wasn't you, don't open it:`,
+        'sign in, unlink the wallet and secure your Google account.'
+      ].join('\n')
+    });
+  } catch (error) {
+    console.error(`❌ [WITHDRAW ADDRESS] Confirmation mail for ${address} to ${user.email} failed:`, error.message);
+  }
+}
+
+// The linked wallet a mailed token belongs to: { user, wallet, tokenHash }. Throws a
+// WithdrawAddressError for an unknown token, or an expired one not used yet.
+async function findConfirmation(token) {
+  if (!token) throw invalidToken();
+  const tokenHash = hashToken(token);
+
+  const user = await User.findOne({ wallets: { $elemMatch: { 'confirmation.tokenHash': tokenHash } } });
+  const wallet = user?.wallets.find((entry) => entry.confirmation?.tokenHash === tokenHash);
+  if (!wallet) throw invalidToken();
+  if (!wallet.confirmation.confirmedAt && wallet.confirmation.expiresAt <= new Date()) {
+    throw new WithdrawAddressError('This confirmation link has expired, unlink the wallet and link it again for a new one', 'TOKEN_EXPIRED', 400);
+  }
+  return { user, wallet, tokenHash };
+}
+
+// Confirm the wallet a mailed token belongs to. Resolves to { user, address }.
+async function confirm(token) {
+  const { user, wallet, tokenHash } = await findConfirmation(token);
+  if (wallet.confirmation.confirmedAt) return { user, address: wallet.address };
+
+  const confirmed = await User.findOneAndUpdate(
+    { _id: user._id, wallets: { $elemMatch: { address: wallet.address, 'confirmation.tokenHash': tokenHash } } },
+    {
+      $set: { 'wallets.$.confirmation.confirmedAt': new Date() },
+      $push: historyPush({ address: wallet.address, change: 'confirmed' })
+    },
+    { new: true }
+  );
+  if (!confirmed) throw invalidToken(); // unlinked meanwhile
+  console.log(`📧 [WITHDRAW ADDRESS] ${user.email} confirmed ${wallet.address}`);
+  return { user: confirmed, address: wallet.address };
+}
+
+// HTML pages of the mailed link, for the server and the Netlify function
+const page = (body) => `<!DOCTYPE html>
+<html><head><meta charset="utf-8"><meta name="viewport" content="width=device-width, initial-scale=1"><title>Confirm withdrawal wallet</title></head>
+<body>${body}</body></html>`;
+
+const messagePage = (text) => page(`<p>${escapeHtml(text)}</p>`);
+
+// What opening the link shows: the wallet, and a button that POSTs the token to confirm it
+async function confirmationPage(token) {
+  const { wallet } = await findConfirmation(token);
+  if (wallet.confirmation.confirmedAt) {
+    return messagePage(`✅ Wallet ${wallet.address} is already confirmed for withdrawals.`);
+  }
+  return page(`<p>Confirm wallet ${escapeHtml(wallet.address)} as a withdrawal destination of your Primimus account?</p>
+<form method="post"><input type="hidden" name="token" value="${escapeHtml(token)}"><button type="submit">Confirm wallet</button></form>
+<p>If you didn't add this wallet, don't confirm it: sign in, unlink it and secure your Google account.</p>`);
+}
+
+// Throw a WithdrawAddressError unless withdrawals to this linked wallet are allowed now
+function assertWithdrawable(wallet) {
+  if (wallet.confirmation?.tokenHash && !wallet.confirmation.confirmedAt) {
+    throw new WithdrawAddressError('Confirm this withdrawal wallet with the link we emailed you first', 'WITHDRAW_ADDRESS_UNCONFIRMED', 403);
+  }
+  if (wallet.withdrawableAt && wallet.withdrawableAt > new Date()) {
+    throw new WithdrawAddressError(
+      `Withdrawals to a newly added wallet are enabled after ${COOLDOWN_HOURS} hours, from ${wallet.withdrawableAt.toISOString()}`,
+      'WITHDRAW_ADDRESS_COOLDOWN',
+      403,
+      wallet.withdrawableAt
+    );
+  }
+}
+
+// What clients see of a wallet's protection
+function status(wallet) {
+  return {
+    withdrawableAt: wallet.withdrawableAt || null,
+    confirmationPending: !!wallet.confirmation?.tokenHash && !wallet.confirmation.confirmedAt
+  };
+}
+
+function historyView(user) {
+  return (user.withdrawAddressHistory || []).map(({ address, change, at }) => ({ address, change, at })).reverse();
+}
+
+module.exports = {
+  COOLDOWN_HOURS,
+  WithdrawAddressError,
+  protect,
+  historyPush,
+  sendConfirmation,
+  confirm,
+  confirmationPage,
+  messagePage,
+  assertWithdrawable,
+  status,
+  historyView
+};
@@ -0,0 +1,199 @@
+// Withdrawal velocity limits: how much a user may withdraw in one request, in the last 24 hours
+// and in the last 7 days (rolling windows). Withdrawals count while pending or completed, not
+// once failed or rejected, since those were refunded. Defaults come from the environment
+// (USDC, 0 for no limit):
+//   WITHDRAW_LIMIT_PER_TRANSACTION  default 10000
+//   WITHDRAW_LIMIT_DAILY            default 20000
+//   WITHDRAW_LIMIT_WEEKLY           default 50000
+// Admins can override any of them per user (User.withdrawLimits); every change is audited.
+// check() is run by withdrawalQueue.requestWithdrawal inside the transaction that reserves the
+// funds, so concurrent requests can't each pass against the same usage.
+const mongoose = require('mongoose');
+const GameTransaction = require('../netlify/functions/transaction-schema.js');
+const User = require('../netlify/functions/user-schema.js');
+const auditLog = require('./audit-log.js');
+const money = require('./money.js');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const WINDOWS = { daily: DAY_MS, weekly: 7 * DAY_MS };
+const LIMITS = ['perTransaction', 'daily', 'weekly'];
+
+const setting = (name, fallback) => money.parse(process.env[name] || fallback) || 0;
+
+const DEFAULT_LIMITS = {
+  perTransaction: setting('WITHDRAW_LIMIT_PER_TRANSACTION', '10000'),
+  daily: setting('WITHDRAW_LIMIT_DAILY', '20000'),
+  weekly: setting('WITHDRAW_LIMIT_WEEKLY', '50000')
+};
+
+class WithdrawalLimitError extends Error {
+  constructor(message, code, statusCode, details = {}) {
+    super(message);
+    this.name = 'WithdrawalLimitError';
+    this.code = code;
+    this.statusCode = statusCode;
+    this.details = details; // { limit, remaining, resetsAt } for the API response
+  }
+}
+
+// Limits in force for user (micro-USDC, 0 = none): the defaults with the user's overrides
+function limitsFor(user) {
+  const limits = { ...DEFAULT_LIMITS };
+  for (const name of LIMITS) {
+    const override = user.withdrawLimits?.[name];
+    if (override !== undefined && override !== null) limits[name] = override;
+  }
+  return limits;
+}
+
+// Withdrawn in each window and the oldest counted withdrawal, after which allowance frees up.
+// Read in session when given.
+async function usage(userId, { session, now = new Date() } = {}) {
+  const since = (window) => new Date(now.getTime() - WINDOWS[window]);
+  const inDay = { $gt: ['$timestamp', since('daily')] };
+  const [totals] = await GameTransaction.aggregate([
+    {
+      $match: {
+        userId: new mongoose.Types.ObjectId(String(userId)),
+        type: 'withdraw',
+        status: { $in: ['pending', 'completed'] },
+        timestamp: { $gt: since('weekly') }
+      }
+    },
+    {
+      $group: {
+        _id: null,
+        weekly: { $sum: '$amount' },
+        weeklyOldest: { $min: '$timestamp' },
+        daily: { $sum: { $cond: [inDay, '$amount', 0] } },
+        dailyOldest: { $min: { $cond: [inDay, '$timestamp', null] } }
+      }
+    }
+  ]).session(session || null);
+  return {
+    daily: { used: totals?.daily || 0, oldest: totals?.dailyOldest || null },
+    weekly: { used: totals?.weekly || 0, oldest: totals?.weeklyOldest || null }
+  };
+}
+
+// Remaining allowance per window (micro-USDC, null when unlimited) and the most that can be
+// withdrawn in one request now
+async function allowance(user, { session } = {}) {
+  const limits = limitsFor(user);
+  const used = await usage(user._id, { session });
+  const result = { limits, windows: {}, maxWithdrawal: limits.perTransaction || null };
+
+  for (const window of Object.keys(WINDOWS)) {
+    const limit = limits[window];
+    const { used: spent, oldest } = used[window];
+    const remaining = limit ? Math.max(0, limit - spent) : null;
+    result.windows[window] = {
+      limit: limit || null,
+      used: spent,
+      remaining,
+      resetsAt: limit && oldest ? new Date(oldest.getTime() + WINDOWS[window]) : null
+    };
+    if (remaining !== null) {
+      result.maxWithdrawal = result.maxWithdrawal === null ? remaining : Math.min(result.maxWithdrawal, remaining);
+    }
+  }
+  return result;
+}
+
+// Throw a WithdrawalLimitError if withdrawing amount now would exceed one of user's limits
+async function check(user, amount, { session } = {}) {
+  const { limits, windows } = await allowance(user, { session });
+  if (limits.perTransaction && amount > limits.perTransaction) {
+    throw new WithdrawalLimitError(
+      `The most you can withdraw at once is ${money.format(limits.perTransaction)} tokens`,
+      'WITHDRAW_LIMIT_TRANSACTION',
+      400,
+      { limit: money.format(limits.perTransaction) }
+    );
+  }
+  for (const [window, label] of [['daily', '24 hours'], ['weekly', '7 days']]) {
+    const { limit, remaining, resetsAt } = windows[window];
+    if (limit && amount > remaining) {
+      throw new WithdrawalLimitError(
+        `This exceeds your withdrawal limit of ${money.format(limit)} tokens per ${label}: ${money.format(remaining)} left`,
+        `WITHDRAW_LIMIT_${window.toUpperCase()}`,
+        429,
+        { limit: money.format(limit), remaining: money.format(remaining), resetsAt }
+      );
+    }
+  }
+}
+
+// What clients see of an allowance
+function view({ limits, windows, maxWithdrawal }) {
+  const amount = (value) => (value === null ? null : money.format(value));
+  return {
+    perTransaction: amount(limits.perTransaction || null),
+    daily: { ...windows.daily, limit: amount(windows.daily.limit), used: amount(windows.daily.used), remaining: amount(windows.daily.remaining) },
+    weekly: { ...windows.weekly, limit: amount(windows.weekly.limit), used: amount(windows.weekly.used), remaining: amount(windows.weekly.remaining) },
+    maxWithdrawal: amount(maxWithdrawal)
+  };
+}
+
+// Limits as USDC strings ("0.00" for none), null where unset
+function formatLimits(limits) {
+  return Object.fromEntries(LIMITS.map((name) => {
+    const value = limits?.[name];
+    return [name, value === undefined || value === null ? null : money.format(value)];
+  }));
+}
+
+// Admin: override userId's limits. overrides maps a limit to a USDC amount ("0" for none) or
+// null to go back to the default; limits left out are unchanged. Resolves to the updated user.
+async function setOverrides({ userId, overrides, admin, reason }) {
+  const $set = {};
+  const $unset = {};
+  for (const name of LIMITS) {
+    if (!(name in overrides)) continue;
+    if (overrides[name] === null || overrides[name] === '') {
+      $unset[`withdrawLimits.${name}`] = '';
+      continue;
+    }
+    const value = money.parse(overrides[name]);
+    if (value === null || value < 0) {
+      throw new WithdrawalLimitError(`Invalid ${name} limit: ${overrides[name]}`, 'INVALID_LIMIT', 400);
+    }
+    $set[`withdrawLimits.${name}`] = value;
+  }
+  if (Object.keys($set).length === 0 && Object.keys($unset).length === 0) {
+    throw new WithdrawalLimitError(`Give at least one of ${LIMITS.join(', ')}`, 'INVALID_LIMIT', 400);
+  }
+
+  const previous = mongoose.isValidObjectId(userId) && await User.findById(userId);
+  if (!previous) throw new WithdrawalLimitError('User not found', 'NOT_FOUND', 404);
+  const update = {};
+  if (Object.keys($set).length > 0) update.$set = $set;
+  if (Object.keys($unset).length > 0) update.$unset = $unset;
+  const user = await User.findByIdAndUpdate(userId, update, { new: true });
+
+  const describe = (limits) => Object.fromEntries(LIMITS.map((name) => {
+    const value = limits?.[name];
+    return [name, value === undefined || value === null ? 'default' : value === 0 ? 'none' : money.format(value)];
+  }));
+  await auditLog.record({
+    action: 'withdraw_limits.updated',
+    actor: admin,
+    subject: { type: 'user', id: user._id },
+    userId: user._id,
+    reason,
+    details: { before: describe(previous.withdrawLimits), after: describe(user.withdrawLimits) }
+  });
+  console.log(`🚦 [LIMITS] ${admin.email} changed ${user.email}'s withdrawal limits`);
+  return user;
+}
+
+module.exports = {
+  DEFAULT_LIMITS,
+  WithdrawalLimitError,
+  limitsFor,
+  allowance,
+  check,
+  view,
+  formatLimits,
+  setOverrides
+};
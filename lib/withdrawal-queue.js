@@ -0,0 +1,478 @@
+// Withdrawal queue. Requesting a withdrawal only reserves the funds: the withdrawal limits check
+// (lib/withdrawal-limits.js), the debit, the pending Transaction (withdrawState 'queued') and its
+// ledger entry commit together, so a crash can't pay out without debiting and concurrent
+// requests can't spend the same balance or allowance. One that trips
+// a risk rule waits in 'needs_review' for an admin (see lib/withdrawal-review.js). A worker
+// sends the USDC:
+//
+//   needs_review → queued → sent → completed
+//        │           ↑        │
+//        │           └────────┴──→ failed (after MAX_ATTEMPTS, refunded)
+//        └──→ rejected (refunded)
+//
+// processWithdrawals() claims due withdrawals with a lease (lockedUntil). Queued ones are packed,
+// oldest first, into as few transfer transactions as fit the packet size limit, which saves fees
+// and RPC calls when many are waiting (one with a memo, to an exchange wallet, goes alone so
+// the exchange can't credit it to another transfer); each transaction's signature (withdrawSignature, shared by
+// its withdrawals) and the blockhash's lastValidBlockHeight are stored *before* sending. Later
+// passes check all sent signatures at once, each withdrawal on its own: confirmed → completed;
+// failed on-chain → retried, on its own transaction if it was batched, so one bad transfer can't
+// keep failing the others; unknown once the block height passed lastValidBlockHeight (it can
+// never land) → retried with a fresh blockhash and a higher priority fee (lib/fee-strategy.js);
+// until then the same signed transaction is rebroadcast. A send error is handled the same way,
+// since the transaction may still have gone out. One the signer refuses (lib/signer-policy.js) is
+// retried like a failed transfer, except over the daily cap, which only puts it off. The network
+// fees of attempts that landed are kept in networkFee (lamports, a share of the transaction's fee
+// when batched). Completing and refunding go through balanceService.settleTransaction, which only
+// settles pending records, so each happens once.
+// server.js runs the worker on an interval, the Netlify functions right after queueing and when
+// the user polls the status.
+const mongoose = require('mongoose');
+const { PublicKey, Transaction, TransactionInstruction, PACKET_DATA_SIZE } = require('@solana/web3.js');
+const {
+  getAssociatedTokenAddress,
+  createAssociatedTokenAccountIdempotentInstruction,
+  createTransferCheckedInstruction
+} = require('@solana/spl-token');
+const bs58 = require('bs58');
+const GameTransaction = require('../netlify/functions/transaction-schema.js');
+const balanceService = require('./balance-service.js');
+const depositLifecycle = require('./deposit-lifecycle.js');
+const feeStrategy = require('./fee-strategy.js');
+const ledger = require('./ledger.js');
+const money = require('./money.js');
+const { SignerPolicyError } = require('./signer-policy.js');
+const { MEMO_PROGRAMS, USDC_MINT } = require('./usdc-deposits.js');
+const withdrawalLimits = require('./withdrawal-limits.js');
+const withdrawalReview = require('./withdrawal-review.js');
+
+const USDC_DECIMALS = 6;
+const MAX_ATTEMPTS = 5;
+const RETRY_DELAYS_MS = [0, 15000, 60000, 5 * 60000, 15 * 60000]; // before attempt n + 1
+const LEASE_MS = 60 * 1000;
+const BATCH_SIZE = 20;
+const SIGNATURE_LENGTH = 64;
+const MAX_ACCOUNTS_PER_CALL = 100; // getMultipleAccountsInfo
+const LANDED = ['confirmed', 'finalized'];
+
+const inQueue = { type: 'withdraw', status: 'pending', withdrawState: { $in: ['queued', 'sent'] } };
+const unfinished = { type: 'withdraw', status: 'pending', withdrawState: { $in: ['needs_review', 'queued', 'sent'] } };
+
+// Reserve amount (micro-USDC) from user's balance for a withdrawal to toAddress, queued or held
+// for review; amount - fee (see lib/fee-schedule.js) is what gets sent, with memo if given.
+// Resolves to { user, transaction, review } (review: the rules it tripped); rejects with a
+// WithdrawalLimitError over the user's limits, a BalanceError when the balance doesn't cover it.
+async function requestWithdrawal({ user, amount, fee = 0, toAddress, memo, fromAddress }) {
+  const reasons = await withdrawalReview.evaluate(user, { amount, toAddress });
+  const now = new Date();
+  const queue = reasons.length > 0
+    ? { withdrawState: 'needs_review', review: { reasons } }
+    : { withdrawState: 'queued', nextAttemptAt: now };
+
+  const result = await balanceService.applyBalanceChange({
+    userId: user._id,
+    delta: -amount,
+    journal: ledger.withdrawalReserveEntry(user._id, amount),
+    guard: (session) => withdrawalLimits.check(user, amount, { session }),
+    transaction: {
+      type: 'withdraw',
+      amount,
+      solAmount: amount,
+      tokenAmount: amount,
+      withdrawFee: fee,
+      netAmount: amount - fee,
+      ...(memo ? { withdrawMemo: memo } : {}),
+      fromAddress,
+      toAddress,
+      status: 'pending',
+      ...queue,
+      withdrawStateAt: now,
+      attempts: 0
+    }
+  });
+
+  if (reasons.length > 0) {
+    await withdrawalReview.recordFlag(result.transaction);
+    console.log(`🚩 [WITHDRAW QUEUE] ${result.transaction._id} held for review: ${reasons.map((reason) => reason.rule).join(', ')}`);
+  }
+  return { ...result, review: reasons };
+}
+
+// The current attempt's signature (withdrawals sent before batching kept it in solanaTxHash)
+const signatureOf = (tx) => tx.withdrawSignature || tx.solanaTxHash;
+
+// What is sent: the amount minus the withdrawal fee (withdrawals from before fees sent it all)
+const netAmount = (tx) => tx.netAmount ?? tx.amount;
+
+// Token accounts among accounts that don't exist yet, as base58 strings
+async function missingAccounts(connection, accounts) {
+  const missing = new Set();
+  for (let i = 0; i < accounts.length; i += MAX_ACCOUNTS_PER_CALL) {
+    const chunk = accounts.slice(i, i + MAX_ACCOUNTS_PER_CALL);
+    const infos = await connection.getMultipleAccountsInfo(chunk);
+    infos.forEach((info, j) => {
+      if (!info) missing.add(chunk[j].toBase58());
+    });
+  }
+  return missing;
+}
+
+// Pack withdrawals, in order, into as few transactions as PACKET_DATA_SIZE allows (with the
+// compute budget instructions): a USDC transfer each, plus creating the destination's token
+// account where it doesn't exist yet (once per transaction) and its memo if it has one. A
+// withdrawal with a memo or marked soloNext gets a transaction of its own. Resolves to [{ instructions, withdrawals }], without the budget.
+async function packTransfers(connection, { signer, withdrawals, blockhash }) {
+  const mint = new PublicKey(USDC_MINT);
+  const source = await getAssociatedTokenAddress(mint, signer.publicKey);
+  const transfers = await Promise.all(withdrawals.map(async (tx) => {
+    const owner = new PublicKey(tx.toAddress);
+    return { tx, owner, destination: await getAssociatedTokenAddress(mint, owner) };
+  }));
+  const missing = await missingAccounts(connection, transfers.map((transfer) => transfer.destination));
+
+  const budget = feeStrategy.budgetInstructions({ units: 0, microLamports: 0 }); // same size whatever the values
+  // Serialized size once signed: the message plus the signature count and the treasury's signature
+  const fits = (instructions) => new Transaction({ feePayer: signer.publicKey, recentBlockhash: blockhash })
+    .add(...budget, ...instructions)
+    .serializeMessage().length + 1 + SIGNATURE_LENGTH <= PACKET_DATA_SIZE;
+  const instructionsFor = ({ tx, owner, destination }, created) => {
+    const instructions = [];
+    if (missing.has(destination.toBase58()) && !created.has(destination.toBase58())) {
+      instructions.push(createAssociatedTokenAccountIdempotentInstruction(signer.publicKey, destination, owner, mint));
+    }
+    instructions.push(createTransferCheckedInstruction(source, mint, destination, signer.publicKey, money.toBaseUnits(netAmount(tx)), USDC_DECIMALS));
+    if (tx.withdrawMemo) {
+      instructions.push(new TransactionInstruction({ keys: [], programId: new PublicKey(MEMO_PROGRAMS[0]), data: Buffer.from(tx.withdrawMemo, 'utf8') }));
+    }
+    return instructions;
+  };
+  const alone = (tx) => !!(tx.soloNext || tx.withdrawMemo);
+  const addTo = (batch, transfer, instructions) => {
+    batch.instructions = instructions;
+    batch.withdrawals.push(transfer.tx);
+    batch.created.add(transfer.destination.toBase58());
+  };
+
+  const batches = [];
+  for (const transfer of transfers) {
+    const last = batches[batches.length - 1];
+    if (last && !last.solo && !alone(transfer.tx)) {
+      const candidate = [...last.instructions, ...instructionsFor(transfer, last.created)];
+      if (fits(candidate)) {
+        addTo(last, transfer, candidate);
+        continue;
+      }
+    }
+    const batch = { instructions: [], withdrawals: [], created: new Set(), solo: alone(transfer.tx) };
+    addTo(batch, transfer, instructionsFor(transfer, batch.created));
+    batches.push(batch);
+  }
+  return batches.map(({ instructions, withdrawals: packed }) => ({ instructions, withdrawals: packed }));
+}
+
+async function treasuryBalance(connection, owner) {
+  try {
+    const account = await getAssociatedTokenAddress(new PublicKey(USDC_MINT), owner);
+    const { value } = await connection.getTokenAccountBalance(account);
+    return money.fromBaseUnits(value.amount);
+  } catch (error) {
+    return 0;
+  }
+}
+
+// Network fee paid so far once the current attempt landed (lamports)
+const feesWithAttempt = (tx) => (tx.networkFee || 0) + (tx.attemptFee || 0);
+
+async function complete(tx, slot) {
+  const now = new Date();
+  await balanceService.settleTransaction(tx._id, {
+    status: 'completed',
+    set: { withdrawState: 'completed', withdrawStateAt: now, completedAt: now, slot, networkFee: feesWithAttempt(tx) },
+    journal: [
+      ledger.withdrawalCompleteEntry(tx.userId, netAmount(tx)),
+      ...(tx.withdrawFee ? [ledger.withdrawalFeeEntry(tx.userId, tx.withdrawFee)] : [])
+    ]
+  });
+  console.log(`🎉 [WITHDRAW QUEUE] ${tx._id} completed: ${money.format(netAmount(tx))} USDC to ${tx.toAddress} (${signatureOf(tx)})`);
+  return 'completed';
+}
+
+// The attempt didn't go through: try again later (on its own with solo), or fail and refund
+// after MAX_ATTEMPTS. landed: it failed on-chain, so its fee was still paid.
+async function attemptFailed(tx, reason, { solo = false, landed = false } = {}) {
+  const now = new Date();
+  const fees = landed ? { networkFee: feesWithAttempt(tx) } : {};
+  if (tx.attempts >= MAX_ATTEMPTS) {
+    await balanceService.settleTransaction(tx._id, {
+      status: 'failed',
+      credit: tx.amount,
+      journal: ledger.withdrawalRefundEntry(tx.userId, tx.amount),
+      set: { withdrawState: 'failed', withdrawStateAt: now, attempts: tx.attempts, lastError: reason, ...fees }
+    });
+    console.log(`❌ [WITHDRAW QUEUE] ${tx._id} failed after ${tx.attempts} attempts, ${money.format(tx.amount)} refunded: ${reason}`);
+    return 'failed';
+  }
+
+  await GameTransaction.updateOne({ _id: tx._id, status: 'pending' }, {
+    $set: {
+      withdrawState: 'queued',
+      withdrawStateAt: now,
+      attempts: tx.attempts,
+      lastError: reason,
+      nextAttemptAt: new Date(now.getTime() + RETRY_DELAYS_MS[tx.attempts]),
+      ...fees,
+      ...(solo ? { soloNext: true } : {})
+    }
+  });
+  console.log(`🔁 [WITHDRAW QUEUE] ${tx._id} attempt ${tx.attempts} failed, retrying${solo ? ' on its own' : ''}: ${reason}`);
+  return 'queued';
+}
+
+// Put off a queued withdrawal until retryAt without counting an attempt, e.g. while the signer's
+// daily cap is used up
+async function deferred(tx, reason, retryAt) {
+  await GameTransaction.updateOne({ _id: tx._id, status: 'pending' }, {
+    $set: { withdrawState: 'queued', withdrawStateAt: new Date(), lastError: reason, nextAttemptAt: retryAt }
+  });
+  console.log(`⏸️ [WITHDRAW QUEUE] ${tx._id} deferred until ${retryAt.toISOString()}: ${reason}`);
+  return 'queued';
+}
+
+// Send the next attempt of queued withdrawals, oldest first, batched into as few transactions as
+// fit. Each transaction's signature is stored on its withdrawals before it is sent.
+async function sendQueued(connection, withdrawals, signer, counts) {
+  // As many as the treasury can pay; the rest try again later
+  let available = await treasuryBalance(connection, signer.publicKey);
+  const payable = [];
+  for (const tx of withdrawals) {
+    if (netAmount(tx) <= available) {
+      available -= netAmount(tx);
+      payable.push(tx);
+    } else {
+      tally(counts, await attemptFailed({ ...tx.toObject(), attempts: tx.attempts + 1 }, 'Treasury has insufficient USDC'));
+    }
+  }
+  if (payable.length === 0) return;
+
+  const { blockhash, lastValidBlockHeight } = await connection.getLatestBlockhash('confirmed');
+  const batches = await packTransfers(connection, { signer, withdrawals: payable, blockhash });
+  // One estimate for all of them: every transfer writes the treasury's token account
+  const source = await getAssociatedTokenAddress(new PublicKey(USDC_MINT), signer.publicKey);
+  const price = await feeStrategy.estimate(connection, [source]);
+
+  for (const { instructions, withdrawals: batch } of batches) {
+    let units;
+    try {
+      units = await feeStrategy.computeUnits(connection, { payer: signer.publicKey, instructions });
+    } catch (error) {
+      if (!(error instanceof feeStrategy.SimulationError)) throw error;
+      // It would only fail on-chain: count the attempt, and retry each on its own if batched
+      for (const tx of batch) {
+        tally(counts, await attemptFailed({ ...tx.toObject(), attempts: tx.attempts + 1 }, error.message, { solo: batch.length > 1 }));
+      }
+      continue;
+    }
+    // Retries bid more; the batch's most retried withdrawal sets the price
+    const microLamports = feeStrategy.escalate(price, Math.max(...batch.map((tx) => tx.attempts + 1)));
+    let transaction;
+    try {
+      transaction = await signer.signTransaction(new Transaction({ feePayer: signer.publicKey, blockhash, lastValidBlockHeight })
+        .add(...feeStrategy.budgetInstructions({ units, microLamports }), ...instructions));
+    } catch (error) {
+      if (!(error instanceof SignerPolicyError)) throw error;
+      // Over the daily cap: wait for it without spending an attempt. Anything else the policy
+      // refuses is retried on its own, like a failed simulation, until it runs out of attempts.
+      for (const tx of batch) {
+        tally(counts, error.retryAt
+          ? await deferred(tx, error.message, error.retryAt)
+          : await attemptFailed({ ...tx.toObject(), attempts: tx.attempts + 1 }, error.message, { solo: batch.length > 1 }));
+      }
+      continue;
+    }
+    const signature = bs58.encode(transaction.signature);
+    const raw = transaction.serialize();
+    const fee = feeStrategy.transactionFee({ units, microLamports });
+
+    const now = new Date();
+    await GameTransaction.bulkWrite(batch.map((tx) => ({
+      updateOne: {
+        filter: { _id: tx._id, status: 'pending' },
+        update: {
+          $set: {
+            withdrawState: 'sent',
+            withdrawStateAt: now,
+            withdrawSignature: signature,
+            batchSize: batch.length,
+            lastValidBlockHeight,
+            attempts: tx.attempts + 1,
+            computeUnitLimit: units,
+            computeUnitPrice: microLamports,
+            attemptFee: Math.ceil(fee / batch.length),
+            signedTransaction: raw.toString('base64')
+          },
+          $unset: { soloNext: '' },
+          $push: { withdrawSignatures: signature }
+        }
+      }
+    })));
+
+    const ids = batch.map((tx) => tx._id);
+    try {
+      await connection.sendRawTransaction(raw, { preflightCommitment: 'confirmed' });
+      console.log(`🚀 [WITHDRAW QUEUE] ${batch.length} withdrawal(s) sent: ${signature} (${ids.join(', ')})`);
+    } catch (error) {
+      // It may still have reached the cluster: settled by the signature check once it expires
+      console.log(`⚠️ [WITHDRAW QUEUE] ${signature} send error (${ids.join(', ')}): ${error.message}`);
+      await GameTransaction.updateMany({ _id: { $in: ids } }, { $set: { lastError: error.message } });
+    }
+    counts.sent += batch.length;
+  }
+}
+
+// Check the sent withdrawals' signatures, all in one go, and complete, wait for or retry each
+async function checkSent(connection, withdrawals, counts) {
+  // Block height first: a signature still unknown after this can't land anymore
+  const blockHeight = await connection.getBlockHeight('confirmed');
+  const statuses = await depositLifecycle.fetchStates(connection, [...new Set(withdrawals.map(signatureOf))]);
+  const unseen = new Map(); // signature → signed transaction, still valid but not seen yet
+
+  for (const tx of withdrawals) {
+    try {
+      const status = statuses.get(signatureOf(tx));
+      let state = 'sent'; // still in flight
+      if (status.err) {
+        // The whole batch failed with it: send each again on its own so one bad transfer
+        // can't keep failing the others
+        state = await attemptFailed(tx, `Transaction failed on-chain: ${JSON.stringify(status.err)}`, { solo: tx.batchSize > 1, landed: true });
+      } else if (LANDED.includes(status.state)) {
+        state = await complete(tx, status.slot);
+      } else if (!status.state && blockHeight > tx.lastValidBlockHeight) {
+        state = await attemptFailed(tx, tx.lastError || 'Transaction expired before it landed');
+      } else if (!status.state && tx.signedTransaction) {
+        unseen.set(signatureOf(tx), tx.signedTransaction);
+      }
+      tally(counts, state);
+    } catch (error) {
+      console.error(`❌ [WITHDRAW QUEUE] ${tx._id} processing error:`, error.message);
+      await GameTransaction.updateOne({ _id: tx._id }, { $set: { lastError: error.message } });
+    }
+  }
+
+  // Send those again as they are: one re-signed with a higher fee could land as well
+  for (const [signature, signed] of unseen) {
+    await connection.sendRawTransaction(Buffer.from(signed, 'base64'), { skipPreflight: true, maxRetries: 0 })
+      .catch((error) => console.log(`⚠️ [WITHDRAW QUEUE] ${signature} rebroadcast error: ${error.message}`));
+  }
+}
+
+function tally(counts, state) {
+  if (counts[state] !== undefined) counts[state]++;
+}
+
+// Take the lease on up to limit matching withdrawals, oldest first, so no other worker handles
+// them meanwhile
+async function claim(filter, limit) {
+  const claimed = [];
+  while (claimed.length < limit) {
+    const now = new Date();
+    const tx = await GameTransaction.findOneAndUpdate(
+      { ...inQueue, ...filter, $or: [{ lockedUntil: null }, { lockedUntil: { $lte: now } }] },
+      { $set: { lockedUntil: new Date(now.getTime() + LEASE_MS) } },
+      { new: true, sort: { timestamp: 1 } }
+    );
+    if (!tx) break;
+    claimed.push(tx);
+  }
+  return claimed;
+}
+
+// Move due withdrawals along (optionally one user's or one withdrawal): check up to limit sent
+// ones, then send up to limit queued ones. signer is the treasury signer (lib/treasury-signer.js).
+// Resolves to { processed, sent, completed, failed }, counted per withdrawal.
+async function processWithdrawals(connection, { signer, userId, transactionId, limit = BATCH_SIZE } = {}) {
+  const filter = {};
+  if (userId) filter.userId = userId;
+  if (transactionId) filter._id = transactionId;
+
+  const counts = { processed: 0, sent: 0, completed: 0, failed: 0 };
+  const claimed = [];
+  try {
+    const sent = await claim({ ...filter, withdrawState: 'sent' }, limit);
+    claimed.push(...sent);
+    if (sent.length > 0) await checkSent(connection, sent, counts);
+
+    const queued = await claim({ ...filter, withdrawState: 'queued', nextAttemptAt: { $lte: new Date() } }, limit);
+    claimed.push(...queued);
+    if (queued.length > 0) await sendQueued(connection, queued, signer, counts);
+  } catch (error) {
+    console.error('❌ [WITHDRAW QUEUE] processing error:', error.message);
+    await GameTransaction.updateMany({ _id: { $in: claimed.map((tx) => tx._id) } }, { $set: { lastError: error.message } });
+  } finally {
+    if (claimed.length > 0) {
+      await GameTransaction.updateMany({ _id: { $in: claimed.map((tx) => tx._id) } }, { $unset: { lockedUntil: '' } });
+    }
+  }
+  counts.processed = claimed.length;
+  return counts;
+}
+
+// What a user sees of a withdrawal
+function withdrawalView(tx) {
+  return {
+    id: tx._id,
+    state: tx.withdrawState,
+    status: tx.status,
+    amount: money.format(tx.amount),
+    fee: money.format(tx.withdrawFee || 0),
+    netAmount: money.format(netAmount(tx)),
+    toAddress: tx.toAddress,
+    memo: tx.withdrawMemo || null,
+    signature: signatureOf(tx) || null,
+    attempts: tx.attempts || 0,
+    lastError: tx.withdrawState === 'completed' ? null : tx.lastError || null,
+    rejectionReason: tx.withdrawState === 'rejected' ? tx.review?.reason || null : null,
+    requestedAt: tx.timestamp,
+    completedAt: tx.completedAt || null
+  };
+}
+
+// A user's withdrawal by id, or null
+async function findWithdrawal(userId, id) {
+  if (!mongoose.isValidObjectId(id)) return null;
+  return GameTransaction.findOne({ _id: id, userId, type: 'withdraw', withdrawState: { $exists: true } });
+}
+
+// A user's withdrawals that haven't completed, failed or been rejected yet
+function pendingWithdrawals(userId) {
+  return GameTransaction.find({ ...unfinished, userId }).sort({ timestamp: -1 });
+}
+
+// Withdrawals waiting to be paid, per state: { queued, sent }, each { count, amount (micro-USDC to
+// send), since (when the oldest started waiting: its request, or its approval if it was held for
+// review), null when there are none }
+async function queueStats() {
+  const groups = await GameTransaction.aggregate([
+    { $match: { type: 'withdraw', status: 'pending', withdrawState: { $in: ['queued', 'sent'] } } },
+    {
+      $group: {
+        _id: '$withdrawState',
+        count: { $sum: 1 },
+        amount: { $sum: { $ifNull: ['$netAmount', '$amount'] } },
+        since: { $min: { $ifNull: ['$review.decidedAt', '$timestamp'] } }
+      }
+    }
+  ]);
+  const stats = { queued: { count: 0, amount: 0, since: null }, sent: { count: 0, amount: 0, since: null } };
+  for (const { _id, count, amount, since } of groups) stats[_id] = { count, amount, since };
+  return stats;
+}
+
+module.exports = {
+  MAX_ATTEMPTS,
+  requestWithdrawal,
+  processWithdrawals,
+  withdrawalView,
+  findWithdrawal,
+  pendingWithdrawals,
+  queueStats
+};
@@ -0,0 +1,204 @@
+// Withdrawal risk review. Before a withdrawal is queued (lib/withdrawal-queue.js) evaluate()
+// checks it against the rules below; one that trips any is reserved as usual but parked in
+// withdrawState 'needs_review' instead of 'queued', and the worker leaves it alone until an
+// admin approves it (→ queued) or rejects it with a reason (→ rejected, refunded). The flag and
+// every decision are written to the audit log (lib/audit-log.js).
+//
+// Rules, configured in the environment (0 or false turns a rule off):
+//   WITHDRAW_REVIEW_AMOUNT              amount above this many USDC (default 1000)
+//   WITHDRAW_REVIEW_FIRST               the account's first withdrawal (default true)
+//   WITHDRAW_REVIEW_NEW_ADDRESS_HOURS   destination wallet linked less than this ago (default 48)
+//   WITHDRAW_REVIEW_MIN_WAGER_RATIO     wagered less than this times the deposits (default 1)
+const mongoose = require('mongoose');
+const GameTransaction = require('../netlify/functions/transaction-schema.js');
+const auditLog = require('./audit-log.js');
+const balanceService = require('./balance-service.js');
+const ledger = require('./ledger.js');
+const linkedWallets = require('./linked-wallets.js');
+const money = require('./money.js');
+
+const HOUR_MS = 60 * 60 * 1000;
+const REVIEW_LIMIT = 100;
+const MAX_REASON_LENGTH = 500;
+
+const setting = (name, fallback) => (process.env[name] === undefined || process.env[name] === '' ? fallback : process.env[name]);
+
+const RULES = {
+  amount: money.parse(setting('WITHDRAW_REVIEW_AMOUNT', '1000')) || 0,
+  firstWithdrawal: setting('WITHDRAW_REVIEW_FIRST', 'true') !== 'false',
+  newAddressHours: Number(setting('WITHDRAW_REVIEW_NEW_ADDRESS_HOURS', 48)) || 0,
+  minWagerRatio: Number(setting('WITHDRAW_REVIEW_MIN_WAGER_RATIO', 1)) || 0
+};
+
+class WithdrawalReviewError extends Error {
+  constructor(message, code, statusCode) {
+    super(message);
+    this.name = 'WithdrawalReviewError';
+    this.code = code;
+    this.statusCode = statusCode;
+  }
+}
+
+// Completed deposits and bet stakes (micro-USDC) and completed withdrawals of a user
+async function accountHistory(userId) {
+  const totals = await GameTransaction.aggregate([
+    { $match: { userId: new mongoose.Types.ObjectId(String(userId)), status: 'completed', type: { $in: ['deposit', 'bet_win', 'bet_loss', 'withdraw'] } } },
+    { $group: { _id: '$type', amount: { $sum: '$amount' }, count: { $sum: 1 } } }
+  ]);
+  const byType = Object.fromEntries(totals.map((total) => [total._id, total]));
+  return {
+    deposited: byType.deposit?.amount || 0,
+    wagered: (byType.bet_win?.amount || 0) + (byType.bet_loss?.amount || 0),
+    withdrawals: byType.withdraw?.count || 0
+  };
+}
+
+// Rules a withdrawal of amount to toAddress trips: [{ rule, detail }], empty when none
+async function evaluate(user, { amount, toAddress }) {
+  const reasons = [];
+  if (RULES.amount && amount > RULES.amount) {
+    reasons.push({ rule: 'amount', detail: `${money.format(amount)} USDC is above the ${money.format(RULES.amount)} USDC review threshold` });
+  }
+
+  const history = await accountHistory(user._id);
+  if (RULES.firstWithdrawal && history.withdrawals === 0) {
+    reasons.push({ rule: 'first_withdrawal', detail: 'First withdrawal from this account' });
+  }
+
+  const wallet = linkedWallets.findWallet(user, toAddress);
+  if (RULES.newAddressHours && wallet?.createdAt && Date.now() - wallet.createdAt.getTime() < RULES.newAddressHours * HOUR_MS) {
+    reasons.push({ rule: 'new_address', detail: `Destination wallet linked less than ${RULES.newAddressHours} hours ago (${wallet.createdAt.toISOString()})` });
+  }
+
+  if (RULES.minWagerRatio && history.deposited > 0 && history.wagered < history.deposited * RULES.minWagerRatio) {
+    const ratio = (history.wagered / history.deposited).toFixed(2);
+    reasons.push({ rule: 'wager_ratio', detail: `Wagered ${money.format(history.wagered)} of ${money.format(history.deposited)} USDC deposited (ratio ${ratio}, minimum ${RULES.minWagerRatio})` });
+  }
+  return reasons;
+}
+
+// Record that a just-requested withdrawal was held for review
+function recordFlag(transaction) {
+  return auditLog.record({
+    action: 'withdrawal.flagged',
+    subject: { type: 'withdrawal', id: transaction._id },
+    userId: transaction.userId,
+    details: { amount: money.format(transaction.amount), toAddress: transaction.toAddress, reasons: transaction.review.reasons }
+  });
+}
+
+// Admin review queue, oldest first (?state=needs_review by default, or a decided one)
+function reviewQueue({ state = 'needs_review', limit = REVIEW_LIMIT } = {}) {
+  const filter = { type: 'withdraw', 'review.reasons.0': { $exists: true } };
+  if (state !== 'all') filter.withdrawState = state;
+  return GameTransaction.find(filter)
+    .sort({ timestamp: state === 'needs_review' ? 1 : -1 })
+    .limit(Math.min(limit, REVIEW_LIMIT))
+    .populate('userId', 'email name')
+    .populate('review.decidedBy', 'email');
+}
+
+function validReason(reason, required) {
+  const text = String(reason || '').trim().slice(0, MAX_REASON_LENGTH);
+  if (required && !text) {
+    throw new WithdrawalReviewError('A reason is required to reject a withdrawal', 'REASON_REQUIRED', 400);
+  }
+  return text || undefined;
+}
+
+async function notReviewable(id) {
+  const exists = mongoose.isValidObjectId(id) && await GameTransaction.exists({ _id: id, type: 'withdraw' });
+  return exists
+    ? new WithdrawalReviewError('This withdrawal is not waiting for review', 'NOT_IN_REVIEW', 409)
+    : new WithdrawalReviewError('Withdrawal not found', 'NOT_FOUND', 404);
+}
+
+const decisionFields = (outcome, admin, reason) => ({
+  'review.decision': outcome,
+  'review.decidedBy': admin._id,
+  'review.decidedAt': new Date(),
+  'review.reason': reason
+});
+
+// Admin: release a held withdrawal to the queue. Resolves to the updated transaction.
+async function approve({ id, admin, reason }) {
+  reason = validReason(reason, false);
+  const now = new Date();
+  const transaction = mongoose.isValidObjectId(id) && await GameTransaction.findOneAndUpdate(
+    { _id: id, type: 'withdraw', status: 'pending', withdrawState: 'needs_review' },
+    { $set: { withdrawState: 'queued', withdrawStateAt: now, nextAttemptAt: now, ...decisionFields('approved', admin, reason) } },
+    { new: true }
+  );
+  if (!transaction) throw await notReviewable(id);
+
+  await auditLog.record({
+    action: 'withdrawal.approved',
+    actor: admin,
+    subject: { type: 'withdrawal', id: transaction._id },
+    userId: transaction.userId,
+    reason,
+    details: { amount: money.format(transaction.amount), toAddress: transaction.toAddress }
+  });
+  console.log(`✅ [WITHDRAW REVIEW] ${transaction._id} approved by ${admin.email}`);
+  return transaction;
+}
+
+// Admin: refuse a held withdrawal and refund it. The decision is taken first, so the worker
+// and an approval can't race it; calling reject again finishes a refund that was interrupted.
+// Resolves to { transaction, user } after the refund.
+async function reject({ id, admin, reason }) {
+  reason = validReason(reason, true);
+  const taken = mongoose.isValidObjectId(id) && await GameTransaction.findOneAndUpdate(
+    { _id: id, type: 'withdraw', status: 'pending', withdrawState: { $in: ['needs_review', 'rejected'] } },
+    { $set: { withdrawState: 'rejected', withdrawStateAt: new Date(), ...decisionFields('rejected', admin, reason) } },
+    { new: true }
+  );
+  if (!taken) throw await notReviewable(id);
+
+  const { transaction, user } = await balanceService.settleTransaction(taken._id, {
+    status: 'failed',
+    credit: taken.amount,
+    journal: ledger.withdrawalRefundEntry(taken.userId, taken.amount)
+  });
+  if (!transaction) throw await notReviewable(id);
+
+  await auditLog.record({
+    action: 'withdrawal.rejected',
+    actor: admin,
+    subject: { type: 'withdrawal', id: transaction._id },
+    userId: transaction.userId,
+    reason,
+    details: { amount: money.format(transaction.amount), toAddress: transaction.toAddress, refunded: true }
+  });
+  console.log(`⛔ [WITHDRAW REVIEW] ${transaction._id} rejected by ${admin.email}, ${money.format(transaction.amount)} refunded: ${reason}`);
+  return { transaction, user };
+}
+
+// What admins see of a reviewed withdrawal
+function reviewView(tx) {
+  const user = tx.userId && tx.userId.email ? tx.userId : null;
+  return {
+    id: tx._id,
+    state: tx.withdrawState,
+    amount: money.format(tx.amount),
+    toAddress: tx.toAddress,
+    user: user ? { id: user._id, email: user.email, name: user.name } : { id: tx.userId },
+    requestedAt: tx.timestamp,
+    reasons: tx.review.reasons.map(({ rule, detail }) => ({ rule, detail })),
+    decision: tx.review.decision || null,
+    decidedBy: tx.review.decidedBy?.email || null,
+    decidedAt: tx.review.decidedAt || null,
+    decisionReason: tx.review.reason || null
+  };
+}
+
+module.exports = {
+  RULES,
+  WithdrawalReviewError,
+  evaluate,
+  recordFlag,
+  reviewQueue,
+  approve,
+  reject,
+  reviewView
+};
@@ -0,0 +1,30 @@
+// Shared Alert Schema: problems found by the monitoring checks (see lib/monitoring.js). At most one
+// alert per check is open; it is resolved once the check passes again.
+const mongoose = require('mongoose');
+
+const alertSchema = new mongoose.Schema({
+  check: { type: String, required: true }, // e.g. 'treasury_sol'
+  severity: { type: String, enum: ['warning', 'critical'], required: true },
+  state: { type: String, enum: ['open', 'resolved'], default: 'open' },
+  summary: String, // latest
+  details: mongoose.Schema.Types.Mixed, // latest
+  occurrences: { type: Number, default: 1 }, // failed runs of the check
+  openedAt: { type: Date, default: Date.now },
+  lastSeenAt: { type: Date, default: Date.now },
+  notifiedAt: Date, // last notification: opened, escalated or reminder
+  resolvedAt: Date,
+  resolution: String // the passing check's summary
+});
+
+alertSchema.index({ check: 1 }, { unique: true, partialFilterExpression: { state: 'open' } });
+alertSchema.index({ state: 1, openedAt: -1 });
+
+// Prevent model recompilation
+let Alert;
+try {
+  Alert = mongoose.model('Alert');
+} catch (error) {
+  Alert = mongoose.model('Alert', alertSchema);
+}
+
+module.exports = Alert;
@@ -0,0 +1,31 @@
+// Shared Audit Log Schema: who decided what about whose money, and why (see lib/audit-log.js).
+// Entries are only ever inserted.
+const mongoose = require('mongoose');
+
+const auditLogSchema = new mongoose.Schema({
+  action: { type: String, required: true }, // e.g. 'withdrawal.approved'
+  // Admin who took the decision; unset for decisions taken by the system (e.g. risk rules)
+  actorId: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  actorEmail: String,
+  // What the decision was about
+  subjectType: { type: String, required: true }, // e.g. 'withdrawal'
+  subjectId: { type: String, required: true },
+  userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User' }, // account concerned
+  reason: String,
+  details: mongoose.Schema.Types.Mixed,
+  createdAt: { type: Date, default: Date.now }
+});
+
+auditLogSchema.index({ subjectType: 1, subjectId: 1, createdAt: -1 });
+auditLogSchema.index({ userId: 1, createdAt: -1 });
+auditLogSchema.index({ createdAt: -1 });
+
+// Prevent model recompilation
+let AuditLog;
+try {
+  AuditLog = mongoose.model('AuditLog');
+} catch (error) {
+  AuditLog = mongoose.model('AuditLog', auditLogSchema);
+}
+
+module.exports = AuditLog;
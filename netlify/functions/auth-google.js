@@ -4,6 +4,8 @@ const jwt = require('jsonwebtoken');
 const bcrypt = require('bcryptjs');
 const { OAuth2Client } = require('google-auth-library');
 const User = require('./user-schema.js');
+const linkedWallets = require('../../lib/linked-wallets.js');
+const money = require('../../lib/money.js');
 
 require('dotenv').config();
 
@@ -122,8 +124,9 @@ exports.handler = async (event, context) => {
           name: user.name,
           email: user.email,
           picture: user.picture,
-          gameBalance: user.gameBalance,
-          solanaAddress: user.solanaAddress
+          gameBalance: money.format(user.gameBalance),
+          solanaAddress: user.solanaAddress,
+          wallets: linkedWallets.view(user)
         }
       })
     };
@@ -1,16 +1,20 @@
 // Netlify Function for verifying deposit transactions
 const mongoose = require('mongoose');
 const jwt = require('jsonwebtoken');
-const { Connection, PublicKey } = require('@solana/web3.js');
-const { getAssociatedTokenAddress } = require('@solana/spl-token');
-const BN = require('bn.js');
+const { Connection } = require('@solana/web3.js');
 const User = require('./user-schema.js');
+const GameTransaction = require('./transaction-schema.js');
+const balanceService = require('../../lib/balance-service.js');
+const idempotency = require('../../lib/idempotency.js');
+const usdcDeposits = require('../../lib/usdc-deposits.js');
+const depositReferences = require('../../lib/deposit-references.js');
+const depositLifecycle = require('../../lib/deposit-lifecycle.js');
+const walletOwnership = require('../../lib/wallet-ownership.js');
+const linkedWallets = require('../../lib/linked-wallets.js');
+const money = require('../../lib/money.js');
 
 require('dotenv').config();
 
-// USDC Constants
-const USDC_MINT = new PublicKey('EPjFWdd5AufqSSqeM2qN1xzybapC8G4wEGGkZwyTDt1v');
-
 // Treasury address from environment
 const TREASURY_ADDRESS = process.env.TREASURY_ADDRESS;
 
@@ -35,42 +39,16 @@ const connectDB = async () => {
   }
 };
 
-// Transaction Schema
-const transactionSchema = new mongoose.Schema({
-  userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
-  type: { type: String, enum: ['deposit', 'withdraw', 'bet_win', 'bet_loss'], required: true },
-  amount: { type: Number, required: true },
-  solAmount: Number,
-  tokenAmount: Number,
-  solanaTxHash: { type: String, unique: true },
-  fromAddress: String,
-  toAddress: String,
-  timestamp: { type: Date, default: Date.now },
-  status: { type: String, enum: ['pending', 'completed', 'failed'], default: 'pending' }
-});
-
-const GameTransaction = mongoose.model('Transaction', transactionSchema);
-
-// Helper function to get treasury ATA
-async function getTreasuryATA() {
-  if (!TREASURY_ADDRESS) return null;
-  try {
-    const treasuryPubkey = new PublicKey(TREASURY_ADDRESS);
-    return await getAssociatedTokenAddress(USDC_MINT, treasuryPubkey);
-  } catch (error) {
-    console.error('Error getting treasury ATA:', error);
-    return null;
-  }
-}
+// Transaction model imported from shared schema
 
-exports.handler = async (event, context) => {
+const handler = async (event, context) => {
   // Only allow POST requests
   if (event.httpMethod !== 'POST') {
     return {
       statusCode: 405,
       headers: {
         'Access-Control-Allow-Origin': '*',
-        'Access-Control-Allow-Headers': 'Content-Type, Authorization',
+        'Access-Control-Allow-Headers': 'Content-Type, Authorization, Idempotency-Key',
         'Access-Control-Allow-Methods': 'POST, OPTIONS'
       },
       body: JSON.stringify({ error: 'Method not allowed' })
@@ -83,7 +61,7 @@ exports.handler = async (event, context) => {
       statusCode: 200,
       headers: {
         'Access-Control-Allow-Origin': '*',
-        'Access-Control-Allow-Headers': 'Content-Type, Authorization',
+        'Access-Control-Allow-Headers': 'Content-Type, Authorization, Idempotency-Key',
         'Access-Control-Allow-Methods': 'POST, OPTIONS'
       },
       body: ''
@@ -100,7 +78,7 @@ exports.handler = async (event, context) => {
         statusCode: 401,
         headers: {
           'Access-Control-Allow-Origin': '*',
-          'Access-Control-Allow-Headers': 'Content-Type, Authorization',
+          'Access-Control-Allow-Headers': 'Content-Type, Authorization, Idempotency-Key',
           'Access-Control-Allow-Methods': 'POST, OPTIONS'
         },
         body: JSON.stringify({ error: 'Access token required' })
@@ -117,7 +95,7 @@ exports.handler = async (event, context) => {
         statusCode: 401,
         headers: {
           'Access-Control-Allow-Origin': '*',
-          'Access-Control-Allow-Headers': 'Content-Type, Authorization',
+          'Access-Control-Allow-Headers': 'Content-Type, Authorization, Idempotency-Key',
           'Access-Control-Allow-Methods': 'POST, OPTIONS'
         },
         body: JSON.stringify({ error: 'Invalid token' })
@@ -131,7 +109,7 @@ exports.handler = async (event, context) => {
         statusCode: 500,
         headers: {
           'Access-Control-Allow-Origin': '*',
-          'Access-Control-Allow-Headers': 'Content-Type, Authorization',
+          'Access-Control-Allow-Headers': 'Content-Type, Authorization, Idempotency-Key',
           'Access-Control-Allow-Methods': 'POST, OPTIONS'
         },
         body: JSON.stringify({ error: 'Database connection failed' })
@@ -139,14 +117,14 @@ exports.handler = async (event, context) => {
     }
 
     // Parse request body
-    const { solanaTxHash } = JSON.parse(event.body);
+    const { solanaTxHash, walletProof } = JSON.parse(event.body);
 
     if (!solanaTxHash) {
       return {
         statusCode: 400,
         headers: {
           'Access-Control-Allow-Origin': '*',
-          'Access-Control-Allow-Headers': 'Content-Type, Authorization',
+          'Access-Control-Allow-Headers': 'Content-Type, Authorization, Idempotency-Key',
           'Access-Control-Allow-Methods': 'POST, OPTIONS'
         },
         body: JSON.stringify({ error: 'Transaction hash is required' })
@@ -161,7 +139,7 @@ exports.handler = async (event, context) => {
         statusCode: 400,
         headers: {
           'Access-Control-Allow-Origin': '*',
-          'Access-Control-Allow-Headers': 'Content-Type, Authorization',
+          'Access-Control-Allow-Headers': 'Content-Type, Authorization, Idempotency-Key',
           'Access-Control-Allow-Methods': 'POST, OPTIONS'
         },
         body: JSON.stringify({ error: 'Transaction already processed' })
@@ -175,7 +153,7 @@ exports.handler = async (event, context) => {
         statusCode: 404,
         headers: {
           'Access-Control-Allow-Origin': '*',
-          'Access-Control-Allow-Headers': 'Content-Type, Authorization',
+          'Access-Control-Allow-Headers': 'Content-Type, Authorization, Idempotency-Key',
           'Access-Control-Allow-Methods': 'POST, OPTIONS'
         },
         body: JSON.stringify({ error: 'User not found' })
@@ -185,9 +163,13 @@ exports.handler = async (event, context) => {
     // Verify transaction on Solana blockchain
     console.log(`🔍 [VERIFY-DEPOSIT] Verifying transaction: ${solanaTxHash}`);
 
+    let isNewWallet = false;
     let transactionDetails;
+    let actualAmount = 0;
+    let fromAddress = '';
+    let byReference = null;
     try {
-      transactionDetails = await solanaConnection.getTransaction(solanaTxHash, {
+      transactionDetails = await solanaConnection.getParsedTransaction(solanaTxHash, {
         commitment: 'confirmed',
         maxSupportedTransactionVersion: 0
       });
@@ -198,7 +180,7 @@ exports.handler = async (event, context) => {
           statusCode: 400,
           headers: {
             'Access-Control-Allow-Origin': '*',
-            'Access-Control-Allow-Headers': 'Content-Type, Authorization',
+            'Access-Control-Allow-Headers': 'Content-Type, Authorization, Idempotency-Key',
             'Access-Control-Allow-Methods': 'POST, OPTIONS'
           },
           body: JSON.stringify({ error: 'Transaction not found on blockchain' })
@@ -207,140 +189,156 @@ exports.handler = async (event, context) => {
 
       console.log(`✅ [VERIFY-DEPOSIT] Transaction found on blockchain`);
 
-      // Extract transaction details
-      const tx = transactionDetails.transaction;
-      const accountKeys = tx.message.accountKeys;
-
-      // Find the transfer instruction and amount
-      let transferFound = false;
-      let actualAmount = 0;
-      let fromAddress = '';
-      let toAddress = '';
-
-      for (const instruction of tx.message.instructions) {
-        // Check if this is a token transfer
-        if (instruction.programIdIndex === accountKeys.length - 1) {
-          const programId = accountKeys[instruction.programIdIndex];
-          if (programId.toString() === 'TokenkegQfeZyiNwAJbNbGKPFXCWuBvf9Ss623VQ5DA') {
-            const instructionData = instruction.data;
-            if (instructionData && instructionData.length >= 9) {
-              // Extract amount (bytes 1-8)
-              const amountBytes = instructionData.slice(1, 9);
-              actualAmount = Number(new BN(amountBytes, 'le').toString()) / 1000000;
-
-              // Extract accounts (source and destination)
-              const sourceAccountIndex = instruction.accounts[0];
-              const destAccountIndex = instruction.accounts[1];
-
-              fromAddress = accountKeys[sourceAccountIndex]?.toString() || '';
-              toAddress = accountKeys[destAccountIndex]?.toString() || '';
-
-              transferFound = true;
-              break;
-            }
-          }
-        }
-      }
+      // Find the USDC credited to the treasury's token account and who sent it
+      const deposit = usdcDeposits.parseUsdcDeposit(transactionDetails, { treasuryOwner: TREASURY_ADDRESS });
+      actualAmount = deposit.amount;
+      fromAddress = deposit.sender || '';
+      const toAddress = deposit.credits.map(credit => credit.account).join(', ');
 
-      if (!transferFound || actualAmount <= 0) {
-        console.log(`❌ [VERIFY-DEPOSIT] No valid token transfer found`);
+      if (actualAmount <= 0) {
+        console.log(`❌ [VERIFY-DEPOSIT] No USDC transfer to the treasury found`);
         return {
           statusCode: 400,
           headers: {
             'Access-Control-Allow-Origin': '*',
-            'Access-Control-Allow-Headers': 'Content-Type, Authorization',
+            'Access-Control-Allow-Headers': 'Content-Type, Authorization, Idempotency-Key',
             'Access-Control-Allow-Methods': 'POST, OPTIONS'
           },
-          body: JSON.stringify({ error: 'Invalid transaction: no token transfer found' })
+          body: JSON.stringify({ error: 'Invalid transaction: no USDC transfer to the treasury found' })
         };
       }
 
-      console.log(`✅ [VERIFY-DEPOSIT] Verified transfer: ${actualAmount} USDC from ${fromAddress} to ${toAddress}`);
+      // A deposit reference (memo code or Solana Pay reference) attributes the deposit whatever wallet sent it
+      byReference = await depositReferences.findByReference(deposit);
+      if (byReference && (byReference.conflict || !byReference.user._id.equals(user._id))) {
+        console.log(`❌ [VERIFY-DEPOSIT] Transaction carries another account's deposit reference`);
+        return {
+          statusCode: 400,
+          headers: {
+            'Access-Control-Allow-Origin': '*',
+            'Access-Control-Allow-Headers': 'Content-Type, Authorization, Idempotency-Key',
+            'Access-Control-Allow-Methods': 'POST, OPTIONS'
+          },
+          body: JSON.stringify({ error: 'This transaction carries another account\'s deposit reference' })
+        };
+      }
 
-      // For first-time deposits, verify the user's wallet address
-      if (!user.solanaAddress) {
-        console.log(`🔑 [VERIFY-DEPOSIT] Setting user wallet address: ${fromAddress}`);
-        user.solanaAddress = fromAddress;
-      } else if (user.solanaAddress !== fromAddress) {
-        console.log(`❌ [VERIFY-DEPOSIT] Wallet address mismatch: expected ${user.solanaAddress}, got ${fromAddress}`);
+      if (!byReference && !fromAddress) {
+        console.log(`❌ [VERIFY-DEPOSIT] Several wallets paid this transaction: ${deposit.senders.map(sender => sender.owner).join(', ')}`);
         return {
           statusCode: 400,
           headers: {
             'Access-Control-Allow-Origin': '*',
-            'Access-Control-Allow-Headers': 'Content-Type, Authorization',
+            'Access-Control-Allow-Headers': 'Content-Type, Authorization, Idempotency-Key',
             'Access-Control-Allow-Methods': 'POST, OPTIONS'
           },
-          body: JSON.stringify({ error: 'Transaction must be from your verified wallet address' })
+          body: JSON.stringify({ error: 'Could not identify a single sender address for this transaction' })
         };
       }
 
+      console.log(`✅ [VERIFY-DEPOSIT] Verified transfer: ${money.format(actualAmount)} USDC from ${fromAddress} to ${toAddress}`);
+
+      // The sender must be a linked deposit wallet, or get linked (a reference match needs
+      // neither, the sender may be an exchange)
+      if (fromAddress && linkedWallets.findWallet(user, fromAddress, 'deposit')) {
+        console.log(`✅ [VERIFY-DEPOSIT] Sender is a linked wallet: ${fromAddress}`);
+      } else if (byReference) {
+        console.log(`✅ [VERIFY-DEPOSIT] Matched by deposit ${byReference.method}`);
+      } else {
+        isNewWallet = true;
+        console.log(`🔑 [VERIFY-DEPOSIT] Linking new deposit wallet: ${fromAddress}`);
+      }
+
     } catch (error) {
       console.error(`❌ [VERIFY-DEPOSIT] Transaction verification failed:`, error);
       return {
         statusCode: 500,
         headers: {
           'Access-Control-Allow-Origin': '*',
-          'Access-Control-Allow-Headers': 'Content-Type, Authorization',
+          'Access-Control-Allow-Headers': 'Content-Type, Authorization, Idempotency-Key',
           'Access-Control-Allow-Methods': 'POST, OPTIONS'
         },
         body: JSON.stringify({ error: `Transaction verification failed: ${error.message}` })
       };
     }
 
-    // Update user balance and create transaction record
-    const oldBalance = user.gameBalance;
-    user.gameBalance += actualAmount;
-    await user.save();
-
-    console.log(`💰 [VERIFY-DEPOSIT] Updated user balance: ${oldBalance} → ${user.gameBalance} casino tokens`);
+    // Link the wallet only with proof the user controls it: anyone can submit a public transaction hash
+    if (isNewWallet) {
+      await linkedWallets.link(user, { address: fromAddress, role: 'deposit', proof: walletProof });
+    }
 
-    const gameTransaction = new GameTransaction({
+    // Record the deposit; the balance is credited once it reaches the credit commitment
+    const oldBalance = user.gameBalance;
+    const { credited, state, user: updatedUser, transaction: gameTransaction } = await depositLifecycle.recordDeposit(solanaConnection, {
       userId: user._id,
-      type: 'deposit',
-      amount: actualAmount,
-      tokenAmount: actualAmount,
-      fromAddress: user.solanaAddress,
-      toAddress: 'TREASURY',
-      solanaTxHash: solanaTxHash,
-      status: 'completed'
+      signature: solanaTxHash,
+      gross: actualAmount,
+      tokens: actualAmount,
+      slot: transactionDetails.slot,
+      blockTime: transactionDetails.blockTime,
+      transaction: {
+        fromAddress: fromAddress,
+        toAddress: 'TREASURY',
+        attribution: byReference ? byReference.method : 'sender'
+      }
     });
-    await gameTransaction.save();
 
+    console.log(`💰 [VERIFY-DEPOSIT] User balance: ${money.format(oldBalance)} → ${money.format(updatedUser.gameBalance)} casino tokens (deposit ${state})`);
     console.log(`✅ [VERIFY-DEPOSIT] Transaction record saved: ${solanaTxHash}`);
+    if (fromAddress && linkedWallets.findWallet(updatedUser, fromAddress, 'deposit')) {
+      await linkedWallets.touch(user._id, fromAddress);
+    }
 
-    const isFirstDeposit = !user.solanaAddress;
-    const message = isFirstDeposit
-      ? `🎉 First deposit successful! Your wallet has been verified and you received ${actualAmount} casino tokens!`
-      : `Successfully deposited ${actualAmount} USDC and received ${actualAmount} casino tokens!`;
+    let message;
+    if (!credited) {
+      message = `Deposit ${state}, ${money.format(actualAmount)} casino tokens will be credited once ${depositLifecycle.CREDIT_COMMITMENT}`;
+    } else if (isNewWallet) {
+      message = `🎉 Deposit successful! Your wallet has been verified and linked, and you received ${money.format(actualAmount)} casino tokens!`;
+    } else {
+      message = `Successfully deposited ${money.format(actualAmount)} USDC and received ${money.format(actualAmount)} casino tokens!`;
+    }
 
     return {
-      statusCode: 200,
+      statusCode: credited ? 200 : 202,
       headers: {
         'Access-Control-Allow-Origin': '*',
-        'Access-Control-Allow-Headers': 'Content-Type, Authorization',
+        'Access-Control-Allow-Headers': 'Content-Type, Authorization, Idempotency-Key',
         'Access-Control-Allow-Methods': 'POST, OPTIONS'
       },
       body: JSON.stringify({
         success: true,
-        usdcReceived: actualAmount,
-        gameTokensAdded: actualAmount,
-        newBalance: user.gameBalance,
+        usdcReceived: money.format(actualAmount),
+        gameTokensAdded: money.format(actualAmount),
+        newBalance: money.format(updatedUser.gameBalance),
         transactionId: gameTransaction._id,
-        isFirstDeposit: isFirstDeposit,
+        walletVerified: isNewWallet,
+        pending: !credited,
+        depositState: state,
         message: message
       })
     };
 
   } catch (error) {
     console.error('Buy tokens error:', error);
+    const balanceError = error instanceof balanceService.BalanceError;
+    const proofError = error instanceof walletOwnership.WalletProofError;
+    const walletError = error instanceof linkedWallets.LinkedWalletError;
+    let body = { error: balanceError ? error.message : 'Token purchase failed' };
+    if (proofError) {
+      body = { error: error.message, code: error.code, walletAddress: error.address };
+    } else if (walletError) {
+      body = { error: error.message, code: error.code };
+    }
     return {
-      statusCode: 500,
+      statusCode: balanceError || proofError || walletError ? error.statusCode : 500,
       headers: {
         'Access-Control-Allow-Origin': '*',
-        'Access-Control-Allow-Headers': 'Content-Type, Authorization',
+        'Access-Control-Allow-Headers': 'Content-Type, Authorization, Idempotency-Key',
         'Access-Control-Allow-Methods': 'POST, OPTIONS'
       },
-      body: JSON.stringify({ error: 'Token purchase failed' })
+      body: JSON.stringify(body)
     };
   }
-};
\ No newline at end of file
+};
+
+exports.handler = idempotency.wrapHandler('buy-tokens', handler, { connect: connectDB });
@@ -0,0 +1,145 @@
+// Netlify Function for the unclaimed deposit inbox (see lib/unclaimed-deposits.js):
+// GET ?signature= looks up an unclaimed deposit and the message its sending wallet signs;
+// POST claims it with that wallet signature, or files a claim by memo/reference for review
+const mongoose = require('mongoose');
+const jwt = require('jsonwebtoken');
+const { Connection } = require('@solana/web3.js');
+const User = require('./user-schema.js');
+const balanceService = require('../../lib/balance-service.js');
+const depositLifecycle = require('../../lib/deposit-lifecycle.js');
+const idempotency = require('../../lib/idempotency.js');
+const unclaimedDeposits = require('../../lib/unclaimed-deposits.js');
+const money = require('../../lib/money.js');
+
+require('dotenv').config();
+
+// Solana connection
+const solanaConnection = new Connection(
+  process.env.SOLANA_RPC_URL || 'https://api.mainnet-beta.solana.com',
+  {
+    commitment: 'confirmed',
+    maxSupportedTransactionVersion: 0
+  }
+);
+
+// MongoDB connection
+const connectDB = async () => {
+  if (mongoose.connections[0].readyState) return;
+  try {
+    await mongoose.connect(process.env.MONGODB_URI);
+    console.log('MongoDB connected');
+  } catch (error) {
+    console.error('MongoDB connection error:', error);
+    throw error;
+  }
+};
+
+const handler = async (event, context) => {
+  const origin = event.headers.origin || event.headers.Origin || '';
+  const allowedOrigins = [
+    'https://primimus.com',
+    'https://www.primimus.com',
+    'https://primimus.netlify.app',
+    'http://localhost:3000',
+    'http://localhost:5000',
+    'http://127.0.0.1:3000',
+    'http://127.0.0.1:5000'
+  ];
+  const isAllowedOrigin = allowedOrigins.includes(origin) || origin.endsWith('.netlify.app');
+  const headers = {
+    'Access-Control-Allow-Origin': isAllowedOrigin ? origin : 'https://primimus.com',
+    'Access-Control-Allow-Headers': 'Content-Type, Authorization, Idempotency-Key',
+    'Access-Control-Allow-Methods': 'GET, POST, OPTIONS',
+    'Access-Control-Allow-Credentials': 'true'
+  };
+
+  // Handle CORS preflight
+  if (event.httpMethod === 'OPTIONS') {
+    return { statusCode: 200, headers, body: '' };
+  }
+
+  if (event.httpMethod !== 'GET' && event.httpMethod !== 'POST') {
+    return { statusCode: 405, headers, body: JSON.stringify({ error: 'Method not allowed' }) };
+  }
+
+  try {
+    const authHeader = event.headers.authorization;
+    const token = authHeader && authHeader.split(' ')[1];
+
+    if (!token) {
+      return { statusCode: 401, headers, body: JSON.stringify({ error: 'Access token required' }) };
+    }
+
+    let decoded;
+    try {
+      decoded = jwt.verify(token, process.env.JWT_SECRET);
+    } catch (jwtError) {
+      console.error('JWT verification error:', jwtError.message);
+      return { statusCode: 401, headers, body: JSON.stringify({ error: 'Invalid token' }) };
+    }
+
+    await connectDB();
+
+    if (event.httpMethod === 'GET') {
+      const signature = String(event.queryStringParameters?.signature || '').trim();
+      if (!signature) {
+        return { statusCode: 400, headers, body: JSON.stringify({ error: 'Transaction signature required' }) };
+      }
+      const deposit = await unclaimedDeposits.lookup(signature, decoded.userId);
+      return { statusCode: 200, headers, body: JSON.stringify(deposit) };
+    }
+
+    const { walletSignature, reference, transactionSignature } = JSON.parse(event.body || '{}');
+    const signature = String(transactionSignature || '').trim();
+    if (!signature || (!walletSignature && !reference)) {
+      return {
+        statusCode: 400,
+        headers,
+        body: JSON.stringify({ error: 'Transaction signature and a wallet signature or reference required' })
+      };
+    }
+
+    const user = await User.findById(decoded.userId);
+    if (!user) {
+      return { statusCode: 404, headers, body: JSON.stringify({ error: 'User not found' }) };
+    }
+
+    if (!walletSignature) {
+      const deposit = await unclaimedDeposits.requestReview({ user, signature, reference });
+      return {
+        statusCode: 202,
+        headers,
+        body: JSON.stringify({
+          message: 'Claim sent for review. The deposit is credited once an admin confirms it.',
+          review: true,
+          deposit
+        })
+      };
+    }
+
+    const result = await unclaimedDeposits.claimWithSignature(solanaConnection, { user, signature, walletSignature });
+    return {
+      statusCode: result.credited ? 200 : 202,
+      headers,
+      body: JSON.stringify({
+        message: result.credited
+          ? `Deposit claimed: ${money.format(result.transaction.amount)} tokens credited`
+          : `Deposit claimed, ${money.format(result.transaction.amount)} tokens will be credited once ${depositLifecycle.CREDIT_COMMITMENT}`,
+        pending: !result.credited,
+        depositState: result.state,
+        gameTokensAdded: money.format(result.transaction.amount),
+        newBalance: money.format(result.user.gameBalance),
+        transactionSignature: signature
+      })
+    };
+
+  } catch (error) {
+    if (error instanceof unclaimedDeposits.UnclaimedDepositError || error instanceof balanceService.BalanceError) {
+      return { statusCode: error.statusCode, headers, body: JSON.stringify({ error: error.message }) };
+    }
+    console.error('Deposit claim error:', error);
+    return { statusCode: 500, headers, body: JSON.stringify({ error: 'Deposit claim failed' }) };
+  }
+};
+
+exports.handler = idempotency.wrapHandler('deposit-claim', handler, { connect: connectDB });
@@ -0,0 +1,120 @@
+// Netlify Function for creating a Solana Pay deposit request (URL for the deposit QR code)
+const mongoose = require('mongoose');
+const jwt = require('jsonwebtoken');
+const User = require('./user-schema.js');
+const depositReferences = require('../../lib/deposit-references.js');
+const feeSchedule = require('../../lib/fee-schedule.js');
+const solanaPay = require('../../lib/solana-pay.js');
+const usdcDeposits = require('../../lib/usdc-deposits.js');
+const money = require('../../lib/money.js');
+
+require('dotenv').config();
+
+// MongoDB connection
+const connectDB = async () => {
+  if (mongoose.connections[0].readyState) return;
+  try {
+    await mongoose.connect(process.env.MONGODB_URI);
+    console.log('MongoDB connected');
+  } catch (error) {
+    console.error('MongoDB connection error:', error);
+    throw error;
+  }
+};
+
+exports.handler = async (event, context) => {
+  const origin = event.headers.origin || event.headers.Origin || '';
+  const allowedOrigins = [
+    'https://primimus.com',
+    'https://www.primimus.com',
+    'https://primimus.netlify.app',
+    'http://localhost:3000',
+    'http://localhost:5000',
+    'http://127.0.0.1:3000',
+    'http://127.0.0.1:5000'
+  ];
+  const isAllowedOrigin = allowedOrigins.includes(origin) || origin.endsWith('.netlify.app');
+  const headers = {
+    'Access-Control-Allow-Origin': isAllowedOrigin ? origin : 'https://primimus.com',
+    'Access-Control-Allow-Headers': 'Content-Type, Authorization',
+    'Access-Control-Allow-Methods': 'POST, OPTIONS',
+    'Access-Control-Allow-Credentials': 'true'
+  };
+
+  // Handle CORS preflight
+  if (event.httpMethod === 'OPTIONS') {
+    return { statusCode: 200, headers, body: '' };
+  }
+
+  // Only allow POST requests
+  if (event.httpMethod !== 'POST') {
+    return { statusCode: 405, headers, body: JSON.stringify({ error: 'Method not allowed' }) };
+  }
+
+  try {
+    const authHeader = event.headers.authorization;
+    const token = authHeader && authHeader.split(' ')[1];
+
+    if (!token) {
+      return { statusCode: 401, headers, body: JSON.stringify({ error: 'Access token required' }) };
+    }
+
+    const decoded = jwt.verify(token, process.env.JWT_SECRET);
+
+    if (!process.env.TREASURY_ADDRESS) {
+      return { statusCode: 500, headers, body: JSON.stringify({ error: 'Treasury not configured' }) };
+    }
+
+    const body = JSON.parse(event.body || '{}');
+    let amount = null;
+    if (body.amount !== undefined && body.amount !== null && body.amount !== '') {
+      amount = money.parse(body.amount, 2);
+      if (amount === null) {
+        return { statusCode: 400, headers, body: JSON.stringify({ error: 'Amount must be a USDC amount with at most 2 decimal places' }) };
+      }
+      const { fee, net } = feeSchedule.depositQuote(amount);
+      if (net <= 0) {
+        return { statusCode: 400, headers, body: JSON.stringify({ error: `Amount must be more than its ${money.format(fee)} USDC deposit fee` }) };
+      }
+    }
+
+    await connectDB();
+
+    let user = await User.findById(decoded.userId);
+    if (!user) {
+      return { statusCode: 404, headers, body: JSON.stringify({ error: 'User not found' }) };
+    }
+    user = await depositReferences.ensureDepositReferences(user);
+
+    const recipient = process.env.TREASURY_ADDRESS;
+    const url = solanaPay.transferRequestURL({
+      recipient,
+      amount,
+      reference: user.depositReference,
+      memo: user.depositMemo
+    });
+    const watchUntil = await solanaPay.watchReference(user._id);
+
+    console.log(`🧾 [SOLANA PAY] Payment request for ${user.email}: ${amount ? money.format(amount) : 'any amount'} USDC, reference ${user.depositReference}`);
+
+    return {
+      statusCode: 200,
+      headers,
+      body: JSON.stringify({
+        url,
+        recipient,
+        splToken: usdcDeposits.USDC_MINT,
+        amount: amount ? money.format(amount) : null,
+        reference: user.depositReference,
+        memo: user.depositMemo,
+        label: solanaPay.LABEL,
+        createdAt: new Date().toISOString(),
+        watchUntil: watchUntil.toISOString()
+      })
+    };
+
+  } catch (error) {
+    console.error('Payment request error:', error);
+    return { statusCode: 500, headers, body: JSON.stringify({ error: 'Failed to create payment request' }) };
+  }
+};
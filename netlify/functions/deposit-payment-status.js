@@ -0,0 +1,130 @@
+// Netlify Function for checking a Solana Pay deposit: scans the user's reference, re-checks their
+// pending deposits and returns the deposits recorded since the payment request was made
+const mongoose = require('mongoose');
+const jwt = require('jsonwebtoken');
+const { Connection } = require('@solana/web3.js');
+const User = require('./user-schema.js');
+const GameTransaction = require('./transaction-schema.js');
+const depositCrediting = require('../../lib/deposit-crediting.js');
+const depositLifecycle = require('../../lib/deposit-lifecycle.js');
+const solanaPay = require('../../lib/solana-pay.js');
+const money = require('../../lib/money.js');
+
+require('dotenv').config();
+
+// Solana connection
+const solanaConnection = new Connection(
+  process.env.SOLANA_RPC_URL || 'https://api.mainnet-beta.solana.com',
+  {
+    commitment: 'confirmed',
+    maxSupportedTransactionVersion: 0
+  }
+);
+
+// MongoDB connection
+const connectDB = async () => {
+  if (mongoose.connections[0].readyState) return;
+  try {
+    await mongoose.connect(process.env.MONGODB_URI);
+    console.log('MongoDB connected');
+  } catch (error) {
+    console.error('MongoDB connection error:', error);
+    throw error;
+  }
+};
+
+exports.handler = async (event, context) => {
+  const origin = event.headers.origin || event.headers.Origin || '';
+  const allowedOrigins = [
+    'https://primimus.com',
+    'https://www.primimus.com',
+    'https://primimus.netlify.app',
+    'http://localhost:3000',
+    'http://localhost:5000',
+    'http://127.0.0.1:3000',
+    'http://127.0.0.1:5000'
+  ];
+  const isAllowedOrigin = allowedOrigins.includes(origin) || origin.endsWith('.netlify.app');
+  const headers = {
+    'Access-Control-Allow-Origin': isAllowedOrigin ? origin : 'https://primimus.com',
+    'Access-Control-Allow-Headers': 'Content-Type, Authorization',
+    'Access-Control-Allow-Methods': 'GET, OPTIONS',
+    'Access-Control-Allow-Credentials': 'true'
+  };
+
+  // Handle CORS preflight
+  if (event.httpMethod === 'OPTIONS') {
+    return { statusCode: 200, headers, body: '' };
+  }
+
+  // Only allow GET requests
+  if (event.httpMethod !== 'GET') {
+    return { statusCode: 405, headers, body: JSON.stringify({ error: 'Method not allowed' }) };
+  }
+
+  try {
+    const authHeader = event.headers.authorization;
+    const token = authHeader && authHeader.split(' ')[1];
+
+    if (!token) {
+      return { statusCode: 401, headers, body: JSON.stringify({ error: 'Access token required' }) };
+    }
+
+    const decoded = jwt.verify(token, process.env.JWT_SECRET);
+
+    const sinceParam = event.queryStringParameters?.since;
+    const since = sinceParam ? new Date(sinceParam) : new Date(Date.now() - solanaPay.WATCH_MS);
+    if (Number.isNaN(since.getTime())) {
+      return { statusCode: 400, headers, body: JSON.stringify({ error: 'Invalid since timestamp' }) };
+    }
+
+    await connectDB();
+
+    const user = await User.findById(decoded.userId);
+    if (!user) {
+      return { statusCode: 404, headers, body: JSON.stringify({ error: 'User not found' }) };
+    }
+
+    // No background jobs here: the poll itself scans the reference
+    const treasuryAddress = process.env.TREASURY_ADDRESS;
+    if (treasuryAddress && user.depositReference) {
+      await solanaPay.referenceScanner({
+        connection: solanaConnection,
+        user,
+        processSignature: (sigInfo) => depositCrediting.creditDepositSignature(solanaConnection, sigInfo.signature, {
+          treasuryAddress,
+          tag: 'SOLANA PAY'
+        })
+      }).run();
+    }
+    await depositLifecycle.recheckPendingDeposits(solanaConnection, { userId: user._id });
+
+    const deposits = await GameTransaction.find({
+      userId: user._id,
+      type: 'deposit',
+      timestamp: { $gte: since }
+    }).sort({ timestamp: -1 });
+    const updatedUser = await User.findById(user._id);
+
+    return {
+      statusCode: 200,
+      headers,
+      body: JSON.stringify({
+        deposits: deposits.map(tx => ({
+          signature: tx.solanaTxHash,
+          usdcReceived: money.format(tx.solAmount ?? tx.amount),
+          gameTokensAdded: money.format(tx.amount),
+          attribution: tx.attribution || null,
+          status: tx.status,
+          depositState: tx.depositState || null,
+          timestamp: tx.timestamp
+        })),
+        newBalance: money.format(updatedUser.gameBalance)
+      })
+    };
+
+  } catch (error) {
+    console.error('Payment status error:', error);
+    return { statusCode: 500, headers, body: JSON.stringify({ error: 'Failed to check payment status' }) };
+  }
+};
@@ -1,15 +1,22 @@
 // Netlify Function for deposit verification
 const mongoose = require('mongoose');
 const jwt = require('jsonwebtoken');
-const { Connection, PublicKey, Transaction, SystemProgram } = require('@solana/web3.js');
+const { Connection, Transaction, SystemProgram } = require('@solana/web3.js');
 const { getAssociatedTokenAddress } = require('@solana/spl-token');
 const User = require('./user-schema.js');
+const GameTransaction = require('./transaction-schema.js');
+const balanceService = require('../../lib/balance-service.js');
+const idempotency = require('../../lib/idempotency.js');
+const usdcDeposits = require('../../lib/usdc-deposits.js');
+const depositReferences = require('../../lib/deposit-references.js');
+const depositLifecycle = require('../../lib/deposit-lifecycle.js');
+const walletOwnership = require('../../lib/wallet-ownership.js');
+const linkedWallets = require('../../lib/linked-wallets.js');
+const feeSchedule = require('../../lib/fee-schedule.js');
+const money = require('../../lib/money.js');
 
 require('dotenv').config();
 
-// USDC Constants
-const USDC_MINT = new PublicKey('EPjFWdd5AufqSSqeM2qN1xzybapC8G4wEGGkZwyTDt1v');
-
 // Initialize Solana connection - Try multiple RPC endpoints for compatibility
 let solanaConnection;
 
@@ -61,23 +68,9 @@ const connectDB = async () => {
   }
 };
 
-// Transaction Schema
-const transactionSchema = new mongoose.Schema({
-  userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
-  type: { type: String, enum: ['deposit', 'withdraw', 'bet_win', 'bet_loss'], required: true },
-  amount: { type: Number, required: true },
-  solAmount: Number,
-  tokenAmount: Number,
-  solanaTxHash: { type: String, unique: true },
-  fromAddress: String,
-  toAddress: String,
-  timestamp: { type: Date, default: Date.now },
-  status: { type: String, enum: ['pending', 'completed', 'failed'], default: 'completed' }
-});
-
-const GameTransaction = mongoose.model('Transaction', transactionSchema);
-
-exports.handler = async (event, context) => {
+// Transaction model imported from shared schema
+
+const handler = async (event, context) => {
   // Initialize Solana connection if not already done
   if (!solanaConnection) {
     await initializeSolanaConnection();
@@ -106,7 +99,7 @@ exports.handler = async (event, context) => {
       statusCode: 405,
       headers: {
         'Access-Control-Allow-Origin': isAllowedOrigin ? origin : 'https://primimus.com',
-        'Access-Control-Allow-Headers': 'Content-Type, Authorization',
+        'Access-Control-Allow-Headers': 'Content-Type, Authorization, Idempotency-Key',
         'Access-Control-Allow-Methods': 'POST, OPTIONS',
         'Access-Control-Allow-Credentials': 'true'
       },
@@ -120,7 +113,7 @@ exports.handler = async (event, context) => {
       statusCode: 200,
       headers: {
         'Access-Control-Allow-Origin': isAllowedOrigin ? origin : 'https://primimus.com',
-        'Access-Control-Allow-Headers': 'Content-Type, Authorization',
+        'Access-Control-Allow-Headers': 'Content-Type, Authorization, Idempotency-Key',
         'Access-Control-Allow-Methods': 'POST, OPTIONS',
         'Access-Control-Allow-Credentials': 'true'
       },
@@ -141,7 +134,7 @@ exports.handler = async (event, context) => {
         statusCode: 401,
         headers: {
           'Access-Control-Allow-Origin': isAllowedOrigin ? origin : 'https://primimus.com',
-          'Access-Control-Allow-Headers': 'Content-Type, Authorization',
+          'Access-Control-Allow-Headers': 'Content-Type, Authorization, Idempotency-Key',
           'Access-Control-Allow-Methods': 'POST, OPTIONS',
           'Access-Control-Allow-Credentials': 'true'
         },
@@ -157,7 +150,7 @@ exports.handler = async (event, context) => {
         statusCode: 404,
         headers: {
           'Access-Control-Allow-Origin': isAllowedOrigin ? origin : 'https://primimus.com',
-          'Access-Control-Allow-Headers': 'Content-Type, Authorization',
+          'Access-Control-Allow-Headers': 'Content-Type, Authorization, Idempotency-Key',
           'Access-Control-Allow-Methods': 'POST, OPTIONS',
           'Access-Control-Allow-Credentials': 'true'
         },
@@ -165,27 +158,22 @@ exports.handler = async (event, context) => {
       };
     }
 
-    const { autoUpdate, transactionSignature } = JSON.parse(event.body);
+    const { autoUpdate, transactionSignature, walletProof } = JSON.parse(event.body);
 
     console.log(`🔍 [DEPOSIT] Starting deposit for user ${user.email}`);
 
     if (autoUpdate) {
       // Auto-update for verified users
       console.log(`🔄 [DEPOSIT] Auto-updating balance for verified user ${user.email}`);
-      console.log(`🔍 [DEPOSIT] User wallet verification check:`);
-      console.log(`   - user.solanaAddress: ${user.solanaAddress}`);
-      console.log(`   - typeof: ${typeof user.solanaAddress}`);
-      console.log(`   - is null: ${user.solanaAddress === null}`);
-      console.log(`   - is undefined: ${user.solanaAddress === undefined}`);
-      console.log(`   - is empty string: ${user.solanaAddress === ''}`);
-
-      if (!user.solanaAddress) {
+      console.log(`🔍 [DEPOSIT] User wallet verification check: ${user.wallets.length} linked wallet(s)`);
+
+      if (user.wallets.length === 0) {
         console.log(`❌ [DEPOSIT] User ${user.email} attempted auto-update but has no verified wallet`);
         return {
           statusCode: 400,
           headers: {
             'Access-Control-Allow-Origin': isAllowedOrigin ? origin : 'https://primimus.com',
-            'Access-Control-Allow-Headers': 'Content-Type, Authorization',
+            'Access-Control-Allow-Headers': 'Content-Type, Authorization, Idempotency-Key',
             'Access-Control-Allow-Methods': 'POST, OPTIONS',
             'Access-Control-Allow-Credentials': 'true'
           },
@@ -202,7 +190,7 @@ exports.handler = async (event, context) => {
         statusCode: 200,
         headers: {
           'Access-Control-Allow-Origin': isAllowedOrigin ? origin : 'https://primimus.com',
-          'Access-Control-Allow-Headers': 'Content-Type, Authorization',
+          'Access-Control-Allow-Headers': 'Content-Type, Authorization, Idempotency-Key',
           'Access-Control-Allow-Methods': 'POST, OPTIONS',
           'Access-Control-Allow-Credentials': 'true'
         },
@@ -220,7 +208,7 @@ exports.handler = async (event, context) => {
         statusCode: 400,
         headers: {
           'Access-Control-Allow-Origin': isAllowedOrigin ? origin : 'https://primimus.com',
-          'Access-Control-Allow-Headers': 'Content-Type, Authorization',
+          'Access-Control-Allow-Headers': 'Content-Type, Authorization, Idempotency-Key',
           'Access-Control-Allow-Methods': 'POST, OPTIONS',
           'Access-Control-Allow-Credentials': 'true'
         },
@@ -230,12 +218,38 @@ exports.handler = async (event, context) => {
 
     // Check if transaction already processed
     const existingTransaction = await GameTransaction.findOne({ solanaTxHash: transactionSignature });
+    if (existingTransaction && existingTransaction.status === 'pending' && existingTransaction.type === 'deposit' && existingTransaction.userId.equals(user._id)) {
+      // Recorded earlier and still waiting for its credit commitment: check it again
+      await depositLifecycle.recheckPendingDeposits(solanaConnection, { userId: user._id });
+      const current = await GameTransaction.findById(existingTransaction._id);
+      const updatedUser = await User.findById(user._id);
+      return {
+        statusCode: current.status === 'pending' ? 202 : 200,
+        headers: {
+          'Access-Control-Allow-Origin': isAllowedOrigin ? origin : 'https://primimus.com',
+          'Access-Control-Allow-Headers': 'Content-Type, Authorization, Idempotency-Key',
+          'Access-Control-Allow-Methods': 'POST, OPTIONS',
+          'Access-Control-Allow-Credentials': 'true'
+        },
+        body: JSON.stringify({
+          success: current.status !== 'failed',
+          message: current.status === 'pending'
+            ? `Deposit ${current.depositState}, it will be credited once ${depositLifecycle.CREDIT_COMMITMENT}`
+            : `Deposit ${current.depositState}`,
+          pending: current.status === 'pending',
+          depositState: current.depositState,
+          gameTokensAdded: money.format(current.depositState === 'credited' ? current.amount : 0),
+          newBalance: money.format(updatedUser.gameBalance),
+          transactionHash: transactionSignature
+        })
+      };
+    }
     if (existingTransaction) {
       return {
         statusCode: 400,
         headers: {
           'Access-Control-Allow-Origin': isAllowedOrigin ? origin : 'https://primimus.com',
-          'Access-Control-Allow-Headers': 'Content-Type, Authorization',
+          'Access-Control-Allow-Headers': 'Content-Type, Authorization, Idempotency-Key',
           'Access-Control-Allow-Methods': 'POST, OPTIONS',
           'Access-Control-Allow-Credentials': 'true'
         },
@@ -249,29 +263,18 @@ exports.handler = async (event, context) => {
     // Get transaction details from Solana
     console.log(`🔍 [DEPOSIT] Attempting to fetch transaction...`);
 
-    // Try with explicit options to support legacy transactions
-    let transaction;
-    try {
-      transaction = await solanaConnection.getTransaction(transactionSignature, {
-        maxSupportedTransactionVersion: 0,
-        commitment: 'confirmed'
-      });
-      console.log(`✅ [DEPOSIT] Transaction fetch completed with options`);
-    } catch (error) {
-      console.log(`⚠️ [DEPOSIT] Transaction fetch with options failed: ${error.message}`);
-      console.log(`🔄 [DEPOSIT] Retrying without options...`);
-
-      // Fallback to basic call
-      transaction = await solanaConnection.getTransaction(transactionSignature);
-      console.log(`✅ [DEPOSIT] Transaction fetch completed (fallback)`);
-    }
+    // Parsed form so the shared deposit parser can read transfer instructions (legacy and v0)
+    const transaction = await solanaConnection.getParsedTransaction(transactionSignature, {
+      maxSupportedTransactionVersion: 0,
+      commitment: 'confirmed'
+    });
 
     if (!transaction) {
       return {
         statusCode: 400,
         headers: {
           'Access-Control-Allow-Origin': isAllowedOrigin ? origin : 'https://primimus.com',
-          'Access-Control-Allow-Headers': 'Content-Type, Authorization',
+          'Access-Control-Allow-Headers': 'Content-Type, Authorization, Idempotency-Key',
           'Access-Control-Allow-Methods': 'POST, OPTIONS',
           'Access-Control-Allow-Credentials': 'true'
         },
@@ -279,13 +282,12 @@ exports.handler = async (event, context) => {
       };
     }
 
-    const meta = transaction.transaction.message;
     if (transaction.meta.err) {
       return {
         statusCode: 400,
         headers: {
           'Access-Control-Allow-Origin': isAllowedOrigin ? origin : 'https://primimus.com',
-          'Access-Control-Allow-Headers': 'Content-Type, Authorization',
+          'Access-Control-Allow-Headers': 'Content-Type, Authorization, Idempotency-Key',
           'Access-Control-Allow-Methods': 'POST, OPTIONS',
           'Access-Control-Allow-Credentials': 'true'
         },
@@ -293,120 +295,126 @@ exports.handler = async (event, context) => {
       };
     }
 
-    // Analyze token balances
-    const preBalances = transaction.meta.preTokenBalances;
-    const postBalances = transaction.meta.postTokenBalances;
-
-    // Find USDC transfers
-    let usdcTransferred = 0;
-    let senderAddress = null;
-
-    for (let i = 0; i < preBalances.length; i++) {
-      const pre = preBalances[i];
-      const post = postBalances[i];
+    // Find the USDC credited to the treasury's token account and who sent it
+    const deposit = usdcDeposits.parseUsdcDeposit(transaction, { treasuryOwner: process.env.TREASURY_ADDRESS });
+    const usdcTransferred = deposit.amount;
+    const senderAddress = deposit.sender;
 
-      if (pre.mint === USDC_MINT.toString() && post.mint === USDC_MINT.toString()) {
-        const preAmount = parseFloat(pre.uiTokenAmount.uiAmount || 0);
-        const postAmount = parseFloat(post.uiTokenAmount.uiAmount || 0);
-
-        if (preAmount > postAmount) {
-          // This account sent USDC
-          usdcTransferred = preAmount - postAmount;
-          senderAddress = pre.owner;
-          break;
-        }
-      }
+    if (usdcTransferred === 0) {
+      return {
+        statusCode: 400,
+        headers: {
+          'Access-Control-Allow-Origin': isAllowedOrigin ? origin : 'https://primimus.com',
+          'Access-Control-Allow-Headers': 'Content-Type, Authorization, Idempotency-Key',
+          'Access-Control-Allow-Methods': 'POST, OPTIONS',
+          'Access-Control-Allow-Credentials': 'true'
+        },
+        body: JSON.stringify({ error: 'No USDC transfer to the treasury found in transaction' })
+      };
     }
 
-    if (usdcTransferred === 0) {
+    // A deposit reference (memo code or Solana Pay reference) attributes the deposit whatever wallet sent it
+    const byReference = await depositReferences.findByReference(deposit);
+    if (byReference && (byReference.conflict || !byReference.user._id.equals(user._id))) {
       return {
         statusCode: 400,
         headers: {
           'Access-Control-Allow-Origin': isAllowedOrigin ? origin : 'https://primimus.com',
-          'Access-Control-Allow-Headers': 'Content-Type, Authorization',
+          'Access-Control-Allow-Headers': 'Content-Type, Authorization, Idempotency-Key',
           'Access-Control-Allow-Methods': 'POST, OPTIONS',
           'Access-Control-Allow-Credentials': 'true'
         },
-        body: JSON.stringify({ error: 'No USDC transfer found in transaction' })
+        body: JSON.stringify({ error: 'This transaction carries another account\'s deposit reference' })
       };
     }
 
-    // Verify sender address matches stored wallet (for non-first deposits)
-    if (user.solanaAddress && user.solanaAddress !== senderAddress) {
+    if (!byReference && !senderAddress) {
       return {
         statusCode: 400,
         headers: {
           'Access-Control-Allow-Origin': isAllowedOrigin ? origin : 'https://primimus.com',
-          'Access-Control-Allow-Headers': 'Content-Type, Authorization',
+          'Access-Control-Allow-Headers': 'Content-Type, Authorization, Idempotency-Key',
           'Access-Control-Allow-Methods': 'POST, OPTIONS',
           'Access-Control-Allow-Credentials': 'true'
         },
-        body: JSON.stringify({ error: 'Transaction sender does not match your verified wallet address' })
+        body: JSON.stringify({ error: 'Could not identify a single sender address for this transaction' })
       };
     }
 
-    // First deposit - store the sender address
-    const isFirstDeposit = !user.solanaAddress;
-    if (isFirstDeposit) {
-      user.solanaAddress = senderAddress;
-      console.log(`🆕 [DEPOSIT] First deposit - setting verified wallet address: ${senderAddress}`);
+    // Sender must be a linked deposit wallet, unless matched by reference (which doesn't verify
+    // the wallet, it may be an exchange's)
+    const linkedWallet = senderAddress && linkedWallets.findWallet(user, senderAddress, 'deposit');
+    const isNewWallet = !byReference && !linkedWallet;
+    if (linkedWallet) {
+      console.log(`✅ [DEPOSIT] Sender is linked wallet "${linkedWallet.label}": ${senderAddress}`);
+    } else if (byReference) {
+      console.log(`✅ [DEPOSIT] Matched by deposit ${byReference.method}, sender: ${senderAddress || 'several wallets'}`);
+    } else {
+      // Link it, only with proof the user controls the wallet: anyone can submit a public transaction hash
+      await linkedWallets.link(user, { address: senderAddress, role: 'deposit', proof: walletProof });
+      console.log(`🆕 [DEPOSIT] Linked new deposit wallet: ${senderAddress}`);
     }
 
-    // Calculate tokens (USDC amount minus 5¢ fee)
-    const DEPOSIT_FEE = 0.05;
-    const usdcAfterFee = Math.max(0, usdcTransferred - DEPOSIT_FEE);
-    const gameTokens = Math.floor(usdcAfterFee * 100) / 100; // Round to 2 decimal places
+    // Calculate tokens (USDC amount minus the fee schedule's deposit fees), all in micro-USDC
+    const CENT = money.parse('0.01');
+    const { fee: depositFee, net: usdcAfterFee } = feeSchedule.depositQuote(usdcTransferred);
+    const gameTokens = Math.floor(usdcAfterFee / CENT) * CENT; // Round down to whole cents
 
-    console.log(`💰 [DEPOSIT] Fee calculation: ${usdcTransferred} USDC - ${DEPOSIT_FEE} fee = ${usdcAfterFee} USDC = ${gameTokens} tokens`);
+    console.log(`💰 [DEPOSIT] Fee calculation: ${money.format(usdcTransferred)} USDC - ${money.format(depositFee)} fee = ${money.format(usdcAfterFee)} USDC = ${money.format(gameTokens)} tokens`);
 
-    // Update user balance
+    // Record the deposit (duplicate signatures are rejected); credited now only if it already
+    // meets the credit commitment, otherwise when it is re-checked
     const oldBalance = user.gameBalance || 0;
-    user.gameBalance = oldBalance + gameTokens;
-    await user.save();
-
-    console.log(`💾 [DEPOSIT] Updated user balance: ${oldBalance} → ${user.gameBalance}`);
-
-    // Create transaction record
-    const dbTransaction = new GameTransaction({
+    const { credited, state, user: updatedUser, transaction: dbTransaction } = await depositLifecycle.recordDeposit(solanaConnection, {
       userId: user._id,
-      type: 'deposit',
-      amount: gameTokens,
-      solAmount: usdcAfterFee,
-      tokenAmount: gameTokens,
-      solanaTxHash: transactionSignature,
-      fromAddress: senderAddress,
-      toAddress: process.env.TREASURY_ADDRESS,
-      timestamp: new Date(),
-      status: 'completed'
+      signature: transactionSignature,
+      gross: usdcTransferred,
+      tokens: gameTokens,
+      slot: deposit.slot,
+      blockTime: deposit.blockTime,
+      transaction: {
+        fromAddress: senderAddress,
+        toAddress: process.env.TREASURY_ADDRESS,
+        attribution: byReference ? byReference.method : 'sender'
+      }
     });
 
-    await dbTransaction.save();
+    console.log(`💾 [DEPOSIT] User balance: ${money.format(oldBalance)} → ${money.format(updatedUser.gameBalance)} (deposit ${state})`);
 
     console.log(`✅ [DEPOSIT] Transaction record saved with ID: ${dbTransaction._id}`);
+    if (linkedWallet || isNewWallet) await linkedWallets.touch(user._id, senderAddress);
+
+    let message;
+    if (!credited) {
+      message = `Deposit ${state}, ${money.format(gameTokens)} tokens will be credited once ${depositLifecycle.CREDIT_COMMITMENT}`;
+    } else if (isNewWallet) {
+      message = `🎉 Deposit successful! Your wallet has been verified and linked, and you received ${money.format(gameTokens)} tokens!`;
+    } else {
+      message = `Successfully deposited ${money.format(usdcTransferred)} USDC and received ${money.format(gameTokens)} tokens!`;
+    }
 
-    const message = isFirstDeposit
-      ? `🎉 First deposit successful! Your wallet has been verified and you received ${gameTokens} tokens!`
-      : `Successfully deposited ${usdcTransferred} USDC and received ${gameTokens} tokens!`;
-
-    console.log(`🎉 [DEPOSIT] SUCCESS: ${usdcTransferred} USDC from ${senderAddress} → ${gameTokens} tokens (${transactionSignature})`);
+    console.log(`🎉 [DEPOSIT] SUCCESS: ${money.format(usdcTransferred)} USDC from ${senderAddress || 'several wallets'} → ${money.format(gameTokens)} tokens (${transactionSignature})`);
 
     return {
-      statusCode: 200,
+      statusCode: credited ? 200 : 202,
       headers: {
         'Access-Control-Allow-Origin': isAllowedOrigin ? origin : 'https://primimus.com',
-        'Access-Control-Allow-Headers': 'Content-Type, Authorization',
+        'Access-Control-Allow-Headers': 'Content-Type, Authorization, Idempotency-Key',
         'Access-Control-Allow-Methods': 'POST, OPTIONS',
         'Access-Control-Allow-Credentials': 'true'
       },
       body: JSON.stringify({
         success: true,
         message: message,
-        usdcReceived: usdcTransferred,
-        feeDeducted: DEPOSIT_FEE,
-        usdcAfterFee: usdcAfterFee,
-        gameTokensAdded: gameTokens,
-        newBalance: user.gameBalance,
-        isFirstDeposit: isFirstDeposit,
+        pending: !credited,
+        depositState: state,
+        usdcReceived: money.format(usdcTransferred),
+        feeDeducted: money.format(depositFee),
+        usdcAfterFee: money.format(usdcAfterFee),
+        gameTokensAdded: money.format(gameTokens),
+        newBalance: money.format(updatedUser.gameBalance),
+        walletVerified: isNewWallet,
+        attribution: byReference ? byReference.method : 'sender',
         transactionHash: transactionSignature
       })
     };
@@ -425,15 +433,21 @@ exports.handler = async (event, context) => {
       console.error('This indicates the Solana connection configuration is not working properly');
     }
 
+    const proofError = error instanceof walletOwnership.WalletProofError;
+    const knownError = proofError || error instanceof balanceService.BalanceError || error instanceof linkedWallets.LinkedWalletError;
     return {
-      statusCode: 500,
+      statusCode: knownError ? error.statusCode : 500,
       headers: {
         'Access-Control-Allow-Origin': isAllowedOrigin ? origin : 'https://primimus.com',
-        'Access-Control-Allow-Headers': 'Content-Type, Authorization',
+        'Access-Control-Allow-Headers': 'Content-Type, Authorization, Idempotency-Key',
         'Access-Control-Allow-Methods': 'POST, OPTIONS',
         'Access-Control-Allow-Credentials': 'true'
       },
-      body: JSON.stringify({ error: error.message || 'Deposit verification failed' })
+      body: JSON.stringify(proofError
+        ? { error: error.message, code: error.code, walletAddress: error.address }
+        : { error: error.message || 'Deposit verification failed' })
     };
   }
-};
\ No newline at end of file
+};
+
+exports.handler = idempotency.wrapHandler('deposit', handler, { connect: connectDB });
@@ -0,0 +1,87 @@
+// Netlify Function for rotating provably fair seeds (reveals the old server seed)
+const mongoose = require('mongoose');
+const jwt = require('jsonwebtoken');
+const fairness = require('../../lib/fairness.js');
+
+require('dotenv').config();
+
+// MongoDB connection
+const connectDB = async () => {
+  if (mongoose.connections[0].readyState) return;
+  try {
+    await mongoose.connect(process.env.MONGODB_URI);
+    console.log('MongoDB connected');
+  } catch (error) {
+    console.error('MongoDB connection error:', error);
+    throw error;
+  }
+};
+
+exports.handler = async (event, context) => {
+  const origin = event.headers.origin || event.headers.Origin || '';
+  const allowedOrigins = [
+    'https://primimus.com',
+    'https://www.primimus.com',
+    'https://primimus.netlify.app',
+    'http://localhost:3000',
+    'http://localhost:5000',
+    'http://127.0.0.1:3000',
+    'http://127.0.0.1:5000'
+  ];
+  const isAllowedOrigin = allowedOrigins.includes(origin) || origin.endsWith('.netlify.app');
+  const headers = {
+    'Access-Control-Allow-Origin': isAllowedOrigin ? origin : 'https://primimus.com',
+    'Access-Control-Allow-Headers': 'Content-Type, Authorization',
+    'Access-Control-Allow-Methods': 'POST, OPTIONS',
+    'Access-Control-Allow-Credentials': 'true'
+  };
+
+  // Handle CORS preflight
+  if (event.httpMethod === 'OPTIONS') {
+    return { statusCode: 200, headers, body: '' };
+  }
+
+  // Only allow POST requests
+  if (event.httpMethod !== 'POST') {
+    return { statusCode: 405, headers, body: JSON.stringify({ error: 'Method not allowed' }) };
+  }
+
+  try {
+    const authHeader = event.headers.authorization;
+    const token = authHeader && authHeader.split(' ')[1];
+
+    if (!token) {
+      return { statusCode: 401, headers, body: JSON.stringify({ error: 'Access token required' }) };
+    }
+
+    const decoded = jwt.verify(token, process.env.JWT_SECRET);
+
+    const { clientSeed } = JSON.parse(event.body || '{}');
+
+    if (clientSeed !== undefined && !fairness.isValidClientSeed(clientSeed)) {
+      return {
+        statusCode: 400,
+        headers,
+        body: JSON.stringify({ error: `Client seed must be 1-${fairness.MAX_CLIENT_SEED_LENGTH} printable characters` })
+      };
+    }
+
+    await connectDB();
+
+    const { revealed, active } = await fairness.rotateSeed(decoded.userId, clientSeed);
+    console.log(`🔐 [FAIRNESS] Rotated seed for user ${decoded.userId}`);
+
+    return {
+      statusCode: 200,
+      headers,
+      body: JSON.stringify({
+        revealed: fairness.publicSeedView(revealed),
+        active: fairness.publicSeedView(active)
+      })
+    };
+
+  } catch (error) {
+    console.error('Fairness rotate error:', error);
+    return { statusCode: 500, headers, body: JSON.stringify({ error: 'Failed to rotate seeds' }) };
+  }
+};
@@ -0,0 +1,31 @@
+// Shared Fairness Seed Schema (provably fair commit-reveal seeds)
+const mongoose = require('mongoose');
+
+const fairnessSeedSchema = new mongoose.Schema({
+  userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true, index: true },
+  // Kept secret while active; only the hash is shown to the player until the seed is rotated
+  serverSeed: { type: String, required: true },
+  serverSeedHash: { type: String, required: true },
+  clientSeed: { type: String, required: true },
+  // Next nonce to use; incremented atomically for every bet
+  nonce: { type: Number, default: 0 },
+  active: { type: Boolean, default: true },
+  createdAt: { type: Date, default: Date.now },
+  revealedAt: Date
+});
+
+// One active seed pair per user
+fairnessSeedSchema.index(
+  { userId: 1, active: 1 },
+  { unique: true, partialFilterExpression: { active: true } }
+);
+
+// Prevent model recompilation
+let FairnessSeed;
+try {
+  FairnessSeed = mongoose.model('FairnessSeed');
+} catch (error) {
+  FairnessSeed = mongoose.model('FairnessSeed', fairnessSeedSchema);
+}
+
+module.exports = FairnessSeed;
@@ -0,0 +1,73 @@
+// Netlify Function for reading the active provably fair seed commitment
+const mongoose = require('mongoose');
+const jwt = require('jsonwebtoken');
+const fairness = require('../../lib/fairness.js');
+
+require('dotenv').config();
+
+// MongoDB connection
+const connectDB = async () => {
+  if (mongoose.connections[0].readyState) return;
+  try {
+    await mongoose.connect(process.env.MONGODB_URI);
+    console.log('MongoDB connected');
+  } catch (error) {
+    console.error('MongoDB connection error:', error);
+    throw error;
+  }
+};
+
+exports.handler = async (event, context) => {
+  const origin = event.headers.origin || event.headers.Origin || '';
+  const allowedOrigins = [
+    'https://primimus.com',
+    'https://www.primimus.com',
+    'https://primimus.netlify.app',
+    'http://localhost:3000',
+    'http://localhost:5000',
+    'http://127.0.0.1:3000',
+    'http://127.0.0.1:5000'
+  ];
+  const isAllowedOrigin = allowedOrigins.includes(origin) || origin.endsWith('.netlify.app');
+  const headers = {
+    'Access-Control-Allow-Origin': isAllowedOrigin ? origin : 'https://primimus.com',
+    'Access-Control-Allow-Headers': 'Content-Type, Authorization',
+    'Access-Control-Allow-Methods': 'GET, OPTIONS',
+    'Access-Control-Allow-Credentials': 'true'
+  };
+
+  // Handle CORS preflight
+  if (event.httpMethod === 'OPTIONS') {
+    return { statusCode: 200, headers, body: '' };
+  }
+
+  // Only allow GET requests
+  if (event.httpMethod !== 'GET') {
+    return { statusCode: 405, headers, body: JSON.stringify({ error: 'Method not allowed' }) };
+  }
+
+  try {
+    const authHeader = event.headers.authorization;
+    const token = authHeader && authHeader.split(' ')[1];
+
+    if (!token) {
+      return { statusCode: 401, headers, body: JSON.stringify({ error: 'Access token required' }) };
+    }
+
+    const decoded = jwt.verify(token, process.env.JWT_SECRET);
+
+    await connectDB();
+
+    const seed = await fairness.getActiveSeed(decoded.userId);
+
+    return {
+      statusCode: 200,
+      headers,
+      body: JSON.stringify({ active: fairness.publicSeedView(seed) })
+    };
+
+  } catch (error) {
+    console.error('Fairness seed fetch error:', error);
+    return { statusCode: 500, headers, body: JSON.stringify({ error: 'Failed to fetch fairness seeds' }) };
+  }
+};
@@ -0,0 +1,106 @@
+// Netlify Function for verifying a past bet from its revealed seeds
+const mongoose = require('mongoose');
+const jwt = require('jsonwebtoken');
+const GameTransaction = require('./transaction-schema.js');
+const fairness = require('../../lib/fairness.js');
+
+require('dotenv').config();
+
+// MongoDB connection
+const connectDB = async () => {
+  if (mongoose.connections[0].readyState) return;
+  try {
+    await mongoose.connect(process.env.MONGODB_URI);
+    console.log('MongoDB connected');
+  } catch (error) {
+    console.error('MongoDB connection error:', error);
+    throw error;
+  }
+};
+
+exports.handler = async (event, context) => {
+  const origin = event.headers.origin || event.headers.Origin || '';
+  const allowedOrigins = [
+    'https://primimus.com',
+    'https://www.primimus.com',
+    'https://primimus.netlify.app',
+    'http://localhost:3000',
+    'http://localhost:5000',
+    'http://127.0.0.1:3000',
+    'http://127.0.0.1:5000'
+  ];
+  const isAllowedOrigin = allowedOrigins.includes(origin) || origin.endsWith('.netlify.app');
+  const headers = {
+    'Access-Control-Allow-Origin': isAllowedOrigin ? origin : 'https://primimus.com',
+    'Access-Control-Allow-Headers': 'Content-Type, Authorization',
+    'Access-Control-Allow-Methods': 'POST, OPTIONS',
+    'Access-Control-Allow-Credentials': 'true'
+  };
+
+  // Handle CORS preflight
+  if (event.httpMethod === 'OPTIONS') {
+    return { statusCode: 200, headers, body: '' };
+  }
+
+  // Only allow POST requests
+  if (event.httpMethod !== 'POST') {
+    return { statusCode: 405, headers, body: JSON.stringify({ error: 'Method not allowed' }) };
+  }
+
+  try {
+    const authHeader = event.headers.authorization;
+    const token = authHeader && authHeader.split(' ')[1];
+
+    if (!token) {
+      return { statusCode: 401, headers, body: JSON.stringify({ error: 'Access token required' }) };
+    }
+
+    let decoded;
+    try {
+      decoded = jwt.verify(token, process.env.JWT_SECRET);
+    } catch (jwtError) {
+      console.error('JWT verification error:', jwtError.message);
+      return { statusCode: 401, headers, body: JSON.stringify({ error: 'Invalid token' }) };
+    }
+
+    const { transactionId, serverSeed, clientSeed, nonce } = JSON.parse(event.body || '{}');
+
+    if (transactionId) {
+      if (!mongoose.Types.ObjectId.isValid(transactionId)) {
+        return { statusCode: 400, headers, body: JSON.stringify({ error: 'Invalid transaction id' }) };
+      }
+
+      await connectDB();
+
+      const transaction = await GameTransaction.findOne({
+        _id: transactionId,
+        userId: decoded.userId,
+        type: { $in: ['bet_win', 'bet_loss'] }
+      });
+      if (!transaction) {
+        return { statusCode: 404, headers, body: JSON.stringify({ error: 'Bet not found' }) };
+      }
+
+      const result = await fairness.verifyBetTransaction(transaction);
+      return { statusCode: 200, headers, body: JSON.stringify({ transactionId, ...result }) };
+    }
+
+    if (typeof serverSeed !== 'string' || typeof clientSeed !== 'string' || !Number.isInteger(nonce) || nonce < 0) {
+      return {
+        statusCode: 400,
+        headers,
+        body: JSON.stringify({ error: 'Provide transactionId, or serverSeed, clientSeed and nonce' })
+      };
+    }
+
+    return {
+      statusCode: 200,
+      headers,
+      body: JSON.stringify({ verifiable: true, serverSeed, ...fairness.verifyRoll({ serverSeed, clientSeed, nonce }) })
+    };
+
+  } catch (error) {
+    console.error('Fairness verify error:', error);
+    return { statusCode: 500, headers, body: JSON.stringify({ error: 'Verification failed' }) };
+  }
+};
@@ -1,8 +1,12 @@
 // Netlify Function for placing bets
 const mongoose = require('mongoose');
 const jwt = require('jsonwebtoken');
-const crypto = require('crypto');
 const User = require('./user-schema.js');
+const fairness = require('../../lib/fairness.js');
+const balanceService = require('../../lib/balance-service.js');
+const idempotency = require('../../lib/idempotency.js');
+const ledger = require('../../lib/ledger.js');
+const money = require('../../lib/money.js');
 
 require('dotenv').config();
 
@@ -20,23 +24,11 @@ const connectDB = async () => {
 
 // User model imported from shared schema
 
-// Transaction Schema
-const transactionSchema = new mongoose.Schema({
-  userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
-  type: { type: String, enum: ['deposit', 'withdraw', 'bet_win', 'bet_loss'], required: true },
-  amount: { type: Number, required: true },
-  solAmount: Number,
-  tokenAmount: Number,
-  solanaTxHash: { type: String, unique: true },
-  fromAddress: String,
-  toAddress: String,
-  timestamp: { type: Date, default: Date.now },
-  status: { type: String, enum: ['pending', 'completed', 'failed'], default: 'completed' }
-});
-
-const GameTransaction = mongoose.model('Transaction', transactionSchema);
-
-exports.handler = async (event, context) => {
+// Transaction model imported from shared schema
+
+const MAX_BET = money.parse('1000000'); // micro-USDC
+
+const handler = async (event, context) => {
   // Get the origin from the request
   const origin = event.headers.origin || event.headers.Origin || '';
 
@@ -60,7 +52,7 @@ exports.handler = async (event, context) => {
       statusCode: 405,
       headers: {
         'Access-Control-Allow-Origin': isAllowedOrigin ? origin : 'https://primimus.com',
-        'Access-Control-Allow-Headers': 'Content-Type, Authorization',
+        'Access-Control-Allow-Headers': 'Content-Type, Authorization, Idempotency-Key',
         'Access-Control-Allow-Methods': 'POST, OPTIONS',
         'Access-Control-Allow-Credentials': 'true',
         'Access-Control-Allow-Credentials': 'true'
@@ -75,7 +67,7 @@ exports.handler = async (event, context) => {
       statusCode: 200,
       headers: {
         'Access-Control-Allow-Origin': isAllowedOrigin ? origin : 'https://primimus.com',
-        'Access-Control-Allow-Headers': 'Content-Type, Authorization',
+        'Access-Control-Allow-Headers': 'Content-Type, Authorization, Idempotency-Key',
         'Access-Control-Allow-Methods': 'POST, OPTIONS',
         'Access-Control-Allow-Credentials': 'true',
         'Access-Control-Allow-Credentials': 'true'
@@ -94,7 +86,7 @@ exports.handler = async (event, context) => {
         statusCode: 401,
         headers: {
           'Access-Control-Allow-Origin': isAllowedOrigin ? origin : 'https://primimus.com',
-          'Access-Control-Allow-Headers': 'Content-Type, Authorization',
+          'Access-Control-Allow-Headers': 'Content-Type, Authorization, Idempotency-Key',
           'Access-Control-Allow-Methods': 'POST, OPTIONS',
         'Access-Control-Allow-Credentials': 'true'
         },
@@ -113,7 +105,7 @@ exports.handler = async (event, context) => {
         statusCode: 404,
         headers: {
           'Access-Control-Allow-Origin': isAllowedOrigin ? origin : 'https://primimus.com',
-          'Access-Control-Allow-Headers': 'Content-Type, Authorization',
+          'Access-Control-Allow-Headers': 'Content-Type, Authorization, Idempotency-Key',
           'Access-Control-Allow-Methods': 'POST, OPTIONS',
         'Access-Control-Allow-Credentials': 'true'
         },
@@ -121,33 +113,34 @@ exports.handler = async (event, context) => {
       };
     }
 
-    const { betAmount } = JSON.parse(event.body);
+    const requestedBet = JSON.parse(event.body).betAmount;
+    const betAmount = money.parse(requestedBet, 2);
 
-    // Validate bet amount
-    if (!betAmount || typeof betAmount !== 'number' || betAmount <= 0 || betAmount > 1000000) {
+    // Validate bet amount precision (max 2 decimal places)
+    if (betAmount === null && money.parse(requestedBet) !== null) {
       return {
         statusCode: 400,
         headers: {
           'Access-Control-Allow-Origin': isAllowedOrigin ? origin : 'https://primimus.com',
-          'Access-Control-Allow-Headers': 'Content-Type, Authorization',
+          'Access-Control-Allow-Headers': 'Content-Type, Authorization, Idempotency-Key',
           'Access-Control-Allow-Methods': 'POST, OPTIONS',
         'Access-Control-Allow-Credentials': 'true'
         },
-        body: JSON.stringify({ error: 'Invalid bet amount. Must be between 0.01 and 1,000,000' })
+        body: JSON.stringify({ error: 'Bet amount can have at most 2 decimal places' })
       };
     }
 
-    // Validate bet amount precision (max 2 decimal places)
-    if (betAmount !== Math.round(betAmount * 100) / 100) {
+    // Validate bet amount
+    if (betAmount === null || betAmount <= 0 || betAmount > MAX_BET) {
       return {
         statusCode: 400,
         headers: {
           'Access-Control-Allow-Origin': isAllowedOrigin ? origin : 'https://primimus.com',
-          'Access-Control-Allow-Headers': 'Content-Type, Authorization',
+          'Access-Control-Allow-Headers': 'Content-Type, Authorization, Idempotency-Key',
           'Access-Control-Allow-Methods': 'POST, OPTIONS',
         'Access-Control-Allow-Credentials': 'true'
         },
-        body: JSON.stringify({ error: 'Bet amount can have at most 2 decimal places' })
+        body: JSON.stringify({ error: 'Invalid bet amount. Must be between 0.01 and 1,000,000' })
       };
     }
 
@@ -157,7 +150,7 @@ exports.handler = async (event, context) => {
         statusCode: 400,
         headers: {
           'Access-Control-Allow-Origin': isAllowedOrigin ? origin : 'https://primimus.com',
-          'Access-Control-Allow-Headers': 'Content-Type, Authorization',
+          'Access-Control-Allow-Headers': 'Content-Type, Authorization, Idempotency-Key',
           'Access-Control-Allow-Methods': 'POST, OPTIONS',
         'Access-Control-Allow-Credentials': 'true'
         },
@@ -165,65 +158,81 @@ exports.handler = async (event, context) => {
       };
     }
 
-    // Generate cryptographically secure random outcome
-    const randomBytes = crypto.randomBytes(4);
-    const randomNumber = randomBytes.readUInt32LE(0) / 0xFFFFFFFF; // Convert to 0-1 range
+    // Provably fair outcome: claim the next nonce on the committed seed pair
+    const seed = await fairness.reserveNonce(user._id);
+    const nonce = seed.nonce;
+    const randomNumber = fairness.computeRoll(seed.serverSeed, seed.clientSeed, nonce);
 
     // Player wins if random < 0.50001 (50.001% chance to win - user advantage)
-    const playerWins = randomNumber < 0.50001;
+    const playerWins = fairness.isWinningRoll(randomNumber);
 
     // Calculate net amount
     const netAmount = playerWins ? betAmount : -betAmount;
 
-    // Update user balance
-    const oldBalance = user.gameBalance;
-    user.gameBalance += netAmount;
-    await user.save();
-
-    // Create transaction record
-    const transaction = new GameTransaction({
+    // Update balance and record the bet atomically (only applies if the balance still covers the stake)
+    idempotency.committing(event);
+    const { user: updatedUser, transaction } = await balanceService.applyBalanceChange({
       userId: user._id,
-      type: playerWins ? 'bet_win' : 'bet_loss',
-      amount: betAmount,
-      tokenAmount: betAmount,
-      status: 'completed'
+      delta: netAmount,
+      journal: ledger.betEntry(user._id, { stake: betAmount, won: playerWins }),
+      requiredBalance: betAmount,
+      transaction: {
+        type: playerWins ? 'bet_win' : 'bet_loss',
+        amount: betAmount,
+        tokenAmount: betAmount,
+        fairness: {
+          seedId: seed._id,
+          serverSeedHash: seed.serverSeedHash,
+          clientSeed: seed.clientSeed,
+          nonce,
+          roll: randomNumber
+        },
+        status: 'completed'
+      }
     });
-    await transaction.save();
 
     return {
       statusCode: 200,
       headers: {
         'Access-Control-Allow-Origin': isAllowedOrigin ? origin : 'https://primimus.com',
-        'Access-Control-Allow-Headers': 'Content-Type, Authorization',
+        'Access-Control-Allow-Headers': 'Content-Type, Authorization, Idempotency-Key',
         'Access-Control-Allow-Methods': 'POST, OPTIONS',
         'Access-Control-Allow-Credentials': 'true'
       },
       body: JSON.stringify({
         success: true,
         playerWins,
-        betAmount,
-        netAmount,
-        newBalance: user.gameBalance,
+        betAmount: money.format(betAmount),
+        netAmount: money.format(netAmount),
+        newBalance: money.format(updatedUser.gameBalance),
         randomNumber,
-        winThreshold: 0.50001,
+        winThreshold: fairness.WIN_THRESHOLD,
         userAdvantage: 0.00001,
+        fairness: {
+          serverSeedHash: seed.serverSeedHash,
+          clientSeed: seed.clientSeed,
+          nonce
+        },
         transactionId: transaction._id,
         timestamp: new Date().toISOString(),
-        serverVersion: 'netlify-function-v1'
+        serverVersion: 'netlify-provably-fair-v1'
       })
     };
 
   } catch (error) {
     console.error('Betting error:', error);
+    const balanceError = error instanceof balanceService.BalanceError;
     return {
-      statusCode: 500,
+      statusCode: balanceError ? error.statusCode : 500,
       headers: {
         'Access-Control-Allow-Origin': isAllowedOrigin ? origin : 'https://primimus.com',
-        'Access-Control-Allow-Headers': 'Content-Type, Authorization',
+        'Access-Control-Allow-Headers': 'Content-Type, Authorization, Idempotency-Key',
         'Access-Control-Allow-Methods': 'POST, OPTIONS',
         'Access-Control-Allow-Credentials': 'true'
       },
-      body: JSON.stringify({ error: 'Betting failed' })
+      body: JSON.stringify({ error: balanceError ? error.message : 'Betting failed' })
     };
   }
-};
\ No newline at end of file
+};
+
+exports.handler = idempotency.wrapHandler('place-bet', handler, { connect: connectDB });
@@ -0,0 +1,29 @@
+// Shared Idempotency Key Schema (stored responses for retried requests, see lib/idempotency.js)
+const mongoose = require('mongoose');
+
+const KEY_TTL_SECONDS = 24 * 60 * 60;
+
+const idempotencyKeySchema = new mongoose.Schema({
+  userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  scope: { type: String, required: true }, // endpoint, e.g. 'place-bet'
+  key: { type: String, required: true },
+  requestHash: { type: String, required: true },
+  status: { type: String, enum: ['processing', 'completed'], default: 'processing' },
+  lockedUntil: Date, // while processing: when a retry may take the key over
+  statusCode: Number,
+  body: mongoose.Schema.Types.Mixed,
+  createdAt: { type: Date, default: Date.now, expires: KEY_TTL_SECONDS },
+  completedAt: Date
+});
+
+idempotencyKeySchema.index({ userId: 1, scope: 1, key: 1 }, { unique: true });
+
+// Prevent model recompilation
+let IdempotencyKey;
+try {
+  IdempotencyKey = mongoose.model('IdempotencyKey');
+} catch (error) {
+  IdempotencyKey = mongoose.model('IdempotencyKey', idempotencyKeySchema);
+}
+
+module.exports = IdempotencyKey;
@@ -0,0 +1,43 @@
+// Shared Journal Entry Schema (double-entry ledger, see lib/ledger.js)
+const mongoose = require('mongoose');
+
+// One side of an entry. amount is signed micro-USDC: positive = debit, negative = credit.
+const postingSchema = new mongoose.Schema({
+  account: { type: String, required: true },
+  amount: { type: Number, required: true, validate: Number.isSafeInteger }
+}, { _id: false });
+
+const journalEntrySchema = new mongoose.Schema({
+  kind: {
+    type: String,
+    enum: [
+      'deposit', 'deposit_fee', 'bet', 'signup_bonus',
+      'withdrawal_reserve', 'withdrawal_complete', 'withdrawal_fee', 'withdrawal_refund',
+      'opening_balance', 'adjustment', 'deposit_refund'
+    ],
+    required: true
+  },
+  userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', index: true },
+  transactionId: { type: mongoose.Schema.Types.ObjectId, ref: 'Transaction', index: true },
+  postings: {
+    type: [postingSchema],
+    validate: {
+      validator: (postings) => postings.length >= 2 && postings.reduce((sum, p) => sum + p.amount, 0) === 0,
+      message: 'Journal entry must have at least two postings and balance to zero'
+    }
+  },
+  memo: String,
+  createdAt: { type: Date, default: Date.now }
+});
+
+journalEntrySchema.index({ 'postings.account': 1 });
+
+// Prevent model recompilation
+let JournalEntry;
+try {
+  JournalEntry = mongoose.model('JournalEntry');
+} catch (error) {
+  JournalEntry = mongoose.model('JournalEntry', journalEntrySchema);
+}
+
+module.exports = JournalEntry;
@@ -0,0 +1,31 @@
+// Shared Liability Leaf Schema: one user's liability in a proof of reserves period, a leaf of
+// its Merkle sum tree (see lib/proof-of-reserves.js)
+const mongoose = require('mongoose');
+
+const liabilityLeafSchema = new mongoose.Schema({
+  period: { type: Number, required: true },
+  attempt: { type: String, required: true }, // the snapshot attempt that wrote it
+  index: { type: Number, required: true }, // position in the tree's bottom level
+  userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  // micro-USDC
+  liability: { type: Number, required: true, validate: Number.isSafeInteger }, // balance + pendingWithdrawals
+  balance: { type: Number, required: true, validate: Number.isSafeInteger },
+  pendingWithdrawals: { type: Number, required: true, validate: Number.isSafeInteger },
+  // Random per leaf and period: only its owner is shown it, so sibling hashes in a proof can't be
+  // matched to other users' ids and balances
+  salt: { type: String, required: true },
+  hash: { type: String, required: true }
+});
+
+liabilityLeafSchema.index({ period: 1, attempt: 1, index: 1 }, { unique: true });
+liabilityLeafSchema.index({ period: 1, attempt: 1, userId: 1 }, { unique: true });
+
+// Prevent model recompilation
+let LiabilityLeaf;
+try {
+  LiabilityLeaf = mongoose.model('LiabilityLeaf');
+} catch (error) {
+  LiabilityLeaf = mongoose.model('LiabilityLeaf', liabilityLeafSchema);
+}
+
+module.exports = LiabilityLeaf;
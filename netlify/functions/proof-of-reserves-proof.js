@@ -0,0 +1,83 @@
+// Netlify Function for the user's proof of reserves inclusion proof (see
+// lib/proof-of-reserves.js): GET ?period= (the latest when omitted)
+const mongoose = require('mongoose');
+const jwt = require('jsonwebtoken');
+const proofOfReserves = require('../../lib/proof-of-reserves.js');
+
+require('dotenv').config();
+
+// MongoDB connection
+const connectDB = async () => {
+  if (mongoose.connections[0].readyState) return;
+  try {
+    await mongoose.connect(process.env.MONGODB_URI);
+    console.log('MongoDB connected');
+  } catch (error) {
+    console.error('MongoDB connection error:', error);
+    throw error;
+  }
+};
+
+exports.handler = async (event, context) => {
+  const origin = event.headers.origin || event.headers.Origin || '';
+  const allowedOrigins = [
+    'https://primimus.com',
+    'https://www.primimus.com',
+    'https://primimus.netlify.app',
+    'http://localhost:3000',
+    'http://localhost:5000',
+    'http://127.0.0.1:3000',
+    'http://127.0.0.1:5000'
+  ];
+  const isAllowedOrigin = allowedOrigins.includes(origin) || origin.endsWith('.netlify.app');
+  const headers = {
+    'Access-Control-Allow-Origin': isAllowedOrigin ? origin : 'https://primimus.com',
+    'Access-Control-Allow-Headers': 'Content-Type, Authorization',
+    'Access-Control-Allow-Methods': 'GET, OPTIONS',
+    'Access-Control-Allow-Credentials': 'true'
+  };
+
+  // Handle CORS preflight
+  if (event.httpMethod === 'OPTIONS') {
+    return { statusCode: 200, headers, body: '' };
+  }
+
+  if (event.httpMethod !== 'GET') {
+    return { statusCode: 405, headers, body: JSON.stringify({ error: 'Method not allowed' }) };
+  }
+
+  try {
+    const authHeader = event.headers.authorization;
+    const token = authHeader && authHeader.split(' ')[1];
+
+    if (!token) {
+      return { statusCode: 401, headers, body: JSON.stringify({ error: 'Access token required' }) };
+    }
+
+    let decoded;
+    try {
+      decoded = jwt.verify(token, process.env.JWT_SECRET);
+    } catch (jwtError) {
+      console.error('JWT verification error:', jwtError.message);
+      return { statusCode: 401, headers, body: JSON.stringify({ error: 'Invalid token' }) };
+    }
+    const query = event.queryStringParameters || {};
+
+    const period = query.period === undefined ? undefined : parseInt(query.period, 10);
+    if (period !== undefined && !(period > 0)) {
+      return { statusCode: 400, headers, body: JSON.stringify({ error: 'Invalid period' }) };
+    }
+
+    await connectDB();
+
+    const proof = await proofOfReserves.proofFor(decoded.userId, { period });
+    return { statusCode: 200, headers, body: JSON.stringify(proof) };
+
+  } catch (error) {
+    if (error instanceof proofOfReserves.ProofOfReservesError) {
+      return { statusCode: error.statusCode, headers, body: JSON.stringify({ error: error.message, code: error.code }) };
+    }
+    console.error('Proof of reserves proof error:', error);
+    return { statusCode: 500, headers, body: JSON.stringify({ error: 'Failed to fetch proof of reserves' }) };
+  }
+};
@@ -0,0 +1,60 @@
+// Netlify Function for the public proof of reserves report (see lib/proof-of-reserves.js): the
+// latest period's reserves against liabilities, and the roots of every period (?limit=)
+const mongoose = require('mongoose');
+const proofOfReserves = require('../../lib/proof-of-reserves.js');
+
+require('dotenv').config();
+
+// MongoDB connection
+const connectDB = async () => {
+  if (mongoose.connections[0].readyState) return;
+  try {
+    await mongoose.connect(process.env.MONGODB_URI);
+    console.log('MongoDB connected');
+  } catch (error) {
+    console.error('MongoDB connection error:', error);
+    throw error;
+  }
+};
+
+exports.handler = async (event, context) => {
+  const origin = event.headers.origin || event.headers.Origin || '';
+  const allowedOrigins = [
+    'https://primimus.com',
+    'https://www.primimus.com',
+    'https://primimus.netlify.app',
+    'http://localhost:3000',
+    'http://localhost:5000',
+    'http://127.0.0.1:3000',
+    'http://127.0.0.1:5000'
+  ];
+  const isAllowedOrigin = allowedOrigins.includes(origin) || origin.endsWith('.netlify.app');
+  const headers = {
+    'Access-Control-Allow-Origin': isAllowedOrigin ? origin : 'https://primimus.com',
+    'Access-Control-Allow-Headers': 'Content-Type, Authorization',
+    'Access-Control-Allow-Methods': 'GET, OPTIONS',
+    'Access-Control-Allow-Credentials': 'true'
+  };
+
+  // Handle CORS preflight
+  if (event.httpMethod === 'OPTIONS') {
+    return { statusCode: 200, headers, body: '' };
+  }
+
+  if (event.httpMethod !== 'GET') {
+    return { statusCode: 405, headers, body: JSON.stringify({ error: 'Method not allowed' }) };
+  }
+
+  try {
+    const query = event.queryStringParameters || {};
+
+    await connectDB();
+
+    const report = await proofOfReserves.report({ limit: parseInt(query.limit, 10) || undefined });
+    return { statusCode: 200, headers, body: JSON.stringify(report) };
+
+  } catch (error) {
+    console.error('Proof of reserves fetch error:', error);
+    return { statusCode: 500, headers, body: JSON.stringify({ error: 'Failed to fetch proof of reserves' }) };
+  }
+};
@@ -0,0 +1,43 @@
+// Shared Reserve Snapshot Schema: one proof of reserves period, its on-chain reserves against the
+// Merkle sum tree of user liabilities (see lib/proof-of-reserves.js)
+const mongoose = require('mongoose');
+
+// The figures of a published snapshot; a pending one only holds its period
+function published() {
+  return this.state !== 'pending';
+}
+
+const reserveSnapshotSchema = new mongoose.Schema({
+  period: { type: Number, required: true, unique: true }, // 1, 2, ... in the order they were taken
+  // pending while an attempt builds its leaves, holding the period for lockedUntil
+  state: { type: String, enum: ['pending', 'published'], default: 'published' },
+  attempt: { type: String, required: true }, // the attempt whose leaves are the period's
+  lockedUntil: Date,
+  root: { type: String, required: published }, // hash of the tree's root; its sum is liabilities
+  leafCount: { type: Number, required: published },
+  // micro-USDC
+  liabilities: { type: Number, required: published, validate: Number.isSafeInteger }, // balances + pendingWithdrawals
+  balances: { type: Number, required: published, validate: Number.isSafeInteger },
+  pendingWithdrawals: { type: Number, required: published, validate: Number.isSafeInteger },
+  reserves: {
+    hot: { type: Number, required: published, validate: Number.isSafeInteger },
+    cold: { type: Number, validate: Number.isSafeInteger }, // unset without a cold address
+    total: { type: Number, required: published, validate: Number.isSafeInteger }
+  },
+  hotAddress: String,
+  coldAddress: String,
+  createdAt: { type: Date, default: Date.now }
+});
+
+// Latest published period
+reserveSnapshotSchema.index({ state: 1, period: -1 });
+
+// Prevent model recompilation
+let ReserveSnapshot;
+try {
+  ReserveSnapshot = mongoose.model('ReserveSnapshot');
+} catch (error) {
+  ReserveSnapshot = mongoose.model('ReserveSnapshot', reserveSnapshotSchema);
+}
+
+module.exports = ReserveSnapshot;
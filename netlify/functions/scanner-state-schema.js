@@ -0,0 +1,46 @@
+// Shared Scanner State Schema (deposit scanner checkpoint and health, see lib/deposit-scanner.js)
+const mongoose = require('mongoose');
+
+const scanErrorSchema = new mongoose.Schema({
+  message: String,
+  signature: String,
+  at: { type: Date, default: Date.now }
+}, { _id: false });
+
+const scannerStateSchema = new mongoose.Schema({
+  _id: { type: String }, // scanner name, e.g. 'usdc-deposits'
+  account: String, // address whose signatures are scanned
+
+  // Checkpoint: newest signature fully processed
+  lastSignature: String,
+  lastSlot: Number,
+  lastBlockTime: Date,
+  startedFrom: String, // where the first run put the checkpoint: 'history', 'tip' or a signature
+  pagingMarks: [String], // where walks back to the checkpoint ran out of pages, newest first
+
+  // Run bookkeeping
+  lockedUntil: Date,
+  watchUntil: Date, // on-demand scanners (Solana Pay references, see lib/solana-pay.js) are polled until then
+  lastRunAt: Date,
+  lastSuccessAt: Date,
+  lastRunDurationMs: Number,
+  backlog: { type: Number, default: 0 }, // signatures left behind the checkpoint after the last run
+  processedTotal: { type: Number, default: 0 },
+
+  // A signature that keeps failing is retried a few times, then skipped and recorded
+  failingSignature: String,
+  failedAttempts: { type: Number, default: 0 },
+  skippedSignatures: [scanErrorSchema],
+  lastError: scanErrorSchema,
+  recentErrors: [scanErrorSchema]
+});
+
+// Prevent model recompilation
+let ScannerState;
+try {
+  ScannerState = mongoose.model('ScannerState');
+} catch (error) {
+  ScannerState = mongoose.model('ScannerState', scannerStateSchema);
+}
+
+module.exports = ScannerState;
@@ -0,0 +1,88 @@
+// Shared Transaction Schema for all Netlify functions and server.js
+const mongoose = require('mongoose');
+
+// A withdrawal risk rule that was tripped (see lib/withdrawal-review.js)
+const reviewReasonSchema = new mongoose.Schema({
+  rule: String,
+  detail: String
+}, { _id: false });
+
+const transactionSchema = new mongoose.Schema({
+  userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  type: { type: String, enum: ['deposit', 'withdraw', 'bet_win', 'bet_loss', 'bonus'], required: true },
+  // Amounts are integer micro-USDC (see lib/money.js)
+  amount: { type: Number, required: true, validate: Number.isSafeInteger },
+  solAmount: { type: Number, validate: Number.isSafeInteger }, // For SOL/USDC transactions
+  tokenAmount: { type: Number, validate: Number.isSafeInteger }, // For game token transactions
+  // Solana transaction hash (unique to prevent double-processing). Sparse so bets without a hash don't collide.
+  solanaTxHash: { type: String, unique: true, sparse: true },
+  fromAddress: String, // Sender's Solana address (for verification)
+  toAddress: String, // Receiver's Solana address
+  fromExchange: String, // Deposits: exchange whose hot wallet sent it (see lib/exchange-wallets.js)
+  // How a deposit was matched to the user: their deposit reference, memo code, or sending wallet,
+  // or taken from the unclaimed deposit inbox by a signed claim or an admin
+  attribution: { type: String, enum: ['reference', 'memo', 'sender', 'claim', 'admin'] },
+  // Provably fair data for bets: which seed pair and nonce produced the roll
+  fairness: {
+    seedId: { type: mongoose.Schema.Types.ObjectId, ref: 'FairnessSeed' },
+    serverSeedHash: String,
+    clientSeed: String,
+    nonce: Number,
+    roll: Number
+  },
+  // Deposit lifecycle (see lib/deposit-lifecycle.js); status stays 'pending' until credited
+  depositState: { type: String, enum: ['detected', 'confirmed', 'finalized', 'credited', 'failed', 'reorged'] },
+  depositStateAt: Date, // last state change
+  slot: Number,
+  blockTime: Date,
+  creditedAt: Date,
+  // Withdrawal queue (see lib/withdrawal-queue.js); status stays 'pending' until sent and confirmed,
+  // or while held for review
+  withdrawState: { type: String, enum: ['needs_review', 'queued', 'sent', 'completed', 'failed', 'rejected'] },
+  withdrawStateAt: Date, // last state change
+  withdrawFee: Number, // micro-USDC kept from amount (see lib/fee-schedule.js)
+  netAmount: Number, // micro-USDC sent: amount - withdrawFee
+  withdrawMemo: String, // Memo / tag sent with a withdrawal to an exchange wallet
+  attempts: Number, // transfers built and sent so far
+  nextAttemptAt: Date,
+  lockedUntil: Date, // worker lease
+  lastValidBlockHeight: Number, // of the current attempt's blockhash
+  // The current attempt's signature; batched withdrawals share it, so it isn't solanaTxHash
+  // (unique). Withdrawals sent before batching have it in solanaTxHash.
+  withdrawSignature: { type: String, index: true },
+  withdrawSignatures: [String], // every attempt's signature
+  batchSize: Number, // withdrawals sent in the current attempt's transaction
+  soloNext: Boolean, // its batch failed on-chain: send the next attempt on its own
+  signedTransaction: String, // the current attempt, base64, rebroadcast until it lands or expires
+  computeUnitLimit: Number, // of the current attempt (see lib/fee-strategy.js)
+  computeUnitPrice: Number, // micro-lamports per compute unit, of the current attempt
+  attemptFee: Number, // lamports: its share of the current attempt's network fee
+  networkFee: Number, // lamports paid so far: the fees of its attempts that landed
+  lastError: String,
+  completedAt: Date,
+  // Risk review of a held withdrawal (see lib/withdrawal-review.js)
+  review: {
+    reasons: { type: [reviewReasonSchema], default: undefined },
+    decision: { type: String, enum: ['approved', 'rejected'] },
+    decidedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' }, // admin
+    decidedAt: Date,
+    reason: String
+  },
+  timestamp: { type: Date, default: Date.now },
+  status: { type: String, enum: ['pending', 'completed', 'failed'], default: 'completed' }
+});
+
+// Deposits awaiting their credit commitment, for the re-check job
+transactionSchema.index({ status: 1, depositState: 1 });
+// Withdrawals waiting for the queue worker
+transactionSchema.index({ status: 1, withdrawState: 1, nextAttemptAt: 1 });
+
+// Prevent model recompilation
+let GameTransaction;
+try {
+  GameTransaction = mongoose.model('Transaction');
+} catch (error) {
+  GameTransaction = mongoose.model('Transaction', transactionSchema);
+}
+
+module.exports = GameTransaction;
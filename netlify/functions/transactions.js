@@ -1,10 +1,23 @@
 // Netlify Function for getting user transactions
 const mongoose = require('mongoose');
 const jwt = require('jsonwebtoken');
+const { Connection } = require('@solana/web3.js');
 const User = require('./user-schema.js');
+const GameTransaction = require('./transaction-schema.js');
+const depositLifecycle = require('../../lib/deposit-lifecycle.js');
+const money = require('../../lib/money.js');
 
 require('dotenv').config();
 
+// Solana connection (re-checking pending deposits)
+const solanaConnection = new Connection(
+  process.env.SOLANA_RPC_URL || 'https://api.mainnet-beta.solana.com',
+  {
+    commitment: 'confirmed',
+    maxSupportedTransactionVersion: 0
+  }
+);
+
 // MongoDB connection
 const connectDB = async () => {
   if (mongoose.connections[0].readyState) return;
@@ -17,21 +30,7 @@ const connectDB = async () => {
   }
 };
 
-// Transaction Schema
-const transactionSchema = new mongoose.Schema({
-  userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
-  type: { type: String, enum: ['deposit', 'withdraw', 'bet_win', 'bet_loss'], required: true },
-  amount: { type: Number, required: true },
-  solAmount: Number,
-  tokenAmount: Number,
-  solanaTxHash: { type: String, unique: true },
-  fromAddress: String,
-  toAddress: String,
-  timestamp: { type: Date, default: Date.now },
-  status: { type: String, enum: ['pending', 'completed', 'failed'], default: 'completed' }
-});
-
-const GameTransaction = mongoose.model('Transaction', transactionSchema);
+// Transaction model imported from shared schema
 
 exports.handler = async (event, context) => {
   // Get the origin from the request
@@ -116,6 +115,15 @@ exports.handler = async (event, context) => {
       };
     }
 
+    // No background job here: move the user's pending deposits along before listing them
+    if (await GameTransaction.exists({ userId: user._id, type: 'deposit', status: 'pending' })) {
+      try {
+        await depositLifecycle.recheckPendingDeposits(solanaConnection, { userId: user._id });
+      } catch (error) {
+        console.error('❌ [TRANSACTIONS] Pending deposit re-check failed:', error.message);
+      }
+    }
+
     // Get user's transactions, sorted by most recent first
     const transactions = await GameTransaction.find({ userId: user._id })
       .sort({ timestamp: -1 })
@@ -125,14 +133,16 @@ exports.handler = async (event, context) => {
     const formattedTransactions = transactions.map(tx => ({
       id: tx._id,
       type: tx.type,
-      amount: tx.amount,
-      solAmount: tx.solAmount,
-      tokenAmount: tx.tokenAmount,
-      solanaTxHash: tx.solanaTxHash,
+      amount: money.format(tx.amount),
+      solAmount: tx.solAmount != null ? money.format(tx.solAmount) : undefined,
+      tokenAmount: tx.tokenAmount != null ? money.format(tx.tokenAmount) : undefined,
+      solanaTxHash: tx.solanaTxHash || tx.withdrawSignature,
       fromAddress: tx.fromAddress,
       toAddress: tx.toAddress,
       timestamp: tx.timestamp,
-      status: tx.status
+      status: tx.status,
+      depositState: tx.depositState,
+      withdrawState: tx.withdrawState
     }));
 
     console.log(`📊 [TRANSACTIONS] Retrieved ${formattedTransactions.length} transactions for user ${user.email}`);
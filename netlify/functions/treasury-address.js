@@ -1,25 +1,14 @@
 // Netlify Function for getting treasury address
-const { Keypair } = require('@solana/web3.js');
+const treasurySigners = require('../../lib/treasury-signer.js');
 
 require('dotenv').config();
 
-// Treasury Wallet Setup - Load from TREASURY_KEYPAIR environment variable
-let treasuryKeypair = null;
-let treasuryAddress = null;
-
-if (process.env.TREASURY_KEYPAIR) {
-  try {
-    const keypairString = process.env.TREASURY_KEYPAIR;
-    const keypairData = keypairString.replace(/^\[|\]$/g, '').split(',').map(num => parseInt(num.trim()));
-    treasuryKeypair = Keypair.fromSecretKey(new Uint8Array(keypairData));
-    treasuryAddress = treasuryKeypair.publicKey.toString();
-    console.log('Treasury wallet loaded:', treasuryAddress);
-  } catch (error) {
-    console.error('Error loading treasury keypair:', error);
-  }
-} else {
-  console.warn('TREASURY_KEYPAIR environment variable not set');
-}
+// Treasury address (see lib/treasury-signer.js): only the public key is needed, so nothing is
+// unlocked; null when no signer is configured
+const loadTreasuryAddress = () => treasurySigners.address().catch((error) => {
+  console.error('Error loading treasury address:', error.message);
+  return null;
+});
 
 exports.handler = async (event, context) => {
   // Only allow GET requests
@@ -50,6 +39,7 @@ exports.handler = async (event, context) => {
 
   try {
     // Check if treasury wallet is configured
+    const treasuryAddress = await loadTreasuryAddress();
     if (!treasuryAddress) {
       return {
         statusCode: 500,
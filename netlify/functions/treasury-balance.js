@@ -2,25 +2,20 @@
 const jwt = require('jsonwebtoken');
 const { Connection, PublicKey } = require('@solana/web3.js');
 const { getAssociatedTokenAddress } = require('@solana/spl-token');
-const { Keypair } = require('@solana/web3.js');
+const money = require('../../lib/money.js');
+const treasurySigners = require('../../lib/treasury-signer.js');
 
 require('dotenv').config();
 
 // USDC Constants
 const USDC_MINT = new PublicKey('EPjFWdd5AufqSSqeM2qN1xzybapC8G4wEGGkZwyTDt1v');
 
-// Treasury Wallet Setup
-let treasuryKeypair = null;
-if (process.env.TREASURY_KEYPAIR) {
-  try {
-    const keypairString = process.env.TREASURY_KEYPAIR;
-    const keypairData = keypairString.replace(/^\[|\]$/g, '').split(',').map(num => parseInt(num.trim()));
-    treasuryKeypair = Keypair.fromSecretKey(new Uint8Array(keypairData));
-    console.log('Treasury wallet loaded for balance check');
-  } catch (error) {
-    console.error('Error loading treasury keypair:', error);
-  }
-}
+// Treasury address (see lib/treasury-signer.js): only the public key is needed, so nothing is
+// unlocked; null when no signer is configured
+const loadTreasuryAddress = () => treasurySigners.address().catch((error) => {
+  console.error('Error loading treasury address:', error.message);
+  return null;
+});
 
 // Solana connection
 const solanaConnection = new Connection(
@@ -44,8 +39,8 @@ async function getUSDCBalance(connection, owner) {
     }
 
     const tokenBalance = await connection.getTokenAccountBalance(associatedTokenAddress);
-    const balance = tokenBalance.value.uiAmount || 0;
-    console.log(`💰 [TREASURY BALANCE] USDC balance: ${balance}`);
+    const balance = money.fromBaseUnits(tokenBalance.value.amount);
+    console.log(`💰 [TREASURY BALANCE] USDC balance: ${money.format(balance)}`);
     return balance;
   } catch (error) {
     console.log(`❌ Error getting treasury USDC balance: ${error.message}`);
@@ -114,7 +109,8 @@ exports.handler = async (event, context) => {
     }
 
     // Check if treasury wallet is configured
-    if (!treasuryKeypair) {
+    const treasuryAddress = await loadTreasuryAddress();
+    if (!treasuryAddress) {
       return {
         statusCode: 500,
         headers: {
@@ -127,7 +123,7 @@ exports.handler = async (event, context) => {
     }
 
     // Get actual treasury USDC balance from Solana
-    const treasuryUsdcBalance = await getUSDCBalance(solanaConnection, treasuryKeypair.publicKey);
+    const treasuryUsdcBalance = await getUSDCBalance(solanaConnection, new PublicKey(treasuryAddress));
 
     return {
       statusCode: 200,
@@ -137,8 +133,8 @@ exports.handler = async (event, context) => {
         'Access-Control-Allow-Methods': 'GET, OPTIONS'
       },
       body: JSON.stringify({
-        usdcBalance: treasuryUsdcBalance,
-        formattedBalance: `${treasuryUsdcBalance.toFixed(2)} USDC`
+        usdcBalance: money.format(treasuryUsdcBalance),
+        formattedBalance: `${money.format(treasuryUsdcBalance)} USDC`
       })
     };
 
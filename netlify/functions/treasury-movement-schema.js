@@ -0,0 +1,37 @@
+// Shared Treasury Movement Schema: sweeps from the hot wallet to the cold address and top-up
+// requests for operators (see lib/treasury.js)
+const mongoose = require('mongoose');
+
+const treasuryMovementSchema = new mongoose.Schema({
+  kind: { type: String, enum: ['sweep', 'top_up'], required: true },
+  // sweep:  pending → completed | failed (pending is checked again by its signatures)
+  // top_up: open → fulfilled (the hot balance is back over the minimum) | cancelled
+  state: { type: String, enum: ['pending', 'completed', 'failed', 'open', 'fulfilled', 'cancelled'], required: true },
+  amount: { type: Number, required: true, validate: Number.isSafeInteger }, // micro-USDC
+  hotBalance: { type: Number, validate: Number.isSafeInteger }, // when it was created
+  fromAddress: String,
+  toAddress: String,
+  signatures: [String], // every attempt's, latest last
+  signature: String, // the one that landed
+  lastError: String,
+  // Admin who started a manual sweep or closed a top-up request; unset for the system
+  actorEmail: String,
+  note: String,
+  createdAt: { type: Date, default: Date.now },
+  resolvedAt: Date
+});
+
+treasuryMovementSchema.index({ kind: 1, createdAt: -1 });
+treasuryMovementSchema.index({ kind: 1, state: 1 });
+// One sweep in progress at a time: a second pending one is refused by the database
+treasuryMovementSchema.index({ kind: 1 }, { unique: true, partialFilterExpression: { kind: 'sweep', state: 'pending' } });
+
+// Prevent model recompilation
+let TreasuryMovement;
+try {
+  TreasuryMovement = mongoose.model('TreasuryMovement');
+} catch (error) {
+  TreasuryMovement = mongoose.model('TreasuryMovement', treasuryMovementSchema);
+}
+
+module.exports = TreasuryMovement;
@@ -0,0 +1,57 @@
+// Shared Unclaimed Deposit Schema: USDC received by the treasury that could not be matched to a
+// user (see lib/unclaimed-deposits.js)
+const mongoose = require('mongoose');
+
+const claimRequestSchema = new mongoose.Schema({
+  userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  reference: String, // memo text or reference key the user says the deposit carried
+  at: { type: Date, default: Date.now }
+}, { _id: false });
+
+const unclaimedDepositSchema = new mongoose.Schema({
+  signature: { type: String, required: true, unique: true },
+  // micro-USDC received by the treasury (see lib/money.js)
+  amount: { type: Number, required: true, validate: Number.isSafeInteger },
+  sender: String, // the paying wallet, unset when several wallets paid
+  senders: [String],
+  toAddress: String, // treasury owner the deposit was sent to
+  memos: [String],
+  accounts: [String], // account keys, for Solana Pay references
+  slot: Number,
+  blockTime: Date,
+  reason: String, // why it could not be attributed
+
+  // unclaimed → credited (claimed by its owner or assigned by an admin)
+  //           → refunding → refunded (sent back by an admin); a refund that went out stays
+  //             refunding until one of its refundSignatures is seen to land, or none can
+  status: { type: String, enum: ['unclaimed', 'credited', 'refunding', 'refunded'], default: 'unclaimed' },
+  claimRequests: [claimRequestSchema], // reference claims waiting for an admin
+
+  // Resolution
+  userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User' }, // credited user
+  claimMethod: { type: String, enum: ['signature', 'verification', 'admin'] },
+  resolvedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' }, // admin
+  resolvedAt: Date,
+  note: String,
+  refundAddress: String,
+  refundStartedAt: Date,
+  refundSignatures: [String], // every attempt sent, in order
+  refundTxHash: String, // the attempt that landed
+  lastError: String,
+  createdAt: { type: Date, default: Date.now }
+});
+
+// Admin review queue
+unclaimedDepositSchema.index({ status: 1, createdAt: -1 });
+// Interrupted refunds to settle
+unclaimedDepositSchema.index({ status: 1, refundStartedAt: 1 });
+
+// Prevent model recompilation
+let UnclaimedDeposit;
+try {
+  UnclaimedDeposit = mongoose.model('UnclaimedDeposit');
+} catch (error) {
+  UnclaimedDeposit = mongoose.model('UnclaimedDeposit', unclaimedDepositSchema);
+}
+
+module.exports = UnclaimedDeposit;
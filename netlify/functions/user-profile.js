@@ -4,6 +4,9 @@ const jwt = require('jsonwebtoken');
 const { Connection, PublicKey } = require('@solana/web3.js');
 const { getAssociatedTokenAddress } = require('@solana/spl-token');
 const User = require('./user-schema.js');
+const depositReferences = require('../../lib/deposit-references.js');
+const linkedWallets = require('../../lib/linked-wallets.js');
+const money = require('../../lib/money.js');
 
 require('dotenv').config();
 
@@ -53,8 +56,8 @@ async function getUSDCBalance(walletAddress) {
     }
 
     const tokenBalance = await solanaConnection.getTokenAccountBalance(associatedTokenAddress);
-    const balance = tokenBalance.value.uiAmount || 0;
-    console.log(`💰 [USER BALANCE] ${walletAddress}: ${balance} USDC`);
+    const balance = money.fromBaseUnits(tokenBalance.value.amount);
+    console.log(`💰 [USER BALANCE] ${walletAddress}: ${money.format(balance)} USDC`);
     return balance;
   } catch (error) {
     console.log(`❌ Error getting USDC balance for ${walletAddress}: ${error.message}`);
@@ -171,6 +174,9 @@ exports.handler = async (event, context) => {
       };
     }
 
+    // Assign the user's deposit memo and Solana Pay reference on first use
+    user = await depositReferences.ensureDepositReferences(user);
+
     // Get USDC balance from user's Solana wallet (for display purposes)
     const usdcBalance = await getUSDCBalance(user.solanaAddress);
 
@@ -190,11 +196,14 @@ exports.handler = async (event, context) => {
         name: user.name,
         email: user.email,
         picture: user.picture,
-        gameBalance: gameBalance,
-        usdcBalance: usdcBalance,
+        gameBalance: money.format(gameBalance),
+        usdcBalance: money.format(usdcBalance),
         solanaAddress: user.solanaAddress,
         withdrawAddress: user.withdrawAddress,
-        isExchangeWallet: !!user.isExchangeWallet
+        wallets: linkedWallets.view(user),
+        isExchangeWallet: !!user.isExchangeWallet,
+        depositMemo: user.depositMemo,
+        depositReference: user.depositReference
       })
     };
 
@@ -2,6 +2,8 @@
 const mongoose = require('mongoose');
 const jwt = require('jsonwebtoken');
 const User = require('./user-schema.js');
+const balanceService = require('../../lib/balance-service.js');
+const money = require('../../lib/money.js');
 
 require('dotenv').config();
 
@@ -17,21 +19,7 @@ const connectDB = async () => {
   }
 };
 
-// Transaction Schema
-const transactionSchema = new mongoose.Schema({
-  userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
-  type: { type: String, enum: ['deposit', 'withdraw', 'bet_win', 'bet_loss'], required: true },
-  amount: { type: Number, required: true },
-  solAmount: Number,
-  tokenAmount: Number,
-  solanaTxHash: { type: String, unique: true },
-  fromAddress: String,
-  toAddress: String,
-  timestamp: { type: Date, default: Date.now },
-  status: { type: String, enum: ['pending', 'completed', 'failed'], default: 'completed' }
-});
-
-const GameTransaction = mongoose.model('Transaction', transactionSchema);
+// Transaction model imported from shared schema
 
 exports.handler = async (event, context) => {
   // Only allow POST requests
@@ -123,30 +111,10 @@ exports.handler = async (event, context) => {
       };
     }
 
-    const previousBalance = user.gameBalance;
-
-    // Calculate balance from transaction history
-    const transactions = await GameTransaction.find({ userId: decoded.userId, status: 'completed' }).sort({ timestamp: 1 });
-
-    let calculatedBalance = 0;
-    for (const transaction of transactions) {
-      if (transaction.type === 'deposit') {
-        calculatedBalance += transaction.amount;
-      } else if (transaction.type === 'withdraw') {
-        calculatedBalance -= transaction.amount;
-      } else if (transaction.type === 'bet_win') {
-        calculatedBalance += transaction.amount;
-      } else if (transaction.type === 'bet_loss') {
-        calculatedBalance -= transaction.amount;
-      }
-    }
-
-    // Update user balance if it doesn't match calculated balance
-    const newBalance = calculatedBalance;
-    if (user.gameBalance !== calculatedBalance) {
-      user.gameBalance = calculatedBalance;
-      await user.save();
-      console.log(`Balance reconciled for user ${decoded.userId}: ${previousBalance} → ${newBalance}`);
+    // Recalculate from transaction history; only written if the balance didn't change meanwhile
+    const { previousBalance, newBalance } = await balanceService.reconcileBalance(user._id);
+    if (previousBalance !== newBalance) {
+      console.log(`Balance reconciled for user ${decoded.userId}: ${money.format(previousBalance)} → ${money.format(newBalance)}`);
     }
 
     return {
@@ -157,8 +125,8 @@ exports.handler = async (event, context) => {
         'Access-Control-Allow-Methods': 'POST, OPTIONS'
       },
       body: JSON.stringify({
-        previousBalance,
-        newBalance,
+        previousBalance: money.format(previousBalance),
+        newBalance: money.format(newBalance),
         reconciled: true
       })
     };
@@ -1,22 +1,76 @@
 // Shared User Schema for all Netlify functions
 const mongoose = require('mongoose');
 
+// A wallet linked to the account (see lib/linked-wallets.js)
+const linkedWalletSchema = new mongoose.Schema({
+  address: { type: String, required: true },
+  label: String,
+  role: { type: String, enum: ['deposit', 'withdraw', 'both'], default: 'both' },
+  // Signed challenge that proved ownership (see lib/wallet-ownership.js); missing on wallets
+  // linked before proofs were required
+  proof: {
+    nonce: String,
+    message: String,
+    signature: String,
+    verifiedAt: Date
+  },
+  createdAt: { type: Date, default: Date.now },
+  lastUsed: Date,
+  // Exchange whose hot wallet this is (see lib/exchange-wallets.js): linked without a proof,
+  // for withdrawals only
+  exchange: String,
+  // New withdrawal destinations are blocked until the cooldown ends and, when required, the
+  // emailed link was opened (see lib/withdraw-addresses.js)
+  withdrawableAt: Date,
+  confirmation: {
+    tokenHash: String,
+    expiresAt: Date,
+    confirmedAt: Date
+  }
+}, { _id: false });
+
+// A change of the user's withdrawal destinations (see lib/withdraw-addresses.js)
+const withdrawAddressChangeSchema = new mongoose.Schema({
+  address: { type: String, required: true },
+  change: { type: String, enum: ['added', 'removed', 'default', 'confirmed'], required: true },
+  at: { type: Date, default: Date.now }
+}, { _id: false });
+
 const userSchema = new mongoose.Schema({
   googleId: { type: String, required: true, unique: true },
   email: { type: String, required: true, unique: true },
   name: String,
   picture: String,
+  // Wallets the user proved they control, each with a label and a role
+  wallets: [linkedWalletSchema],
+  // Primary deposit wallet and default withdrawal destination, both one of the linked wallets
   solanaAddress: String,
-  // Address the user wants to receive withdrawals to (personal wallet)
   withdrawAddress: String,
-  // Flag indicating first deposit came from an exchange-managed wallet
+  withdrawAddressHistory: [withdrawAddressChangeSchema], // latest last
+  // Deposit references that attribute a deposit to this account whatever wallet sent it
+  // (see lib/deposit-references.js): a memo code and a Solana Pay reference public key
+  depositMemo: { type: String, unique: true, sparse: true },
+  depositReference: { type: String, unique: true, sparse: true },
+  // Set once a deposit came from an exchange-managed wallet: payouts then need a personal
+  // default withdrawal wallet (see lib/exchange-wallets.js)
   isExchangeWallet: { type: Boolean, default: false },
-  gameBalance: { type: Number, default: 0 },
-  usdcBalance: { type: Number, default: 0 },
+  // Admin overrides of the withdrawal limits, micro-USDC, 0 for none; unset uses the default
+  // (see lib/withdrawal-limits.js)
+  withdrawLimits: {
+    perTransaction: { type: Number, validate: Number.isSafeInteger },
+    daily: { type: Number, validate: Number.isSafeInteger },
+    weekly: { type: Number, validate: Number.isSafeInteger }
+  },
+  // Amounts are integer micro-USDC (see lib/money.js)
+  gameBalance: { type: Number, default: 0, validate: Number.isSafeInteger },
+  usdcBalance: { type: Number, default: 0, validate: Number.isSafeInteger },
   createdAt: { type: Date, default: Date.now },
   lastLogin: { type: Date, default: Date.now }
 });
 
+// Deposits are matched to users by sending wallet
+userSchema.index({ 'wallets.address': 1 });
+
 // Prevent model recompilation
 let User;
 try {
@@ -0,0 +1,89 @@
+// Netlify Function linking a wallet for deposits and withdrawals, with proof of ownership: the
+// nonce and signature of a wallet challenge. Kept for older clients, see user-wallets.js.
+const mongoose = require('mongoose');
+const jwt = require('jsonwebtoken');
+const User = require('./user-schema.js');
+const linkedWallets = require('../../lib/linked-wallets.js');
+const walletOwnership = require('../../lib/wallet-ownership.js');
+
+require('dotenv').config();
+
+// MongoDB connection
+const connectDB = async () => {
+  if (mongoose.connections[0].readyState) return;
+  try {
+    await mongoose.connect(process.env.MONGODB_URI);
+    console.log('MongoDB connected');
+  } catch (error) {
+    console.error('MongoDB connection error:', error);
+    throw error;
+  }
+};
+
+exports.handler = async (event, context) => {
+  const origin = event.headers.origin || event.headers.Origin || '';
+  const allowedOrigins = [
+    'https://primimus.com',
+    'https://www.primimus.com',
+    'https://primimus.netlify.app',
+    'http://localhost:3000',
+    'http://localhost:5000',
+    'http://127.0.0.1:3000',
+    'http://127.0.0.1:5000'
+  ];
+  const isAllowedOrigin = allowedOrigins.includes(origin) || origin.endsWith('.netlify.app');
+  const headers = {
+    'Access-Control-Allow-Origin': isAllowedOrigin ? origin : 'https://primimus.com',
+    'Access-Control-Allow-Headers': 'Content-Type, Authorization',
+    'Access-Control-Allow-Methods': 'POST, OPTIONS',
+    'Access-Control-Allow-Credentials': 'true'
+  };
+
+  // Handle CORS preflight
+  if (event.httpMethod === 'OPTIONS') {
+    return { statusCode: 200, headers, body: '' };
+  }
+
+  // Only allow POST requests
+  if (event.httpMethod !== 'POST') {
+    return { statusCode: 405, headers, body: JSON.stringify({ error: 'Method not allowed' }) };
+  }
+
+  try {
+    const authHeader = event.headers.authorization;
+    const token = authHeader && authHeader.split(' ')[1];
+
+    if (!token) {
+      return { statusCode: 401, headers, body: JSON.stringify({ error: 'Access token required' }) };
+    }
+
+    const decoded = jwt.verify(token, process.env.JWT_SECRET);
+    const { solanaAddress, nonce, signature } = JSON.parse(event.body || '{}');
+
+    await connectDB();
+
+    const user = await User.findById(decoded.userId);
+    if (!user) {
+      return { statusCode: 404, headers, body: JSON.stringify({ error: 'User not found' }) };
+    }
+
+    const updatedUser = await linkedWallets.link(user, { address: solanaAddress, role: 'both', proof: { nonce, signature } });
+
+    return {
+      statusCode: 200,
+      headers,
+      body: JSON.stringify({
+        message: 'Solana address updated successfully',
+        solanaAddress: updatedUser.solanaAddress,
+        wallets: linkedWallets.view(updatedUser)
+      })
+    };
+
+  } catch (error) {
+    if (error instanceof linkedWallets.LinkedWalletError || error instanceof walletOwnership.WalletProofError) {
+      return { statusCode: error.statusCode, headers, body: JSON.stringify({ error: error.message, code: error.code }) };
+    }
+    console.error('Solana address update error:', error);
+    return { statusCode: 500, headers, body: JSON.stringify({ error: 'Server error' }) };
+  }
+};
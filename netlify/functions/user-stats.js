@@ -1,6 +1,7 @@
 // Netlify Function for getting user statistics
 const mongoose = require('mongoose');
 const jwt = require('jsonwebtoken');
+const GameTransaction = require('./transaction-schema.js');
 
 require('dotenv').config();
 
@@ -16,21 +17,7 @@ const connectDB = async () => {
   }
 };
 
-// Transaction Schema
-const transactionSchema = new mongoose.Schema({
-  userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
-  type: { type: String, enum: ['deposit', 'withdraw', 'bet_win', 'bet_loss'], required: true },
-  amount: { type: Number, required: true },
-  solAmount: Number,
-  tokenAmount: Number,
-  solanaTxHash: { type: String, unique: true },
-  fromAddress: String,
-  toAddress: String,
-  timestamp: { type: Date, default: Date.now },
-  status: { type: String, enum: ['pending', 'completed', 'failed'], default: 'completed' }
-});
-
-const GameTransaction = mongoose.model('Transaction', transactionSchema);
+// Transaction model imported from shared schema
 
 exports.handler = async (event, context) => {
   // Only allow GET requests
@@ -3,6 +3,7 @@ const mongoose = require('mongoose');
 const jwt = require('jsonwebtoken');
 const { PublicKey } = require('@solana/web3.js');
 const User = require('./user-schema.js');
+const linkedWallets = require('../../lib/linked-wallets.js');
 
 require('dotenv').config();
 
@@ -165,8 +166,23 @@ exports.handler = async (event) => {
       };
     }
 
-    user.withdrawAddress = withdrawAddress;
-    await user.save();
+    // The default withdrawal destination must be one of the user's linked withdrawal wallets;
+    // the change is kept in the withdrawal address history
+    try {
+      await linkedWallets.setWithdrawDefault(user, withdrawAddress);
+    } catch (error) {
+      if (!(error instanceof linkedWallets.LinkedWalletError)) throw error;
+      return {
+        statusCode: error.statusCode,
+        headers: {
+          'Access-Control-Allow-Origin': isAllowedOrigin ? origin : 'https://primimus.com',
+          'Access-Control-Allow-Headers': 'Content-Type, Authorization',
+          'Access-Control-Allow-Methods': 'POST, OPTIONS',
+          'Access-Control-Allow-Credentials': 'true'
+        },
+        body: JSON.stringify({ error: error.message })
+      };
+    }
 
     return {
       statusCode: 200,
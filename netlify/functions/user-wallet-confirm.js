@@ -0,0 +1,52 @@
+// Netlify Function for the confirmation link mailed for a new withdrawal wallet (see
+// lib/withdraw-addresses.js): GET ?token= shows the wallet and a button, which POSTs the token
+// (form-encoded) to confirm it. Opened from the email, so it answers with pages and needs no
+// login. Point WALLET_CONFIRM_URL at this function.
+const mongoose = require('mongoose');
+const withdrawAddresses = require('../../lib/withdraw-addresses.js');
+
+require('dotenv').config();
+
+// MongoDB connection
+const connectDB = async () => {
+  if (mongoose.connections[0].readyState) return;
+  try {
+    await mongoose.connect(process.env.MONGODB_URI);
+    console.log('MongoDB connected');
+  } catch (error) {
+    console.error('MongoDB connection error:', error);
+    throw error;
+  }
+};
+
+const html = (statusCode, body) => ({
+  statusCode,
+  headers: { 'Content-Type': 'text/html; charset=utf-8' },
+  body
+});
+
+// The token field of a form-encoded body
+const formToken = (event) => new URLSearchParams(
+  event.isBase64Encoded ? Buffer.from(event.body || '', 'base64').toString('utf8') : event.body || ''
+).get('token');
+
+exports.handler = async (event, context) => {
+  if (event.httpMethod !== 'GET' && event.httpMethod !== 'POST') {
+    return html(405, withdrawAddresses.messagePage('Method not allowed'));
+  }
+
+  try {
+    await connectDB();
+    if (event.httpMethod === 'GET') {
+      return html(200, await withdrawAddresses.confirmationPage(event.queryStringParameters?.token));
+    }
+    const { address } = await withdrawAddresses.confirm(formToken(event));
+    return html(200, withdrawAddresses.messagePage(`✅ Wallet ${address} is confirmed for withdrawals. You can close this page.`));
+  } catch (error) {
+    if (error instanceof withdrawAddresses.WithdrawAddressError) {
+      return html(error.statusCode, withdrawAddresses.messagePage(`❌ ${error.message}`));
+    }
+    console.error('Wallet confirmation error:', error);
+    return html(500, withdrawAddresses.messagePage('❌ Confirmation failed, please try again later'));
+  }
+};
@@ -0,0 +1,105 @@
+// Netlify Function for the user's linked wallets (see lib/linked-wallets.js):
+// GET lists them; POST links one with the nonce and signature of a wallet challenge;
+// PATCH ?address= changes its label or role; DELETE ?address= unlinks it
+const mongoose = require('mongoose');
+const jwt = require('jsonwebtoken');
+const User = require('./user-schema.js');
+const linkedWallets = require('../../lib/linked-wallets.js');
+const walletOwnership = require('../../lib/wallet-ownership.js');
+const withdrawAddresses = require('../../lib/withdraw-addresses.js');
+
+require('dotenv').config();
+
+// MongoDB connection
+const connectDB = async () => {
+  if (mongoose.connections[0].readyState) return;
+  try {
+    await mongoose.connect(process.env.MONGODB_URI);
+    console.log('MongoDB connected');
+  } catch (error) {
+    console.error('MongoDB connection error:', error);
+    throw error;
+  }
+};
+
+const walletsView = (user) => ({
+  wallets: linkedWallets.view(user),
+  solanaAddress: user.solanaAddress,
+  withdrawAddress: user.withdrawAddress,
+  isExchangeWallet: !!user.isExchangeWallet,
+  withdrawAddressHistory: withdrawAddresses.historyView(user),
+  withdrawCooldownHours: withdrawAddresses.COOLDOWN_HOURS
+});
+
+exports.handler = async (event, context) => {
+  const origin = event.headers.origin || event.headers.Origin || '';
+  const allowedOrigins = [
+    'https://primimus.com',
+    'https://www.primimus.com',
+    'https://primimus.netlify.app',
+    'http://localhost:3000',
+    'http://localhost:5000',
+    'http://127.0.0.1:3000',
+    'http://127.0.0.1:5000'
+  ];
+  const isAllowedOrigin = allowedOrigins.includes(origin) || origin.endsWith('.netlify.app');
+  const headers = {
+    'Access-Control-Allow-Origin': isAllowedOrigin ? origin : 'https://primimus.com',
+    'Access-Control-Allow-Headers': 'Content-Type, Authorization',
+    'Access-Control-Allow-Methods': 'GET, POST, PATCH, DELETE, OPTIONS',
+    'Access-Control-Allow-Credentials': 'true'
+  };
+
+  // Handle CORS preflight
+  if (event.httpMethod === 'OPTIONS') {
+    return { statusCode: 200, headers, body: '' };
+  }
+
+  if (!['GET', 'POST', 'PATCH', 'DELETE'].includes(event.httpMethod)) {
+    return { statusCode: 405, headers, body: JSON.stringify({ error: 'Method not allowed' }) };
+  }
+
+  try {
+    const authHeader = event.headers.authorization;
+    const token = authHeader && authHeader.split(' ')[1];
+
+    if (!token) {
+      return { statusCode: 401, headers, body: JSON.stringify({ error: 'Access token required' }) };
+    }
+
+    let decoded;
+    try {
+      decoded = jwt.verify(token, process.env.JWT_SECRET);
+    } catch (jwtError) {
+      console.error('JWT verification error:', jwtError.message);
+      return { statusCode: 401, headers, body: JSON.stringify({ error: 'Invalid token' }) };
+    }
+
+    await connectDB();
+
+    const user = await User.findById(decoded.userId);
+    if (!user) {
+      return { statusCode: 404, headers, body: JSON.stringify({ error: 'User not found' }) };
+    }
+
+    const address = String(event.queryStringParameters?.address || '');
+    let updatedUser = user;
+    if (event.httpMethod === 'POST') {
+      const { address: linkAddress, nonce, signature, label, role } = JSON.parse(event.body || '{}');
+      updatedUser = await linkedWallets.link(user, { address: linkAddress, label, role, proof: { nonce, signature } });
+    } else if (event.httpMethod === 'PATCH') {
+      updatedUser = await linkedWallets.update(user, address, JSON.parse(event.body || '{}'));
+    } else if (event.httpMethod === 'DELETE') {
+      updatedUser = await linkedWallets.remove(user, address);
+    }
+
+    return { statusCode: 200, headers, body: JSON.stringify(walletsView(updatedUser)) };
+
+  } catch (error) {
+    if (error instanceof linkedWallets.LinkedWalletError || error instanceof walletOwnership.WalletProofError) {
+      return { statusCode: error.statusCode, headers, body: JSON.stringify({ error: error.message, code: error.code }) };
+    }
+    console.error('Linked wallets error:', error);
+    return { statusCode: 500, headers, body: JSON.stringify({ error: 'Server error' }) };
+  }
+};
@@ -0,0 +1,25 @@
+// Shared Wallet Challenge Schema (one-time messages a wallet signs to prove ownership, see
+// lib/wallet-ownership.js)
+const mongoose = require('mongoose');
+
+const walletChallengeSchema = new mongoose.Schema({
+  userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  address: { type: String, required: true }, // wallet that has to sign
+  nonce: { type: String, required: true, unique: true },
+  message: { type: String, required: true }, // exact text to sign
+  expiresAt: { type: Date, required: true },
+  usedAt: Date
+});
+
+// Expired challenges are removed by MongoDB
+walletChallengeSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// Prevent model recompilation
+let WalletChallenge;
+try {
+  WalletChallenge = mongoose.model('WalletChallenge');
+} catch (error) {
+  WalletChallenge = mongoose.model('WalletChallenge', walletChallengeSchema);
+}
+
+module.exports = WalletChallenge;
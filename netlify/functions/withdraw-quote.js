@@ -0,0 +1,110 @@
+// Netlify Function for a withdrawal's fees and net amount before it is confirmed (see
+// lib/fee-schedule.js): GET ?amount= to the linked withdrawal wallet &address= (the default
+// withdrawal wallet when omitted)
+const mongoose = require('mongoose');
+const jwt = require('jsonwebtoken');
+const { Connection } = require('@solana/web3.js');
+const User = require('./user-schema.js');
+const feeSchedule = require('../../lib/fee-schedule.js');
+const linkedWallets = require('../../lib/linked-wallets.js');
+const money = require('../../lib/money.js');
+
+require('dotenv').config();
+
+// Solana connection
+const solanaConnection = new Connection(
+  process.env.SOLANA_RPC_URL || 'https://api.mainnet-beta.solana.com',
+  {
+    commitment: 'confirmed',
+    maxSupportedTransactionVersion: 0
+  }
+);
+
+// MongoDB connection
+const connectDB = async () => {
+  if (mongoose.connections[0].readyState) return;
+  try {
+    await mongoose.connect(process.env.MONGODB_URI);
+    console.log('MongoDB connected');
+  } catch (error) {
+    console.error('MongoDB connection error:', error);
+    throw error;
+  }
+};
+
+exports.handler = async (event, context) => {
+  const origin = event.headers.origin || event.headers.Origin || '';
+  const allowedOrigins = [
+    'https://primimus.com',
+    'https://www.primimus.com',
+    'https://primimus.netlify.app',
+    'http://localhost:3000',
+    'http://localhost:5000',
+    'http://127.0.0.1:3000',
+    'http://127.0.0.1:5000'
+  ];
+  const isAllowedOrigin = allowedOrigins.includes(origin) || origin.endsWith('.netlify.app');
+  const headers = {
+    'Access-Control-Allow-Origin': isAllowedOrigin ? origin : 'https://primimus.com',
+    'Access-Control-Allow-Headers': 'Content-Type, Authorization',
+    'Access-Control-Allow-Methods': 'GET, OPTIONS',
+    'Access-Control-Allow-Credentials': 'true'
+  };
+
+  // Handle CORS preflight
+  if (event.httpMethod === 'OPTIONS') {
+    return { statusCode: 200, headers, body: '' };
+  }
+
+  if (event.httpMethod !== 'GET') {
+    return { statusCode: 405, headers, body: JSON.stringify({ error: 'Method not allowed' }) };
+  }
+
+  try {
+    const authHeader = event.headers.authorization;
+    const token = authHeader && authHeader.split(' ')[1];
+
+    if (!token) {
+      return { statusCode: 401, headers, body: JSON.stringify({ error: 'Access token required' }) };
+    }
+
+    let decoded;
+    try {
+      decoded = jwt.verify(token, process.env.JWT_SECRET);
+    } catch (jwtError) {
+      console.error('JWT verification error:', jwtError.message);
+      return { statusCode: 401, headers, body: JSON.stringify({ error: 'Invalid token' }) };
+    }
+    const query = event.queryStringParameters || {};
+
+    const amount = money.parse(query.amount);
+    if (amount === null || amount <= 0) {
+      return { statusCode: 400, headers, body: JSON.stringify({ error: 'Invalid amount' }) };
+    }
+
+    await connectDB();
+
+    const user = await User.findById(decoded.userId);
+    if (!user) {
+      return { statusCode: 404, headers, body: JSON.stringify({ error: 'User not found' }) };
+    }
+
+    const address = query.address || user.withdrawAddress;
+    if (!address) {
+      return { statusCode: 400, headers, body: JSON.stringify({ error: 'Link a wallet for withdrawals in Settings first' }) };
+    }
+    if (!linkedWallets.findWallet(user, address, 'withdraw')) {
+      return { statusCode: 400, headers, body: JSON.stringify({ error: 'Withdrawals can only go to a wallet linked for withdrawals' }) };
+    }
+
+    const quote = await feeSchedule.withdrawalQuote(solanaConnection, { amount, toAddress: address });
+    return { statusCode: 200, headers, body: JSON.stringify({ ...feeSchedule.view(quote), toAddress: address }) };
+
+  } catch (error) {
+    if (error instanceof feeSchedule.FeeScheduleError) {
+      return { statusCode: error.statusCode, headers, body: JSON.stringify({ error: error.message, code: error.code }) };
+    }
+    console.error('Withdrawal quote error:', error);
+    return { statusCode: 500, headers, body: JSON.stringify({ error: 'Failed to quote withdrawal' }) };
+  }
+};
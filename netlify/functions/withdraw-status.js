@@ -0,0 +1,118 @@
+// Netlify Function for withdrawal status (see lib/withdrawal-queue.js): GET ?id= returns one of
+// the user's withdrawals, without id their unfinished ones. There is no background worker on
+// Netlify, so the user's queued and sent withdrawals are moved along first.
+const mongoose = require('mongoose');
+const jwt = require('jsonwebtoken');
+const { Connection } = require('@solana/web3.js');
+const User = require('./user-schema.js');
+const withdrawalQueue = require('../../lib/withdrawal-queue.js');
+const treasurySigners = require('../../lib/treasury-signer.js');
+const money = require('../../lib/money.js');
+
+require('dotenv').config();
+
+// Solana connection
+const solanaConnection = new Connection(
+  process.env.SOLANA_RPC_URL || 'https://api.mainnet-beta.solana.com',
+  {
+    commitment: 'confirmed',
+    maxSupportedTransactionVersion: 0
+  }
+);
+
+// Treasury signer (see lib/treasury-signer.js), loaded once per instance; null when it isn't
+// configured or can't be loaded. Only the remote signer: a daily cap can't hold across instances.
+const loadTreasurySigner = () => treasurySigners.load({ requireRemote: true }).catch((error) => {
+  console.error('Error loading treasury signer:', error.message);
+  return null;
+});
+
+// MongoDB connection
+const connectDB = async () => {
+  if (mongoose.connections[0].readyState) return;
+  try {
+    await mongoose.connect(process.env.MONGODB_URI);
+    console.log('MongoDB connected');
+  } catch (error) {
+    console.error('MongoDB connection error:', error);
+    throw error;
+  }
+};
+
+exports.handler = async (event, context) => {
+  const origin = event.headers.origin || event.headers.Origin || '';
+  const allowedOrigins = [
+    'https://primimus.com',
+    'https://www.primimus.com',
+    'https://primimus.netlify.app',
+    'http://localhost:3000',
+    'http://localhost:5000',
+    'http://127.0.0.1:3000',
+    'http://127.0.0.1:5000'
+  ];
+  const isAllowedOrigin = allowedOrigins.includes(origin) || origin.endsWith('.netlify.app');
+  const headers = {
+    'Access-Control-Allow-Origin': isAllowedOrigin ? origin : 'https://primimus.com',
+    'Access-Control-Allow-Headers': 'Content-Type, Authorization',
+    'Access-Control-Allow-Methods': 'GET, OPTIONS',
+    'Access-Control-Allow-Credentials': 'true'
+  };
+
+  // Handle CORS preflight
+  if (event.httpMethod === 'OPTIONS') {
+    return { statusCode: 200, headers, body: '' };
+  }
+
+  if (event.httpMethod !== 'GET') {
+    return { statusCode: 405, headers, body: JSON.stringify({ error: 'Method not allowed' }) };
+  }
+
+  try {
+    const authHeader = event.headers.authorization;
+    const token = authHeader && authHeader.split(' ')[1];
+
+    if (!token) {
+      return { statusCode: 401, headers, body: JSON.stringify({ error: 'Access token required' }) };
+    }
+
+    let decoded;
+    try {
+      decoded = jwt.verify(token, process.env.JWT_SECRET);
+    } catch (jwtError) {
+      console.error('JWT verification error:', jwtError.message);
+      return { statusCode: 401, headers, body: JSON.stringify({ error: 'Invalid token' }) };
+    }
+
+    await connectDB();
+
+    const treasurySigner = await loadTreasurySigner();
+    if (treasurySigner) {
+      try {
+        await withdrawalQueue.processWithdrawals(solanaConnection, { signer: treasurySigner, userId: decoded.userId });
+      } catch (error) {
+        console.error('❌ [WITHDRAW STATUS] Processing withdrawals failed:', error.message);
+      }
+    }
+
+    const id = event.queryStringParameters?.id;
+    if (!id) {
+      const withdrawals = await withdrawalQueue.pendingWithdrawals(decoded.userId);
+      return { statusCode: 200, headers, body: JSON.stringify({ withdrawals: withdrawals.map(withdrawalQueue.withdrawalView) }) };
+    }
+
+    const withdrawal = await withdrawalQueue.findWithdrawal(decoded.userId, id);
+    if (!withdrawal) {
+      return { statusCode: 404, headers, body: JSON.stringify({ error: 'Withdrawal not found' }) };
+    }
+    const user = await User.findById(decoded.userId);
+    return {
+      statusCode: 200,
+      headers,
+      body: JSON.stringify({ withdrawal: withdrawalQueue.withdrawalView(withdrawal), newBalance: money.format(user.gameBalance) })
+    };
+
+  } catch (error) {
+    console.error('Withdrawal status error:', error);
+    return { statusCode: 500, headers, body: JSON.stringify({ error: 'Failed to fetch withdrawal status' }) };
+  }
+};
@@ -1,9 +1,20 @@
-// Netlify Function for withdrawing casino tokens to USDC
+// Netlify Function for withdrawing casino tokens to USDC: reserves the funds and queues the
+// transfer (see lib/withdrawal-queue.js)
 const mongoose = require('mongoose');
 const jwt = require('jsonwebtoken');
-const { Connection, PublicKey, Transaction, SystemProgram, sendAndConfirmTransaction, Keypair } = require('@solana/web3.js');
-const { createTransferInstruction, getAssociatedTokenAddress, createAssociatedTokenAddressInstruction, getAccount } = require('@solana/spl-token');
+const { Connection, PublicKey } = require('@solana/web3.js');
+const { getAssociatedTokenAddress } = require('@solana/spl-token');
 const User = require('./user-schema.js');
+const balanceService = require('../../lib/balance-service.js');
+const idempotency = require('../../lib/idempotency.js');
+const exchangeWallets = require('../../lib/exchange-wallets.js');
+const feeSchedule = require('../../lib/fee-schedule.js');
+const linkedWallets = require('../../lib/linked-wallets.js');
+const withdrawAddresses = require('../../lib/withdraw-addresses.js');
+const withdrawalLimits = require('../../lib/withdrawal-limits.js');
+const withdrawalQueue = require('../../lib/withdrawal-queue.js');
+const treasurySigners = require('../../lib/treasury-signer.js');
+const money = require('../../lib/money.js');
 
 require('dotenv').config();
 
@@ -19,18 +30,12 @@ const solanaConnection = new Connection(
   }
 );
 
-// Treasury Wallet Setup
-let treasuryKeypair = null;
-if (process.env.TREASURY_KEYPAIR) {
-  try {
-    const keypairString = process.env.TREASURY_KEYPAIR;
-    const keypairData = keypairString.replace(/^\[|\]$/g, '').split(',').map(num => parseInt(num.trim()));
-    treasuryKeypair = Keypair.fromSecretKey(new Uint8Array(keypairData));
-    console.log('Treasury wallet loaded for withdrawals');
-  } catch (error) {
-    console.error('Error loading treasury keypair:', error);
-  }
-}
+// Treasury signer (see lib/treasury-signer.js), loaded once per instance; null when it isn't
+// configured or can't be loaded. Only the remote signer: a daily cap can't hold across instances.
+const loadTreasurySigner = () => treasurySigners.load({ requireRemote: true }).catch((error) => {
+  console.error('Error loading treasury signer:', error.message);
+  return null;
+});
 
 // MongoDB connection
 const connectDB = async () => {
@@ -44,23 +49,10 @@ const connectDB = async () => {
   }
 };
 
-// Transaction Schema
-const transactionSchema = new mongoose.Schema({
-  userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
-  type: { type: String, enum: ['deposit', 'withdraw', 'bet_win', 'bet_loss'], required: true },
-  amount: { type: Number, required: true },
-  solAmount: Number,
-  tokenAmount: Number,
-  solanaTxHash: { type: String, unique: true },
-  fromAddress: String,
-  toAddress: String,
-  timestamp: { type: Date, default: Date.now },
-  status: { type: String, enum: ['pending', 'completed', 'failed'], default: 'pending' }
-});
+// Transaction model imported from shared schema
 
-const GameTransaction = mongoose.model('Transaction', transactionSchema);
 
-// Helper function to get USDC balance from treasury
+// Helper function to get USDC balance from treasury (micro-USDC)
 async function getUSDCBalance(walletAddress) {
   try {
     if (!walletAddress) return 0;
@@ -72,21 +64,21 @@ async function getUSDCBalance(walletAddress) {
     if (!accountInfo) return 0;
 
     const tokenBalance = await solanaConnection.getTokenAccountBalance(associatedTokenAddress);
-    return tokenBalance.value.uiAmount || 0;
+    return money.fromBaseUnits(tokenBalance.value.amount);
   } catch (error) {
     console.log(`Error getting USDC balance: ${error.message}`);
     return 0;
   }
 }
 
-exports.handler = async (event, context) => {
+const handler = async (event, context) => {
   // Only allow POST requests
   if (event.httpMethod !== 'POST') {
     return {
       statusCode: 405,
       headers: {
         'Access-Control-Allow-Origin': '*',
-        'Access-Control-Allow-Headers': 'Content-Type, Authorization',
+        'Access-Control-Allow-Headers': 'Content-Type, Authorization, Idempotency-Key',
         'Access-Control-Allow-Methods': 'POST, OPTIONS'
       },
       body: JSON.stringify({ error: 'Method not allowed' })
@@ -99,7 +91,7 @@ exports.handler = async (event, context) => {
       statusCode: 200,
       headers: {
         'Access-Control-Allow-Origin': '*',
-        'Access-Control-Allow-Headers': 'Content-Type, Authorization',
+        'Access-Control-Allow-Headers': 'Content-Type, Authorization, Idempotency-Key',
         'Access-Control-Allow-Methods': 'POST, OPTIONS'
       },
       body: ''
@@ -116,7 +108,7 @@ exports.handler = async (event, context) => {
         statusCode: 401,
         headers: {
           'Access-Control-Allow-Origin': '*',
-          'Access-Control-Allow-Headers': 'Content-Type, Authorization',
+          'Access-Control-Allow-Headers': 'Content-Type, Authorization, Idempotency-Key',
           'Access-Control-Allow-Methods': 'POST, OPTIONS'
         },
         body: JSON.stringify({ error: 'Access token required' })
@@ -133,7 +125,7 @@ exports.handler = async (event, context) => {
         statusCode: 401,
         headers: {
           'Access-Control-Allow-Origin': '*',
-          'Access-Control-Allow-Headers': 'Content-Type, Authorization',
+          'Access-Control-Allow-Headers': 'Content-Type, Authorization, Idempotency-Key',
           'Access-Control-Allow-Methods': 'POST, OPTIONS'
         },
         body: JSON.stringify({ error: 'Invalid token' })
@@ -147,7 +139,7 @@ exports.handler = async (event, context) => {
         statusCode: 500,
         headers: {
           'Access-Control-Allow-Origin': '*',
-          'Access-Control-Allow-Headers': 'Content-Type, Authorization',
+          'Access-Control-Allow-Headers': 'Content-Type, Authorization, Idempotency-Key',
           'Access-Control-Allow-Methods': 'POST, OPTIONS'
         },
         body: JSON.stringify({ error: 'Database connection failed' })
@@ -155,21 +147,22 @@ exports.handler = async (event, context) => {
     }
 
     // Parse request body
-    const { amount } = JSON.parse(event.body);
+    const { amount: requestedAmount, address: requestedAddress, memo: requestedMemo } = JSON.parse(event.body);
+    const amount = money.parse(requestedAmount);
 
-    console.log(`💸 [WITHDRAW] Starting withdrawal for user ${decoded.userId}, amount: ${amount}`);
+    console.log(`💸 [WITHDRAW] Starting withdrawal for user ${decoded.userId}, amount: ${requestedAmount}`);
 
-    // Validate amount
-    if (!amount || typeof amount !== 'number' || amount <= 0 || amount > 10000) {
-      console.log(`❌ [WITHDRAW] Invalid amount: ${amount}`);
+    // Validate amount (the per-request maximum is a withdrawal limit, checked below)
+    if (amount === null || amount <= 0) {
+      console.log(`❌ [WITHDRAW] Invalid amount: ${requestedAmount}`);
       return {
         statusCode: 400,
         headers: {
           'Access-Control-Allow-Origin': '*',
-          'Access-Control-Allow-Headers': 'Content-Type, Authorization',
+          'Access-Control-Allow-Headers': 'Content-Type, Authorization, Idempotency-Key',
           'Access-Control-Allow-Methods': 'POST, OPTIONS'
         },
-        body: JSON.stringify({ error: 'Invalid withdrawal amount. Must be between 0.01 and 10,000 tokens' })
+        body: JSON.stringify({ error: 'Invalid withdrawal amount' })
       };
     }
 
@@ -182,37 +175,87 @@ exports.handler = async (event, context) => {
         statusCode: 404,
         headers: {
           'Access-Control-Allow-Origin': '*',
-          'Access-Control-Allow-Headers': 'Content-Type, Authorization',
+          'Access-Control-Allow-Headers': 'Content-Type, Authorization, Idempotency-Key',
           'Access-Control-Allow-Methods': 'POST, OPTIONS'
         },
         body: JSON.stringify({ error: 'User not found' })
       };
     }
 
-    console.log(`👤 [WITHDRAW] Processing for user: ${user.email}, current balance: ${user.gameBalance}`);
+    console.log(`👤 [WITHDRAW] Processing for user: ${user.email}, current balance: ${money.format(user.gameBalance)}`);
 
-    // Require a dedicated withdrawal address to prevent exchange loss
-    if (!user.withdrawAddress) {
+    // Require a dedicated withdrawal address to prevent exchange loss: the requested linked
+    // wallet, else the default one
+    const withdrawAddress = requestedAddress || user.withdrawAddress;
+    if (!withdrawAddress) {
       console.log(`❌ [WITHDRAW] No withdrawal address configured`);
       return {
         statusCode: 400,
         headers: {
           'Access-Control-Allow-Origin': '*',
-          'Access-Control-Allow-Headers': 'Content-Type, Authorization',
+          'Access-Control-Allow-Headers': 'Content-Type, Authorization, Idempotency-Key',
           'Access-Control-Allow-Methods': 'POST, OPTIONS'
         },
         body: JSON.stringify({ error: 'No personal withdrawal address set. Please add your private wallet address in Settings before withdrawing.', requiresWithdrawAddress: true })
       };
     }
+    const withdrawWallet = linkedWallets.findWallet(user, withdrawAddress, 'withdraw');
+    if (!withdrawWallet) {
+      console.log(`❌ [WITHDRAW] ${withdrawAddress} is not a linked withdrawal wallet`);
+      return {
+        statusCode: 400,
+        headers: {
+          'Access-Control-Allow-Origin': '*',
+          'Access-Control-Allow-Headers': 'Content-Type, Authorization, Idempotency-Key',
+          'Access-Control-Allow-Methods': 'POST, OPTIONS'
+        },
+        body: JSON.stringify({ error: 'Withdrawals can only go to a wallet linked for withdrawals in Settings', requiresWithdrawAddress: true })
+      };
+    }
+    // New withdrawal wallets wait out a cooldown and, when required, an email confirmation
+    try {
+      withdrawAddresses.assertWithdrawable(withdrawWallet);
+    } catch (error) {
+      if (!(error instanceof withdrawAddresses.WithdrawAddressError)) throw error;
+      console.log(`❌ [WITHDRAW] ${withdrawAddress}: ${error.message}`);
+      return {
+        statusCode: error.statusCode,
+        headers: {
+          'Access-Control-Allow-Origin': '*',
+          'Access-Control-Allow-Headers': 'Content-Type, Authorization, Idempotency-Key',
+          'Access-Control-Allow-Methods': 'POST, OPTIONS'
+        },
+        body: JSON.stringify({ error: error.message, code: error.code, withdrawableAt: error.withdrawableAt })
+      };
+    }
+    // Accounts that deposited from an exchange need a personal default withdrawal wallet;
+    // withdrawals to an exchange wallet need the user's memo / tag there
+    let memo;
+    try {
+      memo = exchangeWallets.checkPayout(user, withdrawWallet, requestedMemo);
+    } catch (error) {
+      if (!(error instanceof exchangeWallets.ExchangeWalletError)) throw error;
+      console.log(`❌ [WITHDRAW] ${error.code}: ${error.message}`);
+      return {
+        statusCode: error.statusCode,
+        headers: {
+          'Access-Control-Allow-Origin': '*',
+          'Access-Control-Allow-Headers': 'Content-Type, Authorization, Idempotency-Key',
+          'Access-Control-Allow-Methods': 'POST, OPTIONS'
+        },
+        body: JSON.stringify({ error: error.message, code: error.code, requiresWithdrawAddress: error.code === 'PERSONAL_WITHDRAW_ADDRESS_REQUIRED' })
+      };
+    }
 
     // Check treasury wallet
-    if (!treasuryKeypair) {
+    const treasurySigner = await loadTreasurySigner();
+    if (!treasurySigner) {
       console.log(`❌ [WITHDRAW] Treasury wallet not configured`);
       return {
         statusCode: 500,
         headers: {
           'Access-Control-Allow-Origin': '*',
-          'Access-Control-Allow-Headers': 'Content-Type, Authorization',
+          'Access-Control-Allow-Headers': 'Content-Type, Authorization, Idempotency-Key',
           'Access-Control-Allow-Methods': 'POST, OPTIONS'
         },
         body: JSON.stringify({ error: 'Treasury wallet not configured' })
@@ -221,32 +264,51 @@ exports.handler = async (event, context) => {
 
     // Check user balance
     if (user.gameBalance < amount) {
-      console.log(`❌ [WITHDRAW] Insufficient balance: ${user.gameBalance} < ${amount}`);
+      console.log(`❌ [WITHDRAW] Insufficient balance: ${money.format(user.gameBalance)} < ${money.format(amount)}`);
       return {
         statusCode: 400,
         headers: {
           'Access-Control-Allow-Origin': '*',
-          'Access-Control-Allow-Headers': 'Content-Type, Authorization',
+          'Access-Control-Allow-Headers': 'Content-Type, Authorization, Idempotency-Key',
           'Access-Control-Allow-Methods': 'POST, OPTIONS'
         },
-        body: JSON.stringify({ error: `Insufficient casino tokens. You have ${user.gameBalance} tokens` })
+        body: JSON.stringify({ error: `Insufficient casino tokens. You have ${money.format(user.gameBalance)} tokens` })
       };
     }
 
-    console.log(`✅ [WITHDRAW] Sufficient balance: ${user.gameBalance} >= ${amount}`);
+    console.log(`✅ [WITHDRAW] Sufficient balance: ${money.format(user.gameBalance)} >= ${money.format(amount)}`);
+
+    // Fees come out of the amount (see lib/fee-schedule.js)
+    let quote;
+    try {
+      quote = await feeSchedule.withdrawalQuote(solanaConnection, { amount, toAddress: withdrawAddress });
+    } catch (error) {
+      if (!(error instanceof feeSchedule.FeeScheduleError)) throw error;
+      console.log(`❌ [WITHDRAW] ${error.message}`);
+      return {
+        statusCode: error.statusCode,
+        headers: {
+          'Access-Control-Allow-Origin': '*',
+          'Access-Control-Allow-Headers': 'Content-Type, Authorization, Idempotency-Key',
+          'Access-Control-Allow-Methods': 'POST, OPTIONS'
+        },
+        body: JSON.stringify({ error: error.message, code: error.code })
+      };
+    }
+    console.log(`🧾 [WITHDRAW] ${money.format(amount)} - ${money.format(quote.fee)} fees = ${money.format(quote.net)} USDC to send`);
 
     // Check treasury balance
     console.log(`🔍 [WITHDRAW] Checking treasury balance...`);
-    const treasuryUsdcBalance = await getUSDCBalance(treasuryKeypair.publicKey.toString());
-    console.log(`💰 [WITHDRAW] Treasury USDC balance: ${treasuryUsdcBalance}, required: ${amount}`);
+    const treasuryUsdcBalance = await getUSDCBalance(treasurySigner.publicKey.toString());
+    console.log(`💰 [WITHDRAW] Treasury USDC balance: ${money.format(treasuryUsdcBalance)}, required: ${money.format(quote.net)}`);
 
-    if (treasuryUsdcBalance < amount) {
-      console.log(`❌ [WITHDRAW] Insufficient treasury funds: ${treasuryUsdcBalance} < ${amount}`);
+    if (treasuryUsdcBalance < quote.net) {
+      console.log(`❌ [WITHDRAW] Insufficient treasury funds: ${money.format(treasuryUsdcBalance)} < ${money.format(quote.net)}`);
       return {
         statusCode: 500,
         headers: {
           'Access-Control-Allow-Origin': '*',
-          'Access-Control-Allow-Headers': 'Content-Type, Authorization',
+          'Access-Control-Allow-Headers': 'Content-Type, Authorization, Idempotency-Key',
           'Access-Control-Allow-Methods': 'POST, OPTIONS'
         },
         body: JSON.stringify({ error: 'Treasury has insufficient funds. Please try again later.' })
@@ -258,138 +320,92 @@ exports.handler = async (event, context) => {
     // Validate user's withdrawal Solana address
     let userPublicKey;
     try {
-      userPublicKey = new PublicKey(user.withdrawAddress);
+      userPublicKey = new PublicKey(withdrawAddress);
       console.log(`✅ [WITHDRAW] Valid withdrawal address: ${userPublicKey.toString()}`);
     } catch (error) {
-      console.log(`❌ [WITHDRAW] Invalid withdrawal address: ${user.withdrawAddress}`);
+      console.log(`❌ [WITHDRAW] Invalid withdrawal address: ${withdrawAddress}`);
       return {
         statusCode: 400,
         headers: {
           'Access-Control-Allow-Origin': '*',
-          'Access-Control-Allow-Headers': 'Content-Type, Authorization',
+          'Access-Control-Allow-Headers': 'Content-Type, Authorization, Idempotency-Key',
           'Access-Control-Allow-Methods': 'POST, OPTIONS'
         },
         body: JSON.stringify({ error: 'Invalid withdrawal address. Please update your Settings.' })
       };
     }
 
-    // Convert amount to lamports (USDC has 6 decimals)
-    const amountLamports = Math.floor(amount * 1000000);
-    console.log(`🧮 [WITHDRAW] Calculation: ${amount} tokens = ${amount} USDC (${amountLamports} lamports)`);
-
-    // Get associated token accounts
-    const treasuryATA = await getAssociatedTokenAddress(USDC_MINT, treasuryKeypair.publicKey);
-    const userATA = await getAssociatedTokenAddress(USDC_MINT, userPublicKey);
-
-    // Create transaction
-    const transaction = new Transaction();
-
-    // Check if user ATA exists, create if not
-    try {
-      await getAccount(solanaConnection, userATA);
-    } catch (error) {
-      // User ATA doesn't exist, create it
-      transaction.add(
-        createAssociatedTokenAddressInstruction(
-          userPublicKey,
-          userATA,
-          userPublicKey,
-          USDC_MINT
-        )
-      );
-    }
-
-    // Add transfer instruction from treasury to user
-    transaction.add(
-      createTransferInstruction(
-        treasuryATA,
-        userATA,
-        treasuryKeypair.publicKey,
-        amountLamports
-      )
-    );
-
-    console.log(`🚀 [WITHDRAW] Initiating REAL USDC transfer: ${amount} USDC (${amount} tokens) to ${user.withdrawAddress}`);
-
-    // Sign and send the actual transaction
-    console.log(`🚀 [WITHDRAW] Executing real Solana transaction...`);
-    let signature;
+    // Check the per-request, daily and weekly limits (lib/withdrawal-limits.js), reserve the funds
+    // and queue the withdrawal, or hold it for review (see lib/withdrawal-queue.js)
+    let debitedUser, gameTransaction, review;
+    idempotency.committing(event);
     try {
-      // Get recent blockhash
-      const { blockhash, lastValidBlockHeight } = await solanaConnection.getLatestBlockhash('confirmed');
-
-      transaction.recentBlockhash = blockhash;
-      transaction.lastValidBlockHeight = lastValidBlockHeight;
-      transaction.feePayer = treasuryKeypair.publicKey;
-
-      // Sign the transaction with treasury keypair
-      transaction.sign(treasuryKeypair);
-
-      // Send and confirm the transaction
-      signature = await sendAndConfirmTransaction(
-        solanaConnection,
-        transaction,
-        [treasuryKeypair],
-        {
-          skipPreflight: false,
-          commitment: 'confirmed',
-          preflightCommitment: 'confirmed'
-        }
-      );
-
-      console.log(`✅ [WITHDRAW] REAL USDC transfer completed with signature: ${signature}`);
-
+      ({ user: debitedUser, transaction: gameTransaction, review } = await withdrawalQueue.requestWithdrawal({
+        user,
+        amount,
+        fee: quote.fee,
+        toAddress: withdrawAddress,
+        memo,
+        fromAddress: treasurySigner.publicKey.toString()
+      }));
     } catch (error) {
-      console.error(`❌ [WITHDRAW] Transaction failed: ${error.message}`);
+      if (error instanceof withdrawalLimits.WithdrawalLimitError) {
+        console.log(`❌ [WITHDRAW] ${error.code}: ${error.message}`);
+        return {
+          statusCode: error.statusCode,
+          headers: {
+            'Access-Control-Allow-Origin': '*',
+            'Access-Control-Allow-Headers': 'Content-Type, Authorization, Idempotency-Key',
+            'Access-Control-Allow-Methods': 'POST, OPTIONS'
+          },
+          body: JSON.stringify({ error: error.message, code: error.code, ...error.details })
+        };
+      }
+      if (!(error instanceof balanceService.BalanceError)) throw error;
+      console.log(`❌ [WITHDRAW] ${error.message}`);
       return {
-        statusCode: 500,
+        statusCode: error.statusCode,
         headers: {
           'Access-Control-Allow-Origin': '*',
-          'Access-Control-Allow-Headers': 'Content-Type, Authorization',
+          'Access-Control-Allow-Headers': 'Content-Type, Authorization, Idempotency-Key',
           'Access-Control-Allow-Methods': 'POST, OPTIONS'
         },
-        body: JSON.stringify({ error: `Transaction failed: ${error.message}` })
+        body: JSON.stringify({ error: error.code === 'INSUFFICIENT_BALANCE' ? 'Insufficient casino tokens' : error.message })
       };
     }
 
-    // Update user balance
-    const oldBalance = user.gameBalance;
-    user.gameBalance -= amount;
-    await user.save();
-
-    console.log(`💾 [WITHDRAW] Updated user balance: ${oldBalance} → ${user.gameBalance}`);
-
-    // Create transaction record
-    console.log(`📝 [WITHDRAW] Creating transaction record...`);
-    const gameTransaction = new GameTransaction({
-      userId: user._id,
-      type: 'withdraw',
-      amount: amount, // USDC amount
-      tokenAmount: amount, // Casino tokens withdrawn
-      solanaTxHash: signature,
-      fromAddress: treasuryKeypair.publicKey.toString(),
-      toAddress: user.withdrawAddress,
-      status: 'completed'
-    });
-    await gameTransaction.save();
-
-    console.log(`✅ [WITHDRAW] Transaction record saved with ID: ${gameTransaction._id}`);
-    console.log(`🎉 [WITHDRAW] SUCCESS: ${amount} tokens → ${amount} USDC to ${user.withdrawAddress} (${signature})`);
+    console.log(`💾 [WITHDRAW] Reserved funds: ${money.format(user.gameBalance)} → ${money.format(debitedUser.gameBalance)} (transaction ${gameTransaction._id})`);
+    await linkedWallets.touch(user._id, withdrawAddress);
+
+    // No background worker here: send it now, withdraw-status settles it when the user polls
+    if (review.length === 0) {
+      try {
+        await withdrawalQueue.processWithdrawals(solanaConnection, { signer: treasurySigner, transactionId: gameTransaction._id });
+      } catch (error) {
+        console.error(`❌ [WITHDRAW] Sending ${gameTransaction._id} failed, left queued: ${error.message}`);
+      }
+    }
+    const withdrawal = await withdrawalQueue.findWithdrawal(user._id, gameTransaction._id);
 
     return {
-      statusCode: 200,
+      statusCode: 202,
       headers: {
         'Access-Control-Allow-Origin': '*',
-        'Access-Control-Allow-Headers': 'Content-Type, Authorization',
+        'Access-Control-Allow-Headers': 'Content-Type, Authorization, Idempotency-Key',
         'Access-Control-Allow-Methods': 'POST, OPTIONS'
       },
       body: JSON.stringify({
         success: true,
-        amount: amount,
-        newBalance: user.gameBalance,
+        pending: true,
+        needsReview: review.length > 0,
+        amount: money.format(amount),
+        fees: feeSchedule.view(quote),
+        newBalance: money.format(debitedUser.gameBalance),
         transactionId: gameTransaction._id,
-        solanaTxHash: signature,
-        message: `Successfully withdrew ${amount} USDC (${amount} casino tokens) to your wallet!`
+        withdrawal: withdrawalQueue.withdrawalView(withdrawal),
+        message: review.length > 0
+          ? `Withdrawal of ${money.format(amount)} USDC received, it will be sent once our team has reviewed it`
+          : `Withdrawal of ${money.format(amount)} USDC queued, it will be sent to your wallet shortly`
       })
     };
 
@@ -399,10 +415,12 @@ exports.handler = async (event, context) => {
       statusCode: 500,
       headers: {
         'Access-Control-Allow-Origin': '*',
-        'Access-Control-Allow-Headers': 'Content-Type, Authorization',
+        'Access-Control-Allow-Headers': 'Content-Type, Authorization, Idempotency-Key',
         'Access-Control-Allow-Methods': 'POST, OPTIONS'
       },
       body: JSON.stringify({ error: error.message || 'Withdrawal failed' })
     };
   }
-};
\ No newline at end of file
+};
+
+exports.handler = idempotency.wrapHandler('withdraw', handler, { connect: connectDB });
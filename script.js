@@ -10,6 +10,7 @@ class BetBetterGame {
         this.dice3D = null;
         this.firstBetCompleted = false; // Track if first bet is done
         this.apiBase = this.getApiBaseUrl(); // Dynamic API base URL
+        this.requests = new IdempotentRequests((action) => this.resolveApi(action), { logTag: '[CLIENT]' }); // POSTs that move money, with Idempotency-Keys
 
         this.initializeElements();
         this.attachEventListeners();
@@ -30,7 +31,10 @@ class BetBetterGame {
         if (base.includes('localhost:5000')) {
             const mapping = {
                 'game-place-bet': 'game/place-bet',
-                'user-stats': 'user/stats'
+                'user-stats': 'user/stats',
+                'fairness-seeds': 'fairness/seeds',
+                'fairness-rotate': 'fairness/rotate',
+                'fairness-verify': 'fairness/verify'
             };
             const mapped = mapping[path] || path;
             return `${base}/${mapped}`;
@@ -47,6 +51,13 @@ class BetBetterGame {
         this.gamesPlayedEl = document.getElementById('gamesPlayed');
         this.winsEl = document.getElementById('wins');
         this.winRateEl = document.getElementById('winRate');
+        this.fairnessSection = document.getElementById('fairness-section');
+        this.fairnessServerHash = document.getElementById('fairness-server-hash');
+        this.fairnessNonce = document.getElementById('fairness-nonce');
+        this.fairnessClientSeed = document.getElementById('fairness-client-seed');
+        this.fairnessRotateBtn = document.getElementById('fairness-rotate-btn');
+        this.fairnessVerifyBtn = document.getElementById('fairness-verify-btn');
+        this.fairnessOutput = document.getElementById('fairness-output');
 
         // Initialize betting availability
         this.checkBettingAvailability();
@@ -68,6 +79,13 @@ class BetBetterGame {
 
     attachEventListeners() {
         this.placeBet.addEventListener('click', () => this.placeBetHandler());
+
+        if (this.fairnessRotateBtn) {
+            this.fairnessRotateBtn.addEventListener('click', () => this.rotateFairnessSeeds());
+        }
+        if (this.fairnessVerifyBtn) {
+            this.fairnessVerifyBtn.addEventListener('click', () => this.verifyLastBet());
+        }
     }
 
     placeBetHandler() {
@@ -101,30 +119,13 @@ class BetBetterGame {
         try {
             console.log(`🎲 [CLIENT_BET] Placing server-side bet: ${betAmount}`);
 
-            // Add timeout to prevent hanging requests
-            const controller = new AbortController();
-            const timeoutId = setTimeout(() => controller.abort(), 10000); // 10 second timeout
-
-            const response = await fetch(this.resolveApi('game-place-bet'), {
-                method: 'POST',
-                headers: {
-                    'Content-Type': 'application/json',
-                    'Authorization': `Bearer ${window.authManager.token}`
-                },
-                body: JSON.stringify({
-                    betAmount: betAmount
-                }),
-                signal: controller.signal
-            });
-
-            clearTimeout(timeoutId);
+            // Times out after 10 seconds and retries once with the same Idempotency-Key
+            const { response, data: betResult } = await this.requests.post('game-place-bet', { betAmount });
 
             if (!response.ok) {
-                const errorData = await response.json();
-                throw new Error(errorData.error || 'Bet failed');
+                throw new Error(betResult.error || 'Bet failed');
             }
 
-            const betResult = await response.json();
             console.log(`🎲 [CLIENT_BET] Server response:`, betResult);
 
             // Update local state with server result
@@ -133,8 +134,8 @@ class BetBetterGame {
                 this.wins++;
             }
 
-            // Update tokens from server
-            this.tokens = this.fixPrecision(betResult.newBalance);
+            // Update tokens from server (amounts arrive as exact decimal strings)
+            this.tokens = parseFloat(betResult.newBalance);
 
             // Update Solana manager balance
             if (window.solanaManager) {
@@ -150,6 +151,12 @@ class BetBetterGame {
                 }
             }
 
+            // Remember the bet so it can be verified once the seed is revealed
+            this.lastBetTransactionId = betResult.transactionId;
+            if (betResult.fairness && this.fairnessNonce) {
+                this.fairnessNonce.textContent = betResult.fairness.nonce + 1;
+            }
+
             // Store outcome for display
             this.outcomeResult = {
                 won: betResult.playerWins,
@@ -166,8 +173,8 @@ class BetBetterGame {
 
             // Handle different types of errors
             let errorMessage = 'Bet failed';
-            if (error.name === 'AbortError') {
-                errorMessage = 'Bet request timed out. Please try again.';
+            if (error.outcomeUnknown) {
+                errorMessage = 'Bet request timed out. Place the same bet again to retry safely.';
             } else if (error.message) {
                 errorMessage = error.message;
             }
@@ -190,13 +197,14 @@ class BetBetterGame {
     }
 
     showBetResult() {
-        const { won, betAmount, randomNumber } = this.outcomeResult;
+        const { won, betAmount, randomNumber, serverResult } = this.outcomeResult;
 
         // Calculate net amount with precision fixing
         const netAmount = this.fixPrecision(won ? betAmount : -betAmount);
 
         // Show result with random number for transparency
-        const randomDisplay = randomNumber ? ` (Random: ${(randomNumber * 100).toFixed(5)}%)` : '';
+        const nonceDisplay = serverResult?.fairness ? `, nonce ${serverResult.fairness.nonce}` : '';
+        const randomDisplay = randomNumber ? ` (Roll: ${(randomNumber * 100).toFixed(5)}%${nonceDisplay})` : '';
         if (won) {
             this.showResult(`WIN! +${betAmount}${randomDisplay}`, 'win');
         } else {
@@ -407,6 +415,107 @@ class BetBetterGame {
         } catch (error) {
             console.error('Error loading user stats:', error);
         }
+
+        this.loadFairnessSeeds();
+    }
+
+    // Show the active seed commitment (server seed hash, client seed, next nonce)
+    renderFairnessSeed(seed) {
+        if (!seed || !this.fairnessSection) return;
+        this.fairnessSection.style.display = 'block';
+        this.fairnessServerHash.textContent = seed.serverSeedHash;
+        this.fairnessNonce.textContent = seed.nonce;
+        this.fairnessClientSeed.value = seed.clientSeed;
+    }
+
+    async loadFairnessSeeds() {
+        if (!window.authManager?.isAuthenticated) return;
+
+        try {
+            const response = await fetch(this.resolveApi('fairness-seeds'), {
+                headers: {
+                    'Authorization': `Bearer ${window.authManager.token}`
+                }
+            });
+
+            if (response.ok) {
+                const data = await response.json();
+                this.renderFairnessSeed(data.active);
+            }
+        } catch (error) {
+            console.error('Error loading fairness seeds:', error);
+        }
+    }
+
+    // Reveal the current server seed and start a new pair with the client seed from the input
+    async rotateFairnessSeeds() {
+        if (!window.authManager?.isAuthenticated || this.isRolling) return;
+
+        const clientSeed = (this.fairnessClientSeed.value || '').trim();
+
+        try {
+            const response = await fetch(this.resolveApi('fairness-rotate'), {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json',
+                    'Authorization': `Bearer ${window.authManager.token}`
+                },
+                body: JSON.stringify(clientSeed ? { clientSeed } : {})
+            });
+
+            const data = await response.json();
+            if (!response.ok) {
+                throw new Error(data.error || 'Seed rotation failed');
+            }
+
+            this.renderFairnessSeed(data.active);
+
+            if (data.revealed) {
+                this.fairnessOutput.textContent =
+                    `Revealed server seed: ${data.revealed.serverSeed}\n` +
+                    `Hash: ${data.revealed.serverSeedHash}\n` +
+                    `Client seed: ${data.revealed.clientSeed}, bets: ${data.revealed.nonce}`;
+            }
+        } catch (error) {
+            console.error('Seed rotation error:', error);
+            this.fairnessOutput.textContent = error.message;
+        }
+    }
+
+    async verifyLastBet() {
+        if (!window.authManager?.isAuthenticated) return;
+
+        if (!this.lastBetTransactionId) {
+            this.fairnessOutput.textContent = 'Place a bet first.';
+            return;
+        }
+
+        try {
+            const response = await fetch(this.resolveApi('fairness-verify'), {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json',
+                    'Authorization': `Bearer ${window.authManager.token}`
+                },
+                body: JSON.stringify({ transactionId: this.lastBetTransactionId })
+            });
+
+            const data = await response.json();
+            if (!response.ok) {
+                throw new Error(data.error || 'Verification failed');
+            }
+
+            if (!data.verifiable) {
+                this.fairnessOutput.textContent = data.reason;
+            } else {
+                this.fairnessOutput.textContent =
+                    `${data.matches ? '✅ Verified' : '❌ Mismatch'}: roll ${data.roll} ` +
+                    `(${data.playerWins ? 'win' : 'loss'}) from nonce ${data.nonce}`;
+            }
+        } catch (error) {
+            console.error('Bet verification error:', error);
+            this.fairnessOutput.textContent = error.message;
+        }
     }
 
     gameOver() {
@@ -0,0 +1,47 @@
+// Ledger invariant check (see lib/ledger.js): every journal entry balances, total debits equal
+// total credits, and every user's gameBalance matches their ledger account.
+//
+//   node scripts/check-ledger.js          # exits 1 if any invariant fails
+//   node scripts/check-ledger.js --json   # machine-readable report
+const mongoose = require('mongoose');
+const money = require('../lib/money.js');
+const ledger = require('../lib/ledger.js');
+
+require('dotenv').config();
+
+function printReport(report) {
+  console.log('📒 [LEDGER] Trial balance');
+  for (const row of report.accounts) {
+    console.log(`   ${row.account.padEnd(48)} Dr ${money.format(row.debits).padStart(16)}  Cr ${money.format(row.credits).padStart(16)}`);
+  }
+  console.log(`   ${'TOTAL'.padEnd(48)} Dr ${money.format(report.totalDebits).padStart(16)}  Cr ${money.format(report.totalCredits).padStart(16)}`);
+
+  if (report.unbalancedEntries.length > 0) {
+    console.log(`❌ [LEDGER] Unbalanced journal entries: ${report.unbalancedEntries.join(', ')}`);
+  }
+  for (const mismatch of report.userMismatches) {
+    const cached = mismatch.gameBalance === null ? 'missing user' : money.format(mismatch.gameBalance);
+    console.log(`❌ [LEDGER] User ${mismatch.userId} (${mismatch.email || 'unknown'}): gameBalance ${cached}, ledger ${money.format(mismatch.ledgerBalance)}`);
+  }
+  console.log(report.ok ? '✅ [LEDGER] All invariants hold' : '❌ [LEDGER] Invariant check failed');
+}
+
+async function main() {
+  await mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/betbetter');
+  try {
+    const report = await ledger.checkInvariants();
+    if (process.argv.includes('--json')) {
+      console.log(JSON.stringify(report, null, 2));
+    } else {
+      printReport(report);
+    }
+    process.exitCode = report.ok ? 0 : 1;
+  } finally {
+    await mongoose.disconnect();
+  }
+}
+
+main().catch((error) => {
+  console.error('❌ [LEDGER] Check failed:', error);
+  process.exit(1);
+});
@@ -0,0 +1,75 @@
+// Migration: open the double-entry ledger (see lib/ledger.js) for data that predates it.
+//
+// Posts an opening_balance entry for every user whose ledger account has no postings yet, and
+// an opening entry for withdrawals still pending, so later settlements have funds to release.
+// Run after migrate-micro-usdc.js, with the app stopped:
+//
+//   node scripts/ledger-opening-balances.js --dry-run   # report what would be posted
+//   node scripts/ledger-opening-balances.js
+//
+// Safe to re-run: users and withdrawals that already have journal entries are skipped.
+const mongoose = require('mongoose');
+const money = require('../lib/money.js');
+const ledger = require('../lib/ledger.js');
+const User = require('../netlify/functions/user-schema.js');
+const GameTransaction = require('../netlify/functions/transaction-schema.js');
+const JournalEntry = require('../netlify/functions/journal-entry-schema.js');
+
+require('dotenv').config();
+
+async function openUserBalances(dryRun) {
+  let opened = 0;
+  let total = 0;
+
+  for await (const user of User.find({}, { gameBalance: 1, email: 1 }).cursor()) {
+    const hasEntries = await JournalEntry.exists({ 'postings.account': ledger.userAccount(user._id) });
+    if (hasEntries || !user.gameBalance) continue;
+
+    console.log(`👤 [LEDGER] Opening ${user.email}: ${money.format(user.gameBalance)}`);
+    if (!dryRun) {
+      await ledger.post(ledger.openingBalanceEntry(user._id, user.gameBalance), { memo: 'Balance before ledger' });
+    }
+    opened++;
+    total += user.gameBalance;
+  }
+
+  return { opened, total };
+}
+
+async function openPendingWithdrawals(dryRun) {
+  let opened = 0;
+
+  for await (const tx of GameTransaction.find({ type: 'withdraw', status: 'pending' }).cursor()) {
+    if (await JournalEntry.exists({ transactionId: tx._id })) continue;
+
+    console.log(`💸 [LEDGER] Opening pending withdrawal ${tx._id}: ${money.format(tx.amount)}`);
+    if (!dryRun) {
+      await ledger.post(ledger.openingPendingWithdrawalEntry(tx.userId, tx.amount), {
+        transactionId: tx._id,
+        memo: 'Pending withdrawal before ledger'
+      });
+    }
+    opened++;
+  }
+
+  return opened;
+}
+
+async function main() {
+  const dryRun = process.argv.includes('--dry-run');
+  await mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/betbetter');
+  try {
+    console.log(`🔧 [LEDGER] ${dryRun ? 'Dry run: ' : ''}posting opening balances`);
+    const { opened, total } = await openUserBalances(dryRun);
+    console.log(`✅ [LEDGER] Opened ${opened} user accounts totalling ${money.format(total)}`);
+    const withdrawals = await openPendingWithdrawals(dryRun);
+    console.log(`✅ [LEDGER] Opened ${withdrawals} pending withdrawals`);
+  } finally {
+    await mongoose.disconnect();
+  }
+}
+
+main().catch((error) => {
+  console.error('❌ [LEDGER] Opening balances failed:', error);
+  process.exit(1);
+});
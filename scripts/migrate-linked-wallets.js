@@ -0,0 +1,101 @@
+// Migration: move single-wallet accounts to linked wallets (see lib/linked-wallets.js).
+//
+// A user's solanaAddress becomes a linked wallet for deposits and withdrawals and a different
+// withdrawAddress one for withdrawals only; both keep their addresses, so nothing else changes.
+// Wallets linked this way carry no signed proof (only wallets linked from now on do).
+// Safe to run with the app up:
+//
+//   node scripts/migrate-linked-wallets.js --dry-run   # report what would change
+//   node scripts/migrate-linked-wallets.js
+//
+// Users that already have linked wallets are skipped, so an interrupted run can simply be
+// started again; a completed run is recorded in the migrations collection and not repeated.
+const mongoose = require('mongoose');
+const User = require('../netlify/functions/user-schema.js');
+
+require('dotenv').config();
+
+const MIGRATION_ID = 'linked-wallets-v1';
+const BATCH_SIZE = 500;
+
+function legacyWallets(user) {
+  const wallets = [];
+  const linkedAt = user.walletVerifiedAt || user.createdAt || new Date();
+  if (user.solanaAddress) {
+    wallets.push({ address: user.solanaAddress, label: 'Main wallet', role: 'both', createdAt: linkedAt });
+  }
+  if (user.withdrawAddress && user.withdrawAddress !== user.solanaAddress) {
+    wallets.push({ address: user.withdrawAddress, label: 'Withdrawal wallet', role: 'withdraw', createdAt: linkedAt });
+  }
+  return wallets;
+}
+
+async function migrate({ dryRun }) {
+  const migrations = mongoose.connection.collection('migrations');
+  const previous = await migrations.findOne({ _id: MIGRATION_ID });
+  if (previous && previous.completedAt) {
+    console.log(`✅ [MIGRATE] ${MIGRATION_ID} already completed at ${previous.completedAt.toISOString()}`);
+    return;
+  }
+
+  console.log(`🔧 [MIGRATE] ${dryRun ? 'Dry run of' : 'Running'} ${MIGRATION_ID}`);
+  if (!dryRun) {
+    await migrations.updateOne(
+      { _id: MIGRATION_ID },
+      { $setOnInsert: { startedAt: new Date() } },
+      { upsert: true }
+    );
+  }
+
+  const pending = { 'wallets.0': { $exists: false }, $or: [{ solanaAddress: { $nin: [null, ''] } }, { withdrawAddress: { $nin: [null, ''] } }] };
+  const cursor = User.collection.find(pending);
+  let users = 0;
+  let wallets = 0;
+  let batch = [];
+
+  const flush = async () => {
+    if (batch.length === 0) return;
+    if (!dryRun) {
+      await User.collection.bulkWrite(batch, { ordered: false });
+    }
+    batch = [];
+  };
+
+  for await (const user of cursor) {
+    const linked = legacyWallets(user);
+    batch.push({
+      updateOne: {
+        filter: { _id: user._id, 'wallets.0': { $exists: false } },
+        update: { $set: { wallets: linked }, $unset: { walletVerifiedAt: '' } }
+      }
+    });
+    users++;
+    wallets += linked.length;
+    if (batch.length >= BATCH_SIZE) await flush();
+  }
+  await flush();
+  console.log(`👤 [MIGRATE] Users migrated: ${users}, wallets linked: ${wallets}`);
+
+  if (!dryRun) {
+    await migrations.updateOne(
+      { _id: MIGRATION_ID },
+      { $set: { completedAt: new Date(), users, wallets } }
+    );
+  }
+  console.log(`🎉 [MIGRATE] ${MIGRATION_ID} ${dryRun ? 'dry run finished' : 'completed'}`);
+}
+
+async function main() {
+  const dryRun = process.argv.includes('--dry-run');
+  await mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/betbetter');
+  try {
+    await migrate({ dryRun });
+  } finally {
+    await mongoose.disconnect();
+  }
+}
+
+main().catch((error) => {
+  console.error('❌ [MIGRATE] Migration failed:', error);
+  process.exit(1);
+});
@@ -0,0 +1,97 @@
+// Migration: convert stored float amounts to integer micro-USDC (see lib/money.js).
+//
+// Converts User.gameBalance / usdcBalance and Transaction.amount / solAmount / tokenAmount.
+// Run once with the app stopped, before starting the version that reads micro-USDC:
+//
+//   node scripts/migrate-micro-usdc.js --dry-run   # report what would change
+//   node scripts/migrate-micro-usdc.js
+//
+// Progress is tracked per document (_microUsdcMigrated) so an interrupted run can simply be
+// started again; a completed run is recorded in the migrations collection and not repeated.
+const mongoose = require('mongoose');
+const money = require('../lib/money.js');
+const User = require('../netlify/functions/user-schema.js');
+const GameTransaction = require('../netlify/functions/transaction-schema.js');
+
+require('dotenv').config();
+
+const MIGRATION_ID = 'micro-usdc-v1';
+const BATCH_SIZE = 500;
+const MIGRATED_FLAG = '_microUsdcMigrated';
+
+async function convertCollection(collection, fields, dryRun) {
+  const cursor = collection.find({ [MIGRATED_FLAG]: { $ne: true } });
+  let converted = 0;
+  let batch = [];
+
+  const flush = async () => {
+    if (batch.length === 0) return;
+    if (!dryRun) {
+      await collection.bulkWrite(batch, { ordered: false });
+    }
+    batch = [];
+  };
+
+  for await (const doc of cursor) {
+    const $set = { [MIGRATED_FLAG]: true };
+    for (const field of fields) {
+      if (typeof doc[field] === 'number') {
+        $set[field] = money.fromDecimal(doc[field]);
+      }
+    }
+
+    batch.push({ updateOne: { filter: { _id: doc._id, [MIGRATED_FLAG]: { $ne: true } }, update: { $set } } });
+    converted++;
+    if (batch.length >= BATCH_SIZE) await flush();
+  }
+  await flush();
+
+  return converted;
+}
+
+async function migrate({ dryRun }) {
+  const migrations = mongoose.connection.collection('migrations');
+  const previous = await migrations.findOne({ _id: MIGRATION_ID });
+  if (previous && previous.completedAt) {
+    console.log(`✅ [MIGRATE] ${MIGRATION_ID} already completed at ${previous.completedAt.toISOString()}`);
+    return;
+  }
+
+  console.log(`🔧 [MIGRATE] ${dryRun ? 'Dry run of' : 'Running'} ${MIGRATION_ID}`);
+  if (!dryRun) {
+    await migrations.updateOne(
+      { _id: MIGRATION_ID },
+      { $setOnInsert: { startedAt: new Date() } },
+      { upsert: true }
+    );
+  }
+
+  const users = await convertCollection(User.collection, ['gameBalance', 'usdcBalance'], dryRun);
+  console.log(`👤 [MIGRATE] Users converted: ${users}`);
+
+  const transactions = await convertCollection(GameTransaction.collection, ['amount', 'solAmount', 'tokenAmount'], dryRun);
+  console.log(`📝 [MIGRATE] Transactions converted: ${transactions}`);
+
+  if (!dryRun) {
+    await migrations.updateOne(
+      { _id: MIGRATION_ID },
+      { $set: { completedAt: new Date(), users, transactions } }
+    );
+  }
+  console.log(`🎉 [MIGRATE] ${MIGRATION_ID} ${dryRun ? 'dry run finished' : 'completed'}`);
+}
+
+async function main() {
+  const dryRun = process.argv.includes('--dry-run');
+  await mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/betbetter');
+  try {
+    await migrate({ dryRun });
+  } finally {
+    await mongoose.disconnect();
+  }
+}
+
+main().catch((error) => {
+  console.error('❌ [MIGRATE] Migration failed:', error);
+  process.exit(1);
+});
@@ -0,0 +1,45 @@
+// Treasury keystore: encrypt the hot wallet's key into a keystore file for TREASURY_SIGNER=keystore
+// (see lib/treasury-signer.js), so it no longer sits in the environment in the clear.
+//
+//   TREASURY_KEYSTORE_PASSPHRASE=... node scripts/treasury-keystore.js create treasury-keystore.json
+//   TREASURY_KEYSTORE_PASSPHRASE=... node scripts/treasury-keystore.js check treasury-keystore.json
+//
+// create takes the key from TREASURY_KEYPAIR (the bracketed byte array) and refuses to overwrite
+// a file; check unlocks a keystore and prints its address. Remove TREASURY_KEYPAIR from the
+// environment once the keystore is in place.
+const fs = require('fs');
+const treasurySigners = require('../lib/treasury-signer.js');
+
+require('dotenv').config();
+
+const MIN_PASSPHRASE_LENGTH = 12;
+
+function main() {
+  const [command, file] = process.argv.slice(2);
+  const passphrase = process.env.TREASURY_KEYSTORE_PASSPHRASE;
+  if (!['create', 'check'].includes(command) || !file) {
+    throw new Error('Usage: node scripts/treasury-keystore.js create|check <keystore file>');
+  }
+  if (!passphrase) throw new Error('TREASURY_KEYSTORE_PASSPHRASE must be set');
+
+  if (command === 'create') {
+    if (!process.env.TREASURY_KEYPAIR) throw new Error('TREASURY_KEYPAIR must be set to the key to encrypt');
+    if (passphrase.length < MIN_PASSPHRASE_LENGTH) throw new Error(`Use a passphrase of at least ${MIN_PASSPHRASE_LENGTH} characters`);
+    if (fs.existsSync(file)) throw new Error(`${file} already exists`);
+
+    const keypair = treasurySigners.parseKeypair(process.env.TREASURY_KEYPAIR);
+    fs.writeFileSync(file, JSON.stringify(treasurySigners.encryptKeypair(keypair, passphrase), null, 2), { mode: 0o600 });
+    console.log(`🔐 [KEYSTORE] ${keypair.publicKey.toBase58()} written to ${file}`);
+    return;
+  }
+
+  const keypair = treasurySigners.decryptKeystore(JSON.parse(fs.readFileSync(file, 'utf8')), passphrase);
+  console.log(`✅ [KEYSTORE] ${file} unlocks ${keypair.publicKey.toBase58()}`);
+}
+
+try {
+  main();
+} catch (error) {
+  console.error(`❌ [KEYSTORE] ${error.message}`);
+  process.exitCode = 1;
+}
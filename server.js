@@ -5,11 +5,16 @@ const jwt = require('jsonwebtoken');
 const bcrypt = require('bcryptjs');
 const crypto = require('crypto');
 const { OAuth2Client } = require('google-auth-library');
-const { Connection, PublicKey, LAMPORTS_PER_SOL, Keypair, Transaction, SystemProgram, sendAndConfirmTransaction } = require('@solana/web3.js');
+const { Connection, PublicKey, LAMPORTS_PER_SOL } = require('@solana/web3.js');
 const { TOKEN_PROGRAM_ID, ASSOCIATED_TOKEN_PROGRAM_ID, getAssociatedTokenAddress, createAssociatedTokenAccountInstruction, createTransferInstruction } = require('@solana/spl-token');
+const money = require('./lib/money.js');
+const treasurySigners = require('./lib/treasury-signer.js');
 
 require('dotenv').config();
 
+// Required before the Solana connection, which counts its requests for the RPC error rate
+const monitoring = require('./lib/monitoring.js');
+
 const app = express();
 const PORT = process.env.PORT || 5000;
 
@@ -17,50 +22,34 @@ const PORT = process.env.PORT || 5000;
 const USDC_MINT = new PublicKey('EPjFWdd5AufqSSqeM2qN1xzybapC8G4wEGGkZwyTDt1v');
 console.log('🔧 [INIT] USDC Mint address:', USDC_MINT.toString());
 
-// Treasury Wallet Setup (from environment variable)
-let treasuryKeypair = null;
-if (process.env.TREASURY_KEYPAIR) {
-    try {
-        // Load keypair from environment variable
-        const keypairString = process.env.TREASURY_KEYPAIR;
-        // Remove brackets and split by comma, then convert to numbers
-        const keypairData = keypairString.replace(/^\[|\]$/g, '').split(',').map(num => parseInt(num.trim()));
-        treasuryKeypair = Keypair.fromSecretKey(new Uint8Array(keypairData));
-        console.log('Treasury wallet loaded:', treasuryKeypair.publicKey.toString());
-
-        // Check treasury SOL balance
-        setTimeout(async () => {
-            try {
-                const solBalance = await solanaConnection.getBalance(treasuryKeypair.publicKey);
-                const solBalanceInSOL = solBalance / LAMPORTS_PER_SOL;
-                console.log(`💰 Treasury SOL balance: ${solBalanceInSOL} SOL`);
-
-                if (solBalanceInSOL < 0.1) {
-                    console.log(`⚠️ Treasury needs more SOL for transaction fees!`);
-                    console.log(`📋 Treasury address: ${treasuryKeypair.publicKey.toString()}`);
-                }
+// All amounts below are integer micro-USDC (see lib/money.js)
+const STARTING_BALANCE = money.parse('50');
+const MAX_BET = money.parse('1000000');
 
-                // Check USDC balance
-                const usdcBalance = await getUSDCBalance(solanaConnection, treasuryKeypair.publicKey);
-                console.log(`💵 Treasury USDC balance: ${usdcBalance} USDC`);
+// Treasury signer (see lib/treasury-signer.js): TREASURY_SIGNER picks the env key, an encrypted
+// keystore or a separate signer process. Null until it is loaded.
+let treasurySigner = null;
+const loadTreasurySigner = async () => {
+    try {
+        const signer = await treasurySigners.load();
+        if (!signer) {
+            console.warn('No treasury signer configured (TREASURY_SIGNER / TREASURY_KEYPAIR). Real USDC transactions will not work.');
+            return;
+        }
+        treasurySigner = signer;
+        console.log(`Treasury wallet loaded (${signer.backend} signer):`, treasurySigner.publicKey.toString());
 
-                if (usdcBalance === 0) {
-                    console.log(`⚠️ Treasury has no USDC! You need to:`);
-                    console.log(`1. Go to a DEX like Jupiter or Raydium`);
-                    console.log(`2. Swap some SOL to USDC`);
-                    console.log(`3. Send USDC to: ${treasuryKeypair.publicKey.toString()}`);
-                }
-            } catch (error) {
-                console.error('Error checking treasury balance:', error);
-            }
-        }, 2000); // Wait 2 seconds for connection to be ready
+        // Check the treasury's balances now rather than at the next monitoring run
+        runMonitoring();
 
     } catch (error) {
-        console.error('Error loading treasury keypair:', error);
+        console.error('Error loading treasury signer:', error.message);
+        // The signer process may not be up yet: try again
+        setTimeout(loadTreasurySigner, 5000);
     }
-} else {
-    console.warn('TREASURY_KEYPAIR environment variable not set. Real USDC transactions will not work.');
-}
+};
+
+loadTreasurySigner();
 
 // Middleware
 app.use(cors({
@@ -75,8 +64,8 @@ app.use(cors({
         'https://*.netlify.app'  // Allow all Netlify subdomains
     ],
     credentials: true,
-    methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS'],
-    allowedHeaders: ['Content-Type', 'Authorization', 'X-Requested-With']
+    methods: ['GET', 'POST', 'PUT', 'PATCH', 'DELETE', 'OPTIONS'],
+    allowedHeaders: ['Content-Type', 'Authorization', 'X-Requested-With', 'Idempotency-Key']
 }));
 app.use(express.json());
 
@@ -102,8 +91,8 @@ app.use((req, res, next) => {
     }
 
     res.setHeader('Access-Control-Allow-Credentials', 'true');
-    res.setHeader('Access-Control-Allow-Methods', 'GET, POST, PUT, DELETE, OPTIONS');
-    res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization, X-Requested-With');
+    res.setHeader('Access-Control-Allow-Methods', 'GET, POST, PUT, PATCH, DELETE, OPTIONS');
+    res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization, X-Requested-With, Idempotency-Key');
     next();
 });
 
@@ -132,7 +121,8 @@ const solanaConnection = new Connection(
     process.env.SOLANA_RPC_URL || 'https://api.mainnet-beta.solana.com',
     {
         commitment: 'confirmed',
-        maxSupportedTransactionVersion: 0  // Support legacy transactions
+        maxSupportedTransactionVersion: 0,  // Support legacy transactions
+        fetch: monitoring.rpcFetch  // counts failed RPC requests (see lib/monitoring.js)
     }
 );
 
@@ -145,22 +135,17 @@ async function getOrCreateAssociatedTokenAccount(connection, mint, owner, payer)
 
     if (accountInfo === null) {
         // Create associated token account
-        const transaction = new Transaction().add(
-            createAssociatedTokenAccountInstruction(
-                payer.publicKey,
-                associatedTokenAddress,
-                owner,
-                mint
-            )
-        );
-
-        await sendAndConfirmTransaction(connection, transaction, [payer]);
+        await feeStrategy.sendAndConfirm(connection, {
+            instructions: [createAssociatedTokenAccountInstruction(payer.publicKey, associatedTokenAddress, owner, mint)],
+            signer: payer
+        });
         console.log('Created associated token account:', associatedTokenAddress.toString());
     }
 
     return associatedTokenAddress;
 }
 
+// USDC balance of an owner's associated token account, in micro-USDC
 async function getUSDCBalance(connection, owner) {
     try {
         const associatedTokenAddress = await getAssociatedTokenAddress(USDC_MINT, owner);
@@ -173,8 +158,8 @@ async function getUSDCBalance(connection, owner) {
         }
 
         const tokenBalance = await connection.getTokenAccountBalance(associatedTokenAddress);
-        const balance = tokenBalance.value.uiAmount || 0;
-        console.log(`💰 [BALANCE] ${owner.toString()} USDC balance: ${balance}`);
+        const balance = money.fromBaseUnits(tokenBalance.value.amount);
+        console.log(`💰 [BALANCE] ${owner.toString()} USDC balance: ${money.format(balance)}`);
         return balance;
     } catch (error) {
         // Account doesn't exist or has no USDC
@@ -183,10 +168,12 @@ async function getUSDCBalance(connection, owner) {
     }
 }
 
-async function transferUSDC(connection, from, to, amount, signer) {
+// Transfer USDC from the treasury. amount is micro-USDC; onSend(signature) is called before each
+// attempt is sent (see lib/fee-strategy.js).
+async function transferUSDC(connection, from, to, amount, signer, { onSend } = {}) {
     try {
         console.log(`🚀 [TRANSFER] Starting real USDC transfer...`);
-        console.log(`   💸 Amount: ${amount} USDC (type: ${typeof amount})`);
+        console.log(`   💸 Amount: ${money.format(amount)} USDC (${amount} micro-USDC)`);
         console.log(`   📤 From: ${from.toString()} (type: ${typeof from}, constructor: ${from.constructor.name})`);
         console.log(`   📥 To: ${to.toString()} (type: ${typeof to}, constructor: ${to.constructor.name})`);
         console.log(`   🔑 Signer: ${signer.publicKey.toString()} (type: ${typeof signer}, constructor: ${signer.constructor.name})`);
@@ -200,7 +187,7 @@ async function transferUSDC(connection, from, to, amount, signer) {
 
         try {
             const treasuryBalance = await getUSDCBalance(connection, from);
-            console.log(`   💰 Treasury wallet USDC balance: ${treasuryBalance}`);
+            console.log(`   💰 Treasury wallet USDC balance: ${money.format(treasuryBalance)}`);
         } catch (error) {
             console.log(`   ❌ Error checking treasury balance: ${error.message}`);
         }
@@ -228,10 +215,9 @@ async function transferUSDC(connection, from, to, amount, signer) {
         console.log(`   🪙 USDC Mint: ${USDC_MINT.toString()} (type: ${typeof USDC_MINT}, constructor: ${USDC_MINT.constructor.name})`);
         console.log(`   🏛️ TOKEN_PROGRAM_ID: ${TOKEN_PROGRAM_ID.toString()} (type: ${typeof TOKEN_PROGRAM_ID}, constructor: ${TOKEN_PROGRAM_ID.constructor.name})`);
 
-        // Calculate amount with debugging
-        const rawAmount = amount * 1000000;
-        const finalAmount = BigInt(Math.floor(rawAmount));
-        console.log(`   💰 Amount calculation: ${amount} * 1000000 = ${rawAmount} → BigInt(${Math.floor(rawAmount)}) = ${finalAmount}`);
+        // USDC base units are micro-USDC, so the stored amount is used as is
+        const finalAmount = money.toBaseUnits(amount);
+        console.log(`   💰 Amount: ${money.format(amount)} USDC = ${finalAmount} base units`);
 
         // Create transfer instruction
         console.log(`   📝 Creating transfer instruction...`);
@@ -256,34 +242,18 @@ async function transferUSDC(connection, from, to, amount, signer) {
 
         console.log(`   ✅ Transfer instruction created successfully`);
 
-        // Add compute budget instructions for lower fees (same as withdrawals)
-        const { ComputeBudgetProgram } = require('@solana/web3.js');
-        const computeBudgetIx = ComputeBudgetProgram.setComputeUnitLimit({
-            units: 200_000 // Standard limit for token transfers
+        // Compute budget and priority fee from the fee strategy, resent until it lands
+        console.log(`   📋 Signing and sending with a priority fee...`);
+        const { signature, fee } = await feeStrategy.sendAndConfirm(connection, {
+            instructions: [transferInstruction],
+            signer,
+            accounts: [fromATA],
+            onSend
         });
-        const priorityFeeIx = ComputeBudgetProgram.setComputeUnitPrice({
-            microLamports: 1_000 // Very low priority fee (0.001 lamports per compute unit)
-        });
-
-        // Create transaction with compute budget instructions
-        const transaction = new Transaction()
-            .add(computeBudgetIx)
-            .add(priorityFeeIx)
-            .add(transferInstruction);
-
-        // Get recent blockhash
-        const { blockhash, lastValidBlockHeight } = await connection.getLatestBlockhash('confirmed');
-        transaction.recentBlockhash = blockhash;
-        transaction.lastValidBlockHeight = lastValidBlockHeight;
-        transaction.feePayer = from;
-
-        console.log(`   📋 Transaction created, signing...`);
-
-        // Sign and send transaction
-        const signature = await sendAndConfirmTransaction(connection, transaction, [signer]);
 
         console.log(`✅ [TRANSFER] USDC transfer successful!`);
         console.log(`   🔗 Signature: ${signature}`);
+        console.log(`   ⛽ Network fee: ${fee.lamports} lamports (${fee.units} CU at ${fee.microLamports} µlamports/CU)`);
 
         return signature;
     } catch (error) {
@@ -292,55 +262,32 @@ async function transferUSDC(connection, from, to, amount, signer) {
     }
 }
 
-async function transferSOL(connection, from, to, amount, signer) {
-    // Convert SOL to lamports
-    const lamports = Math.floor(amount * LAMPORTS_PER_SOL);
-
-    const transaction = new Transaction().add(
-        SystemProgram.transfer({
-            fromPubkey: from,
-            toPubkey: to,
-            lamports: lamports
-        })
-    );
-
-    const signature = await sendAndConfirmTransaction(connection, transaction, [signer]);
-    console.log('SOL transfer successful:', signature);
-    return signature;
-}
-
-// User Schema
-const userSchema = new mongoose.Schema({
-    googleId: { type: String, required: true, unique: true },
-    email: { type: String, required: true, unique: true },
-    name: String,
-    picture: String,
-    solanaAddress: String, // User's verified Solana address
-    withdrawAddress: String, // User's saved personal withdrawal address
-    isExchangeWallet: { type: Boolean, default: false },
-    gameBalance: { type: Number, default: 0 }, // Starting tokens
-    usdcBalance: { type: Number, default: 0 }, // USDC balance
-    createdAt: { type: Date, default: Date.now },
-    lastLogin: { type: Date, default: Date.now }
-});
-
-const User = mongoose.model('User', userSchema);
-
-// Transaction Schema
-const transactionSchema = new mongoose.Schema({
-    userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
-    type: { type: String, enum: ['deposit', 'withdraw', 'bet_win', 'bet_loss'], required: true },
-    amount: { type: Number, required: true },
-    solAmount: Number, // For SOL/USDC transactions
-    tokenAmount: Number, // For game token transactions
-    solanaTxHash: { type: String, unique: true }, // Solana transaction hash (unique to prevent double-processing)
-    fromAddress: String, // Sender's Solana address (for verification)
-    toAddress: String, // Receiver's Solana address
-    timestamp: { type: Date, default: Date.now },
-    status: { type: String, enum: ['pending', 'completed', 'failed'], default: 'completed' }
-});
-
-const GameTransaction = mongoose.model('Transaction', transactionSchema);
+// User and Transaction models (shared with the Netlify functions)
+const User = require('./netlify/functions/user-schema.js');
+const GameTransaction = require('./netlify/functions/transaction-schema.js');
+const fairness = require('./lib/fairness.js');
+const balanceService = require('./lib/balance-service.js');
+const ledger = require('./lib/ledger.js');
+const idempotency = require('./lib/idempotency.js');
+const usdcDeposits = require('./lib/usdc-deposits.js');
+const depositReferences = require('./lib/deposit-references.js');
+const depositCrediting = require('./lib/deposit-crediting.js');
+const depositLifecycle = require('./lib/deposit-lifecycle.js');
+const exchangeWallets = require('./lib/exchange-wallets.js');
+const feeSchedule = require('./lib/fee-schedule.js');
+const feeStrategy = require('./lib/fee-strategy.js');
+const solanaPay = require('./lib/solana-pay.js');
+const treasury = require('./lib/treasury.js');
+const proofOfReserves = require('./lib/proof-of-reserves.js');
+const unclaimedDeposits = require('./lib/unclaimed-deposits.js');
+const walletOwnership = require('./lib/wallet-ownership.js');
+const linkedWallets = require('./lib/linked-wallets.js');
+const withdrawAddresses = require('./lib/withdraw-addresses.js');
+const withdrawalLimits = require('./lib/withdrawal-limits.js');
+const withdrawalQueue = require('./lib/withdrawal-queue.js');
+const withdrawalReview = require('./lib/withdrawal-review.js');
+const auditLog = require('./lib/audit-log.js');
+const { createSignatureScanner } = require('./lib/deposit-scanner.js');
 
 // Middleware to verify JWT token
 const authenticateToken = (req, res, next) => {
@@ -356,6 +303,25 @@ const authenticateToken = (req, res, next) => {
     });
 };
 
+// Admin routes: a logged-in user whose email is listed in ADMIN_EMAILS (comma separated)
+const ADMIN_EMAILS = (process.env.ADMIN_EMAILS || '').split(',').map(email => email.trim().toLowerCase()).filter(Boolean);
+
+const requireAdmin = (req, res, next) => {
+    authenticateToken(req, res, async () => {
+        try {
+            const user = await User.findById(req.user.userId);
+            if (!user || !ADMIN_EMAILS.includes((user.email || '').toLowerCase())) {
+                return res.status(403).json({ error: 'Admin access required' });
+            }
+            req.adminUser = user;
+            next();
+        } catch (error) {
+            console.error('Admin check error:', error);
+            res.status(500).json({ error: 'Failed to verify admin access' });
+        }
+    });
+};
+
 // Google OAuth verification
 app.post('/api/auth/google', async (req, res) => {
     try {
@@ -372,6 +338,7 @@ app.post('/api/auth/google', async (req, res) => {
 
         // Find or create user
         let user = await User.findOne({ googleId });
+        const isNewUser = !user;
 
         if (!user) {
             user = new User({
@@ -379,13 +346,28 @@ app.post('/api/auth/google', async (req, res) => {
                 email,
                 name,
                 picture,
-                gameBalance: 50, // Starting balance
+                gameBalance: 0
             });
         }
 
         user.lastLogin = new Date();
         await user.save();
 
+        // Starting balance for new players, posted to the ledger like any other credit
+        if (isNewUser) {
+            ({ user } = await balanceService.applyBalanceChange({
+                userId: user._id,
+                delta: STARTING_BALANCE,
+                journal: ledger.signupBonusEntry(user._id, STARTING_BALANCE),
+                transaction: {
+                    type: 'bonus',
+                    amount: STARTING_BALANCE,
+                    tokenAmount: STARTING_BALANCE,
+                    status: 'completed'
+                }
+            }));
+        }
+
         // Create JWT token
         const jwtToken = jwt.sign(
             { userId: user._id, googleId: user.googleId },
@@ -400,9 +382,10 @@ app.post('/api/auth/google', async (req, res) => {
                 name: user.name,
                 email: user.email,
                 picture: user.picture,
-                gameBalance: user.gameBalance,
+                gameBalance: money.format(user.gameBalance),
                 solanaBalance: user.solanaBalance,
-                solanaAddress: user.solanaAddress
+                solanaAddress: user.solanaAddress,
+                wallets: linkedWallets.view(user)
             }
         });
 
@@ -415,16 +398,19 @@ app.post('/api/auth/google', async (req, res) => {
 // Get user profile
 app.get('/api/user/profile', authenticateToken, async (req, res) => {
     try {
-        const user = await User.findById(req.user.userId);
+        let user = await User.findById(req.user.userId);
         if (!user) return res.status(404).json({ error: 'User not found' });
 
+        // Assign the user's deposit memo and Solana Pay reference on first use
+        user = await depositReferences.ensureDepositReferences(user);
+
         // Get real USDC balance if address is set
         let usdcBalance = 0;
         if (user.solanaAddress) {
             try {
                 const publicKey = new PublicKey(user.solanaAddress);
                 usdcBalance = await getUSDCBalance(solanaConnection, publicKey);
-                console.log(`💰 [PROFILE] User ${user.email} USDC balance: ${usdcBalance}`);
+                console.log(`💰 [PROFILE] User ${user.email} USDC balance: ${money.format(usdcBalance)}`);
             } catch (error) {
                 console.log(`❌ [PROFILE] Error fetching USDC balance for ${user.email}:`, error);
             }
@@ -435,11 +421,14 @@ app.get('/api/user/profile', authenticateToken, async (req, res) => {
             name: user.name,
             email: user.email,
             picture: user.picture,
-            gameBalance: user.gameBalance,
-            usdcBalance: usdcBalance,
+            gameBalance: money.format(user.gameBalance),
+            usdcBalance: money.format(usdcBalance),
             solanaAddress: user.solanaAddress,
             withdrawAddress: user.withdrawAddress,
-            isExchangeWallet: !!user.isExchangeWallet
+            wallets: linkedWallets.view(user),
+            isExchangeWallet: !!user.isExchangeWallet,
+            depositMemo: user.depositMemo,
+            depositReference: user.depositReference
         });
 
     } catch (error) {
@@ -448,7 +437,19 @@ app.get('/api/user/profile', authenticateToken, async (req, res) => {
     }
 });
 
-// Update settings: withdraw address
+// Withdrawal limits in force for the user and what is left of them (see lib/withdrawal-limits.js)
+app.get('/api/user/limits', authenticateToken, async (req, res) => {
+    try {
+        const user = await User.findById(req.user.userId);
+        if (!user) return res.status(404).json({ error: 'User not found' });
+        res.json(withdrawalLimits.view(await withdrawalLimits.allowance(user)));
+    } catch (error) {
+        console.error('Limits fetch error:', error);
+        res.status(500).json({ error: 'Failed to fetch limits' });
+    }
+});
+
+// Update settings: default withdraw address, one of the user's linked withdrawal wallets
 app.post('/api/user/update-settings', authenticateToken, async (req, res) => {
     try {
         const { withdrawAddress } = req.body;
@@ -457,45 +458,138 @@ app.post('/api/user/update-settings', authenticateToken, async (req, res) => {
             return res.status(400).json({ error: 'withdrawAddress is required' });
         }
 
-        try {
-            new PublicKey(withdrawAddress);
-        } catch (e) {
-            return res.status(400).json({ error: 'Invalid Solana address' });
-        }
+        const user = await User.findById(req.user.userId);
+        if (!user) return res.status(404).json({ error: 'User not found' });
+
+        await linkedWallets.setWithdrawDefault(user, withdrawAddress);
 
-        if (process.env.TREASURY_ADDRESS && withdrawAddress === process.env.TREASURY_ADDRESS) {
-            return res.status(400).json({ error: 'Withdrawal address cannot be the treasury address' });
+        res.json({ success: true, withdrawAddress });
+    } catch (error) {
+        sendWalletError(res, error, 'SETTINGS');
+    }
+});
+
+// Challenge message for the user's wallet to sign (see lib/wallet-ownership.js)
+app.post('/api/user/wallet-challenge', authenticateToken, async (req, res) => {
+    try {
+        const challenge = await walletOwnership.createChallenge(req.user.userId, req.body.address);
+        res.json(challenge);
+    } catch (error) {
+        if (error instanceof walletOwnership.WalletProofError) {
+            return res.status(error.statusCode).json({ error: error.message, code: error.code });
         }
+        console.error('Wallet challenge error:', error);
+        res.status(500).json({ error: 'Failed to create wallet challenge' });
+    }
+});
+
+function sendWalletError(res, error, tag) {
+    if (error instanceof linkedWallets.LinkedWalletError || error instanceof walletOwnership.WalletProofError) {
+        console.log(`❌ [${tag}] ${error.message}`);
+        return res.status(error.statusCode).json({ error: error.message, code: error.code });
+    }
+    console.error(`❌ [${tag}] Error:`, error);
+    res.status(500).json({ error: error.message || 'Request failed' });
+}
 
+const walletsView = (user) => ({
+    wallets: linkedWallets.view(user),
+    solanaAddress: user.solanaAddress,
+    withdrawAddress: user.withdrawAddress,
+    isExchangeWallet: !!user.isExchangeWallet,
+    withdrawAddressHistory: withdrawAddresses.historyView(user),
+    withdrawCooldownHours: withdrawAddresses.COOLDOWN_HOURS
+});
+
+// Linked wallets (see lib/linked-wallets.js)
+app.get('/api/user/wallets', authenticateToken, async (req, res) => {
+    try {
         const user = await User.findById(req.user.userId);
         if (!user) return res.status(404).json({ error: 'User not found' });
+        res.json(walletsView(user));
+    } catch (error) {
+        sendWalletError(res, error, 'WALLETS');
+    }
+});
 
-        user.withdrawAddress = withdrawAddress;
-        await user.save();
+// Confirmation link mailed for a new withdrawal wallet (see lib/withdraw-addresses.js); opened
+// from the email, so it answers with pages and needs no login. GET only shows the wallet, the
+// page's button POSTs the token to confirm it.
+function sendConfirmationError(res, error) {
+    if (!(error instanceof withdrawAddresses.WithdrawAddressError)) {
+        console.error('Wallet confirmation error:', error);
+    }
+    res.status(error.statusCode || 500).send(withdrawAddresses.messagePage(
+        `❌ ${error instanceof withdrawAddresses.WithdrawAddressError ? error.message : 'Confirmation failed, please try again later'}`
+    ));
+}
 
-        res.json({ success: true, withdrawAddress });
+app.get('/api/user/wallets/confirm', async (req, res) => {
+    try {
+        res.send(await withdrawAddresses.confirmationPage(req.query.token));
     } catch (error) {
-        console.error('Update settings error:', error);
-        res.status(500).json({ error: 'Failed to update settings' });
+        sendConfirmationError(res, error);
     }
 });
 
-// Update Solana address
-app.post('/api/user/solana-address', authenticateToken, async (req, res) => {
+app.post('/api/user/wallets/confirm', express.urlencoded({ extended: false }), async (req, res) => {
     try {
-        const { solanaAddress } = req.body;
+        const { address } = await withdrawAddresses.confirm(req.body.token);
+        res.send(withdrawAddresses.messagePage(`✅ Wallet ${address} is confirmed for withdrawals. You can close this page.`));
+    } catch (error) {
+        sendConfirmationError(res, error);
+    }
+});
 
-        // Validate Solana address
-        try {
-            new PublicKey(solanaAddress);
-        } catch (error) {
-            return res.status(400).json({ error: 'Invalid Solana address' });
-        }
+// Link a wallet, with the nonce and signature of a wallet challenge as proof of ownership
+app.post('/api/user/wallets', authenticateToken, async (req, res) => {
+    try {
+        const { address, nonce, signature, label, role } = req.body;
+        const user = await User.findById(req.user.userId);
+        if (!user) return res.status(404).json({ error: 'User not found' });
+
+        const updatedUser = await linkedWallets.link(user, { address, label, role, proof: { nonce, signature } });
+        res.json(walletsView(updatedUser));
+    } catch (error) {
+        sendWalletError(res, error, 'WALLETS');
+    }
+});
+
+// Relabel a linked wallet or change its role (?address=)
+app.patch('/api/user/wallets', authenticateToken, async (req, res) => {
+    try {
+        const user = await User.findById(req.user.userId);
+        if (!user) return res.status(404).json({ error: 'User not found' });
+
+        const updatedUser = await linkedWallets.update(user, String(req.query.address || ''), req.body);
+        res.json(walletsView(updatedUser));
+    } catch (error) {
+        sendWalletError(res, error, 'WALLETS');
+    }
+});
 
+// Unlink a wallet (?address=)
+app.delete('/api/user/wallets', authenticateToken, async (req, res) => {
+    try {
         const user = await User.findById(req.user.userId);
         if (!user) return res.status(404).json({ error: 'User not found' });
 
-        user.solanaAddress = solanaAddress;
+        const updatedUser = await linkedWallets.remove(user, String(req.query.address || ''));
+        res.json(walletsView(updatedUser));
+    } catch (error) {
+        sendWalletError(res, error, 'WALLETS');
+    }
+});
+
+// Link a wallet for deposits and withdrawals (older clients; see /api/user/wallets)
+app.post('/api/user/solana-address', authenticateToken, async (req, res) => {
+    try {
+        const { solanaAddress, nonce, signature } = req.body;
+
+        let user = await User.findById(req.user.userId);
+        if (!user) return res.status(404).json({ error: 'User not found' });
+
+        user = await linkedWallets.link(user, { address: solanaAddress, role: 'both', proof: { nonce, signature } });
 
         // Get initial balance
         try {
@@ -508,16 +602,19 @@ app.post('/api/user/solana-address', authenticateToken, async (req, res) => {
 
         await user.save();
 
-        res.json({ message: 'Solana address updated successfully' });
+        res.json({ message: 'Solana address updated successfully', solanaAddress: user.solanaAddress, wallets: linkedWallets.view(user) });
 
     } catch (error) {
+        if (error instanceof linkedWallets.LinkedWalletError || error instanceof walletOwnership.WalletProofError) {
+            return res.status(error.statusCode).json({ error: error.message, code: error.code });
+        }
         console.error('Solana address update error:', error);
         res.status(500).json({ error: 'Server error' });
     }
 });
 
 // Deposit USDC (User pays transaction fee)
-app.post('/api/deposit', authenticateToken, async (req, res) => {
+app.post('/api/deposit', authenticateToken, idempotency.middleware('deposit'), async (req, res) => {
     try {
         const { transactionSignature, autoUpdate } = req.body;
         console.log(`🔍 [DEPOSIT] Starting deposit for user ${req.user.userId}`);
@@ -528,22 +625,18 @@ app.post('/api/deposit', authenticateToken, async (req, res) => {
             return res.status(404).json({ error: 'User not found' });
         }
 
-        // If user has verified wallet and requests auto-update, reconcile balance
-        if (autoUpdate && user.solanaAddress) {
+        // If user has a linked wallet and requests auto-update, reconcile balance
+        if (autoUpdate && user.wallets.length > 0) {
             console.log(`🔄 [DEPOSIT] Auto-updating balance for verified user ${user.email}`);
 
-            const calculatedBalance = await calculateBalanceFromHistory(req.user.userId);
-            const previousBalance = user.gameBalance;
+            const { previousBalance, newBalance: calculatedBalance } = await balanceService.reconcileBalance(req.user.userId);
 
-            user.gameBalance = calculatedBalance;
-            await user.save();
-
-            console.log(`✅ [AUTO_DEPOSIT] Balance updated: ${previousBalance} → ${calculatedBalance}`);
+            console.log(`✅ [AUTO_DEPOSIT] Balance updated: ${money.format(previousBalance)} → ${money.format(calculatedBalance)}`);
 
             return res.json({
                 message: 'Balance automatically updated from transaction history',
-                gameTokensAdded: calculatedBalance - previousBalance,
-                newGameBalance: calculatedBalance,
+                gameTokensAdded: money.format(calculatedBalance - previousBalance),
+                newGameBalance: money.format(calculatedBalance),
                 autoUpdated: true,
                 walletVerified: true
             });
@@ -554,10 +647,27 @@ app.post('/api/deposit', authenticateToken, async (req, res) => {
             console.log(`❌ [DEPOSIT] Missing transaction signature`);
             return res.status(400).json({ error: 'Transaction signature required' });
         }
-        console.log(`👤 [DEPOSIT] Processing for user: ${user.email}, current balance: ${user.gameBalance}`);
+        console.log(`👤 [DEPOSIT] Processing for user: ${user.email}, current balance: ${money.format(user.gameBalance)}`);
 
         // Check if transaction was already processed
         const existingTransaction = await GameTransaction.findOne({ solanaTxHash: transactionSignature });
+        if (existingTransaction && existingTransaction.status === 'pending' && existingTransaction.type === 'deposit' && existingTransaction.userId.equals(user._id)) {
+            // Recorded earlier and still waiting for its credit commitment: check it again
+            await depositLifecycle.recheckPendingDeposits(solanaConnection, { userId: user._id });
+            const current = await GameTransaction.findById(existingTransaction._id);
+            const updatedUser = await User.findById(user._id);
+            console.log(`⏳ [DEPOSIT] Transaction already recorded, state: ${current.depositState}`);
+            return res.status(current.status === 'pending' ? 202 : 200).json({
+                message: current.status === 'pending'
+                    ? `Deposit ${current.depositState}, it will be credited once ${depositLifecycle.CREDIT_COMMITMENT}`
+                    : `Deposit ${current.depositState}`,
+                pending: current.status === 'pending',
+                depositState: current.depositState,
+                gameTokensAdded: money.format(current.depositState === 'credited' ? current.amount : 0),
+                newGameBalance: money.format(updatedUser.gameBalance),
+                transactionSignature
+            });
+        }
         if (existingTransaction) {
             console.log(`❌ [DEPOSIT] Transaction already processed: ${transactionSignature}`);
             return res.status(400).json({ error: 'This transaction has already been processed' });
@@ -580,7 +690,7 @@ app.post('/api/deposit', authenticateToken, async (req, res) => {
         console.log(`✅ [DEPOSIT] Transaction found on Solana`);
 
         // Verify transaction details
-        const { meta, transaction: txData } = transaction;
+        const { meta } = transaction;
         console.log(`🔍 [DEPOSIT] Transaction meta:`, {
             err: meta.err,
             fee: meta.fee,
@@ -597,136 +707,129 @@ app.post('/api/deposit', authenticateToken, async (req, res) => {
         }
         console.log(`✅ [DEPOSIT] Transaction successful on Solana`);
 
-        // Check if user sent to treasury
-        const accountKeys = txData.message.accountKeys;
-        const treasuryAddress = treasuryKeypair.publicKey.toString();
-
-        // Find USDC transfers in the transaction
-        let usdcTransferred = 0;
-        let senderAddress = null;
-
-        console.log(`🔍 [DEPOSIT] Analyzing token balances for USDC mint: ${USDC_MINT.toString()}`);
-
-        if (meta.preTokenBalances && meta.postTokenBalances) {
-            console.log(`📊 [DEPOSIT] Token balance changes:`);
-            for (let i = 0; i < meta.preTokenBalances.length; i++) {
-                const preBalance = meta.preTokenBalances[i];
-                const postBalance = meta.postTokenBalances[i];
-
-                if (preBalance.mint === USDC_MINT.toString()) {
-                    const preAmount = preBalance.uiTokenAmount.uiAmount || 0;
-                    const postAmount = postBalance.uiTokenAmount.uiAmount || 0;
-                    const change = postAmount - preAmount;
-
-                    console.log(`   ${preBalance.owner}: ${preAmount} → ${postAmount} (${change > 0 ? '+' : ''}${change})`);
+        // Find the USDC credited to the treasury's token account and who sent it
+        const treasuryAddress = treasurySigner.publicKey.toString();
+        const deposit = usdcDeposits.parseUsdcDeposit(transaction, { treasuryOwner: treasuryAddress });
 
-                    // Find the sender who lost USDC
-                    if (preAmount > postAmount) {
-                        senderAddress = preBalance.owner;
-                        usdcTransferred = preAmount - postAmount;
-                    }
-                }
-            }
+        console.log(`📊 [DEPOSIT] Treasury USDC account changes:`);
+        for (const credit of deposit.credits) {
+            console.log(`   ${credit.account}: ${money.format(credit.pre)} → ${money.format(credit.post)} (${credit.change > 0 ? '+' : ''}${money.format(credit.change)})`);
         }
 
-        console.log(`💰 [DEPOSIT] USDC transferred: ${usdcTransferred}, sender: ${senderAddress}`);
+        const usdcTransferred = deposit.amount;
+        const senderAddress = deposit.sender;
+        console.log(`💰 [DEPOSIT] USDC received: ${money.format(usdcTransferred)}, senders: ${deposit.senders.map(s => `${s.owner} (${money.format(s.amount)})`).join(', ') || 'none'}`);
 
         if (usdcTransferred <= 0) {
-            console.log(`❌ [DEPOSIT] No USDC transfer found in this transaction`);
-            return res.status(400).json({ error: 'No USDC transfer found in this transaction' });
+            console.log(`❌ [DEPOSIT] No USDC transfer to the treasury found in this transaction`);
+            return res.status(400).json({ error: 'No USDC transfer to the treasury found in this transaction' });
         }
 
-        if (!senderAddress) {
-            console.log(`❌ [DEPOSIT] Could not identify sender address`);
-            return res.status(400).json({ error: 'Could not identify sender address' });
+        // A deposit reference (memo code or Solana Pay reference) attributes the deposit whatever wallet sent it
+        const byReference = await depositReferences.findByReference(deposit);
+        if (byReference && (byReference.conflict || !byReference.user._id.equals(user._id))) {
+            console.log(`❌ [DEPOSIT] Transaction carries another account's deposit reference`);
+            return res.status(400).json({ error: 'This transaction carries another account\'s deposit reference' });
         }
 
-        // Verify sender address
-        if (user.solanaAddress) {
-            // User has a verified address - must match
-            console.log(`🔍 [DEPOSIT] Verifying sender address: ${senderAddress} vs stored: ${user.solanaAddress}`);
-            if (user.solanaAddress !== senderAddress) {
-                console.log(`❌ [DEPOSIT] Address mismatch! Transaction sender does not match verified wallet`);
-                return res.status(400).json({ error: 'Transaction sender does not match your verified wallet address' });
-            }
-            console.log(`✅ [DEPOSIT] Address verified - matches stored wallet`);
+        if (!byReference && !senderAddress) {
+            console.log(`❌ [DEPOSIT] Could not identify a single sender address`);
+            return res.status(400).json({ error: 'Could not identify a single sender address for this transaction' });
+        }
+
+        // Verify sender address (a reference match does not verify the sending wallet, which may be an exchange's)
+        const linkedWallet = senderAddress && linkedWallets.findWallet(user, senderAddress, 'deposit');
+        const isNewWallet = !byReference && !linkedWallet;
+        if (linkedWallet) {
+            console.log(`✅ [DEPOSIT] Sender is linked wallet "${linkedWallet.label}": ${senderAddress}`);
+        } else if (byReference) {
+            console.log(`✅ [DEPOSIT] Matched by deposit ${byReference.method}, sender: ${senderAddress || 'several wallets'}`);
         } else {
-            // First deposit - store the sender address
-            user.solanaAddress = senderAddress;
-            console.log(`🆕 [DEPOSIT] First deposit - setting verified wallet address for user ${user.email}: ${senderAddress}`);
+            // Unlinked sender - link it for deposits, only with proof the user controls it
+            await linkedWallets.link(user, { address: senderAddress, role: 'deposit', proof: req.body.walletProof });
+            console.log(`🆕 [DEPOSIT] Linked new deposit wallet for user ${user.email}: ${senderAddress}`);
         }
 
-        // Apply 5 cent (0.05 USDC) fee for transaction costs
-        const DEPOSIT_FEE = 0.05;
-        const usdcAfterFee = Math.max(0, usdcTransferred - DEPOSIT_FEE);
-        const feeAmount = usdcTransferred - usdcAfterFee;
-        console.log(`💰 [DEPOSIT] Fee calculation: ${usdcTransferred} USDC - ${DEPOSIT_FEE} fee = ${usdcAfterFee} USDC usable`);
+        // Deposit fees from the fee schedule
+        const { fee: feeAmount, net: usdcAfterFee } = feeSchedule.depositQuote(usdcTransferred);
+        console.log(`💰 [DEPOSIT] Fee calculation: ${money.format(usdcTransferred)} USDC - ${money.format(feeAmount)} fee = ${money.format(usdcAfterFee)} USDC usable`);
 
         // Calculate game tokens from USDC after fee (1 USDC = 1 token - 1:1 ratio)
         const gameTokens = usdcAfterFee;
-        console.log(`🧮 [DEPOSIT] Calculation: ${usdcAfterFee} USDC = ${gameTokens} tokens`);
+        console.log(`🧮 [DEPOSIT] Calculation: ${money.format(usdcAfterFee)} USDC = ${money.format(gameTokens)} tokens`);
 
-        // Update database
+        // Record the deposit (duplicate signatures are rejected); credited now only if it already
+        // meets the credit commitment, otherwise by the re-check job
         const oldBalance = user.gameBalance;
-        user.gameBalance += gameTokens;
-        await user.save();
-        console.log(`💾 [DEPOSIT] Updated user balance: ${oldBalance} → ${user.gameBalance}`);
-
-        // Create transaction record
-        console.log(`📝 [DEPOSIT] Creating transaction record...`);
-        const dbTransaction = new GameTransaction({
+        const { credited, state, user: updatedUser, transaction: dbTransaction } = await depositLifecycle.recordDeposit(solanaConnection, {
             userId: user._id,
-            type: 'deposit',
-            amount: gameTokens,
-            solAmount: usdcTransferred,
-            tokenAmount: gameTokens,
-            solanaTxHash: transactionSignature,
-            fromAddress: senderAddress,
-            toAddress: treasuryAddress,
-            status: 'completed'
+            signature: transactionSignature,
+            gross: usdcTransferred,
+            tokens: gameTokens,
+            slot: deposit.slot,
+            blockTime: deposit.blockTime,
+            transaction: {
+                fromAddress: senderAddress,
+                toAddress: treasuryAddress,
+                attribution: byReference ? byReference.method : 'sender'
+            }
         });
-        await dbTransaction.save();
+        console.log(`💾 [DEPOSIT] User balance: ${money.format(oldBalance)} → ${money.format(updatedUser.gameBalance)} (deposit ${state})`);
         console.log(`✅ [DEPOSIT] Transaction record saved with ID: ${dbTransaction._id}`);
+        if (linkedWallet || isNewWallet) await linkedWallets.touch(user._id, senderAddress);
 
-        console.log(`🎉 [DEPOSIT] SUCCESS: ${usdcTransferred} USDC from ${senderAddress} → ${gameTokens} tokens (${transactionSignature})`);
+        console.log(`🎉 [DEPOSIT] SUCCESS: ${money.format(usdcTransferred)} USDC from ${senderAddress || 'several wallets'} → ${money.format(gameTokens)} tokens (${transactionSignature})`);
 
+        const pendingMessage = `Deposit ${state}, it will be credited once ${depositLifecycle.CREDIT_COMMITMENT}`;
         const response = {
-            message: user.solanaAddress === senderAddress ? 'Deposit successful' : 'First deposit successful! Your wallet address has been verified.',
-            gameTokensAdded: gameTokens,
-            newGameBalance: user.gameBalance,
+            message: isNewWallet
+                ? `Deposit ${credited ? 'successful' : 'received'}! Your wallet has been verified and linked.`
+                : (credited ? 'Deposit successful' : pendingMessage),
+            pending: !credited,
+            depositState: state,
+            gameTokensAdded: money.format(gameTokens),
+            newGameBalance: money.format(updatedUser.gameBalance),
             transactionSignature: transactionSignature,
-            usdcReceived: usdcTransferred,
-            usdcAfterFee: usdcAfterFee,
-            feeDeducted: feeAmount,
-            walletVerified: !user.solanaAddress
+            usdcReceived: money.format(usdcTransferred),
+            usdcAfterFee: money.format(usdcAfterFee),
+            feeDeducted: money.format(feeAmount),
+            walletVerified: isNewWallet,
+            attribution: byReference ? byReference.method : 'sender'
         };
 
         console.log(`📤 [DEPOSIT] Sending response:`, response);
-        res.json(response);
+        res.status(credited ? 200 : 202).json(response);
 
     } catch (error) {
+        if (error instanceof balanceService.BalanceError) {
+            console.log(`❌ [DEPOSIT] ${error.message}`);
+            return res.status(error.statusCode).json({ error: error.message });
+        }
+        if (error instanceof walletOwnership.WalletProofError) {
+            console.log(`❌ [DEPOSIT] ${error.message}`);
+            return res.status(error.statusCode).json({ error: error.message, code: error.code, walletAddress: error.address });
+        }
+        if (error instanceof linkedWallets.LinkedWalletError) {
+            console.log(`❌ [DEPOSIT] ${error.message}`);
+            return res.status(error.statusCode).json({ error: error.message, code: error.code });
+        }
         console.error('Deposit error:', error);
         res.status(500).json({ error: error.message || 'Deposit failed' });
     }
 });
 
-// Withdraw USDC (REAL TRANSACTIONS)
-app.post('/api/withdraw', authenticateToken, async (req, res) => {
+// Withdraw USDC: reserves the funds and queues the transfer (see lib/withdrawal-queue.js)
+app.post('/api/withdraw', authenticateToken, idempotency.middleware('withdraw'), async (req, res) => {
     try {
-        const { amount, userSolanaAddress } = req.body;
-        console.log(`💸 [WITHDRAW] Starting withdrawal for user ${req.user.userId}, amount: ${amount}`);
+        const amount = money.parse(req.body.amount);
+        console.log(`💸 [WITHDRAW] Starting withdrawal for user ${req.user.userId}, amount: ${req.body.amount}`);
 
-        if (!amount || amount <= 0) {
-            console.log(`❌ [WITHDRAW] Invalid amount: ${amount}`);
+        if (amount === null || amount <= 0) {
+            console.log(`❌ [WITHDRAW] Invalid amount: ${req.body.amount}`);
             return res.status(400).json({ error: 'Invalid amount' });
         }
 
-        if (!userSolanaAddress) {
-            console.log(`❌ [WITHDRAW] Missing Solana address`);
-            return res.status(400).json({ error: 'Solana address required for withdrawal' });
-        }
-
-        if (!treasuryKeypair) {
+        if (!treasurySigner) {
             console.log(`❌ [WITHDRAW] Treasury wallet not configured`);
             return res.status(500).json({ error: 'Treasury wallet not configured' });
         }
@@ -736,117 +839,244 @@ app.post('/api/withdraw', authenticateToken, async (req, res) => {
             console.log(`❌ [WITHDRAW] User not found: ${req.user.userId}`);
             return res.status(404).json({ error: 'User not found' });
         }
-        console.log(`👤 [WITHDRAW] Processing for user: ${user.email}, current balance: ${user.gameBalance}`);
+        console.log(`👤 [WITHDRAW] Processing for user: ${user.email}, current balance: ${money.format(user.gameBalance)}`);
 
-        // Verify user's Solana address is registered
-        if (!user.solanaAddress) {
-            console.log(`❌ [WITHDRAW] User has no verified wallet address`);
-            return res.status(400).json({ error: 'You must make a deposit first to verify your wallet address before withdrawing' });
+        // Destination: the given linked wallet (address, or userSolanaAddress from older clients),
+        // else the default withdrawal wallet
+        const userSolanaAddress = req.body.address || req.body.userSolanaAddress || user.withdrawAddress;
+        if (!userSolanaAddress) {
+            console.log(`❌ [WITHDRAW] User has no withdrawal wallet`);
+            return res.status(400).json({ error: 'Link a wallet for withdrawals in Settings first' });
         }
-        console.log(`✅ [WITHDRAW] User has verified wallet: ${user.solanaAddress}`);
-
-        // Verify the provided address matches the registered one
-        console.log(`🔍 [WITHDRAW] Verifying address: ${userSolanaAddress} vs stored: ${user.solanaAddress}`);
-        if (user.solanaAddress !== userSolanaAddress) {
-            console.log(`❌ [WITHDRAW] Address mismatch!`);
-            return res.status(400).json({ error: 'Provided address does not match your verified wallet address' });
+        const withdrawWallet = linkedWallets.findWallet(user, userSolanaAddress, 'withdraw');
+        if (!withdrawWallet) {
+            console.log(`❌ [WITHDRAW] ${userSolanaAddress} is not a linked withdrawal wallet`);
+            return res.status(400).json({ error: 'Withdrawals can only go to a wallet linked for withdrawals' });
+        }
+        try {
+            withdrawAddresses.assertWithdrawable(withdrawWallet);
+        } catch (error) {
+            if (!(error instanceof withdrawAddresses.WithdrawAddressError)) throw error;
+            console.log(`❌ [WITHDRAW] ${userSolanaAddress}: ${error.message}`);
+            return res.status(error.statusCode).json({ error: error.message, code: error.code, withdrawableAt: error.withdrawableAt });
+        }
+        // Accounts that deposited from an exchange need a personal default withdrawal wallet;
+        // withdrawals to an exchange wallet need the user's memo / tag there
+        let memo;
+        try {
+            memo = exchangeWallets.checkPayout(user, withdrawWallet, req.body.memo);
+        } catch (error) {
+            if (!(error instanceof exchangeWallets.ExchangeWalletError)) throw error;
+            console.log(`❌ [WITHDRAW] ${error.code}: ${error.message}`);
+            return res.status(error.statusCode).json({ error: error.message, code: error.code, requiresWithdrawAddress: error.code === 'PERSONAL_WITHDRAW_ADDRESS_REQUIRED' });
         }
-        console.log(`✅ [WITHDRAW] Address verified`);
+        console.log(`✅ [WITHDRAW] Destination is linked wallet "${withdrawWallet.label}": ${userSolanaAddress}${memo ? ` (memo ${memo})` : ''}`);
 
-        // Calculate USDC amount (1 token = 1 USDC - 1:1 ratio)
-        const usdcAmount = amount;
-        console.log(`🧮 [WITHDRAW] Calculation: ${amount} tokens = ${usdcAmount} USDC`);
+        // Fees come out of the amount (1 token = 1 USDC - 1:1 ratio)
+        let quote;
+        try {
+            quote = await feeSchedule.withdrawalQuote(solanaConnection, { amount, toAddress: userSolanaAddress });
+        } catch (error) {
+            if (!(error instanceof feeSchedule.FeeScheduleError)) throw error;
+            console.log(`❌ [WITHDRAW] ${error.message}`);
+            return res.status(error.statusCode).json({ error: error.message, code: error.code });
+        }
+        const usdcAmount = quote.net;
+        console.log(`🧮 [WITHDRAW] Calculation: ${money.format(amount)} tokens - ${money.format(quote.fee)} fees = ${money.format(usdcAmount)} USDC`);
 
         if (user.gameBalance < amount) {
-            console.log(`❌ [WITHDRAW] Insufficient balance: ${user.gameBalance} < ${amount}`);
+            console.log(`❌ [WITHDRAW] Insufficient balance: ${money.format(user.gameBalance)} < ${money.format(amount)}`);
             return res.status(400).json({ error: 'Insufficient game balance' });
         }
-        console.log(`✅ [WITHDRAW] Sufficient balance: ${user.gameBalance} >= ${amount}`);
+        console.log(`✅ [WITHDRAW] Sufficient balance: ${money.format(user.gameBalance)} >= ${money.format(amount)}`);
 
         // Check treasury has enough USDC
         console.log(`🔍 [WITHDRAW] Checking treasury balance...`);
-        const treasuryUsdcBalance = await getUSDCBalance(solanaConnection, treasuryKeypair.publicKey);
-        console.log(`💰 [WITHDRAW] Treasury USDC balance: ${treasuryUsdcBalance}, required: ${usdcAmount}`);
+        const treasuryUsdcBalance = await getUSDCBalance(solanaConnection, treasurySigner.publicKey);
+        console.log(`💰 [WITHDRAW] Treasury USDC balance: ${money.format(treasuryUsdcBalance)}, required: ${money.format(usdcAmount)}`);
 
         if (treasuryUsdcBalance < usdcAmount) {
-            console.log(`❌ [WITHDRAW] Insufficient treasury funds: ${treasuryUsdcBalance} < ${usdcAmount}`);
+            console.log(`❌ [WITHDRAW] Insufficient treasury funds: ${money.format(treasuryUsdcBalance)} < ${money.format(usdcAmount)}`);
             return res.status(500).json({ error: 'Casino treasury has insufficient funds. Please try again later.' });
         }
         console.log(`✅ [WITHDRAW] Treasury has sufficient funds`);
 
-        let userPublicKey;
-        try {
-            userPublicKey = new PublicKey(userSolanaAddress);
-            console.log(`✅ [WITHDRAW] Valid Solana address: ${userPublicKey.toString()}`);
-        } catch (error) {
-            console.log(`❌ [WITHDRAW] Invalid Solana address: ${userSolanaAddress}`);
-            return res.status(400).json({ error: 'Invalid Solana address' });
-        }
-
-        console.log(`🚀 [WITHDRAW] Initiating transfer: ${usdcAmount} USDC (${amount} tokens)`);
-        console.log(`   📤 FROM (Treasury): ${treasuryKeypair.publicKey.toString()}`);
-        console.log(`   📥 TO (Your Wallet): ${userPublicKey.toString()}`);
-
-        // Real USDC transfer
-        console.log(`🚀 [WITHDRAW] Using real USDC transfer`);
-        const signature = await transferUSDC(
-            solanaConnection,
-            treasuryKeypair.publicKey,
-            userPublicKey,
-            usdcAmount,
-            treasuryKeypair
-        );
-        console.log(`✅ [WITHDRAW] Transfer completed with signature: ${signature}`);
-
-        // Update database
+        // Check the withdrawal limits, reserve the funds and queue the withdrawal, or hold it for
+        // review; the queue worker sends it
         const oldBalance = user.gameBalance;
-        user.gameBalance -= amount;
-        await user.save();
-        console.log(`💾 [WITHDRAW] Updated user balance: ${oldBalance} → ${user.gameBalance}`);
-
-        // Create transaction record
-        console.log(`📝 [WITHDRAW] Creating transaction record...`);
-        const transaction = new GameTransaction({
-            userId: user._id,
-            type: 'withdraw',
-            amount: amount,
-            solAmount: usdcAmount,
-            tokenAmount: amount,
-            solanaTxHash: signature,
-            fromAddress: treasuryKeypair.publicKey.toString(),
+        idempotency.committing(req);
+        const { user: debitedUser, transaction, review } = await withdrawalQueue.requestWithdrawal({
+            user,
+            amount,
+            fee: quote.fee,
             toAddress: userSolanaAddress,
-            status: 'completed'
+            memo,
+            fromAddress: treasurySigner.publicKey.toString()
         });
-        await transaction.save();
-        console.log(`✅ [WITHDRAW] Transaction record saved with ID: ${transaction._id}`);
-
-        console.log(`🎉 [WITHDRAW] SUCCESS: ${amount} tokens → ${usdcAmount} USDC to ${userSolanaAddress} (${signature})`);
+        console.log(`💾 [WITHDRAW] Reserved funds: ${money.format(oldBalance)} → ${money.format(debitedUser.gameBalance)} (transaction ${transaction._id})`);
+        await linkedWallets.touch(user._id, userSolanaAddress);
+        if (review.length === 0) setImmediate(processWithdrawalQueue);
 
         const response = {
-            message: 'Withdrawal successful',
-            usdcReceived: usdcAmount,
-            newGameBalance: user.gameBalance,
-            transactionSignature: signature
+            message: review.length > 0
+                ? 'Withdrawal received, it will be sent once our team has reviewed it'
+                : 'Withdrawal queued, it will be sent to your wallet shortly',
+            pending: true,
+            needsReview: review.length > 0,
+            withdrawal: withdrawalQueue.withdrawalView(transaction),
+            fees: feeSchedule.view(quote),
+            usdcAmount: money.format(usdcAmount),
+            newGameBalance: money.format(debitedUser.gameBalance)
         };
 
         console.log(`📤 [WITHDRAW] Sending response:`, response);
-        res.json(response);
+        res.status(202).json(response);
 
     } catch (error) {
+        if (error instanceof withdrawalLimits.WithdrawalLimitError) {
+            console.log(`❌ [WITHDRAW] ${error.code}: ${error.message}`);
+            return res.status(error.statusCode).json({ error: error.message, code: error.code, ...error.details });
+        }
+        if (error instanceof balanceService.BalanceError) {
+            console.log(`❌ [WITHDRAW] ${error.message}`);
+            return res.status(error.statusCode).json({ error: error.code === 'INSUFFICIENT_BALANCE' ? 'Insufficient game balance' : error.message });
+        }
         console.error('Withdrawal error:', error);
         res.status(500).json({ error: error.message || 'Withdrawal failed' });
     }
 });
 
+// Fees and net amount of a withdrawal before it is confirmed: ?amount= to the linked withdrawal
+// wallet &address= (the default withdrawal wallet when omitted)
+app.get('/api/withdraw/quote', authenticateToken, async (req, res) => {
+    try {
+        const amount = money.parse(req.query.amount);
+        if (amount === null || amount <= 0) {
+            return res.status(400).json({ error: 'Invalid amount' });
+        }
+        const user = await User.findById(req.user.userId);
+        if (!user) return res.status(404).json({ error: 'User not found' });
+
+        const address = req.query.address || user.withdrawAddress;
+        if (!address) {
+            return res.status(400).json({ error: 'Link a wallet for withdrawals in Settings first' });
+        }
+        if (!linkedWallets.findWallet(user, address, 'withdraw')) {
+            return res.status(400).json({ error: 'Withdrawals can only go to a wallet linked for withdrawals' });
+        }
+
+        const quote = await feeSchedule.withdrawalQuote(solanaConnection, { amount, toAddress: address });
+        res.json({ ...feeSchedule.view(quote), toAddress: address });
+    } catch (error) {
+        if (error instanceof feeSchedule.FeeScheduleError) {
+            return res.status(error.statusCode).json({ error: error.message, code: error.code });
+        }
+        console.error('Withdrawal quote error:', error);
+        res.status(500).json({ error: 'Failed to quote withdrawal' });
+    }
+});
+
+// Status of the user's withdrawal (?id=), or of all their unfinished withdrawals
+app.get('/api/withdraw/status', authenticateToken, async (req, res) => {
+    try {
+        if (req.query.id) {
+            const withdrawal = await withdrawalQueue.findWithdrawal(req.user.userId, req.query.id);
+            if (!withdrawal) return res.status(404).json({ error: 'Withdrawal not found' });
+            const user = await User.findById(req.user.userId);
+            return res.json({ withdrawal: withdrawalQueue.withdrawalView(withdrawal), newGameBalance: money.format(user.gameBalance) });
+        }
+        const withdrawals = await withdrawalQueue.pendingWithdrawals(req.user.userId);
+        res.json({ withdrawals: withdrawals.map(withdrawalQueue.withdrawalView) });
+    } catch (error) {
+        console.error('Withdrawal status error:', error);
+        res.status(500).json({ error: 'Failed to fetch withdrawal status' });
+    }
+});
+
+// Send queued withdrawals and settle sent ones (see lib/withdrawal-queue.js)
+let withdrawalQueueRunning = false;
+async function processWithdrawalQueue() {
+    if (!treasurySigner || withdrawalQueueRunning) return;
+    withdrawalQueueRunning = true;
+    try {
+        const counts = await withdrawalQueue.processWithdrawals(solanaConnection, { signer: treasurySigner });
+        if (counts.processed > 0) {
+            console.log(`💸 [WITHDRAW QUEUE] Processed ${counts.processed} withdrawals: ${counts.sent} sent, ${counts.completed} completed, ${counts.failed} failed`);
+        }
+    } catch (error) {
+        console.error('❌ [WITHDRAW QUEUE] Error:', error);
+    } finally {
+        withdrawalQueueRunning = false;
+    }
+}
+
+setInterval(processWithdrawalQueue, 5000);
+
+// Keep the hot wallet between its minimum and maximum: sweep the excess to the cold address,
+// request a top-up when it runs low (see lib/treasury.js)
+let treasuryPolicyRunning = false;
+async function enforceTreasuryPolicy() {
+    if (!treasurySigner || treasuryPolicyRunning) return;
+    treasuryPolicyRunning = true;
+    try {
+        await treasury.enforcePolicy(solanaConnection, { signer: treasurySigner });
+    } catch (error) {
+        console.error('❌ [TREASURY] Policy check failed:', error.message);
+    } finally {
+        treasuryPolicyRunning = false;
+    }
+}
+
+setInterval(enforceTreasuryPolicy, 60000);
+
+// Publish a proof of reserves snapshot once the latest is older than its interval (see
+// lib/proof-of-reserves.js)
+let reserveSnapshotRunning = false;
+async function takeDueReserveSnapshot() {
+    if (!treasurySigner || reserveSnapshotRunning) return;
+    reserveSnapshotRunning = true;
+    try {
+        if (await proofOfReserves.snapshotDue()) {
+            await proofOfReserves.takeSnapshot(solanaConnection, { hotAddress: treasurySigner.publicKey });
+        }
+    } catch (error) {
+        console.error('❌ [RESERVES] Snapshot failed:', error.message);
+    } finally {
+        reserveSnapshotRunning = false;
+    }
+}
+
+setInterval(takeDueReserveSnapshot, 10 * 60 * 1000);
+
+// Check treasury SOL and USDC, reserves, the deposit scanner, the withdrawal queue and RPC errors,
+// and send alerts (see lib/monitoring.js)
+let monitoringRunning = false;
+async function runMonitoring() {
+    if (monitoringRunning) return;
+    monitoringRunning = true;
+    try {
+        await monitoring.run(solanaConnection, {
+            hotAddress: treasurySigner ? treasurySigner.publicKey : null,
+            depositScanner: getDepositScanner()
+        });
+    } catch (error) {
+        console.error('❌ [MONITOR] Run failed:', error.message);
+    } finally {
+        monitoringRunning = false;
+    }
+}
+
+setInterval(runMonitoring, monitoring.INTERVAL_MS);
+
 // Get treasury address (no auth required for deposits)
 app.get('/api/treasury-address', async (req, res) => {
     try {
-        if (!treasuryKeypair) {
+        if (!treasurySigner) {
             return res.status(500).json({ error: 'Treasury wallet not configured' });
         }
 
         res.json({
-            treasuryAddress: treasuryKeypair.publicKey.toString()
+            treasuryAddress: treasurySigner.publicKey.toString()
         });
 
     } catch (error) {
@@ -858,15 +1088,15 @@ app.get('/api/treasury-address', async (req, res) => {
 // Get treasury balance (authenticated users only)
 app.get('/api/treasury-balance', authenticateToken, async (req, res) => {
     try {
-        if (!treasuryKeypair) {
+        if (!treasurySigner) {
             return res.status(500).json({ error: 'Treasury wallet not configured' });
         }
 
-        const treasuryUsdcBalance = await getUSDCBalance(solanaConnection, treasuryKeypair.publicKey);
+        const treasuryUsdcBalance = await getUSDCBalance(solanaConnection, treasurySigner.publicKey);
 
         res.json({
-            usdcBalance: treasuryUsdcBalance,
-            formattedBalance: `${treasuryUsdcBalance.toFixed(2)} USDC`
+            usdcBalance: money.format(treasuryUsdcBalance),
+            formattedBalance: `${money.format(treasuryUsdcBalance)} USDC`
         });
 
     } catch (error) {
@@ -875,20 +1105,78 @@ app.get('/api/treasury-balance', authenticateToken, async (req, res) => {
     }
 });
 
+function sendProofOfReservesError(res, error) {
+    if (error instanceof proofOfReserves.ProofOfReservesError) {
+        return res.status(error.statusCode).json({ error: error.message, code: error.code });
+    }
+    console.error('❌ [RESERVES] Error:', error);
+    res.status(500).json({ error: 'Proof of reserves request failed' });
+}
+
+// Proof of reserves (public): the latest period's reserves against liabilities, and the roots of
+// every period, newest first (?limit=)
+app.get('/api/proof-of-reserves', async (req, res) => {
+    try {
+        res.json(await proofOfReserves.report({ limit: parseInt(req.query.limit, 10) || undefined }));
+    } catch (error) {
+        sendProofOfReservesError(res, error);
+    }
+});
+
+// Proof of reserves: the user's inclusion proof in a period (?period=, the latest when omitted)
+app.get('/api/proof-of-reserves/proof', authenticateToken, async (req, res) => {
+    try {
+        const period = req.query.period === undefined ? undefined : parseInt(req.query.period, 10);
+        if (period !== undefined && !(period > 0)) return res.status(400).json({ error: 'Invalid period' });
+        res.json(await proofOfReserves.proofFor(req.user.userId, { period }));
+    } catch (error) {
+        sendProofOfReservesError(res, error);
+    }
+});
+
 
 
 // Auto-scan for deposits every 2 minutes (balance speed vs rate limits)
 setInterval(scanForNewDeposits, 120000);
 
-// Manual trigger for deposit scanning (for frontend)
-app.post('/api/admin/trigger-deposit-scan', async (req, res) => {
+// Re-check deposits waiting for their credit commitment (see lib/deposit-lifecycle.js)
+async function recheckPendingDeposits() {
+    try {
+        const counts = await depositLifecycle.recheckPendingDeposits(solanaConnection);
+        if (counts.checked > 0) {
+            console.log(`🔁 [DEPOSIT RECHECK] Checked ${counts.checked} pending deposits: ${counts.credited} credited, ${counts.failed} failed, ${counts.reorged} reorged`);
+        }
+    } catch (error) {
+        console.error('❌ [DEPOSIT RECHECK] Error:', error);
+    }
+}
+
+setInterval(recheckPendingDeposits, 20000);
+
+// Settle unclaimed deposit refunds that went out but were never confirmed
+async function settleUnclaimedRefunds() {
+    try {
+        const counts = await unclaimedDeposits.settleRefunds(solanaConnection);
+        if (counts.checked > 0) {
+            console.log(`↩️ [UNCLAIMED] Settled ${counts.checked} interrupted refunds: ${counts.refunded} refunded, ${counts.reopened} back to unclaimed`);
+        }
+    } catch (error) {
+        console.error('❌ [UNCLAIMED] Refund settlement error:', error);
+    }
+}
+
+setInterval(settleUnclaimedRefunds, 60000);
+
+// Manual trigger for deposit scanning
+app.post('/api/admin/trigger-deposit-scan', requireAdmin, async (req, res) => {
     try {
-        console.log('🔍 [MANUAL SCAN] Manual deposit scan triggered');
+        console.log(`🔍 [MANUAL SCAN] Manual deposit scan triggered by ${req.adminUser.email}`);
         const result = await scanForNewDeposits();
         res.json({
-            message: 'Deposit scan completed',
-            success: true,
-            scannedTransactions: result?.processedCount || 0
+            message: result?.skipped ? 'Deposit scan already running' : 'Deposit scan completed',
+            success: !result?.error,
+            scannedTransactions: result?.processedCount || 0,
+            backlog: result?.backlog || 0
         });
     } catch (error) {
         console.error('Manual scan error:', error);
@@ -899,29 +1187,40 @@ app.post('/api/admin/trigger-deposit-scan', async (req, res) => {
     }
 });
 
+// Deposit scanner checkpoint, lag and recent errors
+app.get('/api/admin/deposit-scanner', requireAdmin, async (req, res) => {
+    try {
+        const scanner = getDepositScanner();
+        if (!scanner) {
+            return res.status(503).json({ error: 'Treasury not configured' });
+        }
+        res.json(await scanner.status());
+    } catch (error) {
+        console.error('Deposit scanner status error:', error);
+        res.status(500).json({ error: 'Failed to load deposit scanner status' });
+    }
+});
+
 // Check for very recent deposits (last 5 minutes)
-app.post('/api/admin/check-recent-deposits', async (req, res) => {
+app.post('/api/admin/check-recent-deposits', requireAdmin, async (req, res) => {
     try {
-        console.log('🔍 [RECENT SCAN] Checking for deposits in last 5 minutes...');
+        console.log(`🔍 [RECENT SCAN] ${req.adminUser.email} checking for deposits in last 5 minutes...`);
 
-        if (!treasuryKeypair) {
+        if (!treasurySigner) {
             return res.status(500).json({ error: 'Treasury not configured' });
         }
 
-        const treasuryAddress = treasuryKeypair.publicKey.toString();
+        const treasuryAddress = treasurySigner.publicKey.toString();
 
-        // Get the treasury's USDC token account address
-        const treasuryUsdcAccount = await solanaConnection.getTokenAccountsByOwner(
-            treasuryKeypair.publicKey,
-            { mint: USDC_MINT }
-        );
+        // Deposits are only counted on the treasury's USDC associated token account
+        const treasuryAccounts = usdcDeposits.treasuryTokenAccounts(treasuryAddress);
+        const usdcTokenAccount = new PublicKey(treasuryAccounts[0]);
 
-        if (!treasuryUsdcAccount.value || treasuryUsdcAccount.value.length === 0) {
+        if (!(await solanaConnection.getAccountInfo(usdcTokenAccount))) {
             console.log('⚠️ [RECENT SCAN] No USDC token account found for treasury');
             return res.status(500).json({ error: 'No USDC token account' });
         }
 
-        const usdcTokenAccount = treasuryUsdcAccount.value[0].pubkey;
         console.log(`🔍 [RECENT SCAN] Treasury USDC token account: ${usdcTokenAccount.toString()}`);
 
         // Get more recent transactions for the USDC token account
@@ -964,89 +1263,24 @@ app.post('/api/admin/check-recent-deposits', async (req, res) => {
                 // Add delay to avoid rate limits
                 await new Promise(resolve => setTimeout(resolve, 500));
 
-                // Get transaction details
-                const transaction = await solanaConnection.getParsedTransaction(
-                    sigInfo.signature,
-                    {
-                        commitment: 'confirmed',
-                        maxSupportedTransactionVersion: 0
-                    }
-                );
-
-                if (!transaction) {
-                    console.log(`❌ [RECENT SCAN] Could not fetch transaction details: ${sigInfo.signature}`);
-                    continue;
-                }
+                // Credit it to the matching user (deposit reference, else verified sender)
+                const result = await depositCrediting.creditDepositSignature(solanaConnection, sigInfo.signature, {
+                    treasuryAddress,
+                    treasuryAccounts,
+                    tag: 'RECENT SCAN'
+                });
+
+                if (result.recorded) {
+                    recentDeposits.push({
+                        signature: sigInfo.signature,
+                        amount: money.format(result.amount),
+                        tokens: money.format(result.tokens),
+                        user: result.user.email,
+                        state: result.state,
+                        time: new Date(txTime).toISOString()
+                    });
 
-                // Analyze token balances
-                if (transaction.meta?.preTokenBalances && transaction.meta?.postTokenBalances) {
-                    let usdcTransferred = 0;
-                    let senderAddress = null;
-
-                    for (let j = 0; j < transaction.meta.preTokenBalances.length; j++) {
-                        const preBalance = transaction.meta.preTokenBalances[j];
-                        const postBalance = transaction.meta.postTokenBalances[j];
-
-                        if (preBalance.mint === USDC_MINT.toString()) {
-                            const preAmount = preBalance.uiTokenAmount.uiAmount || 0;
-                            const postAmount = postBalance.uiTokenAmount.uiAmount || 0;
-                            const change = postAmount - preAmount;
-
-                            if (preAmount > postAmount) {
-                                senderAddress = preBalance.owner;
-                                usdcTransferred = preAmount - postAmount;
-                                break;
-                            }
-                        }
-                    }
-
-                    if (usdcTransferred > 0 && senderAddress) {
-                        console.log(`💰 [RECENT SCAN] Found recent USDC deposit: ${usdcTransferred} USDC from ${senderAddress}`);
-
-                        // Check if this sender has a verified account
-                        console.log(`🔍 [RECENT SCAN] Checking if sender ${senderAddress} has verified account`);
-                        const user = await User.findOne({ solanaAddress: senderAddress });
-
-                        if (user) {
-                            console.log(`✅ [RECENT SCAN] Found verified user: ${user.email}`);
-
-                            // Apply 1 cent fee
-                            const DEPOSIT_FEE = 0.05;
-                            const usdcAfterFee = Math.max(0, usdcTransferred - DEPOSIT_FEE);
-                            const gameTokens = usdcAfterFee;
-
-                            // Update user balance
-                            const oldBalance = user.gameBalance;
-                            user.gameBalance += gameTokens;
-                            await user.save();
-
-                            // Create transaction record
-                            const dbTransaction = new GameTransaction({
-                                userId: user._id,
-                                type: 'deposit',
-                                amount: gameTokens,
-                                solAmount: usdcTransferred,
-                                tokenAmount: gameTokens,
-                                solanaTxHash: sigInfo.signature,
-                                fromAddress: senderAddress,
-                                toAddress: treasuryAddress,
-                                status: 'completed'
-                            });
-                            await dbTransaction.save();
-
-                            console.log(`🎉 [RECENT SCAN] Auto-processed recent deposit: ${usdcTransferred} USDC → ${gameTokens} tokens for ${user.email}`);
-
-                            recentDeposits.push({
-                                signature: sigInfo.signature,
-                                amount: usdcTransferred,
-                                tokens: gameTokens,
-                                user: user.email,
-                                time: new Date(txTime).toISOString()
-                            });
-
-                            processedCount++;
-                        }
-                    }
+                    processedCount++;
                 }
 
             } catch (error) {
@@ -1073,180 +1307,175 @@ app.post('/api/admin/check-recent-deposits', async (req, res) => {
     }
 });
 
+// The deposit scanner walks the treasury USDC account's signatures from a checkpoint persisted
+// in Mongo (see lib/deposit-scanner.js), so bursts larger than one run are never skipped
+let depositScanner = null;
+
+function getDepositScanner() {
+    if (!treasurySigner) return null;
+    if (!depositScanner) {
+        const treasuryAddress = treasurySigner.publicKey.toString();
+        const treasuryAccounts = usdcDeposits.treasuryTokenAccounts(treasuryAddress);
+        depositScanner = createSignatureScanner({
+            name: 'usdc-deposits',
+            connection: solanaConnection,
+            account: treasuryAccounts[0],
+            // Not the account's whole history: older deposits are verified or claimed by hand
+            start: process.env.DEPOSIT_SCAN_START_SIGNATURE || 'tip',
+            processSignature: (sigInfo) => depositCrediting.creditDepositSignature(solanaConnection, sigInfo.signature, { treasuryAddress, treasuryAccounts })
+        });
+    }
+    return depositScanner;
+}
+
 // Return scan result
 async function scanForNewDeposits() {
+    const scanner = getDepositScanner();
+    if (!scanner) {
+        console.log('❌ [DEPOSIT SCAN] Treasury wallet not configured');
+        return { processedCount: 0, error: 'Treasury not configured' };
+    }
+
     try {
-        console.log('🔍 [DEPOSIT SCAN] Starting blockchain scan for new deposits...');
+        return await scanner.run();
+    } catch (error) {
+        console.error('❌ [DEPOSIT SCAN] Blockchain scan error:', error);
+        return { processedCount: 0, error: error.message };
+    }
+}
 
-        if (!treasuryKeypair) {
-            console.log('❌ [DEPOSIT SCAN] Treasury wallet not configured');
-            console.log('Available env vars:', Object.keys(process.env));
-            return { processedCount: 0, error: 'Treasury not configured' };
-        }
+// Solana Pay: each user's reference key is watched with its own checkpointed scanner
+// (see lib/solana-pay.js), so a deposit paid from the QR code is credited within seconds
+function paymentReferenceScanner(user) {
+    const treasuryAddress = treasurySigner.publicKey.toString();
+    const treasuryAccounts = usdcDeposits.treasuryTokenAccounts(treasuryAddress);
+    return solanaPay.referenceScanner({
+        connection: solanaConnection,
+        user,
+        processSignature: (sigInfo) => depositCrediting.creditDepositSignature(solanaConnection, sigInfo.signature, {
+            treasuryAddress,
+            treasuryAccounts,
+            tag: 'SOLANA PAY'
+        })
+    });
+}
 
-        const treasuryAddress = treasuryKeypair.publicKey.toString();
-        console.log(`🔍 [DEPOSIT SCAN] Treasury address: ${treasuryAddress}`);
-        console.log(`🔍 [DEPOSIT SCAN] USDC Mint: ${USDC_MINT.toString()}`);
+// Poll the references of users with an open payment request
+async function watchPaymentReferences() {
+    if (!treasurySigner) return;
+    try {
+        const userIds = await solanaPay.watchedUserIds();
+        for (const userId of userIds) {
+            const user = await User.findById(userId);
+            if (user?.depositReference) {
+                await paymentReferenceScanner(user).run();
+            }
+        }
+    } catch (error) {
+        console.error('❌ [SOLANA PAY] Reference watch error:', error);
+    }
+}
 
-        // Get the treasury's USDC token account address
-        const treasuryUsdcAccount = await solanaConnection.getTokenAccountsByOwner(
-            treasuryKeypair.publicKey,
-            { mint: USDC_MINT }
-        );
+setInterval(watchPaymentReferences, 15000);
 
-        if (!treasuryUsdcAccount.value || treasuryUsdcAccount.value.length === 0) {
-            console.log('⚠️ [DEPOSIT SCAN] No USDC token account found for treasury');
-            return { processedCount: 0, error: 'No USDC token account' };
+// Solana Pay transfer request for a deposit; starts watching the user's reference
+app.post('/api/deposit/payment-request', authenticateToken, async (req, res) => {
+    try {
+        if (!treasurySigner) {
+            return res.status(500).json({ error: 'Treasury not configured' });
         }
 
-        const usdcTokenAccount = treasuryUsdcAccount.value[0].pubkey;
-        console.log(`🔍 [DEPOSIT SCAN] Treasury USDC token account: ${usdcTokenAccount.toString()}`);
-
-        // Get recent confirmed signatures for the USDC token account (not the owner)
-        const signatures = await solanaConnection.getSignaturesForAddress(
-            usdcTokenAccount,
-            {
-                limit: 10 // Check last 10 transactions
+        let amount = null;
+        if (req.body.amount !== undefined && req.body.amount !== null && req.body.amount !== '') {
+            amount = money.parse(req.body.amount, 2);
+            if (amount === null) {
+                return res.status(400).json({ error: 'Amount must be a USDC amount with at most 2 decimal places' });
+            }
+            const { fee, net } = feeSchedule.depositQuote(amount);
+            if (net <= 0) {
+                return res.status(400).json({ error: `Amount must be more than its ${money.format(fee)} USDC deposit fee` });
             }
-        );
-
-        console.log(`📊 [DEPOSIT SCAN] Found ${signatures.length} recent transactions`);
-
-        if (signatures.length === 0) {
-            console.log('⚠️ [DEPOSIT SCAN] No recent transactions found for treasury address');
-            console.log('💡 [DEPOSIT SCAN] This might mean the treasury address has no recent activity');
-            return { processedCount: 0, error: 'No transactions found' };
         }
 
-        // Log some transaction details for debugging
-        console.log('📋 [DEPOSIT SCAN] Recent transaction signatures:');
-        signatures.slice(0, 3).forEach((sig, index) => {
-            console.log(`  ${index + 1}. ${sig.signature} (slot: ${sig.slot}, err: ${sig.err ? 'YES' : 'NO'})`);
+        let user = await User.findById(req.user.userId);
+        if (!user) return res.status(404).json({ error: 'User not found' });
+        user = await depositReferences.ensureDepositReferences(user);
+
+        const recipient = treasurySigner.publicKey.toString();
+        const url = solanaPay.transferRequestURL({
+            recipient,
+            amount,
+            reference: user.depositReference,
+            memo: user.depositMemo
         });
+        const watchUntil = await solanaPay.watchReference(user._id);
 
-        let processedCount = 0;
-
-        // Process transactions one at a time with delays to avoid rate limits
-        for (let i = 0; i < Math.min(signatures.length, 5); i++) { // Process max 5 at a time
-            const sigInfo = signatures[i];
-
-            // Add delay between requests to avoid rate limits
-            if (i > 0) {
-                await new Promise(resolve => setTimeout(resolve, 1000)); // 1 second delay
-            }
-            try {
-                // Check if this transaction was already processed
-                const existingTransaction = await GameTransaction.findOne({
-                    solanaTxHash: sigInfo.signature
-                });
-
-                if (existingTransaction) {
-                    continue; // Skip already processed transactions
-                }
-
-                console.log(`🔍 [DEPOSIT SCAN] Analyzing new transaction: ${sigInfo.signature}`);
+        console.log(`🧾 [SOLANA PAY] Payment request for ${user.email}: ${amount ? money.format(amount) : 'any amount'} USDC, reference ${user.depositReference}`);
 
-                // Add small delay before fetching transaction details
-                await new Promise(resolve => setTimeout(resolve, 500));
+        res.json({
+            url,
+            recipient,
+            splToken: usdcDeposits.USDC_MINT,
+            amount: amount ? money.format(amount) : null,
+            reference: user.depositReference,
+            memo: user.depositMemo,
+            label: solanaPay.LABEL,
+            createdAt: new Date().toISOString(),
+            watchUntil: watchUntil.toISOString()
+        });
+    } catch (error) {
+        console.error('Payment request error:', error);
+        res.status(500).json({ error: 'Failed to create payment request' });
+    }
+});
 
-                // Get transaction details
-                const transaction = await solanaConnection.getParsedTransaction(
-                    sigInfo.signature,
-                    {
-                        commitment: 'confirmed',
-                        maxSupportedTransactionVersion: 0
-                    }
-                );
-
-                if (!transaction) {
-                    console.log(`❌ [DEPOSIT SCAN] Could not fetch transaction details: ${sigInfo.signature}`);
-                    continue;
-                }
+// Checks the user's reference now and returns deposits credited since the request was made
+app.get('/api/deposit/payment-status', authenticateToken, async (req, res) => {
+    try {
+        const since = req.query.since ? new Date(req.query.since) : new Date(Date.now() - solanaPay.WATCH_MS);
+        if (Number.isNaN(since.getTime())) {
+            return res.status(400).json({ error: 'Invalid since timestamp' });
+        }
 
-                // Analyze token balances to find USDC transfers
-                if (transaction.meta?.preTokenBalances && transaction.meta?.postTokenBalances) {
-                    let usdcTransferred = 0;
-                    let senderAddress = null;
-
-                    for (let i = 0; i < transaction.meta.preTokenBalances.length; i++) {
-                        const preBalance = transaction.meta.preTokenBalances[i];
-                        const postBalance = transaction.meta.postTokenBalances[i];
-
-                        if (preBalance.mint === USDC_MINT.toString()) {
-                            const preAmount = preBalance.uiTokenAmount.uiAmount || 0;
-                            const postAmount = postBalance.uiTokenAmount.uiAmount || 0;
-                            const change = postAmount - preAmount;
-
-                            // Find the sender who lost USDC
-                            if (preAmount > postAmount) {
-                                senderAddress = preBalance.owner;
-                                usdcTransferred = preAmount - postAmount;
-                                break;
-                            }
-                        }
-                    }
-
-                    if (usdcTransferred > 0 && senderAddress) {
-                        console.log(`💰 [DEPOSIT SCAN] Found USDC deposit: ${usdcTransferred} USDC from ${senderAddress}`);
-
-                        // Check if this sender has a verified account
-                        const user = await User.findOne({ solanaAddress: senderAddress });
-
-                        if (user) {
-                            console.log(`✅ [DEPOSIT SCAN] Processing auto-deposit for user: ${user.email}`);
-
-                            // Apply 1 cent fee
-                            const DEPOSIT_FEE = 0.05;
-                            const usdcAfterFee = Math.max(0, usdcTransferred - DEPOSIT_FEE);
-                            const gameTokens = usdcAfterFee;
-
-                            // Update user balance
-                            const oldBalance = user.gameBalance;
-                            user.gameBalance += gameTokens;
-                            await user.save();
-
-                            // Create transaction record
-                            const dbTransaction = new GameTransaction({
-                                userId: user._id,
-                                type: 'deposit',
-                                amount: gameTokens,
-                                solAmount: usdcTransferred,
-                                tokenAmount: gameTokens,
-                                solanaTxHash: sigInfo.signature,
-                                fromAddress: senderAddress,
-                                toAddress: treasuryAddress,
-                                status: 'completed'
-                            });
-                            await dbTransaction.save();
-
-                            console.log(`🎉 [DEPOSIT SCAN] Auto-processed deposit: ${usdcTransferred} USDC → ${gameTokens} tokens for ${user.email}`);
-                            processedCount++;
-                        } else {
-                            console.log(`❌ [DEPOSIT SCAN] No verified user found for address: ${senderAddress}`);
-                        }
-                    }
-                }
+        const user = await User.findById(req.user.userId);
+        if (!user) return res.status(404).json({ error: 'User not found' });
 
-            } catch (error) {
-                console.error(`❌ [DEPOSIT SCAN] Error processing transaction ${sigInfo.signature}:`, error.message);
-            }
+        if (treasurySigner && user.depositReference) {
+            await paymentReferenceScanner(user).run();
         }
+        await depositLifecycle.recheckPendingDeposits(solanaConnection, { userId: user._id });
 
-        console.log(`✅ [DEPOSIT SCAN] Scan complete. Processed ${processedCount} new deposits.`);
-
-        return { processedCount, success: true };
+        const deposits = await GameTransaction.find({
+            userId: user._id,
+            type: 'deposit',
+            timestamp: { $gte: since }
+        }).sort({ timestamp: -1 });
+        const updatedUser = await User.findById(user._id);
 
+        res.json({
+            deposits: deposits.map(tx => ({
+                signature: tx.solanaTxHash,
+                usdcReceived: money.format(tx.solAmount ?? tx.amount),
+                gameTokensAdded: money.format(tx.amount),
+                attribution: tx.attribution || null,
+                status: tx.status,
+                depositState: tx.depositState || null,
+                timestamp: tx.timestamp
+            })),
+            newBalance: money.format(updatedUser.gameBalance)
+        });
     } catch (error) {
-        console.error('❌ [DEPOSIT SCAN] Blockchain scan error:', error);
-        return { processedCount: 0, error: error.message };
+        console.error('Payment status error:', error);
+        res.status(500).json({ error: 'Failed to check payment status' });
     }
-}
+});
 
 // Debug endpoint to check treasury status
 app.get('/api/debug/treasury', (req, res) => {
     const status = {
-        treasuryLoaded: treasuryKeypair !== null,
-        treasuryAddress: treasuryKeypair ? treasuryKeypair.publicKey.toString() : null,
+        treasuryLoaded: treasurySigner !== null,
+        treasurySigner: treasurySigner ? treasurySigner.backend : null,
+        treasuryAddress: treasurySigner ? treasurySigner.publicKey.toString() : null,
         usdcMint: USDC_MINT.toString(),
         serverTime: new Date().toISOString()
     };
@@ -1254,137 +1483,370 @@ app.get('/api/debug/treasury', (req, res) => {
     res.json(status);
 });
 
-// Test credit endpoint (no auth for testing)
-app.post('/api/test/credit-deposit', async (req, res) => {
+// Unclaimed deposit inbox (see lib/unclaimed-deposits.js): deposits the scanners couldn't
+// attribute wait here for their owner to claim them, or for an admin
+function sendUnclaimedError(res, error, tag) {
+    if (error instanceof unclaimedDeposits.UnclaimedDepositError || error instanceof balanceService.BalanceError ||
+        error instanceof treasurySigners.SignerPolicyError) {
+        console.log(`❌ [${tag}] ${error.message}`);
+        return res.status(error.statusCode).json({ error: error.message });
+    }
+    console.error(`❌ [${tag}] Error:`, error);
+    res.status(500).json({ error: error.message || 'Request failed' });
+}
+
+const unclaimedDepositView = (deposit) => ({
+    signature: deposit.signature,
+    amount: money.format(deposit.amount),
+    sender: deposit.sender || null,
+    senders: deposit.senders,
+    memos: deposit.memos,
+    reason: deposit.reason,
+    status: deposit.status,
+    blockTime: deposit.blockTime || null,
+    createdAt: deposit.createdAt,
+    claimRequests: deposit.claimRequests.map(request => ({
+        userId: request.userId?._id || request.userId,
+        email: request.userId?.email || null,
+        reference: request.reference,
+        at: request.at
+    })),
+    creditedTo: deposit.userId ? { userId: deposit.userId._id, email: deposit.userId.email } : null,
+    claimMethod: deposit.claimMethod || null,
+    resolvedBy: deposit.resolvedBy?.email || null,
+    resolvedAt: deposit.resolvedAt || null,
+    note: deposit.note || null,
+    refundAddress: deposit.refundAddress || null,
+    refundTxHash: deposit.refundTxHash || null,
+    lastError: deposit.lastError || null
+});
+
+// An unclaimed deposit, with the message its sending wallet signs to claim it
+app.get('/api/deposit/claim', authenticateToken, async (req, res) => {
     try {
-        const walletAddress = 'Eya7P6FAqibqRFA9weBkNX1DRWVyv89XeQxDuWwEu3Ex';
-        const amount = 10;
-        const transactionSignature = '4dQMHT2qPVsbSqd2cwHcAHYXMg5g7phKcCkJ2dZJZuUYYkq83FhveW4tSwa4rL2dwsecpDZ7946VYza2GYMcBmsC';
+        const signature = String(req.query.signature || '').trim();
+        if (!signature) {
+            return res.status(400).json({ error: 'Transaction signature required' });
+        }
+        res.json(await unclaimedDeposits.lookup(signature, req.user.userId));
+    } catch (error) {
+        sendUnclaimedError(res, error, 'CLAIM');
+    }
+});
 
-        console.log(`💰 [TEST CREDIT] Crediting ${amount} USDC for wallet: ${walletAddress}`);
+// Claim an unclaimed deposit: walletSignature (the sending wallet's signature of the claim
+// message, base64) credits it; reference (the memo or reference it carried) files it for review
+app.post('/api/deposit/claim', authenticateToken, idempotency.middleware('deposit-claim'), async (req, res) => {
+    try {
+        const { walletSignature, reference } = req.body;
+        const signature = String(req.body.transactionSignature || '').trim();
+        if (!signature || (!walletSignature && !reference)) {
+            return res.status(400).json({ error: 'Transaction signature and a wallet signature or reference required' });
+        }
 
-        // Check if user exists, create if not
-        let user = await User.findOne({ solanaAddress: walletAddress });
+        const user = await User.findById(req.user.userId);
+        if (!user) return res.status(404).json({ error: 'User not found' });
 
-        if (!user) {
-            console.log(`🆕 [TEST CREDIT] Creating new user for wallet: ${walletAddress}`);
-            user = new User({
-                googleId: `test_${Date.now()}`,
-                email: `test_wallet_${walletAddress.slice(0, 8)}@betbetter.test`,
-                name: `Test User ${walletAddress.slice(0, 8)}`,
-                solanaAddress: walletAddress,
-                gameBalance: 0
+        if (!walletSignature) {
+            const deposit = await unclaimedDeposits.requestReview({ user, signature, reference });
+            return res.status(202).json({
+                message: 'Claim sent for review. The deposit is credited once an admin confirms it.',
+                review: true,
+                deposit
             });
-            await user.save();
         }
 
-        // Apply 1 cent fee
-        const DEPOSIT_FEE = 0.05;
-        const usdcAfterFee = Math.max(0, amount - DEPOSIT_FEE);
-        const gameTokens = usdcAfterFee;
-
-        // Update user balance
-        const oldBalance = user.gameBalance;
-        user.gameBalance += gameTokens;
-        await user.save();
+        const result = await unclaimedDeposits.claimWithSignature(solanaConnection, { user, signature, walletSignature });
+        res.status(result.credited ? 200 : 202).json({
+            message: result.credited
+                ? `Deposit claimed: ${money.format(result.transaction.amount)} tokens credited`
+                : `Deposit claimed, ${money.format(result.transaction.amount)} tokens will be credited once ${depositLifecycle.CREDIT_COMMITMENT}`,
+            pending: !result.credited,
+            depositState: result.state,
+            gameTokensAdded: money.format(result.transaction.amount),
+            newBalance: money.format(result.user.gameBalance),
+            transactionSignature: signature
+        });
+    } catch (error) {
+        sendUnclaimedError(res, error, 'CLAIM');
+    }
+});
 
-        // Create transaction record
-        const dbTransaction = new GameTransaction({
-            userId: user._id,
-            type: 'deposit',
-            amount: gameTokens,
-            solAmount: amount,
-            tokenAmount: gameTokens,
-            solanaTxHash: transactionSignature,
-            fromAddress: walletAddress,
-            toAddress: treasuryKeypair.publicKey.toString(),
-            status: 'completed'
+// Admin review queue (?status=unclaimed|credited|refunding|refunded|all)
+app.get('/api/admin/unclaimed-deposits', requireAdmin, async (req, res) => {
+    try {
+        const deposits = await unclaimedDeposits.reviewQueue({
+            status: req.query.status || 'unclaimed',
+            limit: parseInt(req.query.limit, 10) || undefined
         });
-        await dbTransaction.save();
+        res.json({ deposits: deposits.map(unclaimedDepositView) });
+    } catch (error) {
+        sendUnclaimedError(res, error, 'UNCLAIMED');
+    }
+});
 
-        console.log(`✅ [TEST CREDIT] Credited ${gameTokens} tokens to user ${user.email} (${oldBalance} → ${user.gameBalance})`);
+// Admin: credit an unclaimed deposit to a user, by userId or email
+app.post('/api/admin/unclaimed-deposits/:signature/assign', requireAdmin, async (req, res) => {
+    try {
+        const { userId, email, note } = req.body;
+        let user = null;
+        if (userId && mongoose.isValidObjectId(userId)) {
+            user = await User.findById(userId);
+        } else if (email) {
+            user = await User.findOne({ email: String(email).trim() });
+        }
+        if (!user) return res.status(404).json({ error: 'User not found' });
 
+        const result = await unclaimedDeposits.assign(solanaConnection, {
+            signature: req.params.signature,
+            userId: user._id,
+            admin: req.adminUser,
+            note
+        });
         res.json({
             success: true,
-            message: `Credited ${gameTokens} tokens to ${user.email}`,
-            userId: user._id,
-            oldBalance,
-            newBalance: user.gameBalance,
-            tokensCredited: gameTokens,
-            walletAddress,
-            transactionSignature
+            message: `Deposit assigned to ${user.email} (${result.state})`,
+            pending: !result.credited,
+            depositState: result.state,
+            tokensCredited: money.format(result.transaction.amount),
+            newBalance: money.format(result.user.gameBalance)
         });
+    } catch (error) {
+        sendUnclaimedError(res, error, 'UNCLAIMED');
+    }
+});
 
+// Admin: send an unclaimed deposit back, to its sender unless an address is given
+app.post('/api/admin/unclaimed-deposits/:signature/refund', requireAdmin, async (req, res) => {
+    try {
+        if (!treasurySigner) {
+            return res.status(500).json({ error: 'Treasury wallet not configured' });
+        }
+        const { address, note } = req.body;
+        const result = await unclaimedDeposits.refund({
+            signature: req.params.signature,
+            admin: req.adminUser,
+            address,
+            note,
+            send: (destination, amount, options) => transferUSDC(solanaConnection, treasurySigner.publicKey, new PublicKey(destination), amount, treasurySigner, options)
+        });
+        res.json({
+            success: true,
+            message: `Refunded ${money.format(result.amount)} USDC to ${result.refundAddress}`,
+            refundAddress: result.refundAddress,
+            refundTxHash: result.refundTxHash,
+            amount: money.format(result.amount)
+        });
     } catch (error) {
-        console.error('Test credit error:', error);
-        res.status(500).json({ error: error.message });
+        sendUnclaimedError(res, error, 'UNCLAIMED');
     }
 });
 
-// Manual credit endpoint for found deposits (temporary - no auth for testing)
-app.post('/api/admin/credit-deposit', async (req, res) => {
+function sendWithdrawalReviewError(res, error) {
+    if (error instanceof withdrawalReview.WithdrawalReviewError) {
+        console.log(`❌ [WITHDRAW REVIEW] ${error.message}`);
+        return res.status(error.statusCode).json({ error: error.message });
+    }
+    console.error('❌ [WITHDRAW REVIEW] Error:', error);
+    res.status(500).json({ error: error.message || 'Request failed' });
+}
+
+// Admin: withdrawals held by the risk rules (?state=needs_review|queued|...|rejected|all)
+app.get('/api/admin/withdrawals', requireAdmin, async (req, res) => {
     try {
-        const { walletAddress, amount, transactionSignature } = req.body;
+        const withdrawals = await withdrawalReview.reviewQueue({
+            state: req.query.state || 'needs_review',
+            limit: parseInt(req.query.limit, 10) || undefined
+        });
+        res.json({ withdrawals: withdrawals.map(withdrawalReview.reviewView), rules: { ...withdrawalReview.RULES, amount: money.format(withdrawalReview.RULES.amount) } });
+    } catch (error) {
+        sendWithdrawalReviewError(res, error);
+    }
+});
 
-        if (!walletAddress || !amount || amount <= 0) {
-            return res.status(400).json({ error: 'Wallet address and amount required' });
-        }
+// Admin: release a held withdrawal to the queue (optional reason)
+app.post('/api/admin/withdrawals/:id/approve', requireAdmin, async (req, res) => {
+    try {
+        const transaction = await withdrawalReview.approve({ id: req.params.id, admin: req.adminUser, reason: req.body.reason });
+        setImmediate(processWithdrawalQueue);
+        res.json({ success: true, message: 'Withdrawal approved and queued', withdrawal: withdrawalQueue.withdrawalView(transaction) });
+    } catch (error) {
+        sendWithdrawalReviewError(res, error);
+    }
+});
 
-        console.log(`💰 [MANUAL CREDIT] Crediting ${amount} USDC for wallet: ${walletAddress}`);
+// Admin: refuse a held withdrawal and refund the user (reason required)
+app.post('/api/admin/withdrawals/:id/reject', requireAdmin, async (req, res) => {
+    try {
+        const { transaction, user } = await withdrawalReview.reject({ id: req.params.id, admin: req.adminUser, reason: req.body.reason });
+        res.json({
+            success: true,
+            message: `Withdrawal rejected, ${money.format(transaction.amount)} tokens refunded`,
+            withdrawal: withdrawalQueue.withdrawalView(transaction),
+            newBalance: money.format(user.gameBalance)
+        });
+    } catch (error) {
+        sendWithdrawalReviewError(res, error);
+    }
+});
 
-        // Check if user exists, create if not
-        let user = await User.findOne({ solanaAddress: walletAddress });
+// Admin: a user's withdrawal limits, overrides and remaining allowance
+app.get('/api/admin/users/:id/withdraw-limits', requireAdmin, async (req, res) => {
+    try {
+        const user = mongoose.isValidObjectId(req.params.id) && await User.findById(req.params.id);
+        if (!user) return res.status(404).json({ error: 'User not found' });
+        res.json({
+            email: user.email,
+            overrides: withdrawalLimits.formatLimits(user.withdrawLimits),
+            defaults: withdrawalLimits.formatLimits(withdrawalLimits.DEFAULT_LIMITS),
+            ...withdrawalLimits.view(await withdrawalLimits.allowance(user))
+        });
+    } catch (error) {
+        console.error('Admin limits fetch error:', error);
+        res.status(500).json({ error: 'Failed to fetch limits' });
+    }
+});
 
-        if (!user) {
-            console.log(`🆕 [MANUAL CREDIT] Creating new user for wallet: ${walletAddress}`);
-            user = new User({
-                googleId: `manual_${Date.now()}`, // Temporary ID
-                email: `wallet_${walletAddress.slice(0, 8)}@temp.betbetter`,
-                name: `Wallet User ${walletAddress.slice(0, 8)}`,
-                solanaAddress: walletAddress,
-                gameBalance: 0
-            });
-            await user.save();
+// Admin: override a user's limits (perTransaction, daily, weekly in USDC, "0" for none, null
+// for the default), with an optional reason for the audit log
+app.put('/api/admin/users/:id/withdraw-limits', requireAdmin, async (req, res) => {
+    try {
+        const { reason, ...overrides } = req.body;
+        const user = await withdrawalLimits.setOverrides({ userId: req.params.id, overrides, admin: req.adminUser, reason });
+        res.json({ success: true, ...withdrawalLimits.view(await withdrawalLimits.allowance(user)) });
+    } catch (error) {
+        if (error instanceof withdrawalLimits.WithdrawalLimitError) {
+            return res.status(error.statusCode).json({ error: error.message, code: error.code });
         }
+        console.error('Admin limits update error:', error);
+        res.status(500).json({ error: 'Failed to update limits' });
+    }
+});
 
-        // Apply 1 cent fee
-        const DEPOSIT_FEE = 0.05;
-        const usdcAfterFee = Math.max(0, amount - DEPOSIT_FEE);
-        const gameTokens = usdcAfterFee;
+function sendTreasuryError(res, error) {
+    if (error instanceof treasury.TreasuryError || error instanceof treasurySigners.SignerPolicyError) {
+        console.log(`❌ [TREASURY] ${error.message}`);
+        return res.status(error.statusCode).json({ error: error.message, code: error.code });
+    }
+    console.error('❌ [TREASURY] Error:', error);
+    res.status(500).json({ error: error.message || 'Request failed' });
+}
 
-        // Update user balance
-        const oldBalance = user.gameBalance;
-        user.gameBalance += gameTokens;
-        await user.save();
+// Admin: hot and cold balances, the hot wallet policy, the sweep in progress and open top-up
+// request, and the latest sweeps
+app.get('/api/admin/treasury', requireAdmin, async (req, res) => {
+    try {
+        if (!treasurySigner) {
+            return res.status(500).json({ error: 'Treasury wallet not configured' });
+        }
+        const [status, sweeps] = await Promise.all([
+            treasury.status(solanaConnection, treasurySigner.publicKey),
+            treasury.history({ kind: 'sweep', limit: 20 })
+        ]);
+        res.json({ ...status, sweeps: sweeps.map(treasury.view) });
+    } catch (error) {
+        sendTreasuryError(res, error);
+    }
+});
 
-        // Create transaction record
-        const dbTransaction = new GameTransaction({
-            userId: user._id,
-            type: 'deposit',
-            amount: gameTokens,
-            solAmount: amount,
-            tokenAmount: gameTokens,
-            solanaTxHash: transactionSignature || 'manual_credit',
-            fromAddress: walletAddress,
-            toAddress: treasuryKeypair.publicKey.toString(),
-            status: 'completed'
+// Admin: sweep and top-up history, newest first (?kind=sweep|top_up|all)
+app.get('/api/admin/treasury/movements', requireAdmin, async (req, res) => {
+    try {
+        const movements = await treasury.history({
+            kind: req.query.kind || 'all',
+            limit: parseInt(req.query.limit, 10) || undefined
         });
-        await dbTransaction.save();
+        res.json({ movements: movements.map(treasury.view) });
+    } catch (error) {
+        sendTreasuryError(res, error);
+    }
+});
+
+// Admin: sweep amount USDC (everything above the maximum when omitted) to the cold address
+app.post('/api/admin/treasury/sweep', requireAdmin, async (req, res) => {
+    try {
+        if (!treasurySigner) {
+            return res.status(500).json({ error: 'Treasury wallet not configured' });
+        }
+        let amount = req.body.amount === undefined ? null : money.parse(req.body.amount);
+        if (req.body.amount !== undefined && amount === null) {
+            return res.status(400).json({ error: 'Invalid amount' });
+        }
+        if (amount === null) {
+            if (!treasury.POLICY.max) return res.status(400).json({ error: 'Give an amount: no hot wallet maximum is set' });
+            amount = await treasury.usdcBalance(solanaConnection, treasurySigner.publicKey) - treasury.POLICY.max;
+            if (amount <= 0) return res.status(400).json({ error: 'The hot wallet is not above its maximum' });
+        }
+        const sweep = await treasury.sweep(solanaConnection, { signer: treasurySigner, amount, admin: req.adminUser, note: req.body.note });
+        res.json({ success: true, message: `Swept ${money.format(sweep.amount)} USDC to cold storage`, sweep: treasury.view(sweep) });
+    } catch (error) {
+        sendTreasuryError(res, error);
+    }
+});
 
-        console.log(`✅ [MANUAL CREDIT] Credited ${gameTokens} tokens to user ${user.email} (${oldBalance} → ${user.gameBalance})`);
+// Admin: close an open top-up request that won't be fulfilled (optional note)
+app.post('/api/admin/treasury/top-ups/:id/cancel', requireAdmin, async (req, res) => {
+    try {
+        if (!mongoose.isValidObjectId(req.params.id)) return res.status(404).json({ error: 'Top-up request not found' });
+        const request = await treasury.cancelTopUp({ id: req.params.id, admin: req.adminUser, note: req.body.note });
+        res.json({ success: true, topUp: treasury.view(request) });
+    } catch (error) {
+        sendTreasuryError(res, error);
+    }
+});
 
-        res.json({
-            success: true,
-            message: `Credited ${gameTokens} tokens to ${user.email}`,
-            userId: user._id,
-            oldBalance,
-            newBalance: user.gameBalance,
-            tokensCredited: gameTokens
-        });
+// Admin: publish a proof of reserves snapshot now, without waiting for the schedule
+app.post('/api/admin/proof-of-reserves/snapshot', requireAdmin, async (req, res) => {
+    if (!treasurySigner) {
+        return res.status(500).json({ error: 'Treasury wallet not configured' });
+    }
+    if (reserveSnapshotRunning) {
+        return res.status(409).json({ error: 'A snapshot is already being taken', code: 'SNAPSHOT_IN_PROGRESS' });
+    }
+    reserveSnapshotRunning = true;
+    try {
+        const snapshot = await proofOfReserves.takeSnapshot(solanaConnection, { hotAddress: treasurySigner.publicKey, admin: req.adminUser });
+        res.json({ success: true, snapshot: proofOfReserves.view(snapshot) });
+    } catch (error) {
+        sendProofOfReservesError(res, error);
+    } finally {
+        reserveSnapshotRunning = false;
+    }
+});
 
+// Admin: the last monitoring run's checks, open alerts and recently resolved ones (?limit=)
+app.get('/api/admin/monitoring', requireAdmin, async (req, res) => {
+    try {
+        res.json(await monitoring.status({ limit: parseInt(req.query.limit, 10) || undefined }));
     } catch (error) {
-        console.error('Manual credit error:', error);
-        res.status(500).json({ error: error.message });
+        console.error('Monitoring status error:', error);
+        res.status(500).json({ error: 'Failed to fetch monitoring status' });
+    }
+});
+
+// Admin: run the monitoring checks now
+app.post('/api/admin/monitoring/run', requireAdmin, async (req, res) => {
+    try {
+        if (monitoringRunning) {
+            return res.status(409).json({ error: 'The checks are already running', code: 'MONITORING_IN_PROGRESS' });
+        }
+        await runMonitoring();
+        res.json({ success: true, ...(await monitoring.status()) });
+    } catch (error) {
+        console.error('Monitoring run error:', error);
+        res.status(500).json({ error: 'Failed to run the monitoring checks' });
+    }
+});
+
+// Admin: audit trail, newest first (?subjectType=&subjectId=&userId=&action=)
+app.get('/api/admin/audit-log', requireAdmin, async (req, res) => {
+    try {
+        const { subjectType, subjectId, userId, action } = req.query;
+        const entries = await auditLog.list({ subjectType, subjectId, userId, action, limit: parseInt(req.query.limit, 10) || undefined });
+        res.json({ entries: entries.map(auditLog.view) });
+    } catch (error) {
+        console.error('Audit log error:', error);
+        res.status(500).json({ error: 'Failed to fetch audit log' });
     }
 });
 
@@ -1421,24 +1883,24 @@ app.post('/api/debug/analyze-transaction', async (req, res) => {
         };
 
         if (analysis.hasTokenBalances) {
-            analysis.tokenChanges = [];
-            for (let i = 0; i < transaction.meta.preTokenBalances.length; i++) {
-                const preBalance = transaction.meta.preTokenBalances[i];
-                const postBalance = transaction.meta.postTokenBalances[i];
-
-                if (preBalance.mint === USDC_MINT.toString()) {
-                    const preAmount = preBalance.uiTokenAmount.uiAmount || 0;
-                    const postAmount = postBalance.uiTokenAmount.uiAmount || 0;
-                    const change = postAmount - preAmount;
-
-                    analysis.tokenChanges.push({
-                        owner: preBalance.owner,
-                        change,
-                        isDeposit: change > 0,
-                        amount: Math.abs(change)
-                    });
-                }
-            }
+            analysis.tokenChanges = usdcDeposits.tokenBalanceChanges(transaction).map(entry => ({
+                account: entry.account,
+                owner: entry.owner,
+                programId: entry.programId,
+                change: money.format(entry.change),
+                isDeposit: entry.change > 0,
+                amount: money.format(Math.abs(entry.change))
+            }));
+        }
+
+        if (treasurySigner) {
+            const deposit = usdcDeposits.parseUsdcDeposit(transaction, { treasuryOwner: treasurySigner.publicKey.toString() });
+            analysis.deposit = {
+                amount: money.format(deposit.amount),
+                sender: deposit.sender,
+                senders: deposit.senders.map(sender => ({ owner: sender.owner, amount: money.format(sender.amount) })),
+                transfers: deposit.transfers.map(transfer => ({ ...transfer, amount: money.format(transfer.amount) }))
+            };
         }
 
         console.log(`✅ [DEBUG] Transaction analysis:`, analysis);
@@ -1450,201 +1912,6 @@ app.post('/api/debug/analyze-transaction', async (req, res) => {
     }
 });
 
-// Manual deposit endpoint (for fallback)
-app.post('/api/deposit', authenticateToken, async (req, res) => {
-    try {
-        const { transactionSignature, autoUpdate } = req.body;
-        console.log(`🔍 [DEPOSIT] Starting deposit for user ${req.user.userId}`);
-
-        const user = await User.findById(req.user.userId);
-        if (!user) {
-            console.log(`❌ [DEPOSIT] User not found: ${req.user.userId}`);
-            return res.status(404).json({ error: 'User not found' });
-        }
-
-        // If user has verified wallet and requests auto-update, reconcile balance
-        if (autoUpdate && user.solanaAddress) {
-            console.log(`🔄 [DEPOSIT] Auto-updating balance for verified user ${user.email}`);
-
-            const calculatedBalance = await calculateBalanceFromHistory(req.user.userId);
-            const previousBalance = user.gameBalance;
-
-            user.gameBalance = calculatedBalance;
-            await user.save();
-
-            console.log(`✅ [AUTO_DEPOSIT] Balance updated: ${previousBalance} → ${calculatedBalance}`);
-
-            return res.json({
-                message: 'Balance automatically updated from transaction history',
-                gameTokensAdded: calculatedBalance - previousBalance,
-                newGameBalance: calculatedBalance,
-                autoUpdated: true,
-                walletVerified: true
-            });
-        }
-
-        // Manual verification required for new users or when autoUpdate is false
-        if (!transactionSignature) {
-            console.log(`❌ [DEPOSIT] Missing transaction signature`);
-            return res.status(400).json({ error: 'Transaction signature required' });
-        }
-
-        console.log(`👤 [DEPOSIT] Processing manual deposit for user: ${user.email}, current balance: ${user.gameBalance}`);
-
-        // Check if transaction was already processed
-        const existingTransaction = await GameTransaction.findOne({ solanaTxHash: transactionSignature });
-        if (existingTransaction) {
-            console.log(`❌ [DEPOSIT] Transaction already processed: ${transactionSignature}`);
-            return res.status(400).json({ error: 'This transaction has already been processed' });
-        }
-        console.log(`✅ [DEPOSIT] Transaction signature is unique: ${transactionSignature}`);
-
-        // Verify the transaction on Solana
-        console.log(`🔍 [DEPOSIT] Verifying transaction on Solana: ${transactionSignature}`);
-
-        // Get transaction details from Solana
-        const transaction = await solanaConnection.getParsedTransaction(transactionSignature, {
-            commitment: 'confirmed',
-            maxSupportedTransactionVersion: 0
-        });
-
-        if (!transaction) {
-            console.log(`❌ [DEPOSIT] Transaction not found on Solana: ${transactionSignature}`);
-            return res.status(400).json({ error: 'Transaction not found on Solana' });
-        }
-        console.log(`✅ [DEPOSIT] Transaction found on Solana`);
-
-        // Verify transaction details
-        const { meta, transaction: txData } = transaction;
-        console.log(`🔍 [DEPOSIT] Transaction meta:`, {
-            err: meta.err,
-            fee: meta.fee,
-            preBalances: meta.preBalances?.length,
-            postBalances: meta.postBalances?.length,
-            preTokenBalances: meta.preTokenBalances?.length,
-            postTokenBalances: meta.postTokenBalances?.length
-        });
-
-        // Check if transaction was successful
-        if (meta.err) {
-            console.log(`❌ [DEPOSIT] Transaction failed on Solana:`, meta.err);
-            return res.status(400).json({ error: 'Transaction failed on Solana' });
-        }
-        console.log(`✅ [DEPOSIT] Transaction successful on Solana`);
-
-        // Check if user sent to treasury
-        const accountKeys = txData.message.accountKeys;
-        const treasuryAddress = treasuryKeypair.publicKey.toString();
-
-        // Find USDC transfers in the transaction
-        let usdcTransferred = 0;
-        let senderAddress = null;
-
-        console.log(`🔍 [DEPOSIT] Analyzing token balances for USDC mint: ${USDC_MINT.toString()}`);
-
-        if (meta.preTokenBalances && meta.postTokenBalances) {
-            console.log(`📊 [DEPOSIT] Token balance changes:`);
-            for (let i = 0; i < meta.preTokenBalances.length; i++) {
-                const preBalance = meta.preTokenBalances[i];
-                const postBalance = meta.postTokenBalances[i];
-
-                if (preBalance.mint === USDC_MINT.toString()) {
-                    const preAmount = preBalance.uiTokenAmount.uiAmount || 0;
-                    const postAmount = postBalance.uiTokenAmount.uiAmount || 0;
-                    const change = postAmount - preAmount;
-
-                    console.log(`   ${preBalance.owner}: ${preAmount} → ${postAmount} (${change > 0 ? '+' : ''}${change})`);
-
-                    // Find the sender who lost USDC
-                    if (preAmount > postAmount) {
-                        senderAddress = preBalance.owner;
-                        usdcTransferred = preAmount - postAmount;
-                    }
-                }
-            }
-        }
-
-        console.log(`💰 [DEPOSIT] USDC transferred: ${usdcTransferred}, sender: ${senderAddress}`);
-
-        if (usdcTransferred <= 0) {
-            console.log(`❌ [DEPOSIT] No USDC transfer found in this transaction`);
-            return res.status(400).json({ error: 'No USDC transfer found in this transaction' });
-        }
-
-        if (!senderAddress) {
-            console.log(`❌ [DEPOSIT] Could not identify sender address`);
-            return res.status(400).json({ error: 'Could not identify sender address' });
-        }
-
-        // Verify sender address
-        if (user.solanaAddress) {
-            // User has a verified address - must match
-            console.log(`🔍 [DEPOSIT] Verifying sender address: ${senderAddress} vs stored: ${user.solanaAddress}`);
-            if (user.solanaAddress !== senderAddress) {
-                console.log(`❌ [DEPOSIT] Address mismatch! Transaction sender does not match verified wallet`);
-                return res.status(400).json({ error: 'Transaction sender does not match your verified wallet address' });
-            }
-            console.log(`✅ [DEPOSIT] Address verified - matches stored wallet`);
-        } else {
-            // First deposit - store the sender address
-            user.solanaAddress = senderAddress;
-            console.log(`🆕 [DEPOSIT] First deposit - setting verified wallet address for user ${user.email}: ${senderAddress}`);
-        }
-
-        // Apply 5 cent (0.05 USDC) fee for transaction costs
-        const DEPOSIT_FEE = 0.05;
-        const usdcAfterFee = Math.max(0, usdcTransferred - DEPOSIT_FEE);
-        const feeAmount = usdcTransferred - usdcAfterFee;
-        console.log(`💰 [DEPOSIT] Fee calculation: ${usdcTransferred} USDC - ${DEPOSIT_FEE} fee = ${usdcAfterFee} USDC usable`);
-
-        // Calculate game tokens from USDC after fee (1 USDC = 1 token - 1:1 ratio)
-        const gameTokens = usdcAfterFee;
-        console.log(`🧮 [DEPOSIT] Calculation: ${usdcAfterFee} USDC = ${gameTokens} tokens`);
-
-        // Update database
-        const oldBalance = user.gameBalance;
-        user.gameBalance += gameTokens;
-        await user.save();
-        console.log(`💾 [DEPOSIT] Updated user balance: ${oldBalance} → ${user.gameBalance}`);
-
-        // Create transaction record
-        console.log(`📝 [DEPOSIT] Creating transaction record...`);
-        const dbTransaction = new GameTransaction({
-            userId: user._id,
-            type: 'deposit',
-            amount: gameTokens,
-            solAmount: usdcTransferred,
-            tokenAmount: gameTokens,
-            solanaTxHash: transactionSignature,
-            fromAddress: senderAddress,
-            toAddress: treasuryAddress,
-            status: 'completed'
-        });
-        await dbTransaction.save();
-        console.log(`✅ [DEPOSIT] Transaction record saved with ID: ${dbTransaction._id}`);
-
-        console.log(`🎉 [DEPOSIT] SUCCESS: ${usdcTransferred} USDC from ${senderAddress} → ${gameTokens} tokens (${transactionSignature})`);
-
-        const response = {
-            message: user.solanaAddress === senderAddress ? 'Deposit successful' : 'First deposit successful! Your wallet address has been verified.',
-            gameTokensAdded: gameTokens,
-            newGameBalance: user.gameBalance,
-            transactionSignature: transactionSignature,
-            usdcReceived: usdcTransferred,
-            usdcAfterFee: usdcAfterFee,
-            feeDeducted: feeAmount,
-            walletVerified: !user.solanaAddress
-        };
-
-        console.log(`📤 [DEPOSIT] Sending response:`, response);
-        res.json(response);
-
-    } catch (error) {
-        console.error('Deposit error:', error);
-        res.status(500).json({ error: error.message || 'Deposit failed' });
-    }
-});
-
 // Get transaction history
 app.get('/api/transactions', authenticateToken, async (req, res) => {
     try {
@@ -1655,11 +1922,13 @@ app.get('/api/transactions', authenticateToken, async (req, res) => {
         const formattedTransactions = transactions.map(tx => ({
             id: tx._id,
             type: tx.type,
-            amount: tx.amount,
-            solAmount: tx.solAmount,
-            tokenAmount: tx.tokenAmount,
+            amount: money.format(tx.amount),
+            solAmount: tx.solAmount != null ? money.format(tx.solAmount) : undefined,
+            tokenAmount: tx.tokenAmount != null ? money.format(tx.tokenAmount) : undefined,
             timestamp: tx.timestamp,
-            status: tx.status
+            status: tx.status,
+            depositState: tx.depositState,
+            withdrawState: tx.withdrawState
         }));
 
         res.json(formattedTransactions);
@@ -1703,50 +1972,6 @@ app.get('/api/user/stats', authenticateToken, async (req, res) => {
     }
 });
 
-// Calculate balance from verified transaction history
-async function calculateBalanceFromHistory(userId) {
-    try {
-        const transactions = await GameTransaction.find({
-            userId: userId,
-            status: 'completed'
-        }).sort({ timestamp: 1 }); // Sort by timestamp to process in order
-
-        let calculatedBalance = 0;
-
-        for (const tx of transactions) {
-            switch (tx.type) {
-                case 'deposit':
-                    // Deposits add tokens
-                    calculatedBalance += tx.tokenAmount || 0;
-                    console.log(`[BALANCE_CALC] +${tx.tokenAmount} from deposit: ${calculatedBalance}`);
-                    break;
-                case 'withdraw':
-                    // Withdrawals subtract tokens
-                    calculatedBalance -= tx.tokenAmount || 0;
-                    console.log(`[BALANCE_CALC] -${tx.tokenAmount} from withdrawal: ${calculatedBalance}`);
-                    break;
-                case 'bet_win':
-                    // Wins add tokens
-                    calculatedBalance += tx.tokenAmount || 0;
-                    console.log(`[BALANCE_CALC] +${tx.tokenAmount} from win: ${calculatedBalance}`);
-                    break;
-                case 'bet_loss':
-                    // Losses subtract tokens
-                    calculatedBalance -= tx.tokenAmount || 0;
-                    console.log(`[BALANCE_CALC] -${tx.tokenAmount} from loss: ${calculatedBalance}`);
-                    break;
-            }
-        }
-
-        console.log(`[BALANCE_CALC] Final calculated balance for user ${userId}: ${calculatedBalance}`);
-        return calculatedBalance;
-
-    } catch (error) {
-        console.error('Error calculating balance from history:', error);
-        return 0;
-    }
-}
-
 // Reconcile user balance with transaction history
 app.post('/api/user/reconcile-balance', authenticateToken, async (req, res) => {
     try {
@@ -1754,50 +1979,50 @@ app.post('/api/user/reconcile-balance', authenticateToken, async (req, res) => {
         if (!user) return res.status(404).json({ error: 'User not found' });
 
         // Only reconcile if user has a verified wallet
-        if (!user.solanaAddress) {
+        if (user.wallets.length === 0) {
             return res.status(400).json({ error: 'No verified wallet address found' });
         }
 
-        const calculatedBalance = await calculateBalanceFromHistory(req.user.userId);
-        const previousBalance = user.gameBalance;
-
-        // Update user balance to match calculated amount
-        user.gameBalance = calculatedBalance;
-        await user.save();
+        // Update user balance to match calculated amount (compare-and-set against concurrent updates)
+        const { previousBalance, newBalance } = await balanceService.reconcileBalance(req.user.userId);
 
-        console.log(`[BALANCE_RECONCILE] User ${req.user.userId}: ${previousBalance} → ${calculatedBalance}`);
+        console.log(`[BALANCE_RECONCILE] User ${req.user.userId}: ${money.format(previousBalance)} → ${money.format(newBalance)}`);
 
         res.json({
-            previousBalance,
-            newBalance: calculatedBalance,
+            previousBalance: money.format(previousBalance),
+            newBalance: money.format(newBalance),
             reconciled: true
         });
 
     } catch (error) {
+        if (error instanceof balanceService.BalanceError) {
+            return res.status(error.statusCode).json({ error: error.message });
+        }
         console.error('Balance reconciliation error:', error);
         res.status(500).json({ error: 'Balance reconciliation failed' });
     }
 });
 
 // Secure server-side betting endpoint
-app.post('/api/game/place-bet', authenticateToken, async (req, res) => {
+app.post('/api/game/place-bet', authenticateToken, idempotency.middleware('place-bet'), async (req, res) => {
     try {
-        const { betAmount } = req.body;
-
-        console.log(`🎲 [SERVER_BET] User ${req.user.userId} placing bet: ${betAmount}`);
+        const requestedBet = req.body.betAmount;
 
-        // Validate bet amount
-        if (!betAmount || typeof betAmount !== 'number' || betAmount <= 0 || betAmount > 1000000) {
-            console.log(`❌ [SERVER_BET] Invalid bet amount: ${betAmount}`);
-            return res.status(400).json({ error: 'Invalid bet amount. Must be between 0.01 and 1,000,000' });
-        }
+        console.log(`🎲 [SERVER_BET] User ${req.user.userId} placing bet: ${requestedBet}`);
 
         // Validate bet amount precision (max 2 decimal places)
-        if (betAmount !== Math.round(betAmount * 100) / 100) {
-            console.log(`❌ [SERVER_BET] Invalid bet precision: ${betAmount}`);
+        const betAmount = money.parse(requestedBet, 2);
+        if (betAmount === null && money.parse(requestedBet) !== null) {
+            console.log(`❌ [SERVER_BET] Invalid bet precision: ${requestedBet}`);
             return res.status(400).json({ error: 'Bet amount can have at most 2 decimal places' });
         }
 
+        // Validate bet amount
+        if (betAmount === null || betAmount <= 0 || betAmount > MAX_BET) {
+            console.log(`❌ [SERVER_BET] Invalid bet amount: ${requestedBet}`);
+            return res.status(400).json({ error: 'Invalid bet amount. Must be between 0.01 and 1,000,000' });
+        }
+
         const user = await User.findById(req.user.userId);
         if (!user) {
             console.log(`❌ [SERVER_BET] User not found: ${req.user.userId}`);
@@ -1806,7 +2031,7 @@ app.post('/api/game/place-bet', authenticateToken, async (req, res) => {
 
         // Check if user has enough balance
         if (user.gameBalance < betAmount) {
-            console.log(`❌ [SERVER_BET] Insufficient balance: ${user.gameBalance} < ${betAmount}`);
+            console.log(`❌ [SERVER_BET] Insufficient balance: ${money.format(user.gameBalance)} < ${money.format(betAmount)}`);
             return res.status(400).json({ error: 'Insufficient balance' });
         }
 
@@ -1822,112 +2047,156 @@ app.post('/api/game/place-bet', authenticateToken, async (req, res) => {
             return res.status(429).json({ error: 'Too many bets. Please wait a moment.' });
         }
 
-        // Generate cryptographically secure random outcome
-        // Use 50.001% USER advantage (player wins if random < 0.50001)
-        const randomBytes = crypto.randomBytes(4);
-        const randomNumber = randomBytes.readUInt32LE(0) / 0xFFFFFFFF; // Convert to 0-1 range
+        // Provably fair outcome: claim the next nonce on the committed seed pair
+        const seed = await fairness.reserveNonce(user._id);
+        const nonce = seed.nonce;
+        const randomNumber = fairness.computeRoll(seed.serverSeed, seed.clientSeed, nonce);
 
-        console.log(`🎲 [SERVER_BET] Generated random number: ${randomNumber}`);
+        console.log(`🎲 [SERVER_BET] Roll ${randomNumber} (seed hash: ${seed.serverSeedHash}, nonce: ${nonce})`);
 
         // Player wins if random < 0.50001 (50.001% chance to win - user advantage)
-        const playerWins = randomNumber < 0.50001;
+        const playerWins = fairness.isWinningRoll(randomNumber);
 
-        console.log(`🎲 [SERVER_BET] Player ${playerWins ? 'WINS' : 'LOSES'} (threshold: 0.50001)`);
+        console.log(`🎲 [SERVER_BET] Player ${playerWins ? 'WINS' : 'LOSES'} (threshold: ${fairness.WIN_THRESHOLD})`);
 
         // Calculate net amount
         const netAmount = playerWins ? betAmount : -betAmount;
 
-        // Update user balance
+        // Update balance and record the bet atomically (only applies if the balance still covers the stake)
         const oldBalance = user.gameBalance;
-        user.gameBalance += netAmount;
-        await user.save();
-
-        console.log(`💰 [SERVER_BET] Balance update: ${oldBalance} → ${user.gameBalance}`);
-
-        // Create transaction record
-        const transaction = new GameTransaction({
+        idempotency.committing(req);
+        const { user: updatedUser, transaction } = await balanceService.applyBalanceChange({
             userId: user._id,
-            type: playerWins ? 'bet_win' : 'bet_loss',
-            amount: betAmount,
-            tokenAmount: betAmount,
-            status: 'completed'
+            delta: netAmount,
+            journal: ledger.betEntry(user._id, { stake: betAmount, won: playerWins }),
+            requiredBalance: betAmount,
+            transaction: {
+                type: playerWins ? 'bet_win' : 'bet_loss',
+                amount: betAmount,
+                tokenAmount: betAmount,
+                fairness: {
+                    seedId: seed._id,
+                    serverSeedHash: seed.serverSeedHash,
+                    clientSeed: seed.clientSeed,
+                    nonce,
+                    roll: randomNumber
+                },
+                status: 'completed'
+            }
         });
-        await transaction.save();
 
-        console.log(`✅ [SERVER_BET] Bet completed. User ${playerWins ? 'won' : 'lost'} ${betAmount} tokens`);
+        console.log(`💰 [SERVER_BET] Balance update: ${money.format(oldBalance)} → ${money.format(updatedUser.gameBalance)}`);
+
+        console.log(`✅ [SERVER_BET] Bet completed. User ${playerWins ? 'won' : 'lost'} ${money.format(betAmount)} tokens`);
 
         // Return result to client with full transparency data
         res.json({
             success: true,
             playerWins,
-            betAmount,
-            netAmount,
-            newBalance: user.gameBalance,
-            randomNumber, // Cryptographically secure random number (0-1)
-            winThreshold: 0.50001, // User advantage threshold
+            betAmount: money.format(betAmount),
+            netAmount: money.format(netAmount),
+            newBalance: money.format(updatedUser.gameBalance),
+            randomNumber, // Provably fair roll (0-1)
+            winThreshold: fairness.WIN_THRESHOLD, // User advantage threshold
             userAdvantage: 0.00001, // 0.001% user advantage
+            fairness: {
+                serverSeedHash: seed.serverSeedHash,
+                clientSeed: seed.clientSeed,
+                nonce
+            },
             transactionId: transaction._id,
             timestamp: new Date().toISOString(),
-            serverVersion: 'secure-v1' // For version tracking
+            serverVersion: 'provably-fair-v1' // For version tracking
         });
 
     } catch (error) {
+        if (error instanceof balanceService.BalanceError) {
+            console.log(`❌ [SERVER_BET] ${error.message}`);
+            return res.status(error.statusCode).json({ error: error.message });
+        }
         console.error('Server betting error:', error);
         res.status(500).json({ error: 'Betting failed' });
     }
 });
 
-// Legacy balance update endpoint (for backward compatibility)
-app.post('/api/game/update-balance', authenticateToken, async (req, res) => {
+// Get betting configuration (for transparency)
+app.get('/api/game/config', (req, res) => {
+    res.json({
+        winThreshold: 0.50001, // 50.001% chance to win
+        userAdvantage: 0.00001, // 0.001% user advantage
+        maxBetAmount: money.format(MAX_BET),
+        minBetAmount: '0.01',
+        serverVersion: 'provably-fair-v1',
+        randomness: 'provably_fair_hmac_sha256',
+        rollFormula: 'HMAC_SHA256(serverSeed, clientSeed:nonce) first 4 bytes (big-endian) / 2^32',
+        rateLimitPerSecond: 5,
+        description: 'Server-side provably fair betting with slight user advantage'
+    });
+});
+
+// Provably fair: current seed commitment (server seed hash, client seed, next nonce)
+app.get('/api/fairness/seeds', authenticateToken, async (req, res) => {
     try {
-        const { amount, type } = req.body; // amount can be positive (win) or negative (loss)
+        const seed = await fairness.getActiveSeed(req.user.userId);
+        res.json({ active: fairness.publicSeedView(seed) });
+    } catch (error) {
+        console.error('Fairness seed fetch error:', error);
+        res.status(500).json({ error: 'Failed to fetch fairness seeds' });
+    }
+});
 
-        const user = await User.findById(req.user.userId);
-        if (!user) return res.status(404).json({ error: 'User not found' });
+// Provably fair: reveal the active server seed and commit to a new pair
+app.post('/api/fairness/rotate', authenticateToken, async (req, res) => {
+    try {
+        const { clientSeed } = req.body || {};
 
-        // Check if user has enough balance for bet loss
-        if (amount < 0 && user.gameBalance < Math.abs(amount)) {
-            return res.status(400).json({ error: 'Insufficient balance' });
+        if (clientSeed !== undefined && !fairness.isValidClientSeed(clientSeed)) {
+            return res.status(400).json({ error: `Client seed must be 1-${fairness.MAX_CLIENT_SEED_LENGTH} printable characters` });
         }
 
-        user.gameBalance += amount;
-        await user.save();
-
-        // Create transaction record
-        const transaction = new GameTransaction({
-            userId: user._id,
-            type: type === 'win' ? 'bet_win' : 'bet_loss',
-            amount: Math.abs(amount),
-            tokenAmount: Math.abs(amount),
-            status: 'completed'
-        });
-        await transaction.save();
+        const { revealed, active } = await fairness.rotateSeed(req.user.userId, clientSeed);
+        console.log(`🔐 [FAIRNESS] Rotated seed for user ${req.user.userId}`);
 
         res.json({
-            newBalance: user.gameBalance,
-            transactionId: transaction._id
+            revealed: fairness.publicSeedView(revealed),
+            active: fairness.publicSeedView(active)
         });
-
     } catch (error) {
-        console.error('Balance update error:', error);
-        res.status(500).json({ error: 'Balance update failed' });
+        console.error('Fairness rotate error:', error);
+        res.status(500).json({ error: 'Failed to rotate seeds' });
     }
 });
 
+// Provably fair: recompute a past bet from its revealed seeds
+app.post('/api/fairness/verify', authenticateToken, async (req, res) => {
+    try {
+        const { transactionId, serverSeed, clientSeed, nonce } = req.body || {};
 
+        if (transactionId) {
+            if (!mongoose.Types.ObjectId.isValid(transactionId)) {
+                return res.status(400).json({ error: 'Invalid transaction id' });
+            }
 
-// Get betting configuration (for transparency)
-app.get('/api/game/config', (req, res) => {
-    res.json({
-        winThreshold: 0.50001, // 50.001% chance to win
-        userAdvantage: 0.00001, // 0.001% user advantage
-        maxBetAmount: 1000000,
-        minBetAmount: 0.01,
-        serverVersion: 'secure-v1',
-        randomness: 'cryptographically_secure',
-        rateLimitPerSecond: 5,
-        description: 'Server-side secure betting with slight user advantage'
-    });
+            const transaction = await GameTransaction.findOne({
+                _id: transactionId,
+                userId: req.user.userId,
+                type: { $in: ['bet_win', 'bet_loss'] }
+            });
+            if (!transaction) return res.status(404).json({ error: 'Bet not found' });
+
+            const result = await fairness.verifyBetTransaction(transaction);
+            return res.json({ transactionId, ...result });
+        }
+
+        if (typeof serverSeed !== 'string' || typeof clientSeed !== 'string' || !Number.isInteger(nonce) || nonce < 0) {
+            return res.status(400).json({ error: 'Provide transactionId, or serverSeed, clientSeed and nonce' });
+        }
+
+        res.json({ verifiable: true, serverSeed, ...fairness.verifyRoll({ serverSeed, clientSeed, nonce }) });
+    } catch (error) {
+        console.error('Fairness verify error:', error);
+        res.status(500).json({ error: 'Verification failed' });
+    }
 });
 
 // Health check
@@ -7,6 +7,18 @@ class SolanaManager {
         this.treasuryAddress = null;
         this.userWalletAddress = null; // User's verified wallet address (deposit verification)
         this.userWithdrawAddress = null; // User's explicit personal withdrawal address
+        this.linkedWallets = []; // Wallets linked to the account: { address, label, role, ... }
+        this.isExchangeWallet = false; // Deposited from an exchange: withdrawals need a personal default wallet
+        this.depositMemo = null; // Memo code that credits a deposit to this account from any wallet
+        this.depositReference = null; // Solana Pay reference key, same purpose
+        this.paymentRequest = null; // Open Solana Pay deposit request (deposit modal)
+        this.paymentRequestSince = null;
+        this.paymentPollTimer = null;
+        this.announcedDeposits = new Set();
+        this.pendingDepositsTimer = null; // Refreshes history while deposits await their credit commitment
+        this.withdrawalPollTimer = null; // Polls a queued withdrawal until it completes or fails
+        this.withdrawQuoteTimer = null; // Debounces the withdrawal fee preview
+        this.requests = new IdempotentRequests((action) => this.resolveApi(action), { logTag: '[FRONTEND]', attempts: 3, timeoutMs: 30000 }); // POSTs that move money, with Idempotency-Keys
         this.init();
     }
 
@@ -29,9 +41,20 @@ class SolanaManager {
                 'user-reconcile-balance': 'user/reconcile-balance',
                 'user-stats': 'user/stats',
                 'deposit': 'deposit',
+                'deposit-payment-request': 'deposit/payment-request',
+                'deposit-payment-status': 'deposit/payment-status',
+                'deposit-claim': 'deposit/claim',
                 'withdraw': 'withdraw',
+                'withdraw-status': 'withdraw/status',
+                'withdraw-quote': 'withdraw/quote',
                 'auth-google': 'auth/google',
-                'user-update-settings': 'user/update-settings'
+                'user-update-settings': 'user/update-settings',
+                'user-wallet-challenge': 'user/wallet-challenge',
+                'user-solana-address': 'user/solana-address',
+                'user-wallets': 'user/wallets',
+                'user-limits': 'user/limits',
+                'proof-of-reserves': 'proof-of-reserves',
+                'proof-of-reserves-proof': 'proof-of-reserves/proof'
             };
             const mapped = mapping[path] || path;
             return `${base}/${mapped}`;
@@ -61,6 +84,9 @@ class SolanaManager {
 
         // Load treasury address
         this.loadTreasuryAddress();
+
+        // Load the published proof of reserves (public)
+        this.loadProofOfReserves();
     }
 
     setupEventListeners() {
@@ -72,7 +98,8 @@ class SolanaManager {
         const settingsModal = document.getElementById('settings-modal');
         const settingsCancel = document.getElementById('settings-cancel-btn');
         const settingsSave = document.getElementById('settings-save-btn');
-        const withdrawAddressInput = document.getElementById('withdraw-address-input');
+        const addWalletBtn = document.getElementById('add-wallet-btn');
+        const addExchangeWalletBtn = document.getElementById('add-exchange-wallet-btn');
 
         if (depositBtn) {
             depositBtn.addEventListener('click', () => this.showDepositInstructions());
@@ -82,16 +109,26 @@ class SolanaManager {
             withdrawBtn.addEventListener('click', () => this.handleWithdraw());
         }
 
+        const reservesVerifyBtn = document.getElementById('reserves-verify-btn');
+        if (reservesVerifyBtn) {
+            reservesVerifyBtn.addEventListener('click', () => this.verifyReservesProof());
+        }
+
+        const withdrawAmount = document.getElementById('withdraw-amount');
+        if (withdrawAmount) {
+            withdrawAmount.addEventListener('input', () => {
+                clearTimeout(this.withdrawQuoteTimer);
+                this.withdrawQuoteTimer = setTimeout(() => this.previewWithdrawal(), 400);
+            });
+        }
+
         if (settingsBtn && settingsModal) {
             settingsBtn.addEventListener('click', () => {
                 if (!window.authManager?.isAuthenticated) {
                     this.showError('Please login first.');
                     return;
                 }
-                // Pre-fill input with current setting if available
-                if (withdrawAddressInput) {
-                    withdrawAddressInput.value = this.userWithdrawAddress || '';
-                }
+                this.renderLinkedWallets();
                 settingsModal.style.display = 'flex';
             });
         }
@@ -107,11 +144,18 @@ class SolanaManager {
                 }
             });
         }
-        if (settingsSave && withdrawAddressInput && settingsModal) {
+        if (addWalletBtn) {
+            addWalletBtn.addEventListener('click', () => this.linkConnectedWallet());
+        }
+        if (addExchangeWalletBtn) {
+            addExchangeWalletBtn.addEventListener('click', () => this.linkExchangeWallet());
+        }
+        if (settingsSave && settingsModal) {
             settingsSave.addEventListener('click', async () => {
-                const addr = (withdrawAddressInput.value || '').trim();
+                const selected = document.querySelector('input[name="default-withdraw-wallet"]:checked');
+                const addr = selected ? selected.value : '';
                 if (!addr) {
-                    this.showError('Please enter a Solana address.');
+                    this.showError('Link a wallet for withdrawals first.');
                     return;
                 }
                 if (!window.authManager?.token) {
@@ -132,6 +176,8 @@ class SolanaManager {
                         throw new Error(data.error || 'Failed to save settings');
                     }
                     this.userWithdrawAddress = data.withdrawAddress;
+                    this.renderLinkedWallets();
+                    this.updateExchangeUI();
                     this.showSuccess('Withdrawal address saved. Withdrawals will go to this wallet.');
                     this.updateHeaderWalletDisplay();
                     settingsModal.style.display = 'none';
@@ -148,6 +194,37 @@ class SolanaManager {
         if (verifyDepositBtn) {
             verifyDepositBtn.addEventListener('click', () => this.verifyDeposit());
         }
+
+        const claimSignBtn = document.getElementById('claim-sign-btn');
+        const claimReferenceBtn = document.getElementById('claim-reference-btn');
+        if (claimSignBtn) {
+            claimSignBtn.addEventListener('click', () => this.claimDeposit('signature'));
+        }
+        if (claimReferenceBtn) {
+            claimReferenceBtn.addEventListener('click', () => this.claimDeposit('reference'));
+        }
+
+        const depositModal = document.getElementById('deposit-modal');
+        const depositAmountInput = document.getElementById('deposit-amount-input');
+        const depositCopyLinkBtn = document.getElementById('deposit-copy-link-btn');
+        const depositCloseBtn = document.getElementById('deposit-close-btn');
+
+        if (depositAmountInput) {
+            depositAmountInput.addEventListener('change', () => this.refreshPaymentRequest());
+        }
+        if (depositCopyLinkBtn) {
+            depositCopyLinkBtn.addEventListener('click', () => this.copyPaymentLink());
+        }
+        if (depositCloseBtn) {
+            depositCloseBtn.addEventListener('click', () => this.closeDepositModal());
+        }
+        if (depositModal) {
+            depositModal.addEventListener('click', (e) => {
+                if (e.target === depositModal) {
+                    this.closeDepositModal();
+                }
+            });
+        }
     }
 
     async loadTreasuryAddress() {
@@ -164,6 +241,82 @@ class SolanaManager {
         }
     }
 
+    // The latest proof of reserves period: on-chain reserves against what players are owed
+    async loadProofOfReserves() {
+        const section = document.getElementById('reserves-section');
+        if (!section) return null;
+
+        try {
+            const response = await fetch(this.resolveApi('proof-of-reserves'));
+            if (!response.ok) return null;
+            const report = await response.json();
+            if (!report.latest) return report;
+
+            const { latest } = report;
+            const coverage = latest.ratio === null ? '' : ` (${(latest.ratio * 100).toFixed(2)}% covered)`;
+            document.getElementById('reserves-period').textContent = `#${latest.period} · ${new Date(latest.takenAt).toLocaleString()}`;
+            document.getElementById('reserves-total').textContent = `${latest.reserves.total} USDC`;
+            document.getElementById('reserves-liabilities').textContent = `${latest.liabilities} USDC${coverage}`;
+            document.getElementById('reserves-root').textContent = latest.root;
+            section.style.display = 'block';
+            return report;
+        } catch (error) {
+            console.error('Failed to load proof of reserves:', error);
+            return null;
+        }
+    }
+
+    async sha256Hex(text) {
+        const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(text));
+        return Array.from(new Uint8Array(digest), (byte) => byte.toString(16).padStart(2, '0')).join('');
+    }
+
+    // Check the user's inclusion proof here, from their leaf up to the published root, rather
+    // than taking the server's word for it (hashing as in lib/proof-of-reserves.js)
+    async verifyReservesProof() {
+        const output = document.getElementById('reserves-output');
+        if (!output) return;
+        if (!window.authManager?.token) {
+            output.textContent = 'Log in to verify your balance.';
+            return;
+        }
+
+        try {
+            const response = await fetch(this.resolveApi('proof-of-reserves-proof'), {
+                headers: {
+                    'Authorization': `Bearer ${window.authManager.token}`
+                }
+            });
+            const data = await response.json();
+            if (!response.ok) {
+                throw new Error(data.error || 'Failed to fetch your proof');
+            }
+
+            const { leaf } = data;
+            let node = { hash: await this.sha256Hex(`leaf:${leaf.userId}:${leaf.liability}:${leaf.salt}`), sum: leaf.liability };
+            for (const sibling of data.proof) {
+                const [left, right] = sibling.side === 'left' ? [sibling, node] : [node, sibling];
+                node = {
+                    hash: await this.sha256Hex(`node:${left.hash}:${left.sum}:${right.hash}:${right.sum}`),
+                    sum: left.sum + right.sum
+                };
+            }
+
+            const report = await this.loadProofOfReserves();
+            const published = report?.history.find((period) => period.period === data.period);
+            if (!published || published.root !== node.hash || node.sum !== data.root.sum) {
+                output.textContent = `❌ Your proof does not lead to the published root of period ${data.period}`;
+                return;
+            }
+            output.textContent =
+                `✅ Verified: your ${data.owed.total} USDC (balance ${data.owed.balance}, pending withdrawals ` +
+                `${data.owed.pendingWithdrawals}) is counted in period ${data.period}'s ${published.liabilities} USDC of liabilities`;
+        } catch (error) {
+            console.error('Proof of reserves verification error:', error);
+            output.textContent = error.message;
+        }
+    }
+
     async copyTreasuryAddress() {
         if (!this.treasuryAddress) {
             this.showError('Treasury address not loaded yet.');
@@ -179,67 +332,178 @@ class SolanaManager {
         }
     }
 
-    showDepositInstructions() {
+    // Deposit modal: a Solana Pay transfer request (QR code + wallet link) carrying the user's
+    // reference, which the backend watches and credits automatically
+    async showDepositInstructions() {
         if (!this.treasuryAddress) {
             this.showError('Treasury address not loaded yet. Please try again.');
             return;
         }
+        if (!window.authManager?.token) {
+            this.showError('Please login first.');
+            return;
+        }
 
-        // Check if user has verified wallet
-        const hasVerifiedWallet = this.userWalletAddress !== null;
+        const modal = document.getElementById('deposit-modal');
+        if (!modal) return;
 
-        // Show deposit verification UI
-        const verificationDiv = document.querySelector('.deposit-verification');
-        if (verificationDiv) {
-            verificationDiv.style.display = verificationDiv.style.display === 'none' ? 'block' : 'none';
+        // Deposits carrying the user's memo code are credited whatever wallet sends them
+        const memoInfo = document.getElementById('deposit-memo-info');
+        if (memoInfo) {
+            memoInfo.textContent = this.depositMemo
+                ? `Sending from an exchange or another wallet? Send USDC to ${this.treasuryAddress} and put ${this.depositMemo} in the memo / tag field.`
+                : `Sending from another wallet? Send USDC to ${this.treasuryAddress}.`;
         }
 
-        let instructions;
-        if (hasVerifiedWallet) {
-            // Instructions for verified users
-            instructions = `
-🎯 QUICK DEPOSIT PROCESS
+        this.announcedDeposits = new Set();
+        modal.style.display = 'flex';
+        this.setDepositStatus('Preparing payment request...');
 
-Your wallet is verified! Send USDC and we'll handle the rest automatically.
+        if (await this.refreshPaymentRequest()) {
+            this.startPaymentPolling();
+        }
+    }
 
-📋 How to deposit:
-1. Send USDC to: ${this.treasuryAddress}
-2. Click "Update Balance" to refresh your tokens
-3. Done! Your tokens appear instantly
+    async refreshPaymentRequest() {
+        const amountInput = document.getElementById('deposit-amount-input');
+        const amount = (amountInput?.value || '').trim();
 
-⚠️  Important:
-• Send from your verified wallet: ${this.userWalletAddress ? `${this.userWalletAddress.slice(0, 8)}...${this.userWalletAddress.slice(-8)}` : 'your verified wallet'}
-• 5¢ fee applies to all deposits
-• Minimum deposit: 0.06 USDC
-• Use any Solana wallet (Phantom, Solflare, etc.)
+        try {
+            const res = await fetch(this.resolveApi('deposit-payment-request'), {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json',
+                    'Authorization': `Bearer ${window.authManager.token}`
+                },
+                body: JSON.stringify(amount ? { amount } : {})
+            });
+            const data = await res.json().catch(() => ({}));
+            if (!res.ok) {
+                throw new Error(data.error || 'Failed to create payment request');
+            }
 
-💡 Deposits are processed automatically - just send and update!
-            `;
-        } else {
-            // Instructions for new users
-            instructions = `
-🛡️ FIRST DEPOSIT - WALLET VERIFICATION 🛡️
+            this.paymentRequest = data;
+            // Keep the earliest start so deposits paid from an earlier code are still announced
+            this.paymentRequestSince = this.paymentRequestSince || data.createdAt;
+            this.depositMemo = data.memo;
+            this.depositReference = data.reference;
+
+            this.renderPaymentQR(data.url);
+            const payLink = document.getElementById('deposit-pay-link');
+            if (payLink) payLink.href = data.url;
+            this.setDepositStatus(data.amount
+                ? `Waiting for your payment of ${data.amount} USDC...`
+                : 'Waiting for your payment...');
+            return true;
+        } catch (error) {
+            console.error('Payment request error:', error);
+            this.setDepositStatus(error.message || 'Failed to create payment request');
+            return false;
+        }
+    }
 
-To get started with game tokens:
+    renderPaymentQR(url) {
+        const container = document.getElementById('deposit-qr');
+        if (!container) return;
+        container.innerHTML = '';
 
-1. Copy the treasury address: ${this.treasuryAddress}
-2. Send USDC from your wallet to this address
-3. Paste the transaction signature below
-4. Click "Verify Deposit" to complete setup
+        if (typeof QRCode === 'undefined') {
+            container.textContent = 'QR code unavailable - use "Open in Wallet" or copy the payment link.';
+            return;
+        }
+        new QRCode(container, {
+            text: url,
+            width: 200,
+            height: 200,
+            correctLevel: QRCode.CorrectLevel.M
+        });
+    }
 
-⚠️  Important:
-• Send USDC (not SOL or other tokens)
-• Minimum deposit: 0.06 USDC (0.01 tokens after 5¢ fee)
-• 5¢ fee applies to all deposits
-• Use any Solana wallet (Phantom, Solflare, etc.)
+    async copyPaymentLink() {
+        if (!this.paymentRequest) return;
+        try {
+            await navigator.clipboard.writeText(this.paymentRequest.url);
+            this.showSuccess('Payment link copied to clipboard!');
+        } catch (error) {
+            console.error('Copy error:', error);
+            this.showError('Failed to copy payment link.');
+        }
+    }
 
-💡 Tip: Use https://solscan.io to verify your transaction
+    setDepositStatus(message) {
+        const status = document.getElementById('deposit-status');
+        if (status) status.textContent = message;
+    }
 
-🚀 After verification, future deposits are automatic!
-            `;
+    startPaymentPolling() {
+        this.stopPaymentPolling();
+        this.paymentPollTimer = setInterval(() => this.pollPaymentStatus(), 5000);
+    }
+
+    stopPaymentPolling() {
+        if (this.paymentPollTimer) {
+            clearInterval(this.paymentPollTimer);
+            this.paymentPollTimer = null;
         }
+    }
 
-        alert(instructions);
+    closeDepositModal() {
+        this.stopPaymentPolling();
+        this.paymentRequest = null;
+        this.paymentRequestSince = null;
+        const modal = document.getElementById('deposit-modal');
+        if (modal) modal.style.display = 'none';
+    }
+
+    async pollPaymentStatus() {
+        if (!this.paymentRequest || !window.authManager?.token) return;
+
+        // The backend stops watching the reference after a while; so do we
+        if (Date.now() > new Date(this.paymentRequest.watchUntil).getTime()) {
+            this.stopPaymentPolling();
+            this.setDepositStatus('Payment request expired. Close and reopen to make a new one - late payments are still credited automatically.');
+            return;
+        }
+
+        try {
+            const query = encodeURIComponent(this.paymentRequestSince);
+            const res = await fetch(`${this.resolveApi('deposit-payment-status')}?since=${query}`, {
+                headers: {
+                    'Authorization': `Bearer ${window.authManager.token}`
+                }
+            });
+            if (!res.ok) return;
+            const data = await res.json();
+
+            // Deposits are announced once credited; until then show how far along they are
+            const deposits = data.deposits || [];
+            const fresh = deposits.filter(deposit => deposit.status === 'completed' && !this.announcedDeposits.has(deposit.signature));
+            if (fresh.length === 0) {
+                const pending = deposits.find(deposit => deposit.status === 'pending');
+                if (pending) {
+                    this.setDepositStatus(`⏳ Payment seen (${pending.depositState}), ${pending.gameTokensAdded} tokens will be credited once the transaction settles...`);
+                }
+                return;
+            }
+            fresh.forEach(deposit => this.announcedDeposits.add(deposit.signature));
+
+            // Amounts arrive as exact decimal strings
+            this.gameBalance = parseFloat(data.newBalance) || this.gameBalance;
+            if (window.gameInstance) {
+                window.gameInstance.tokens = this.gameBalance;
+                window.gameInstance.updateDisplay();
+            }
+            this.updateWalletUI();
+            this.loadTransactionHistory();
+
+            for (const deposit of fresh) {
+                console.log(`✅ [SOLANA PAY] Deposit credited: ${deposit.signature}`);
+                this.showSuccess(`Received ${deposit.usdcReceived} USDC → ${deposit.gameTokensAdded} tokens!`);
+            }
+            this.setDepositStatus(`✅ Deposit received! New balance: ${data.newBalance} tokens.`);
+        } catch (error) {
+            console.error('Payment status error:', error);
+        }
     }
 
     async verifyDeposit() {
@@ -296,18 +560,16 @@ To get started with game tokens:
             console.log(`📤 [FRONTEND] Sending deposit request...`);
             this.showInfo(statusMessage);
 
-            const response = await fetch(this.resolveApi('deposit'), {
-                method: 'POST',
-                headers: {
-                    'Content-Type': 'application/json',
-                    'Authorization': `Bearer ${window.authManager.token}`
-                },
-                body: JSON.stringify(requestBody)
-            });
+            let { response, data } = await this.requests.post('deposit', requestBody);
 
-            console.log(`📥 [FRONTEND] Deposit API response status: ${response.status}`);
+            if (data.code === 'WALLET_PROOF_REQUIRED' && data.walletAddress) {
+                // First deposit from this wallet: prove it is ours before it is bound to the account
+                this.showInfo(`🔐 Approve the message in your wallet to verify ${data.walletAddress}`);
+                requestBody.walletProof = await this.proveWalletOwnership(data.walletAddress);
+                ({ response, data } = await this.requests.post('deposit', requestBody));
+            }
 
-            const data = await response.json();
+            console.log(`📥 [FRONTEND] Deposit API response status: ${response.status}`);
             console.log(`📥 [FRONTEND] Deposit API response data:`, data);
 
             if (!response.ok) {
@@ -316,8 +578,8 @@ To get started with game tokens:
             }
             console.log(`✅ [FRONTEND] Deposit API success`);
 
-            // Update local balances
-            this.gameBalance = data.newBalance || data.newGameBalance || this.gameBalance;
+            // Update local balances (amounts arrive as exact decimal strings)
+            this.gameBalance = parseFloat(data.newBalance || data.newGameBalance || this.gameBalance) || 0;
 
             // Update game balance
             if (window.gameInstance) {
@@ -326,28 +588,32 @@ To get started with game tokens:
             }
 
             // Handle different response types
-            if (data.autoUpdated) {
+            if (data.pending) {
+                // Recorded, credited once the transaction reaches the credit commitment
+                this.showInfo(`⏳ ${data.message}`);
+                this.updateScanStatus('found');
+            } else if (data.autoUpdated) {
                 // Auto-update success
                 this.showSuccess(`✅ Balance automatically updated! You now have ${data.newBalance ?? data.newGameBalance} tokens.`);
                 this.updateScanStatus('found');
-                if ((data.gameTokensAdded ?? 0) !== 0) {
+                const added = parseFloat(data.gameTokensAdded) || 0;
+                if (added !== 0) {
                     setTimeout(() => {
-                        const added = data.gameTokensAdded ?? 0;
                         const sign = added > 0 ? '+' : '';
                         this.showSuccess(`${sign}${added} tokens from recent transactions.`);
                     }, 1500);
                 }
             } else if (data.walletVerified) {
-                // First deposit success
-                this.showSuccess(`🎉 First deposit successful! Your wallet address has been verified and stored securely.`);
+                // Deposit from a newly linked wallet
+                this.showSuccess(`🎉 Deposit successful! Your wallet has been verified and linked to your account.`);
                 this.updateScanStatus('found');
                 setTimeout(() => {
-                    this.showSuccess(`Successfully deposited ${data.usdcReceived} USDC (${data.feeDeducted}¢ fee deducted) → ${data.usdcAfterFee} USDC = ${data.gameTokensAdded} tokens!`);
+                    this.showSuccess(`Successfully deposited ${data.usdcReceived} USDC (${data.feeDeducted} USDC fee deducted) → ${data.usdcAfterFee} USDC = ${data.gameTokensAdded} tokens!`);
                 }, 2000);
             } else {
                 // Regular deposit success
                 if (data.usdcReceived !== undefined) {
-                    this.showSuccess(`Successfully deposited ${data.usdcReceived} USDC (${data.feeDeducted}¢ fee deducted) → ${data.usdcAfterFee} USDC = ${data.gameTokensAdded} tokens!`);
+                    this.showSuccess(`Successfully deposited ${data.usdcReceived} USDC (${data.feeDeducted} USDC fee deducted) → ${data.usdcAfterFee} USDC = ${data.gameTokensAdded} tokens!`);
                 } else {
                     this.showSuccess('Deposit processed.');
                 }
@@ -372,6 +638,292 @@ To get started with game tokens:
         }
     }
 
+    // Sign message with the browser wallet, which has to be expectedAddress. Resolves to the
+    // base64 signature.
+    async signWithWallet(expectedAddress, message) {
+        const provider = window.phantom?.solana || window.solana;
+        if (!provider?.signMessage) {
+            throw new Error('Open this page in a wallet that can sign messages (e.g. Phantom) to continue.');
+        }
+        const { publicKey } = await provider.connect();
+        if (publicKey.toString() !== expectedAddress) {
+            throw new Error(`Switch your wallet to ${expectedAddress} and try again.`);
+        }
+        const signed = await provider.signMessage(new TextEncoder().encode(message), 'utf8');
+        return btoa(String.fromCharCode(...signed.signature));
+    }
+
+    // Proof that the user controls address, for linking it to the account: the wallet signs a
+    // one-time challenge from the backend. Resolves to { nonce, signature }.
+    async proveWalletOwnership(address) {
+        const res = await fetch(this.resolveApi('user-wallet-challenge'), {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+                'Authorization': `Bearer ${window.authManager.token}`
+            },
+            body: JSON.stringify({ address })
+        });
+        const challenge = await res.json();
+        if (!res.ok) {
+            throw new Error(challenge.error || 'Failed to start wallet verification');
+        }
+        const signature = await this.signWithWallet(address, challenge.message);
+        return { nonce: challenge.nonce, signature };
+    }
+
+    // Call the linked wallets endpoint and keep the returned list; address selects the wallet
+    // for PATCH and DELETE
+    async walletsRequest(method, { address, body } = {}) {
+        const query = address ? `?address=${encodeURIComponent(address)}` : '';
+        const res = await fetch(`${this.resolveApi('user-wallets')}${query}`, {
+            method,
+            headers: {
+                'Content-Type': 'application/json',
+                'Authorization': `Bearer ${window.authManager.token}`
+            },
+            body: body ? JSON.stringify(body) : undefined
+        });
+        const data = await res.json().catch(() => ({}));
+        if (!res.ok) {
+            throw new Error(data.error || 'Failed to update linked wallets');
+        }
+        this.linkedWallets = data.wallets || [];
+        this.userWalletAddress = data.solanaAddress || null;
+        this.userWithdrawAddress = data.withdrawAddress || null;
+        this.isExchangeWallet = !!data.isExchangeWallet;
+        this.renderLinkedWallets();
+        this.updateExchangeUI();
+        this.updateHeaderWalletDisplay();
+        return data;
+    }
+
+    // Link the wallet connected in the browser, with the label and role from the settings modal
+    async linkConnectedWallet() {
+        if (!window.authManager?.token) {
+            this.showError('Please login first.');
+            return;
+        }
+        const provider = window.phantom?.solana || window.solana;
+        if (!provider) {
+            this.showError('Open this page in a Solana wallet (e.g. Phantom) to link it.');
+            return;
+        }
+        const labelInput = document.getElementById('new-wallet-label');
+        const roleSelect = document.getElementById('new-wallet-role');
+        try {
+            const { publicKey } = await provider.connect();
+            const address = publicKey.toString();
+            const proof = await this.proveWalletOwnership(address);
+            await this.walletsRequest('POST', {
+                body: { address, ...proof, label: labelInput?.value.trim() || undefined, role: roleSelect?.value || 'both' }
+            });
+            if (labelInput) labelInput.value = '';
+            this.showSuccess(`Wallet ${address.slice(0, 7)}... linked to your account.`);
+        } catch (error) {
+            this.showError(error.message || 'Failed to link wallet');
+        }
+    }
+
+    // Add an exchange deposit address for withdrawals. Exchange wallets can't sign a challenge,
+    // so the backend links them without a proof, if the address is on its exchange wallet list.
+    async linkExchangeWallet() {
+        if (!window.authManager?.token) {
+            this.showError('Please login first.');
+            return;
+        }
+        const addressInput = document.getElementById('exchange-wallet-address');
+        const labelInput = document.getElementById('new-wallet-label');
+        const address = addressInput?.value.trim();
+        if (!address) {
+            this.showError('Enter the exchange deposit address to withdraw to.');
+            return;
+        }
+        try {
+            await this.walletsRequest('POST', {
+                body: { address, label: labelInput?.value.trim() || undefined, role: 'withdraw' }
+            });
+            addressInput.value = '';
+            if (labelInput) labelInput.value = '';
+            this.showSuccess('Exchange address added. Withdrawals to it need your exchange memo / tag.');
+        } catch (error) {
+            this.showError(error.message || 'Failed to add exchange address');
+        }
+    }
+
+    // The default withdrawal wallet, if it is linked
+    withdrawWallet() {
+        return this.linkedWallets.find((wallet) => wallet.address === this.userWithdrawAddress) || null;
+    }
+
+    // Memo field for withdrawals to an exchange wallet, and the notice for accounts that
+    // deposited from an exchange
+    updateExchangeUI() {
+        const exchange = this.withdrawWallet()?.exchange;
+        const memoInput = document.getElementById('withdraw-memo');
+        if (memoInput) {
+            memoInput.style.display = exchange ? '' : 'none';
+            memoInput.placeholder = exchange ? `${exchange} memo / tag` : 'Memo / tag';
+            if (!exchange) memoInput.value = '';
+        }
+        const notice = document.getElementById('exchange-wallet-notice');
+        if (notice) {
+            const needsPersonal = this.isExchangeWallet && (!this.userWithdrawAddress || exchange);
+            notice.style.display = needsPersonal ? '' : 'none';
+        }
+    }
+
+    // Settings modal list of linked wallets: relabel, change role, pick the default withdrawal
+    // wallet (saved with the Save button) or unlink
+    renderLinkedWallets() {
+        const list = document.getElementById('linked-wallets-list');
+        if (!list) return;
+        list.textContent = '';
+
+        if (this.linkedWallets.length === 0) {
+            list.textContent = 'No wallets linked yet. Connect a wallet and link it below, or make a deposit.';
+            return;
+        }
+
+        const roles = { both: 'Deposits & withdrawals', deposit: 'Deposits only', withdraw: 'Withdrawals only' };
+        const fieldStyle = 'padding:6px; border-radius:6px; background:#0c0c0c; border:1px solid #222; color:#fff;';
+        for (const wallet of this.linkedWallets) {
+            const row = document.createElement('div');
+            row.style.cssText = 'border:1px solid #222; border-radius:6px; padding:8px; margin-bottom:6px;';
+
+            const label = document.createElement('input');
+            label.type = 'text';
+            label.maxLength = 40;
+            label.value = wallet.label || '';
+            label.style.cssText = `${fieldStyle} width:100%;`;
+            label.addEventListener('change', () => {
+                this.walletsRequest('PATCH', { address: wallet.address, body: { label: label.value.trim() } })
+                    .catch((error) => this.showError(error.message));
+            });
+
+            const address = document.createElement('div');
+            address.style.cssText = 'color:#888; margin:4px 0; word-break:break-all;';
+            const lastUsed = wallet.lastUsed ? `, last used ${new Date(wallet.lastUsed).toLocaleDateString()}` : '';
+            address.textContent = `${wallet.address}${wallet.verified ? ' ✅' : ''}${wallet.exchange ? ` 🏦 ${wallet.exchange}` : ''}${lastUsed}`;
+            // New withdrawal wallets are blocked for a while and may need the emailed confirmation
+            if (wallet.confirmationPending) {
+                address.textContent += ' · 📧 confirm it with the link we emailed you before withdrawing';
+            } else if (wallet.withdrawableAt && new Date(wallet.withdrawableAt) > new Date()) {
+                address.textContent += ` · ⏳ withdrawals enabled ${new Date(wallet.withdrawableAt).toLocaleString()}`;
+            }
+
+            const controls = document.createElement('div');
+            controls.style.cssText = 'display:flex; gap:6px; align-items:center; flex-wrap:wrap;';
+
+            // Exchange wallets are for withdrawals only
+            if (wallet.exchange) {
+                controls.append(roles.withdraw);
+            } else {
+                const role = document.createElement('select');
+                role.style.cssText = fieldStyle;
+                for (const [value, text] of Object.entries(roles)) {
+                    role.add(new Option(text, value, false, value === wallet.role));
+                }
+                role.addEventListener('change', () => {
+                    this.walletsRequest('PATCH', { address: wallet.address, body: { role: role.value } })
+                        .catch((error) => this.showError(error.message));
+                });
+                controls.appendChild(role);
+            }
+
+            if (wallet.role !== 'deposit') {
+                const defaultLabel = document.createElement('label');
+                const radio = document.createElement('input');
+                radio.type = 'radio';
+                radio.name = 'default-withdraw-wallet';
+                radio.value = wallet.address;
+                radio.checked = wallet.address === this.userWithdrawAddress;
+                defaultLabel.append(radio, ' Default for withdrawals');
+                controls.appendChild(defaultLabel);
+            }
+
+            const remove = document.createElement('button');
+            remove.className = 'wallet-btn';
+            remove.style.cssText = 'background:#333; margin-left:auto;';
+            remove.textContent = '✖ Remove';
+            remove.addEventListener('click', () => {
+                if (!confirm(`Unlink ${wallet.label || wallet.address}?`)) return;
+                this.walletsRequest('DELETE', { address: wallet.address })
+                    .then(() => this.showSuccess('Wallet unlinked.'))
+                    .catch((error) => this.showError(error.message));
+            });
+            controls.appendChild(remove);
+
+            row.append(label, address, controls);
+            list.appendChild(row);
+        }
+    }
+
+    // Claim a deposit from the unclaimed inbox: mode 'signature' signs the claim message with the
+    // wallet that sent it (credited at once), 'reference' files the memo/reference for review
+    async claimDeposit(mode) {
+        const signature = document.getElementById('deposit-signature')?.value?.trim();
+        if (!window.authManager?.token) {
+            this.showError('Please login first.');
+            return;
+        }
+        if (!signature) {
+            this.showError('Enter the transaction signature of the deposit to claim.');
+            return;
+        }
+
+        try {
+            const payload = { transactionSignature: signature };
+
+            if (mode === 'signature') {
+                const res = await fetch(`${this.resolveApi('deposit-claim')}?signature=${encodeURIComponent(signature)}`, {
+                    headers: {
+                        'Authorization': `Bearer ${window.authManager.token}`
+                    }
+                });
+                const deposit = await res.json();
+                if (!res.ok) throw new Error(deposit.error || 'Deposit not found');
+                if (!deposit.claimMessage) {
+                    throw new Error('Several wallets paid this deposit. Request a review with its memo or reference instead.');
+                }
+
+                payload.walletSignature = await this.signWithWallet(deposit.sender, deposit.claimMessage);
+            } else {
+                const reference = document.getElementById('claim-reference')?.value?.trim();
+                if (!reference) {
+                    this.showError('Enter the memo or reference the deposit was sent with.');
+                    return;
+                }
+                payload.reference = reference;
+            }
+
+            const { response, data } = await this.requests.post('deposit-claim', payload);
+            if (!response.ok) {
+                throw new Error(data.error || 'Claim failed');
+            }
+
+            if (data.review) {
+                this.showInfo(`📨 ${data.message}`);
+                return;
+            }
+            if (data.pending) {
+                this.showInfo(`⏳ ${data.message}`);
+            } else {
+                this.showSuccess(`✅ ${data.message}`);
+            }
+            this.gameBalance = parseFloat(data.newBalance) || this.gameBalance;
+            if (window.gameInstance) {
+                window.gameInstance.tokens = this.gameBalance;
+                window.gameInstance.updateDisplay();
+            }
+            this.updateWalletUI();
+            this.loadTransactionHistory();
+        } catch (error) {
+            console.error('Deposit claim error:', error);
+            this.showError(error.message || 'Claim failed. Please try again.');
+        }
+    }
+
     updateTreasuryAddressUI() {
         const treasuryDisplay = document.getElementById('treasury-address-display');
         if (treasuryDisplay && this.treasuryAddress) {
@@ -424,7 +976,7 @@ To get started with game tokens:
 
             if (response.ok) {
                 const data = await response.json();
-                const val = data.formattedBalance || `${(data.usdcBalance || 0).toFixed(2)} USDC`;
+                const val = data.formattedBalance || `${parseFloat(data.usdcBalance || 0).toFixed(2)} USDC`;
                 const treasuryBalanceElement = document.getElementById('treasuryBalance');
                 const treasuryBalanceInline = document.getElementById('treasuryBalanceInline');
                 if (treasuryBalanceElement) treasuryBalanceElement.textContent = val;
@@ -621,13 +1173,22 @@ To get started with game tokens:
             return;
         }
 
-        const destinationAddress = this.userWithdrawAddress || this.userWalletAddress;
+        const destinationAddress = this.userWithdrawAddress;
         if (!destinationAddress) {
             console.log(`❌ [FRONTEND] No withdrawal address configured`);
             this.showError('Please set your personal withdrawal address in Settings before withdrawing.');
             return;
         }
 
+        // Exchanges credit a withdrawal to the account whose memo / tag it carries
+        const exchange = this.withdrawWallet()?.exchange;
+        const memoInput = document.getElementById('withdraw-memo');
+        const memo = exchange ? memoInput?.value.trim() : undefined;
+        if (exchange && !memo) {
+            this.showError(`Enter the memo / tag of your ${exchange} account.`);
+            return;
+        }
+
         if (!window.authManager?.token) {
             console.log(`❌ [FRONTEND] No auth token available`);
             this.showError('Please login first.');
@@ -638,25 +1199,14 @@ To get started with game tokens:
             console.log(`📤 [FRONTEND] Sending withdrawal request...`);
             this.showInfo('Processing withdrawal to your saved wallet...');
 
-            const response = await fetch(this.resolveApi('withdraw'), {
-                method: 'POST',
-                headers: {
-                    'Content-Type': 'application/json',
-                    'Authorization': `Bearer ${window.authManager.token}`
-                },
-                body: JSON.stringify({
-                    amount
-                })
-            });
+            const { response, data } = await this.requests.post('withdraw', { amount, address: destinationAddress, memo });
 
             console.log(`📥 [FRONTEND] Withdrawal API response status: ${response.status}`);
-
-            const data = await response.json();
             console.log(`📥 [FRONTEND] Withdrawal API response data:`, data);
 
             if (!response.ok) {
                 console.log(`❌ [FRONTEND] Withdrawal API error:`, data.error);
-                if (data.requiresWithdrawAddress) {
+                if (data.requiresWithdrawAddress && !data.code) {
                     this.showError('Please set your personal wallet in Settings before withdrawing.');
                 } else {
                     this.showError(data.error || 'Withdrawal failed');
@@ -678,9 +1228,20 @@ To get started with game tokens:
             // Update UI
             this.updateWalletUI();
             this.loadTransactionHistory();
+            this.loadWithdrawLimits();
 
             // Clear input
             amountInput.value = '';
+            if (memoInput) memoInput.value = '';
+            this.previewWithdrawal();
+
+            if (data.pending && data.withdrawal) {
+                // Queued: the funds are reserved, the backend sends the transfer. One held for
+                // review waits for an admin, its outcome shows in the history.
+                this.showInfo(`⏳ ${data.message}`);
+                if (!data.needsReview) this.pollWithdrawal(data.withdrawal.id);
+                return;
+            }
 
             this.showSuccess(data.message || `Successfully withdrew ${amount} tokens to your wallet!`);
 
@@ -695,6 +1256,94 @@ To get started with game tokens:
 
 
 
+    // Fees and the net amount of the withdrawal being typed in, under the withdraw button
+    async previewWithdrawal() {
+        const container = document.getElementById('withdraw-quote');
+        if (!container) return;
+        const amount = parseFloat(document.getElementById('withdraw-amount')?.value);
+        if (!amount || amount <= 0 || !this.userWithdrawAddress || !window.authManager?.token) {
+            container.textContent = '';
+            return;
+        }
+
+        try {
+            const query = `amount=${encodeURIComponent(amount)}&address=${encodeURIComponent(this.userWithdrawAddress)}`;
+            const response = await fetch(`${this.resolveApi('withdraw-quote')}?${query}`, {
+                headers: { 'Authorization': `Bearer ${window.authManager.token}` }
+            });
+            const quote = await response.json();
+            if (!response.ok) {
+                container.textContent = quote.error || 'Could not quote this withdrawal';
+                return;
+            }
+
+            const labels = { flat: 'fee', percent: 'percentage fee', account_creation: 'token account creation' };
+            const fees = quote.fees.map((line) => `${line.amount} ${labels[line.type] || line.type}`);
+            container.textContent = fees.length > 0
+                ? `${quote.gross} − ${fees.join(' − ')} → you receive ${quote.net} USDC`
+                : `No fees: you receive ${quote.net} USDC`;
+        } catch (error) {
+            console.error('Withdrawal quote error:', error);
+        }
+    }
+
+    // Withdrawal limits and what is left of them, under the withdraw button
+    async loadWithdrawLimits() {
+        const container = document.getElementById('withdraw-limits');
+        if (!container || !window.authManager?.token) return;
+
+        try {
+            const response = await fetch(this.resolveApi('user-limits'), {
+                headers: { 'Authorization': `Bearer ${window.authManager.token}` }
+            });
+            const limits = await response.json();
+            if (!response.ok) throw new Error(limits.error || 'Failed to load limits');
+
+            const parts = [];
+            if (limits.perTransaction) parts.push(`up to ${limits.perTransaction} per withdrawal`);
+            if (limits.daily.limit) parts.push(`${limits.daily.remaining} of ${limits.daily.limit} left today`);
+            if (limits.weekly.limit) parts.push(`${limits.weekly.remaining} of ${limits.weekly.limit} left this week`);
+            container.textContent = parts.length > 0 ? `Limits: ${parts.join(' · ')}` : '';
+            if (limits.maxWithdrawal !== null) {
+                document.getElementById('withdraw-amount')?.setAttribute('max', limits.maxWithdrawal);
+            }
+        } catch (error) {
+            console.error('Withdrawal limits error:', error);
+        }
+    }
+
+    // Poll a queued withdrawal until it is completed, or failed and refunded
+    pollWithdrawal(id, startedAt = Date.now()) {
+        clearTimeout(this.withdrawalPollTimer);
+        this.withdrawalPollTimer = setTimeout(async () => {
+            if (!window.authManager?.token) return;
+            try {
+                const res = await fetch(`${this.resolveApi('withdraw-status')}?id=${encodeURIComponent(id)}`, {
+                    headers: { 'Authorization': `Bearer ${window.authManager.token}` }
+                });
+                const data = await res.json();
+                if (!res.ok) throw new Error(data.error || 'Failed to check withdrawal status');
+
+                const { withdrawal } = data;
+                if (withdrawal.state === 'completed') {
+                    this.showSuccess(`✅ Withdrawal of ${withdrawal.amount} USDC sent to your wallet! (${withdrawal.signature.slice(0, 8)}...)`);
+                } else if (withdrawal.state === 'failed') {
+                    this.gameBalance = parseFloat(data.newBalance ?? data.newGameBalance) || this.gameBalance;
+                    this.updateWalletUI();
+                    this.showError(`Withdrawal failed and ${withdrawal.amount} tokens were refunded: ${withdrawal.lastError || 'unknown error'}`);
+                    this.loadWithdrawLimits();
+                } else if (Date.now() - startedAt < 10 * 60 * 1000) {
+                    this.pollWithdrawal(id, startedAt);
+                    return;
+                }
+                this.loadTransactionHistory();
+            } catch (error) {
+                console.error('Withdrawal status error:', error);
+                if (Date.now() - startedAt < 10 * 60 * 1000) this.pollWithdrawal(id, startedAt);
+            }
+        }, 3000);
+    }
+
     addTransaction(type, solAmount, tokenAmount) {
         const transactionList = document.getElementById('transaction-list');
         if (!transactionList) return;
@@ -773,6 +1422,11 @@ To get started with game tokens:
                 this.userBalance = parseFloat(userData.usdcBalance) || 0;
                 this.userWalletAddress = userData.solanaAddress; // Store verified wallet address
                 this.userWithdrawAddress = userData.withdrawAddress || null;
+                this.linkedWallets = userData.wallets || [];
+                this.isExchangeWallet = !!userData.isExchangeWallet;
+                this.updateExchangeUI();
+                this.depositMemo = userData.depositMemo || null;
+                this.depositReference = userData.depositReference || null;
 
                 console.log(`✅ [BALANCE SET] Game balance: ${this.gameBalance}, USDC balance: ${this.userBalance}`);
                 console.log(`🔑 [WALLET ADDRESS] Loaded: ${this.userWalletAddress}`);
@@ -791,6 +1445,7 @@ To get started with game tokens:
 
                 // Load transaction history
                 this.loadTransactionHistory();
+                this.loadWithdrawLimits();
 
                 // Load accurate user statistics
                 if (window.gameInstance && window.gameInstance.loadUserStats) {
@@ -830,9 +1485,12 @@ To get started with game tokens:
                 const data = await response.json();
                 console.log(`✅ [BALANCE_RECONCILE] Balance reconciled: ${data.previousBalance} → ${data.newBalance}`);
 
+                const previousBalance = parseFloat(data.previousBalance) || 0;
+                const newBalance = parseFloat(data.newBalance) || 0;
+
                 // Update local balance if it changed
-                if (data.newBalance !== this.gameBalance) {
-                    this.gameBalance = data.newBalance;
+                if (newBalance !== this.gameBalance) {
+                    this.gameBalance = newBalance;
 
                     // Update game instance
                     if (window.gameInstance) {
@@ -844,10 +1502,10 @@ To get started with game tokens:
                     this.updateWalletUI();
 
                     // Show notification if balance changed
-                    if (data.previousBalance !== data.newBalance) {
-                        const difference = data.newBalance - data.previousBalance;
+                    if (previousBalance !== newBalance) {
+                        const difference = newBalance - previousBalance;
                         const sign = difference > 0 ? '+' : '';
-                        this.showSuccess(`Balance updated: ${sign}${difference} tokens from recent transactions.`);
+                        this.showSuccess(`Balance updated: ${sign}${difference.toFixed(2)} tokens from recent transactions.`);
                     }
                 }
             } else {
@@ -860,6 +1518,7 @@ To get started with game tokens:
 
     async loadTransactionHistory() {
         if (!window.authManager?.token) return;
+        clearTimeout(this.pendingDepositsTimer);
 
         try {
             const response = await fetch(this.resolveApi('transactions'), {
@@ -896,16 +1555,41 @@ To get started with game tokens:
             const typeText = tx.type.replace('_', ' ').toUpperCase();
             const typeColor = tx.type.includes('win') || tx.type === 'deposit' ? '#00ff88' : '#ff6b6b';
 
+            const pendingDeposit = tx.type === 'deposit' && tx.status === 'pending';
+            const pendingWithdrawal = tx.type === 'withdraw' && tx.status === 'pending';
+            let stateText = '';
+            if (pendingDeposit) {
+                stateText = ` ⏳ PENDING (${tx.depositState})`;
+            } else if (pendingWithdrawal && tx.withdrawState === 'needs_review') {
+                stateText = ' ⏳ UNDER REVIEW';
+            } else if (pendingWithdrawal) {
+                stateText = ` ⏳ PENDING${tx.withdrawState ? ` (${tx.withdrawState})` : ''}`;
+            } else if (tx.depositState === 'failed' || tx.depositState === 'reorged') {
+                stateText = ` ✖ ${tx.depositState.toUpperCase()}`;
+            } else if (tx.withdrawState === 'failed') {
+                stateText = ' ✖ FAILED (REFUNDED)';
+            } else if (tx.withdrawState === 'rejected') {
+                stateText = ' ✖ REJECTED (REFUNDED)';
+            }
+
             transactionDiv.innerHTML = `
                 <div class="transaction-info">
-                    <span class="transaction-type" style="color: ${typeColor}">${typeText}</span>
-                    <span class="transaction-amount">${tx.solAmount ? tx.solAmount.toFixed(4) + ' SOL' : tx.amount + ' tokens'}</span>
+                    <span class="transaction-type" style="color: ${pendingDeposit || pendingWithdrawal ? '#f5a623' : typeColor}">${typeText}${stateText}</span>
+                    <span class="transaction-amount">${tx.solAmount ? parseFloat(tx.solAmount).toFixed(4) + ' SOL' : tx.amount + ' tokens'}</span>
                 </div>
                 <div class="transaction-time">${timestamp}</div>
             `;
 
             transactionList.appendChild(transactionDiv);
         });
+
+        // Pending deposits are credited by the backend; refresh until they settle
+        if (transactions.some(tx => tx.type === 'deposit' && tx.status === 'pending')) {
+            this.pendingDepositsTimer = setTimeout(() => {
+                this.loadTransactionHistory();
+                this.loadUserData();
+            }, 15000);
+        }
     }
 
     onUserLogout() {
@@ -922,6 +1606,18 @@ To get started with game tokens:
         this.isConnected = false;
         this.userBalance = 0;
         this.userWalletAddress = null; // Clear wallet address on logout
+        this.userWithdrawAddress = null;
+        this.linkedWallets = [];
+        this.isExchangeWallet = false;
+        this.updateExchangeUI();
+        this.closeDepositModal();
+        clearTimeout(this.pendingDepositsTimer);
+        clearTimeout(this.withdrawalPollTimer);
+        clearTimeout(this.withdrawQuoteTimer);
+        for (const id of ['withdraw-quote', 'withdraw-limits', 'reserves-output']) {
+            const container = document.getElementById(id);
+            if (container) container.textContent = '';
+        }
 
         // Clear header wallet display immediately
         this.updateHeaderWalletDisplay();
@@ -0,0 +1,101 @@
+// lib/fee-schedule.js under different settings. The schedule is read from the environment when
+// the module loads, so each case loads its own copy.
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const money = require('../lib/money.js');
+
+const SETTINGS = ['DEPOSIT_FEE_FLAT', 'DEPOSIT_FEE_PERCENT', 'WITHDRAW_FEE_FLAT', 'WITHDRAW_FEE_PERCENT', 'WITHDRAW_FEE_ACCOUNT_CREATION'];
+const MODULE = require.resolve('../lib/fee-schedule.js');
+const WALLET = '9hSR6S7WPtxmTojgo6GG3k4yDPecgJY292j7xrsUGWBu';
+
+function loadSchedule(env = {}) {
+  const saved = Object.fromEntries(SETTINGS.map((name) => [name, process.env[name]]));
+  for (const name of SETTINGS) {
+    if (name in env) process.env[name] = env[name];
+    else delete process.env[name];
+  }
+  delete require.cache[MODULE];
+  try {
+    return require(MODULE);
+  } finally {
+    for (const [name, value] of Object.entries(saved)) {
+      if (value === undefined) delete process.env[name];
+      else process.env[name] = value;
+    }
+    delete require.cache[MODULE];
+  }
+}
+
+// A connection whose getAccountInfo finds the recipient's token account or not
+const connectionWith = (accountExists) => ({ getAccountInfo: async () => (accountExists ? { lamports: 2039280 } : null) });
+
+test('takes the default 0.05 USDC flat fee off a deposit', () => {
+  const feeSchedule = loadSchedule();
+  const quote = feeSchedule.depositQuote(money.parse('10'));
+
+  assert.deepEqual(quote.fees, [{ type: 'flat', amount: 50000 }]);
+  assert.equal(quote.fee, 50000);
+  assert.equal(quote.net, 9950000);
+});
+
+test('rounds percentage fees up to the next micro-USDC', () => {
+  const feeSchedule = loadSchedule({ DEPOSIT_FEE_FLAT: '0', DEPOSIT_FEE_PERCENT: '1.5' });
+
+  // 1.5% of 0.000101 USDC is 0.000001515
+  assert.deepEqual(feeSchedule.depositQuote(101).fees, [{ type: 'percent', amount: 2 }]);
+  assert.equal(feeSchedule.depositQuote(money.parse('200')).fee, 3000000);
+});
+
+test('never takes more than the deposit', () => {
+  const feeSchedule = loadSchedule({ DEPOSIT_FEE_FLAT: '1' });
+  const quote = feeSchedule.depositQuote(money.parse('0.40'));
+
+  assert.equal(quote.fee, 400000);
+  assert.equal(quote.net, 0);
+});
+
+test('adds the account creation fee only when the token account is missing', async () => {
+  const feeSchedule = loadSchedule({ WITHDRAW_FEE_FLAT: '0.10', WITHDRAW_FEE_PERCENT: '1', WITHDRAW_FEE_ACCOUNT_CREATION: '0.25' });
+  const amount = money.parse('50');
+
+  const existing = await feeSchedule.withdrawalQuote(connectionWith(true), { amount, toAddress: WALLET });
+  assert.equal(existing.createsTokenAccount, false);
+  assert.equal(existing.fee, 600000);
+  assert.equal(existing.net, 49400000);
+
+  const missing = await feeSchedule.withdrawalQuote(connectionWith(false), { amount, toAddress: WALLET });
+  assert.equal(missing.createsTokenAccount, true);
+  assert.deepEqual(missing.fees.map((line) => line.type), ['flat', 'percent', 'account_creation']);
+  assert.equal(missing.fee, 850000);
+  assert.equal(missing.net, 49150000);
+  assert.deepEqual(feeSchedule.view(missing), {
+    gross: '50.00',
+    fees: [{ type: 'flat', amount: '0.10' }, { type: 'percent', amount: '0.50' }, { type: 'account_creation', amount: '0.25' }],
+    fee: '0.85',
+    net: '49.15',
+    createsTokenAccount: true
+  });
+});
+
+test('refuses a withdrawal that its fees would use up', async () => {
+  const feeSchedule = loadSchedule({ WITHDRAW_FEE_FLAT: '1' });
+
+  await assert.rejects(
+    feeSchedule.withdrawalQuote(connectionWith(true), { amount: money.parse('1'), toAddress: WALLET }),
+    (error) => error instanceof feeSchedule.FeeScheduleError && error.code === 'AMOUNT_BELOW_FEES'
+  );
+});
+
+test('caps percentages at 100', () => {
+  const feeSchedule = loadSchedule({ WITHDRAW_FEE_PERCENT: '250' });
+
+  assert.equal(feeSchedule.SCHEDULE.withdraw.percentBps, 10000);
+  assert.equal(feeSchedule.scheduleView().withdraw.percent, 100);
+});
+
+test('rejects negative or malformed settings', () => {
+  assert.throws(() => loadSchedule({ DEPOSIT_FEE_FLAT: '-0.05' }), /DEPOSIT_FEE_FLAT must be a USDC amount of 0 or more/);
+  assert.throws(() => loadSchedule({ WITHDRAW_FEE_ACCOUNT_CREATION: '-1' }), /WITHDRAW_FEE_ACCOUNT_CREATION/);
+  assert.throws(() => loadSchedule({ WITHDRAW_FEE_PERCENT: '-2' }), /WITHDRAW_FEE_PERCENT must be a percentage of 0 or more/);
+  assert.throws(() => loadSchedule({ WITHDRAW_FEE_FLAT: 'ten' }), /WITHDRAW_FEE_FLAT/);
+});
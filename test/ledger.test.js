@@ -0,0 +1,87 @@
+// Journal entries built by lib/ledger.js: each balances, and together they move money between
+// the accounts they should.
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const ledger = require('../lib/ledger.js');
+
+const { ACCOUNTS } = ledger;
+const USER = '64b7f0c2a1b2c3d4e5f60718';
+
+// Net of the postings to each account across entries (debit-positive), leaving out zeros
+function netByAccount(entries) {
+  const totals = new Map();
+  for (const entry of entries) {
+    for (const posting of entry.postings) {
+      totals.set(posting.account, (totals.get(posting.account) || 0) + posting.amount);
+    }
+  }
+  return Object.fromEntries([...totals].filter(([, amount]) => amount !== 0));
+}
+
+test('every entry builder balances', () => {
+  const entries = [
+    ...ledger.depositEntries(USER, { gross: 10000000, fee: 50000 }),
+    ledger.betEntry(USER, { stake: 2000000, won: true }),
+    ledger.betEntry(USER, { stake: 2000000, won: false }),
+    ledger.signupBonusEntry(USER, 1000000),
+    ledger.withdrawalReserveEntry(USER, 5000000),
+    ledger.withdrawalCompleteEntry(USER, 4900000),
+    ledger.withdrawalFeeEntry(USER, 100000),
+    ledger.withdrawalRefundEntry(USER, 5000000),
+    ledger.openingBalanceEntry(USER, 3000000),
+    ledger.openingPendingWithdrawalEntry(USER, 3000000),
+    ledger.adjustmentEntry(USER, -250000),
+    ledger.depositRefundEntry(7000000)
+  ];
+  for (const entry of entries) {
+    assert.equal(ledger.isBalanced(entry), true, entry.kind);
+  }
+});
+
+test('a deposit credits the player its gross amount less the fee', () => {
+  const entries = ledger.depositEntries(USER, { gross: 10000000, fee: 50000 });
+
+  assert.equal(ledger.userDelta(entries, USER), 9950000);
+  assert.deepEqual(netByAccount(entries), {
+    [ACCOUNTS.TREASURY]: 10000000,
+    [ledger.userAccount(USER)]: -9950000,
+    [ACCOUNTS.DEPOSIT_FEES]: -50000
+  });
+  assert.equal(ledger.depositEntries(USER, { gross: 10000000 }).length, 1);
+});
+
+test('a completed withdrawal empties its reserve into the treasury and the fee', () => {
+  const entries = [
+    ledger.withdrawalReserveEntry(USER, 5000000),
+    ledger.withdrawalFeeEntry(USER, 100000),
+    ledger.withdrawalCompleteEntry(USER, 4900000)
+  ];
+
+  assert.equal(ledger.userDelta(entries, USER), -5000000);
+  assert.deepEqual(netByAccount(entries), {
+    [ledger.userAccount(USER)]: 5000000,
+    [ACCOUNTS.WITHDRAWAL_FEES]: -100000,
+    [ACCOUNTS.TREASURY]: -4900000
+  });
+});
+
+test('a failed withdrawal gives the player back the whole amount', () => {
+  const entries = [ledger.withdrawalReserveEntry(USER, 5000000), ledger.withdrawalRefundEntry(USER, 5000000)];
+
+  assert.equal(ledger.userDelta(entries, USER), 0);
+  assert.deepEqual(netByAccount(entries), {});
+});
+
+test('a refunded unclaimed deposit leaves the treasury and the inbox where they were', () => {
+  const entry = ledger.depositRefundEntry(7000000);
+
+  assert.equal(entry.kind, 'deposit_refund');
+  assert.deepEqual(netByAccount([entry]), {});
+  assert.equal(entry.postings.filter((posting) => posting.account === ACCOUNTS.TREASURY && posting.amount < 0).length, 1);
+});
+
+test('refuses entries with one posting, fractions or a nonzero sum', () => {
+  assert.equal(ledger.isBalanced({ postings: [{ account: ACCOUNTS.TREASURY, amount: 0 }] }), false);
+  assert.equal(ledger.isBalanced({ postings: [{ account: ACCOUNTS.TREASURY, amount: 0.5 }, { account: ACCOUNTS.ADJUSTMENTS, amount: -0.5 }] }), false);
+  assert.equal(ledger.isBalanced({ postings: [{ account: ACCOUNTS.TREASURY, amount: 2 }, { account: ACCOUNTS.ADJUSTMENTS, amount: -1 }] }), false);
+});
@@ -0,0 +1,44 @@
+// Conversions of lib/money.js between decimal input, stored micro-USDC and on-chain amounts.
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const money = require('../lib/money.js');
+
+test('parses decimal strings and numbers into micro-USDC', () => {
+  assert.equal(money.parse('12.5'), 12500000);
+  assert.equal(money.parse(' 0.000001 '), 1);
+  assert.equal(money.parse(0.1), 100000);
+  assert.equal(money.parse('-3'), -3000000);
+});
+
+test('refuses anything but a plain decimal within 6 places', () => {
+  for (const value of ['', 'abc', '1e3', '1.', '.5', '1.0000001', '0x10', null, undefined, {}, NaN, Infinity]) {
+    assert.equal(money.parse(value), null, String(value));
+  }
+  assert.equal(money.parse('1.005', 2), null);
+  assert.equal(money.parse('1.05', 2), 1050000);
+});
+
+test('refuses amounts past the safe integer range', () => {
+  assert.equal(money.parse('9007199254.740991'), Number.MAX_SAFE_INTEGER);
+  assert.equal(money.parse('9007199254.740992'), null);
+});
+
+test('formats micro-USDC with at least two decimals', () => {
+  assert.equal(money.format(12500000), '12.50');
+  assert.equal(money.format(1), '0.000001');
+  assert.equal(money.format(-1500000), '-1.50');
+  assert.equal(money.format(7000000, 0), '7');
+  assert.throws(() => money.format(0.5), TypeError);
+});
+
+test('converts on-chain base units both ways', () => {
+  assert.equal(money.fromBaseUnits('2500000'), 2500000);
+  assert.equal(money.fromBaseUnits(2500000n), 2500000);
+  assert.equal(money.toBaseUnits(2500000), 2500000n);
+  assert.throws(() => money.toBaseUnits(1.5), TypeError);
+});
+
+test('rounds legacy float amounts to the nearest micro-USDC', () => {
+  assert.equal(money.fromDecimal(0.1 + 0.2), 300000);
+  assert.equal(money.fromDecimal('19.999999'), 19999999);
+});
@@ -0,0 +1,83 @@
+// The Merkle sum tree of lib/proof-of-reserves.js: its shape, its root and inclusion proofs.
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const proofOfReserves = require('../lib/proof-of-reserves.js');
+
+const { EMPTY_ROOT, leafHash, buildLevels, rootOf, proofPath, verifyProof } = proofOfReserves;
+
+const sha256 = (text) => crypto.createHash('sha256').update(text).digest('hex');
+
+// Leaves owed 1, 2, 3, ... micro-USDC, as takeSnapshot builds them
+function makeLeaves(count) {
+  return Array.from({ length: count }, (_, index) => {
+    const leaf = { userId: `user${index}`, liability: index + 1, salt: `salt${index}` };
+    return { ...leaf, hash: leafHash(leaf) };
+  });
+}
+
+const treeOf = (leaves) => buildLevels(leaves.map((leaf) => ({ hash: leaf.hash, sum: leaf.liability })));
+
+test('an empty tree has the root H("empty") with sum 0', () => {
+  const root = rootOf(treeOf([]));
+
+  assert.equal(root.hash, sha256('empty'));
+  assert.equal(root.hash, EMPTY_ROOT);
+  assert.equal(root.sum, 0);
+});
+
+test('a single leaf is the root and needs no proof', () => {
+  const [leaf] = makeLeaves(1);
+  const levels = treeOf([leaf]);
+  const root = rootOf(levels);
+
+  assert.deepEqual(root, { hash: leaf.hash, sum: 1 });
+  assert.deepEqual(proofPath(levels, 0), []);
+  assert.equal(verifyProof({ leaf, proof: [], root }), true);
+});
+
+test('a level\'s odd last node moves up unchanged', () => {
+  const leaves = makeLeaves(3);
+  const levels = treeOf(leaves);
+
+  assert.equal(levels.length, 3);
+  assert.deepEqual(levels[1][1], { hash: leaves[2].hash, sum: 3 });
+  assert.deepEqual(proofPath(levels, 2), [{ side: 'left', hash: levels[1][0].hash, sum: 3 }]);
+});
+
+test('the root sums every liability', () => {
+  const root = rootOf(treeOf(makeLeaves(10)));
+
+  assert.equal(root.sum, 55);
+});
+
+test('every leaf\'s proof leads to the root', () => {
+  for (const count of [2, 5, 8, 13]) {
+    const leaves = makeLeaves(count);
+    const levels = treeOf(leaves);
+    const root = rootOf(levels);
+    leaves.forEach((leaf, index) => {
+      assert.equal(verifyProof({ leaf, proof: proofPath(levels, index), root }), true, `leaf ${index} of ${count}`);
+    });
+  }
+});
+
+test('a shrunk liability, a changed salt or another root fails the proof', () => {
+  const leaves = makeLeaves(6);
+  const levels = treeOf(leaves);
+  const root = rootOf(levels);
+  const proof = proofPath(levels, 4);
+
+  assert.equal(verifyProof({ leaf: { ...leaves[4], liability: 4 }, proof, root }), false);
+  assert.equal(verifyProof({ leaf: { ...leaves[4], salt: 'other' }, proof, root }), false);
+  assert.equal(verifyProof({ leaf: leaves[4], proof, root: { ...root, sum: root.sum - 1 } }), false);
+});
+
+test('a proof with a shrunk sibling sum fails', () => {
+  const leaves = makeLeaves(4);
+  const levels = treeOf(leaves);
+  const root = rootOf(levels);
+  const proof = proofPath(levels, 0).map((sibling, depth) => (depth === 1 ? { ...sibling, sum: sibling.sum - 1 } : sibling));
+
+  assert.equal(verifyProof({ leaf: leaves[0], proof, root }), false);
+});
@@ -0,0 +1,81 @@
+// lib/usdc-deposits.js against transactions in the shape getParsedTransaction returns
+// (jsonParsed, maxSupportedTransactionVersion 0), in test/fixtures/usdc-deposits. The wallets in
+// them are fixed test keys; TREASURY owns the treasury token accounts.
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('path');
+const usdcDeposits = require('../lib/usdc-deposits.js');
+
+const TREASURY = 'AKnL4NNf3DGWZJS6cPknBuEGnVsV4A4m5tgebLHaRSZ9';
+const ALICE = '9hSR6S7WPtxmTojgo6GG3k4yDPecgJY292j7xrsUGWBu';
+const BOB = 'GyGKxMyg1p9SsHfm15MkNUu1u9TN2JtTspcdmrtGUdse';
+const POOL = 'J2xccRtuG43drESLYznHhLhQkLTdfepcKYbiQ9BsJVaf';
+const PYUSD = '2b1kV6DkPAnxd5ixfnxCpjxmKwqjjaYmCZfHsFu24GXo';
+
+const fixture = (name) => require(path.join(__dirname, 'fixtures', 'usdc-deposits', `${name}.json`));
+
+test('adds up several transfers in one transaction, per sender', () => {
+  const deposit = usdcDeposits.parseUsdcDeposit(fixture('multiple-transfers'), { treasuryOwner: TREASURY });
+
+  assert.equal(deposit.amount, 10500000);
+  assert.equal(deposit.transfers.length, 3);
+  assert.deepEqual(deposit.senders, [{ owner: ALICE, amount: 7500000 }, { owner: BOB, amount: 3000000 }]);
+  assert.equal(deposit.sender, null);
+  assert.equal(deposit.failed, false);
+});
+
+test('finds transfers made by another program in inner instructions', () => {
+  const deposit = usdcDeposits.parseUsdcDeposit(fixture('inner-instruction'), { treasuryOwner: TREASURY });
+
+  assert.equal(deposit.amount, 42000000);
+  assert.equal(deposit.transfers.length, 1);
+  assert.equal(deposit.transfers[0].inner, true);
+  assert.equal(deposit.transfers[0].instructionIndex, 0);
+  assert.equal(deposit.sender, POOL);
+});
+
+test('credits a Token-2022 transfer less the withheld transfer fee', () => {
+  const tx = fixture('token-2022-transfer-fee');
+  const deposit = usdcDeposits.parseUsdcDeposit(tx, { treasuryOwner: TREASURY, mints: [PYUSD] });
+
+  assert.equal(deposit.amount, 9990000);
+  assert.equal(deposit.transfers[0].amount, 9990000);
+  assert.equal(deposit.transfers[0].programId, 'TokenzQdBNbLqP5VEhdkAS6EPFLC1PHnBqCXEpPxuEb');
+  assert.equal(deposit.sender, ALICE);
+
+  // Not USDC: nothing with the default mints
+  assert.equal(usdcDeposits.parseUsdcDeposit(tx, { treasuryOwner: TREASURY }).amount, 0);
+});
+
+test('only credits transfers into the treasury ATA', () => {
+  const deposit = usdcDeposits.parseUsdcDeposit(fixture('non-ata-account'), { treasuryOwner: TREASURY });
+  const [treasuryAta] = usdcDeposits.treasuryTokenAccounts(TREASURY);
+
+  // The 7 USDC paid to another account of the treasury wallet is not a deposit
+  assert.equal(deposit.amount, 1000000);
+  assert.deepEqual(deposit.credits.map((credit) => credit.account), [treasuryAta]);
+  assert.deepEqual(deposit.transfers.map((transfer) => transfer.destination), [treasuryAta]);
+  assert.deepEqual(deposit.senders, [{ owner: BOB, amount: 1000000 }]);
+  assert.deepEqual(deposit.memos, ['DEP-7K3Q']);
+});
+
+test('credits nothing for a failed transaction', () => {
+  const deposit = usdcDeposits.parseUsdcDeposit(fixture('failed-transfer'), { treasuryOwner: TREASURY });
+
+  assert.equal(deposit.failed, true);
+  assert.equal(deposit.amount, 0);
+  assert.deepEqual(deposit.senders, []);
+  assert.equal(deposit.sender, null);
+});
+
+test('matches token balances by account index, not position', () => {
+  const tx = fixture('inner-instruction');
+  // An account created in the transaction only has a post balance
+  const reordered = {
+    ...tx,
+    meta: { ...tx.meta, preTokenBalances: [tx.meta.preTokenBalances[0]], postTokenBalances: [...tx.meta.postTokenBalances].reverse() }
+  };
+  const changes = usdcDeposits.tokenBalanceChanges(reordered);
+
+  assert.deepEqual(changes.map((entry) => [entry.accountIndex, entry.change]), [[1, -42000000], [2, 42000000]]);
+});